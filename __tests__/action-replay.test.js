@@ -0,0 +1,176 @@
+/**
+ * Action-log replay tests
+ * Plays complete games through GameCoordinatorService, then rebuilds every
+ * state from the seed and action log with the shared handlers.
+ */
+
+jest.mock('../multiplayer/server/models/GameState', () => ({ save: jest.fn(async () => ({})) }));
+jest.mock('../multiplayer/server/models/GameStats', () => ({ updateAfterGame: jest.fn(async () => null) }));
+
+const GameManager = require('../multiplayer/server/game/GameManager');
+const ActionRouter = require('../multiplayer/server/game/ActionRouter');
+const SocketRegistry = require('../multiplayer/server/services/SocketRegistry');
+const GameCoordinatorService = require('../multiplayer/server/services/GameCoordinatorService');
+const GameStateModel = require('../multiplayer/server/models/GameState');
+const { buildReplayFrames, REPLAY_EVENTS } = require('../shared/game/replay');
+
+function setupGame(playerCount, seed) {
+  const gameManager = new GameManager();
+  const actionRouter = new ActionRouter(gameManager);
+  const matchmaking = { socketRegistry: new SocketRegistry() };
+  const broadcaster = {
+    broadcastToGame: jest.fn(),
+    broadcastToOthers: jest.fn(),
+    broadcastGameUpdate: jest.fn(),
+    sendError: jest.fn(),
+  };
+  const coordinator = new GameCoordinatorService(gameManager, actionRouter, matchmaking, broadcaster, null);
+
+  const { gameId } = gameManager.startGame(playerCount, false, { seed });
+  const sockets = [];
+  for (let i = 0; i < playerCount; i++) {
+    const socket = { id: `s${i}`, emit: jest.fn() };
+    gameManager.addPlayerToGame(gameId, socket.id, i);
+    matchmaking.socketRegistry.set(socket.id, gameId, playerCount === 2 ? 'two-hands' : 'three-hands');
+    sockets.push(socket);
+  }
+
+  return { gameManager, coordinator, gameId, sockets };
+}
+
+/**
+ * Candidate moves for a card: trail it, or capture a loose card of the same rank
+ */
+function candidateActions(state, card) {
+  const actions = [{ type: 'trail', payload: { card } }];
+  const match = state.tableCards.find(tc => !tc.type && tc.rank === card.rank);
+  if (match) {
+    actions.unshift({
+      type: 'capture',
+      payload: { card, targetType: 'loose', targetRank: match.rank, targetSuit: match.suit },
+    });
+  }
+  return actions;
+}
+
+/**
+ * Play until game over with a simple capture-or-trail bot
+ */
+function playToEnd({ gameManager, coordinator, gameId, sockets }) {
+  for (let turn = 0; turn < 200; turn++) {
+    const state = gameManager.getGameState(gameId);
+    if (state.gameOver) return state;
+
+    const player = state.currentPlayer;
+    const before = state;
+    let moved = false;
+    for (const card of state.players[player].hand) {
+      for (const action of candidateActions(state, card)) {
+        coordinator.handleGameAction(sockets[player], action);
+        if (gameManager.getGameState(gameId) !== before) {
+          moved = true;
+          break;
+        }
+      }
+      if (moved) break;
+    }
+    if (!moved) throw new Error(`Player ${player} has no legal move`);
+  }
+  throw new Error('Game did not finish');
+}
+
+function replayFor(gameManager, gameId, state) {
+  return {
+    playerCount: state.playerCount,
+    isPartyMode: false,
+    seed: state.seed,
+    initialDeck: state.initialDeck,
+    actions: gameManager.getActionLog(gameId),
+  };
+}
+
+describe('action log', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records routed type and server-driven transitions alongside the seed', () => {
+    const game = setupGame(2, 'replay-log');
+    const finalState = playToEnd(game);
+    const log = game.gameManager.getActionLog(game.gameId);
+
+    expect(finalState.seed).toBe('replay-log');
+    expect(log[0]).toEqual(expect.objectContaining({ seq: 1, playerIndex: 0, routedType: expect.any(String) }));
+    expect(log.map(e => e.seq)).toEqual(log.map((_, i) => i + 1));
+    expect(log.filter(e => e.system).map(e => e.type)).toEqual([
+      REPLAY_EVENTS.ROUND_END,
+      REPLAY_EVENTS.NEXT_ROUND,
+      REPLAY_EVENTS.ROUND_END,
+      REPLAY_EVENTS.GAME_OVER,
+    ]);
+  });
+
+  it('hands the full log to game-end persistence instead of wiping it', async () => {
+    const game = setupGame(2, 42);
+    playToEnd(game);
+    await Promise.resolve();
+
+    const saved = GameStateModel.save.mock.calls.at(-1)[0];
+    expect(saved.actions).toEqual(game.gameManager.getActionLog(game.gameId));
+    expect(saved.actions.length).toBeGreaterThan(20);
+    expect(saved.seed).toBe(42);
+  });
+});
+
+describe('buildReplayFrames', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    [2, 'two-hands-seed'],
+    [3, 9001],
+  ])('reproduces a finished %i-player game from its seed and log', (playerCount, seed) => {
+    const game = setupGame(playerCount, seed);
+    const finalState = playToEnd(game);
+
+    const { frames, error } = buildReplayFrames(replayFor(game.gameManager, game.gameId, finalState));
+
+    expect(error).toBeNull();
+    expect(frames).toHaveLength(game.gameManager.getActionLog(game.gameId).length + 1);
+    expect(frames.at(-1).state).toEqual(finalState);
+  });
+
+  it('keeps earlier frames intact so the viewer can step backward', () => {
+    const game = setupGame(2, 7);
+    const finalState = playToEnd(game);
+
+    const { frames } = buildReplayFrames(replayFor(game.gameManager, game.gameId, finalState));
+
+    expect(frames[0].entry).toBeNull();
+    expect(frames[0].state.players[0].hand).toHaveLength(10);
+    expect(frames[1].state.players[0].hand).toHaveLength(9);
+    expect(frames[0].state.tableCards).toEqual([]);
+  });
+
+  it('stops at an entry that no longer applies and reports it', () => {
+    const { frames, error } = buildReplayFrames({
+      playerCount: 2,
+      seed: 1,
+      actions: [{ seq: 1, playerIndex: 1, type: 'trail', payload: { card: { rank: 'A', suit: '♠' } } }],
+    });
+
+    expect(frames).toHaveLength(1);
+    expect(error).toMatch(/Entry 1 \(trail\)/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Auth session tests
+ * Covers AuthSessionService: refresh token rotation, reuse detection,
+ * listing devices and revoking sessions.
+ */
+
+jest.mock('../multiplayer/server/models/User', () => ({
+  generateToken: jest.fn((userId, sessionId) => `access:${userId}:${sessionId}`),
+}));
+
+jest.mock('../multiplayer/server/models/Session', () => {
+  const sessions = new Map();
+  let nextId = 1;
+  return {
+    sessions,
+    reset: () => { sessions.clear(); nextId = 1; },
+    create: jest.fn(async data => {
+      const session = { ...data, _id: `s${nextId++}`, previousTokenHashes: [], revokedAt: null, createdAt: new Date(), lastUsedAt: new Date() };
+      sessions.set(session._id, session);
+      return session;
+    }),
+    findById: jest.fn(async id => sessions.get(id) || null),
+    findActiveByUserId: jest.fn(async userId => [...sessions.values()].filter(s => s.userId === userId && !s.revokedAt)),
+    rotate: jest.fn(async (id, currentHash, nextHash) => {
+      const session = sessions.get(id);
+      if (!session || session.revokedAt || session.refreshTokenHash !== currentHash) return null;
+      session.previousTokenHashes.push(currentHash);
+      session.refreshTokenHash = nextHash;
+      return session;
+    }),
+    revoke: jest.fn(async (id, reason, userId = null) => {
+      const session = sessions.get(id);
+      if (!session || session.revokedAt || (userId && session.userId !== userId)) return false;
+      session.revokedAt = new Date();
+      session.revokedReason = reason;
+      return true;
+    }),
+    revokeAllForUser: jest.fn(async (userId, reason) => {
+      const live = [...sessions.values()].filter(s => s.userId === userId && !s.revokedAt);
+      live.forEach(s => { s.revokedAt = new Date(); s.revokedReason = reason; });
+      return live.map(s => s._id);
+    }),
+  };
+});
+
+const Session = require('../multiplayer/server/models/Session');
+const AuthSessionService = require('../multiplayer/server/services/AuthSessionService');
+
+describe('AuthSessionService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    Session.reset();
+    service = new AuthSessionService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues a session-bound access token and rotates the refresh token', async () => {
+    const first = await service.startSession('alice', { userAgent: 'phone' });
+    expect(first).toMatchObject({ userId: 'alice', sessionId: 's1', accessToken: 'access:alice:s1', expiresIn: 15 * 60 });
+    expect(Session.sessions.get('s1').refreshTokenHash).not.toContain(first.refreshToken.split('.')[1]);
+
+    const second = await service.refresh(first.refreshToken);
+    expect(second).toMatchObject({ success: true, userId: 'alice', sessionId: 's1', accessToken: 'access:alice:s1' });
+    expect(second.refreshToken).not.toEqual(first.refreshToken);
+
+    const third = await service.refresh(second.refreshToken);
+    expect(third.success).toBe(true);
+  });
+
+  it('revokes the session when a spent refresh token is replayed', async () => {
+    const first = await service.startSession('alice');
+    const second = await service.refresh(first.refreshToken);
+
+    expect(await service.refresh(first.refreshToken)).toMatchObject({ success: false, reused: true, sessionId: 's1' });
+    expect(Session.sessions.get('s1').revokedReason).toBe('reuse');
+
+    // The thief's rotation is dead too
+    expect(await service.refresh(second.refreshToken)).toEqual({ success: false, error: 'Session has been revoked' });
+  });
+
+  it('rejects unknown tokens without touching the session', async () => {
+    await service.startSession('alice');
+
+    expect(await service.refresh('garbage')).toEqual({ success: false, error: 'Invalid refresh token' });
+    expect(await service.refresh('s1.not-the-secret')).toEqual({ success: false, error: 'Invalid refresh token' });
+    expect(Session.sessions.get('s1').revokedAt).toBeNull();
+  });
+
+  it('lists devices and revokes one or all of them', async () => {
+    await service.startSession('alice', { userAgent: 'phone' });
+    await service.startSession('alice', { userAgent: 'laptop' });
+    await service.startSession('bob');
+
+    const list = await service.listSessions('alice', 's2');
+    expect(list.map(s => [s.id, s.userAgent, s.current])).toEqual([['s1', 'phone', false], ['s2', 'laptop', true]]);
+
+    expect(await service.revokeSession('bob', 's1')).toEqual({ success: false, error: 'Session not found' });
+    expect(await service.revokeSession('alice', 's1')).toEqual({ success: true });
+    expect(await service.revokeAll('alice')).toEqual(['s2']);
+    expect(await service.listSessions('alice')).toEqual([]);
+    expect(await service.listSessions('bob')).toHaveLength(1);
+  });
+});
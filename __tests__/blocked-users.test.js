@@ -0,0 +1,86 @@
+/**
+ * Blocked user tests
+ * Covers BlockListService and its use by QueueManager, RankedQueueManager
+ * and RoomService: players who blocked each other are never grouped.
+ */
+
+jest.mock('../multiplayer/server/models/PlayerProfile', () => ({
+  findByUserIds: jest.fn(async () => []),
+}));
+
+const PlayerProfile = require('../multiplayer/server/models/PlayerProfile');
+const BlockListService = require('../multiplayer/server/services/BlockListService');
+const QueueManager = require('../multiplayer/server/services/QueueManager');
+const RankedQueueManager = require('../multiplayer/server/services/RankedQueueManager');
+const RoomService = require('../multiplayer/server/services/RoomService');
+
+const ALICE = 'a'.repeat(24);
+const BOB = 'b'.repeat(24);
+const CAROL = 'c'.repeat(24);
+
+const BLOCKS = { [ALICE]: [BOB] };
+
+const socketFor = id => ({ id: `socket-${id}`, userId: id, connected: true, _lastHeartbeat: Date.now(), join: jest.fn() });
+
+describe('Blocked users', () => {
+  let blockList;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    PlayerProfile.findByUserIds.mockReset().mockImplementation(async ids =>
+      ids.map(id => ({ userId: id, blockedUsers: BLOCKS[id] || [] }))
+    );
+    blockList = new BlockListService();
+    await blockList.load([ALICE, BOB, CAROL]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('treats a block in either direction as a blocked pair', async () => {
+    expect(blockList.isBlockedPair(ALICE, BOB)).toBe(true);
+    expect(blockList.isBlockedPair(BOB, ALICE)).toBe(true);
+    expect(blockList.isBlockedPair(ALICE, CAROL)).toBe(false);
+    expect(blockList.isBlockedPair(ALICE, 'guest-socket')).toBe(false);
+
+    blockList.setBlocked(ALICE, BOB, false);
+    expect(await blockList.isBlocked(BOB, ALICE)).toBe(false);
+    expect(PlayerProfile.findByUserIds).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps blocked pairs out of the same casual game', () => {
+    const queue = new QueueManager(null);
+    queue.blockList = blockList;
+
+    expect(queue.addToQueue(socketFor(ALICE), 'two-hands', ALICE)).toBeNull();
+    expect(queue.addToQueue(socketFor(BOB), 'two-hands', BOB)).toBeNull();
+    expect(queue.getWaitingCount('two-hands')).toBe(2);
+
+    const players = queue.addToQueue(socketFor(CAROL), 'two-hands', CAROL);
+    expect(players.map(p => p.userId)).toEqual([ALICE, CAROL]);
+    expect(queue.waitingQueues['two-hands'].map(p => p.userId)).toEqual([BOB]);
+  });
+
+  it('keeps blocked pairs out of the same ranked game', () => {
+    const ranked = new RankedQueueManager();
+    ranked.blockList = blockList;
+    const rating = { rating: 1500, rd: 100 };
+
+    ranked.addToQueue(socketFor(ALICE), 'two-hands', ALICE, rating);
+    ranked.addToQueue(socketFor(BOB), 'two-hands', BOB, rating);
+    expect(ranked.findMatch('two-hands')).toBeNull();
+
+    ranked.addToQueue(socketFor(CAROL), 'two-hands', CAROL, rating);
+    expect(ranked.findMatch('two-hands').map(p => p.userId)).toEqual([ALICE, CAROL]);
+  });
+
+  it('refuses room joins next to a blocked player', () => {
+    const rooms = new RoomService(null, null, null, null);
+    rooms.blockList = blockList;
+    const { roomCode } = rooms.createRoom(socketFor(ALICE), 'four-hands', 4);
+
+    expect(rooms.joinRoom(socketFor(BOB), roomCode)).toEqual({ success: false, error: 'You cannot join this room' });
+    expect(rooms.joinRoom(socketFor(CAROL), roomCode).success).toBe(true);
+  });
+});
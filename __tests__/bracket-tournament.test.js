@@ -0,0 +1,160 @@
+/**
+ * Bracket tournament tests
+ * Covers seeding and byes in the knockout bracket and
+ * BracketTournamentCoordinator running tables in parallel, moving winners
+ * on and settling walkovers.
+ */
+
+jest.mock('../multiplayer/server/models/GameState', () => ({ save: jest.fn(async () => ({})) }));
+jest.mock('../multiplayer/server/models/GameStats', () => ({
+  updateAfterGame: jest.fn(async () => null),
+  getRatings: jest.fn(async userIds => userIds.map(id => ({ rating: 2000 - Number(id.slice(1)) * 10, rd: 100 }))),
+}));
+
+const GameManager = require('../multiplayer/server/game/GameManager');
+const UnifiedMatchmakingService = require('../multiplayer/server/services/UnifiedMatchmakingService');
+const BracketTournamentCoordinator = require('../multiplayer/server/services/BracketTournamentCoordinator');
+const { seedOrder, createBracket, recordResult, getReadyMatches, getCurrentRound } = require('../multiplayer/server/utils/bracket');
+
+const entrants = count => Array.from({ length: count }, (_, i) => ({ id: `u${i + 1}`, name: `Player ${i + 1}` }));
+
+describe('knockout bracket', () => {
+  it('keeps the top seeds apart until the late rounds', () => {
+    expect(seedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+    expect(seedOrder(16).slice(0, 4)).toEqual([1, 16, 8, 9]);
+  });
+
+  it('gives byes to the top seeds and moves them straight on', () => {
+    const bracket = createBracket(entrants(5), 8);
+
+    expect(bracket.rounds.map(r => r.length)).toEqual([4, 2, 1]);
+    expect(bracket.rounds[0].map(m => m.status)).toEqual(['bye', 'ready', 'bye', 'bye']);
+    expect(bracket.rounds[1][0].players.map(p => p?.id ?? null)).toEqual(['u1', null]);
+    expect(bracket.rounds[1][1].players.map(p => p.id)).toEqual(['u2', 'u3']);
+    expect(getReadyMatches(bracket).map(m => m.id)).toEqual(['r1m2', 'r2m2']);
+  });
+
+  it('advances winners to a champion', () => {
+    const bracket = createBracket(entrants(8), 8);
+    expect(getCurrentRound(bracket)).toBe(1);
+
+    for (const match of bracket.rounds.flat()) {
+      recordResult(bracket, match.id, match.players[0].id, { scores: [7, 4] });
+    }
+
+    expect(bracket.champion).toBe('u1');
+    expect(getCurrentRound(bracket)).toBeNull();
+    expect(() => recordResult(bracket, 'r3m1', 'u1')).toThrow('already decided');
+  });
+
+  it('only fills 8, 16 or 32 slots with more than half taken', () => {
+    expect(() => createBracket(entrants(4), 8)).toThrow("can't fill");
+    expect(() => createBracket(entrants(6), 12)).toThrow('size must be one of 8, 16, 32');
+    expect(createBracket(entrants(32), 32).rounds).toHaveLength(5);
+  });
+});
+
+describe('BracketTournamentCoordinator', () => {
+  let gameManager;
+  let matchmaking;
+  let broadcaster;
+  let sockets;
+  let tournaments;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    gameManager = new GameManager();
+    matchmaking = new UnifiedMatchmakingService(gameManager);
+    broadcaster = {
+      broadcastGameStart: jest.fn(),
+      _getPlayerInfos: jest.fn(async players => players.map(({ userId }) => ({ userId, username: userId.toUpperCase(), avatar: 'lion' }))),
+    };
+    sockets = Array.from({ length: 8 }, (_, i) => ({ id: `s${i + 1}`, userId: `u${i + 1}`, connected: true, emit: jest.fn(), join: jest.fn() }));
+    const io = { sockets: { sockets: new Map(sockets.map(s => [s.id, s])) } };
+    tournaments = new BracketTournamentCoordinator(gameManager, matchmaking, broadcaster, io, { nextMatchDelayMs: 1000 });
+  });
+
+  afterEach(() => {
+    tournaments.shutdown();
+    matchmaking.shutdown();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  async function openTournament(playerCount) {
+    const { tournament } = tournaments.createTournament(sockets[0], 8);
+    for (const socket of sockets.slice(1, playerCount)) {
+      await tournaments.joinTournament(socket, tournament.tournamentId);
+    }
+    return tournament.tournamentId;
+  }
+
+  function finishTable(tournamentId, matchId, scores) {
+    const match = tournaments.getBracket(tournamentId).rounds.flatMap(r => r.matches).find(m => m.id === matchId);
+    const state = gameManager.getGameState(match.gameId);
+    Object.assign(state, { gameOver: true, scores });
+    return tournaments.handleGameOver(match.gameId, state);
+  }
+
+  it('starts a full tournament and plays every first-round table at once', async () => {
+    const tournamentId = await openTournament(8);
+    const bracket = tournaments.getBracket(tournamentId);
+
+    expect(bracket).toMatchObject({ status: 'playing', currentRound: 1, currentRoundName: 'Quarter-final' });
+    expect(broadcaster.broadcastGameStart).toHaveBeenCalledTimes(4);
+    expect(bracket.rounds[0].matches.every(m => m.status === 'playing' && m.gameId)).toBe(true);
+    expect(bracket.rounds[0].matches[0].players.map(p => p.name)).toEqual(['U1', 'U8']);
+    expect(sockets[7].emit).toHaveBeenCalledWith('bracket-update', expect.objectContaining({ tournamentId }));
+  });
+
+  it('needs more than half the slots before the organiser can start', async () => {
+    const tournamentId = await openTournament(4);
+
+    expect(await tournaments.startTournament(tournamentId, sockets[1])).toEqual({ success: false, error: 'Only the organiser can start the tournament' });
+    expect(await tournaments.startTournament(tournamentId, sockets[0])).toEqual({ success: false, error: 'At least 5 players are needed to start' });
+  });
+
+  it('moves the winner on and opens the next table once both players are through', async () => {
+    const tournamentId = await openTournament(5);
+    expect(await tournaments.startTournament(tournamentId, sockets[0])).toMatchObject({ success: true });
+
+    // Seeds 2 and 3 had byes, so their semi-final is already being played
+    const started = tournaments.getBracket(tournamentId);
+    expect(started.rounds[0].matches[1]).toMatchObject({ status: 'playing' });
+    expect(started.rounds[1].matches[1]).toMatchObject({ status: 'playing' });
+
+    const update = finishTable(tournamentId, 'r1m2', [3, 8]);
+    expect(update.rounds[0].matches[1]).toMatchObject({ status: 'complete', winner: 'u5', result: { scores: [3, 8], walkover: false } });
+    expect(update.rounds[1].matches[0]).toMatchObject({ status: 'ready' });
+
+    jest.advanceTimersByTime(1000);
+    expect(tournaments.getBracket(tournamentId).rounds[1].matches[0]).toMatchObject({ status: 'playing' });
+  });
+
+  it('settles a table by walkover when a player has gone', async () => {
+    const tournamentId = await openTournament(5);
+    sockets[3].connected = false; // seed 4
+
+    await tournaments.startTournament(tournamentId, sockets[0]);
+
+    const match = tournaments.getBracket(tournamentId).rounds[0].matches[1];
+    expect(match).toMatchObject({ status: 'complete', winner: 'u5', result: { walkover: true } });
+  });
+
+  it('crowns the champion after the final', async () => {
+    const tournamentId = await openTournament(5);
+    await tournaments.startTournament(tournamentId, sockets[0]);
+
+    finishTable(tournamentId, 'r1m2', [8, 3]);
+    finishTable(tournamentId, 'r2m2', [6, 6]); // level on points and cards: seed 2 goes through
+    jest.advanceTimersByTime(1000);
+    finishTable(tournamentId, 'r2m1', [9, 2]);
+    jest.advanceTimersByTime(1000);
+    const final = finishTable(tournamentId, 'r3m1', [4, 7]);
+
+    expect(final).toMatchObject({ status: 'complete', champion: 'u2', currentRound: null });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * CPU opponent tests
+ * Every level must only play turns the shared handlers accept, the greedy
+ * level must value scoring cards, and the lookahead level must not read
+ * hidden cards.
+ */
+
+const { initializeGame, startNextRound, finalizeGame, createSeededRandom } = require('../shared/game');
+const { updateScores } = require('../shared/game/scoring');
+const { createActionRouter } = require('../shared/game/ActionRouter');
+const actionHandlers = require('../shared/game/actions');
+const { CPU_LEVELS, chooseCpuMove, getUnseenCards } = require('../shared/game/ai');
+
+const router = createActionRouter({ handlers: actionHandlers });
+
+const card = (rank, suit) => ({ rank, suit, value: rank === 'A' ? 1 : Number(rank) });
+
+/**
+ * A two-player deal with the given hands and loose table cards
+ */
+function dealState(hands, tableCards) {
+  const state = initializeGame(2, false, { seed: 1 });
+  const used = new Set([...hands.flat(), ...tableCards].map(c => `${c.rank}${c.suit}`));
+  state.players[0].hand = hands[0];
+  state.players[1].hand = hands[1];
+  state.tableCards = tableCards;
+  state.deck = [...state.deck, ...state.players.flatMap(p => p.captures)]
+    .filter(c => !used.has(`${c.rank}${c.suit}`));
+  return state;
+}
+
+/**
+ * Play a whole two-player game with one CPU level per seat
+ */
+function playGame(seed, levels) {
+  const random = createSeededRandom(seed);
+  let state = initializeGame(2, false, { seed });
+
+  for (let turn = 0; turn < 200; turn++) {
+    if (state.players.every(p => p.hand.length === 0)) {
+      const next = startNextRound(state, 2);
+      if (!next) {
+        const finalState = finalizeGame(state);
+        updateScores(finalState);
+        return finalState;
+      }
+      state = next;
+      continue;
+    }
+
+    const player = state.currentPlayer;
+    const plan = chooseCpuMove(state, player, { level: levels[player], random });
+    expect(plan.kind).not.toBe('endTurn');
+    for (const action of plan.actions) {
+      state = router.executeAction(state, player, action.type, action.payload);
+    }
+    expect(state.currentPlayer).not.toBe(player);
+  }
+  throw new Error('Game did not finish');
+}
+
+describe('chooseCpuMove', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(Object.values(CPU_LEVELS))('plays a full game at %s level with accepted turns only', level => {
+    const finalState = playGame(11, [level, level]);
+
+    expect(finalState.players.every(p => p.hand.length === 0)).toBe(true);
+    expect(finalState.players[0].captures.length + finalState.players[1].captures.length).toBe(40);
+  });
+
+  it('captures the 10♦ over a pointless capture', () => {
+    const state = dealState(
+      [[card('10', '♠'), card('7', '♣')], [card('3', '♥'), card('4', '♥')]],
+      [card('10', '♦'), card('7', '♥')]
+    );
+
+    const plan = chooseCpuMove(state, 0, { level: CPU_LEVELS.MEDIUM });
+
+    expect(plan.actions).toEqual([
+      { type: 'capture', payload: expect.objectContaining({ targetRank: '10', targetSuit: '♦' }) },
+    ]);
+  });
+
+  it('keeps aces in hand rather than trailing them to the opponent', () => {
+    const state = dealState(
+      [[card('A', '♥'), card('7', '♣')], [card('3', '♥'), card('4', '♥')]],
+      [card('9', '♦')]
+    );
+
+    const plan = chooseCpuMove(state, 0, { level: CPU_LEVELS.MEDIUM });
+
+    expect(plan.actions).toEqual([{ type: 'trail', payload: { card: card('7', '♣') } }]);
+  });
+
+  it('plays a build as a complete turn with the created stack id', () => {
+    const state = dealState(
+      [[card('3', '♣'), card('8', '♠')], [card('2', '♥'), card('4', '♥')]],
+      [card('5', '♦')]
+    );
+
+    const plan = chooseCpuMove(state, 0, { level: CPU_LEVELS.MEDIUM });
+
+    expect(plan.kind).toBe('build');
+    expect(plan.actions.map(a => a.type)).toEqual(['createTemp', 'acceptTemp']);
+    expect(plan.actions[1].payload).toEqual({ stackId: expect.stringMatching(/^temp/), buildValue: 8 });
+  });
+
+  it('makes the same hard decision whoever really holds the hidden cards', () => {
+    const state = initializeGame(2, false, { seed: 'hidden' });
+    const swapped = JSON.parse(JSON.stringify(state));
+    const hidden = [...swapped.players[0].hand, ...swapped.deck].reverse();
+    swapped.players[0].hand = hidden.slice(0, state.players[0].hand.length);
+    swapped.deck = hidden.slice(state.players[0].hand.length);
+    swapped.currentPlayer = 1;
+    state.currentPlayer = 1;
+
+    expect(getUnseenCards(swapped, 1)).toEqual(getUnseenCards(state, 1));
+    expect(chooseCpuMove(swapped, 1, { level: CPU_LEVELS.HARD, random: createSeededRandom(3) }))
+      .toEqual(chooseCpuMove(state, 1, { level: CPU_LEVELS.HARD, random: createSeededRandom(3) }));
+  });
+
+  it('scores more as the level goes up', () => {
+    const totals = { easy: 0, hard: 0 };
+    for (const seed of [1, 2, 3, 4]) {
+      // Alternate seats so neither level always leads
+      const seats = seed % 2 ? ['hard', 'easy'] : ['easy', 'hard'];
+      const finalState = playGame(seed, seats);
+      seats.forEach((level, idx) => { totals[level] += finalState.scores[idx]; });
+    }
+
+    expect(totals.hard).toBeGreaterThan(totals.easy);
+  });
+
+  it('rejects unknown levels', () => {
+    expect(() => chooseCpuMove(initializeGame(2), 0, { level: 'expert' })).toThrow('Unknown CPU level');
+  });
+});
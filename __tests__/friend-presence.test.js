@@ -0,0 +1,107 @@
+/**
+ * Friend presence tests
+ * Covers PresenceService: deriving offline/online/queued/in-game from the
+ * live services and pushing changes to online friends only.
+ */
+
+jest.mock('../multiplayer/server/models/PlayerProfile', () => ({
+  findByUserId: jest.fn(async () => null),
+}));
+
+const PlayerProfile = require('../multiplayer/server/models/PlayerProfile');
+const PresenceService = require('../multiplayer/server/services/PresenceService');
+
+const FRIENDS = {
+  alice: ['bob', 'carol'],
+  bob: ['alice'],
+  carol: ['alice'],
+};
+
+describe('PresenceService', () => {
+  let emit;
+  let io;
+  let matchmaking;
+  let roomService;
+  let gameManager;
+  let presence;
+
+  beforeEach(() => {
+    PlayerProfile.findByUserId.mockReset().mockImplementation(async userId => ({ friends: FRIENDS[userId] || [] }));
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    matchmaking = {
+      isUserInGame: jest.fn(() => null),
+      queueManager: { isInQueue: jest.fn(() => null) },
+      rankedQueue: { isInQueue: jest.fn(() => null) },
+    };
+    roomService = { getRoomByUserId: jest.fn(() => null) };
+    gameManager = { getGameState: jest.fn(() => ({})) };
+    presence = new PresenceService(matchmaking, roomService, gameManager, io);
+  });
+
+  afterEach(() => {
+    presence.shutdown();
+  });
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('derives each status from the live services', () => {
+    expect(presence.getPresence('alice')).toEqual({ status: 'offline', mode: null });
+
+    presence.handleConnect({ id: 's1', userId: 'alice' });
+    expect(presence.getPresence('alice')).toEqual({ status: 'online', mode: null });
+
+    matchmaking.rankedQueue.isInQueue.mockReturnValueOnce({ gameType: 'two-hands' });
+    expect(presence.getPresence('alice')).toEqual({ status: 'queued', mode: 'two-hands', ranked: true });
+
+    roomService.getRoomByUserId.mockReturnValueOnce({ code: 'ABC123', gameMode: 'party', status: 'waiting', playerCount: 2, maxPlayers: 4 });
+    expect(presence.getPresence('alice')).toMatchObject({ status: 'queued', mode: 'party', roomCode: 'ABC123' });
+
+    matchmaking.isUserInGame.mockReturnValueOnce({ gameId: 7, gameType: 'two-hands' });
+    gameManager.getGameState.mockReturnValueOnce({ bracketTournamentId: 'bracket-1' });
+    expect(presence.getPresence('alice')).toEqual({ status: 'in-game', mode: 'two-hands', gameId: 7, bracketTournamentId: 'bracket-1' });
+  });
+
+  it('pushes changes to online friends only', async () => {
+    presence.handleConnect({ id: 's-bob', userId: 'bob' });
+    await flush();
+    io.to.mockClear();
+
+    presence.handleConnect({ id: 's-alice', userId: 'alice' });
+    await flush();
+
+    expect(io.to.mock.calls).toEqual([['user:bob']]);
+    expect(emit).toHaveBeenLastCalledWith('presence-update', { userId: 'alice', status: 'online', mode: null });
+  });
+
+  it('only pushes when presence actually changes', async () => {
+    presence.handleConnect({ id: 's-bob', userId: 'bob' });
+    presence.handleConnect({ id: 's-alice', userId: 'alice' });
+    await flush();
+    emit.mockClear();
+
+    await presence.tick();
+    expect(emit).not.toHaveBeenCalled();
+
+    matchmaking.isUserInGame.mockImplementation(userId => (userId === 'alice' ? { gameId: 3, gameType: 'party' } : null));
+    await presence.tick();
+    expect(emit).toHaveBeenCalledWith('presence-update', expect.objectContaining({ userId: 'alice', status: 'in-game', mode: 'party' }));
+  });
+
+  it('goes offline when the last socket disconnects', async () => {
+    presence.handleConnect({ id: 's-bob', userId: 'bob' });
+    presence.handleConnect({ id: 'tab-1', userId: 'alice' });
+    presence.handleConnect({ id: 'tab-2', userId: 'alice' });
+    await flush();
+    emit.mockClear();
+
+    presence.handleDisconnect({ id: 'tab-1', userId: 'alice' });
+    await flush();
+    expect(emit).not.toHaveBeenCalled();
+
+    presence.handleDisconnect({ id: 'tab-2', userId: 'alice' });
+    await flush();
+    expect(emit).toHaveBeenCalledWith('presence-update', { userId: 'alice', status: 'offline', mode: null });
+    expect(await presence.getFriendsPresence('bob')).toEqual({ alice: { status: 'offline', mode: null } });
+  });
+});
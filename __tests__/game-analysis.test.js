@@ -0,0 +1,91 @@
+/**
+ * Post-game analysis tests
+ * Builds a short logged game from a fixed deck, then checks the per-move
+ * report from shared/game/analysis: grouping actions into moves, scoring
+ * cards changing hands, point swings, missed captures and player summaries.
+ */
+
+const { analyzeGame } = require('../shared/game/analysis');
+const { makeReplay, play } = require('./helpers/replayTestUtils');
+
+function playOpening() {
+  const replay = makeReplay();
+  play(replay, 'trail', 'A♥');
+  play(replay, 'trail', '5♣');
+  play(replay, 'build', '2♥');
+  play(replay, 'capture', 'A♣');
+  play(replay, 'captureBuild', '7♠');
+  return replay;
+}
+
+describe('analyzeGame', () => {
+  let report;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    report = analyzeGame(playOpening());
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('groups the actions of each turn into one move', () => {
+    expect(report.error).toBeNull();
+    expect(report.moves.map(m => [m.playerIndex, m.kind])).toEqual([
+      [0, 'trail'],
+      [1, 'trail'],
+      [0, 'build'],
+      [1, 'capture'],
+      [0, 'captureBuild'],
+    ]);
+    expect(report.moves[2].description).toBe('Build 7 with 2♥ on 5♣');
+  });
+
+  it('lists scoring cards that change hands and the point swing', () => {
+    const capture = report.moves[3];
+
+    expect(capture.pointCards).toEqual(expect.arrayContaining([
+      { player: 1, card: 'A♥', points: 1, change: 'gained' },
+      { player: 1, card: 'A♣', points: 1, change: 'gained' },
+    ]));
+    expect(capture.pointCards).toHaveLength(2);
+    expect(capture.swing).toBe(2);
+    expect(report.moves[4].pointCards).toEqual([]);
+  });
+
+  it('flags a legal capture of point cards that was not taken', () => {
+    expect(report.moves[1].missedCapture).toEqual({
+      description: 'Capture A♥ with A♣',
+      cards: expect.arrayContaining(['A♥', 'A♣']),
+      points: 2,
+    });
+    expect(report.moves[3].missedCapture).toBeNull();
+  });
+
+  it('summarises each player\'s tendencies', () => {
+    expect(report.players[0]).toMatchObject({
+      moves: 3, captures: 1, builds: 1, trails: 1, missedCaptures: 0, netSwing: 0,
+    });
+    expect(report.players[1]).toMatchObject({
+      moves: 2,
+      captures: 1,
+      trails: 1,
+      pointCardsTaken: expect.arrayContaining(['A♥', 'A♣']),
+      pointsTaken: 2,
+      missedCaptures: 1,
+      pointsMissed: 2,
+      netSwing: 2,
+    });
+  });
+
+  it('analyses as far as a broken log can be replayed', () => {
+    const replay = playOpening();
+    replay.actions.push({ seq: 99, timestamp: 0, playerIndex: 0, type: 'trail', payload: { card: { rank: 'A', suit: '♠', value: 1 } } });
+
+    const partial = analyzeGame(replay);
+
+    expect(partial.error).toMatch(/^Entry 99 \(trail\)/);
+    expect(partial.moves).toHaveLength(5);
+  });
+});
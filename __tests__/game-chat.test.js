@@ -0,0 +1,123 @@
+/**
+ * In-game chat tests
+ * Covers ChatService rate limits, the profanity filter hook, block lists
+ * and team-only chat in party games.
+ */
+
+jest.mock('../multiplayer/server/models/PlayerProfile', () => ({
+  findByUserIds: jest.fn(async () => []),
+}));
+
+const PlayerProfile = require('../multiplayer/server/models/PlayerProfile');
+const ChatService = require('../multiplayer/server/services/ChatService');
+
+const USER_IDS = ['a'.repeat(24), 'b'.repeat(24), 'c'.repeat(24), 'd'.repeat(24)];
+
+function setup({ party = false } = {}) {
+  const sockets = USER_IDS.map((userId, i) => ({ id: `s${i}`, userId, emit: jest.fn() }));
+  const players = USER_IDS.map((userId, i) => ({ userId, team: party ? (i % 2 === 0 ? 'A' : 'B') : undefined }));
+  const gameManager = {
+    getGameState: jest.fn(() => ({ players })),
+    getPlayerIndex: jest.fn((gameId, socketId) => sockets.findIndex(s => s.id === socketId)),
+  };
+  const matchmaking = {
+    getGameId: jest.fn(() => 'game-1'),
+    getGameSockets: jest.fn(() => sockets),
+  };
+  let now = 0;
+  const chat = new ChatService(gameManager, matchmaking, null, { now: () => now });
+  return { chat, sockets, advance: ms => { now += ms; } };
+}
+
+const chatPayloads = socket => socket.emit.mock.calls.filter(([event]) => event === 'game-chat').map(([, data]) => data);
+
+describe('ChatService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    PlayerProfile.findByUserIds.mockReset().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('relays messages to everyone in the game, sender included', async () => {
+    const { chat, sockets } = setup();
+
+    expect(await chat.sendMessage(sockets[0], { text: '  good luck  ' })).toEqual({ success: true });
+
+    sockets.forEach(s => {
+      expect(chatPayloads(s)).toEqual([expect.objectContaining({ from: 0, text: 'good luck', teamOnly: false })]);
+    });
+  });
+
+  it('rejects empty, overlong and unknown-emote sends', async () => {
+    const { chat, sockets } = setup();
+
+    expect((await chat.sendMessage(sockets[0], { text: '   ' })).error).toBe('Message is empty');
+    expect((await chat.sendMessage(sockets[0], { text: 'x'.repeat(201) })).error).toBe('Messages are limited to 200 characters');
+    expect((await chat.sendEmote(sockets[0], { emote: 'rocket' })).error).toBe('Unknown emote');
+  });
+
+  it('rejects missing payloads instead of throwing', async () => {
+    const { chat, sockets } = setup();
+
+    expect((await chat.sendMessage(sockets[0], null)).error).toBe('Message is empty');
+    expect((await chat.sendEmote(sockets[0], null)).error).toBe('Unknown emote');
+    expect((await chat.sendMessage(sockets[0], 'hello')).error).toBe('Message is empty');
+  });
+
+  it('rate limits each socket over a sliding window', async () => {
+    const { chat, sockets, advance } = setup();
+
+    for (let i = 0; i < 5; i++) {
+      expect((await chat.sendMessage(sockets[0], { text: `hi ${i}` })).success).toBe(true);
+    }
+    expect(await chat.sendMessage(sockets[0], { text: 'one more' })).toEqual({ success: false, error: 'You are sending messages too quickly' });
+    expect((await chat.sendMessage(sockets[1], { text: 'my turn' })).success).toBe(true);
+
+    advance(10 * 1000);
+    expect((await chat.sendMessage(sockets[0], { text: 'back again' })).success).toBe(true);
+  });
+
+  it('masks profanity by default and accepts a replacement filter', async () => {
+    const { chat, sockets } = setup();
+
+    await chat.sendMessage(sockets[0], { text: 'well shit' });
+    expect(chatPayloads(sockets[1])[0].text).toBe('well s***');
+
+    chat.setMessageFilter(text => (text.includes('spam') ? null : text.toUpperCase()));
+    expect(await chat.sendMessage(sockets[0], { text: 'buy spam' })).toEqual({ success: false, error: 'Message was blocked' });
+    await chat.sendMessage(sockets[0], { text: 'gg' });
+    expect(chatPayloads(sockets[1])[1].text).toBe('GG');
+  });
+
+  it('hides messages and emotes between blocked players in both directions', async () => {
+    const { chat, sockets } = setup();
+    PlayerProfile.findByUserIds.mockResolvedValue([
+      { userId: USER_IDS[0], blockedUsers: [USER_IDS[1]] },
+      { userId: USER_IDS[2], blockedUsers: [USER_IDS[0]] },
+    ]);
+
+    await chat.sendMessage(sockets[0], { text: 'hello' });
+    await chat.sendEmote(sockets[0], { emote: 'wave' });
+
+    expect(sockets[1].emit).not.toHaveBeenCalled();
+    expect(sockets[2].emit).not.toHaveBeenCalled();
+    expect(sockets[3].emit).toHaveBeenCalledWith('game-emote', expect.objectContaining({ from: 0, emote: 'wave' }));
+    expect(PlayerProfile.findByUserIds).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps team chat within the team in party games only', async () => {
+    const party = setup({ party: true });
+    await party.chat.sendMessage(party.sockets[0], { text: 'build sevens', teamOnly: true });
+
+    expect(chatPayloads(party.sockets[2])).toEqual([expect.objectContaining({ teamOnly: true })]);
+    expect(party.sockets[1].emit).not.toHaveBeenCalled();
+    expect(party.sockets[3].emit).not.toHaveBeenCalled();
+
+    const duel = setup();
+    expect(await duel.chat.sendMessage(duel.sockets[0], { text: 'psst', teamOnly: true }))
+      .toEqual({ success: false, error: 'Team chat is only available in party games' });
+  });
+});
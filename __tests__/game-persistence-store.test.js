@@ -0,0 +1,172 @@
+/**
+ * Live game persistence tests
+ * Snapshot + action log persistence through GameManager, the memory and
+ * file store backends, and rehydration of unfinished games on boot.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GameManager = require('../multiplayer/server/game/GameManager');
+const ActionRouter = require('../multiplayer/server/game/ActionRouter');
+const MemoryGameStore = require('../multiplayer/server/persistence/MemoryGameStore');
+const FileGameStore = require('../multiplayer/server/persistence/FileGameStore');
+
+function trailFirstCard(actionRouter, gameManager, gameId) {
+  const state = gameManager.getGameState(gameId);
+  const player = state.currentPlayer;
+  const card = state.players[player].hand[0];
+  actionRouter.executeAction(gameId, player, { type: 'trail', payload: { card } });
+  return { player, card };
+}
+
+describe('GameManager with a live game store', () => {
+  it('snapshots new games and logs accepted actions', async () => {
+    const store = new MemoryGameStore();
+    const gameManager = new GameManager({ store });
+    const actionRouter = new ActionRouter(gameManager);
+
+    const { gameId } = gameManager.startGame(2, false);
+    const { player, card } = trailFirstCard(actionRouter, gameManager, gameId);
+    await gameManager.flush();
+
+    const [record] = await store.loadActiveGames();
+    expect(record.gameId).toBe(gameId);
+    expect(record.actionSeq).toBe(1);
+    expect(record.gameState.tableCards).toContainEqual(card);
+    expect(record.actions).toEqual([
+      expect.objectContaining({ seq: 1, playerIndex: player, type: 'trail', payload: { card } }),
+    ]);
+  });
+
+  it('stops rehydrating a game once it has ended', async () => {
+    const store = new MemoryGameStore();
+    const gameManager = new GameManager({ store });
+
+    const { gameId } = gameManager.startGame(2, false);
+    await gameManager.flush();
+    gameManager.endGame(gameId);
+    await gameManager.flush();
+
+    expect(await store.loadActiveGames()).toEqual([]);
+  });
+
+  it('rehydrates unfinished games with their resume tokens after a restart', async () => {
+    const store = new MemoryGameStore();
+    const before = new GameManager({ store });
+    const actionRouter = new ActionRouter(before);
+
+    const { gameId } = before.startGame(2, false);
+    const token = before.getResumeToken(gameId, 1);
+    trailFirstCard(actionRouter, before, gameId);
+    await before.flush();
+
+    const after = new GameManager({ store });
+    const restored = await after.rehydrate();
+
+    expect(restored.map(r => r.gameId)).toEqual([gameId]);
+    expect(after.getGameState(gameId)).toEqual(before.getGameState(gameId));
+    expect(after.findSeatByResumeToken(token)).toEqual({ gameId, playerIndex: 1 });
+    expect(after.startGame(2, false).gameId).toBeGreaterThan(gameId);
+  });
+
+  it('replays actions logged after the last snapshot', async () => {
+    const store = new MemoryGameStore();
+    const gameManager = new GameManager({ store });
+    const { gameId, gameState } = gameManager.startGame(2, false);
+    await gameManager.flush();
+
+    // Simulate a crash between the action log write and the next snapshot
+    const card = gameState.players[0].hand[0];
+    await store.appendAction(gameId, { seq: 1, playerIndex: 0, type: 'trail', payload: { card } });
+
+    const restarted = new GameManager({ store });
+    await restarted.rehydrate();
+
+    const state = restarted.getGameState(gameId);
+    expect(state.tableCards).toContainEqual(card);
+    expect(state.players[0].hand).not.toContainEqual(card);
+  });
+
+  it('numbers new games after finished ones and never overwrites them', async () => {
+    const store = new MemoryGameStore();
+    const before = new GameManager({ store });
+    const { gameId } = before.startGame(2, false);
+    await before.flush();
+    before.endGame(gameId);
+    await before.flush();
+    const finished = JSON.parse(JSON.stringify(store.snapshots.get(gameId)));
+
+    const after = new GameManager({ store });
+    await after.rehydrate();
+    const next = after.startGame(2, false);
+    await after.flush();
+
+    expect(next.gameId).toBeGreaterThan(gameId);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await store.saveSnapshot(gameId, { gameState: next.gameState, actionSeq: 0 });
+    expect(store.snapshots.get(gameId)).toEqual(finished);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('FileGameStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips snapshots and action logs through disk', async () => {
+    const store = new FileGameStore(dir);
+    await store.saveSnapshot(7, { gameState: { round: 1 }, actionSeq: 2, resumeTokens: { 0: 'abc' } });
+    await store.appendAction(7, { seq: 1, type: 'trail' });
+    await store.appendAction(7, { seq: 2, type: 'capture' });
+
+    const [record] = await new FileGameStore(dir).loadActiveGames();
+    expect(record).toEqual({
+      gameId: 7,
+      gameState: { round: 1 },
+      actionSeq: 2,
+      resumeTokens: { 0: 'abc' },
+      actions: [{ seq: 1, type: 'trail' }, { seq: 2, type: 'capture' }],
+    });
+  });
+
+  it('ignores a torn last line in the action log', async () => {
+    const store = new FileGameStore(dir);
+    await store.saveSnapshot(3, { gameState: {}, actionSeq: 0 });
+    await store.appendAction(3, { seq: 1, type: 'trail' });
+    fs.appendFileSync(path.join(dir, 'game-3.actions.jsonl'), '{"seq":2,"ty');
+
+    expect(await store.getActions(3)).toEqual([{ seq: 1, type: 'trail' }]);
+  });
+
+  it('skips games marked inactive', async () => {
+    const store = new FileGameStore(dir);
+    await store.saveSnapshot(1, { gameState: {}, actionSeq: 0 });
+    await store.markInactive(1);
+
+    expect(await store.loadActiveGames()).toEqual([]);
+  });
+
+  it('keeps finished games and reports the highest game ID', async () => {
+    const store = new FileGameStore(dir);
+    await store.saveSnapshot(4, { gameState: { round: 3 }, actionSeq: 0 });
+    await store.markInactive(4);
+    await store.saveSnapshot(2, { gameState: {}, actionSeq: 0 });
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await store.saveSnapshot(4, { gameState: { round: 1 }, actionSeq: 0 });
+    jest.restoreAllMocks();
+
+    expect(await store.getHighestGameId()).toBe(4);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'game-4.json'), 'utf8')))
+      .toMatchObject({ gameState: { round: 3 }, isActive: false });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Game retention tests
+ * The gameStates TTL index created on connect expires abandoned in-flight
+ * games but keeps finished ones, so history, replays and analysis can still
+ * read them and new game IDs continue after theirs. Runs against a small
+ * in-memory stand-in for the driver that applies TTL indexes the way
+ * MongoDB's TTL monitor does.
+ */
+
+jest.mock('mongodb', () => ({ MongoClient: jest.fn(), ObjectId: class ObjectId {} }));
+
+const { MongoClient } = require('mongodb');
+const connection = require('../multiplayer/server/db/connection');
+const GameState = require('../multiplayer/server/models/GameState');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const matchesValue = (actual, expected) => (expected?.$type === 'number'
+  ? typeof actual === 'number'
+  : actual === expected);
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, value]) => matchesValue(doc[key], value));
+
+// Just enough of a driver cursor for GameState's queries
+function cursor(docs) {
+  return {
+    sort: spec => {
+      const [[field, dir]] = Object.entries(spec);
+      return cursor([...docs].sort((a, b) => (a[field] - b[field]) * dir));
+    },
+    limit: n => cursor(docs.slice(0, n)),
+    project: () => cursor(docs),
+    toArray: async () => docs,
+  };
+}
+
+function fakeCollection() {
+  const docs = [];
+  let indexes = [];
+  return {
+    docs,
+    createIndex: jest.fn(async (key, options = {}) => {
+      const name = Object.entries(key).map(([field, dir]) => `${field}_${dir}`).join('_');
+      if (!indexes.some(index => index.name === name)) indexes.push({ name, key, ...options });
+      return name;
+    }),
+    indexes: jest.fn(async () => indexes),
+    dropIndex: jest.fn(async name => { indexes = indexes.filter(index => index.name !== name); }),
+    findOne: jest.fn(async filter => docs.find(doc => matches(doc, filter)) || null),
+    find: jest.fn(filter => cursor(docs.filter(doc => matches(doc, filter)))),
+    // What the TTL monitor does on each pass
+    expire(now) {
+      for (const index of indexes.filter(i => i.expireAfterSeconds !== undefined)) {
+        const [field] = Object.keys(index.key);
+        const expired = docs.filter(doc => matches(doc, index.partialFilterExpression)
+          && doc[field] instanceof Date
+          && now - doc[field].getTime() > index.expireAfterSeconds * 1000);
+        expired.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+      }
+    },
+  };
+}
+
+function fakeDatabase() {
+  const collections = {};
+  return {
+    collections,
+    collection: name => (collections[name] = collections[name] || fakeCollection()),
+  };
+}
+
+describe('gameStates retention', () => {
+  let database;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = fakeDatabase();
+    MongoClient.mockImplementation(() => ({
+      connect: jest.fn(async () => {}),
+      db: () => database,
+      close: jest.fn(async () => {}),
+    }));
+  });
+
+  afterEach(async () => {
+    await connection.close();
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a finished game readable long after it ended', async () => {
+    await connection.connect();
+    const games = database.collection('gameStates');
+    const dayAgo = new Date(Date.now() - 24 * HOUR_MS);
+    games.docs.push(
+      { roomId: 1, isActive: false, lastUpdated: dayAgo, completedAt: dayAgo, actions: [] },
+      { roomId: 2, isActive: true, lastUpdated: dayAgo, actions: [] },
+    );
+
+    games.expire(Date.now());
+
+    expect(await GameState.findByRoomId(1)).toEqual(expect.objectContaining({ roomId: 1, isActive: false }));
+    expect(await GameState.findByRoomId(2)).toBeNull();
+  });
+
+  it('still counts finished games when numbering new ones', async () => {
+    await connection.connect();
+    const games = database.collection('gameStates');
+    const dayAgo = new Date(Date.now() - 24 * HOUR_MS);
+    games.docs.push(
+      { roomId: 41, isActive: false, lastUpdated: dayAgo, completedAt: dayAgo },
+      { roomId: 42, isActive: false, lastUpdated: dayAgo, completedAt: dayAgo },
+    );
+
+    games.expire(Date.now());
+
+    expect(await GameState.getHighestRoomId()).toBe(42);
+  });
+
+  it('replaces the TTL index that expired every game', async () => {
+    const games = database.collection('gameStates');
+    await games.createIndex({ lastUpdated: 1 }, { expireAfterSeconds: 3600 });
+
+    await connection.connect();
+
+    expect(games.dropIndex).toHaveBeenCalledWith('lastUpdated_1');
+    expect(await games.indexes()).toContainEqual(expect.objectContaining({
+      name: 'lastUpdated_1',
+      expireAfterSeconds: 3600,
+      partialFilterExpression: { isActive: true },
+    }));
+  });
+});
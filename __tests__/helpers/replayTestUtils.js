@@ -0,0 +1,85 @@
+/**
+ * Replay Test Utilities
+ * A fixed two-player deal and helpers to log legal moves into its action
+ * log, for tests that replay a game (analysis, player stats).
+ */
+
+const { buildReplayFrames } = require('../../shared/game/replay');
+const { getLegalMoves } = require('../../shared/game/legalMoves');
+const { createOrderedDeck } = require('../../shared/game/deck');
+
+const cardId = card => `${card.rank}${card.suit}`;
+
+// Opening hands, dealt before the rest of the deck in its usual order
+const P0_HAND = ['A♥', '2♥', '7♠', '9♠', '4♥', '8♥', '9♥', '10♥', '10♠', '2♦'];
+const P1_HAND = ['5♣', 'A♣', '2♣', '3♣', '4♣', '6♣', '8♣', '9♣', '10♣', '4♠'];
+
+/**
+ * A stored replay of a two-player game dealing P0_HAND and P1_HAND, with no
+ * actions yet
+ * @returns {object} Replay (as buildReplayFrames takes it)
+ */
+function makeReplay() {
+  const dealt = [...P0_HAND, ...P1_HAND];
+  const ordered = createOrderedDeck();
+  const initialDeck = [
+    ...dealt.map(id => ordered.find(c => cardId(c) === id)),
+    ...ordered.filter(c => !dealt.includes(cardId(c))),
+  ];
+  return { playerCount: 2, isPartyMode: false, seed: null, initialDeck, actions: [] };
+}
+
+/**
+ * State after every logged action
+ * @param {object} replay
+ * @returns {object} Game state
+ */
+function lastState(replay) {
+  const { frames } = buildReplayFrames(replay);
+  return frames[frames.length - 1].state;
+}
+
+/**
+ * Append an entry to the action log, numbering it
+ * @param {object} replay
+ * @param {object} entry - { playerIndex, type, payload } or a system event
+ */
+function log(replay, entry) {
+  replay.actions.push({ seq: replay.actions.length + 1, timestamp: 0, ...entry });
+}
+
+/**
+ * Log every action of a legal move (see getLegalMoves)
+ */
+function logMove(replay, playerIndex, move) {
+  for (const action of move.actions) {
+    log(replay, { playerIndex, type: action.type, payload: action.payload });
+  }
+}
+
+/**
+ * Log the current player's legal move of a kind, played with a card
+ * @param {object} replay
+ * @param {string} kind - Move kind, e.g. 'trail' or 'capture'
+ * @param {string} card - Card id, e.g. '7♠'
+ * @throws {Error} If the current player has no such move
+ */
+function play(replay, kind, card) {
+  const state = lastState(replay);
+  const playerIndex = state.currentPlayer;
+  const move = getLegalMoves(state, playerIndex)
+    .find(m => m.kind === kind && m.actions.some(a => a.payload.card && cardId(a.payload.card) === card));
+  if (!move) throw new Error(`No ${kind} with ${card} for player ${playerIndex}`);
+  logMove(replay, playerIndex, move);
+}
+
+module.exports = {
+  cardId,
+  P0_HAND,
+  P1_HAND,
+  makeReplay,
+  lastState,
+  log,
+  logMove,
+  play,
+};
@@ -0,0 +1,172 @@
+/**
+ * House rules tests
+ * Covers building a RuleSet, scoring and game flow under changed rules, and
+ * carrying a private room's rules into its game.
+ */
+
+const {
+  initializeGame, createRuleSet, validateRules, startNextRound, isFinalRound, DEFAULT_RULES,
+} = require('../shared/game');
+const { createActionRouter } = require('../shared/game/ActionRouter');
+const actionHandlers = require('../shared/game/actions');
+const scoring = require('../shared/game/scoring');
+const { buildReplayFrames } = require('../shared/game/replay');
+const RoomService = require('../multiplayer/server/services/RoomService');
+const RoundValidator = require('../multiplayer/server/game/utils/RoundValidator');
+
+const router = createActionRouter({ handlers: actionHandlers });
+
+const card = (rank, suit) => ({ rank, suit, value: rank === 'A' ? 1 : Number(rank) });
+const spades = count => ['3', '4', '5', '6', '7', '8', '9'].slice(0, count).map(rank => card(rank, '♠'));
+
+describe('RuleSet', () => {
+  it('resolves rounds per game from the player count', () => {
+    expect(createRuleSet({}, 2).roundsPerGame).toBe(2);
+    expect(createRuleSet({}, 4).roundsPerGame).toBe(1);
+    expect(createRuleSet({ roundsPerGame: 1, pointsToWin: 7 }, 2)).toMatchObject({ roundsPerGame: 1, pointsToWin: 7 });
+  });
+
+  it('rejects unknown rules and values outside a variant\'s range', () => {
+    expect(validateRules({ acePoints: 5 })).toBe('Unknown rule: acePoints');
+    expect(validateRules({ roundsPerGame: 2 }, 3)).toBe('Rounds per game must be between 1 and 1');
+    expect(validateRules({ buildsOverTen: 'no' })).toBe('Builds may total over 10 must be true or false');
+    expect(validateRules({ pointsToWin: null, spadeBonusThreshold: 5 })).toBeNull();
+    expect(() => createRuleSet({ spadeBonusThreshold: 20 })).toThrow('createRuleSet:');
+  });
+
+  it('stores the rules in a new game and defaults older states', () => {
+    const state = initializeGame(2, false, { seed: 1, rules: { pointsToWin: 5 } });
+
+    expect(state.rules).toMatchObject({ ...DEFAULT_RULES, pointsToWin: 5, roundsPerGame: 2 });
+    expect(initializeGame(2, false, { seed: 1 }).rules).toEqual({ ...DEFAULT_RULES, roundsPerGame: 2 });
+  });
+});
+
+describe('scoring under house rules', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the room\'s spade bonus threshold', () => {
+    const rules = createRuleSet({ spadeBonusThreshold: 5 });
+
+    expect(scoring.calculatePlayerScore(spades(5), 'standard')).toBe(0);
+    expect(scoring.calculatePlayerScore(spades(5), 'standard', rules)).toBe(2);
+    expect(scoring.getScoreBreakdown(spades(5), 'standard', rules)).toMatchObject({ spadeBonus: 2 });
+  });
+
+  it('scores a game from its stored rules', () => {
+    const state = initializeGame(2, false, { seed: 2, rules: { spadeBonusThreshold: 5 } });
+    state.players[0].captures = spades(5);
+    state.players[1].captures = [];
+
+    expect(scoring.updateScores(state).scores).toEqual([2, 0]);
+  });
+});
+
+describe('game flow under house rules', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ends a one-round two-hands game after its first round', () => {
+    const state = initializeGame(2, false, { seed: 3, rules: { roundsPerGame: 1 } });
+
+    expect(isFinalRound(state)).toBe(true);
+    expect(startNextRound(state, 2)).toBeNull();
+    expect(RoundValidator.checkGameOver(state).gameOver).toBe(true);
+    expect(RoundValidator.checkGameOver(initializeGame(2, false, { seed: 3 })).gameOver).toBe(false);
+  });
+
+  it('stops dealing once a player reaches points to win', () => {
+    const state = initializeGame(2, false, { seed: 4, rules: { pointsToWin: 4 } });
+    state.players[0].captures = [card('10', '♦'), card('A', '♥')];
+
+    expect(startNextRound(state, 2)).not.toBeNull();
+
+    state.players[0].captures.push(card('A', '♣'));
+    expect(startNextRound(state, 2)).toBeNull();
+    expect(RoundValidator.checkGameOver(state)).toMatchObject({ gameOver: true, winner: 0 });
+  });
+
+  it('refuses a grouped build over 10 when the rules cap builds', () => {
+    const deal = rules => {
+      const state = initializeGame(2, false, { seed: 5, rules });
+      state.tableCards = [{
+        type: 'temp_stack', stackId: 'temp_p0_1', owner: 0, value: 8,
+        cards: [{ ...card('8', '♦'), source: 'table' }, { ...card('5', '♣'), source: 'hand' }, { ...card('3', '♥'), source: 'table' }],
+      }];
+      return state;
+    };
+    const accept = state => router.executeAction(state, 0, 'acceptTemp', { stackId: 'temp_p0_1', buildValue: 8 });
+
+    expect(() => accept(deal({ buildsOverTen: false }))).toThrow('house rules');
+    expect(accept(deal({})).tableCards[0]).toMatchObject({ type: 'build_stack', value: 8 });
+  });
+
+  it('replays a game with the rules it was played under', () => {
+    const rules = createRuleSet({ roundsPerGame: 1 }, 2);
+    const { frames } = buildReplayFrames({ playerCount: 2, seed: 6, rules, actions: [] });
+
+    expect(frames[0].state.rules).toEqual(rules);
+  });
+});
+
+describe('room house rules', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets the host pick variants, shows them resolved and rejects bad ones', () => {
+    const roomService = new RoomService({}, {}, null);
+    const host = { id: 'host' };
+
+    expect(roomService.createRoom(host, 'two-hands', undefined, null, { roundsPerGame: 3 })).toEqual({
+      success: false, error: 'Rounds per game must be between 1 and 2',
+    });
+
+    const { roomCode } = roomService.createRoom(host, 'two-hands', undefined, null, { pointsToWin: 6 });
+    const { room } = roomService.updateRoomSettings(host, {}, { buildsOverTen: false });
+
+    expect(room.rules).toMatchObject({ pointsToWin: 6, buildsOverTen: false, roundsPerGame: 2 });
+    expect(roomService.getRoomStatus(roomCode).rules.pointsToWin).toBe(6);
+    expect(roomService.updateRoomSettings(host, {}, { spadeBonusThreshold: 4 }).success).toBe(false);
+  });
+
+  it('starts the room\'s game with its rules', () => {
+    const gameManager = {
+      startGame: jest.fn((playerCount, isPartyMode, dealOptions) => ({
+        gameId: 1, gameState: initializeGame(playerCount, isPartyMode, dealOptions),
+      })),
+      addPlayerToGame: jest.fn(),
+      setPlayerUserId: jest.fn(),
+      getResumeToken: jest.fn(() => 'token'),
+      clearClientReadyStatus: jest.fn(),
+    };
+    const matchmaking = { socketRegistry: { set: jest.fn(), setGameSockets: jest.fn() } };
+    const roomService = new RoomService(gameManager, matchmaking, null);
+    const sockets = ['host', 'guest'].map(id => ({ id, emit: jest.fn() }));
+    const io = { sockets: { sockets: new Map(sockets.map(s => [s.id, s])) } };
+
+    const { roomCode } = roomService.createRoom(sockets[0], 'two-hands', undefined, null, { roundsPerGame: 1 });
+    roomService.joinRoom(sockets[1], roomCode);
+
+    expect(roomService.startRoomGame(roomCode, io).success).toBe(true);
+    expect(gameManager.startGame).toHaveBeenCalledWith(2, false, { rules: { roundsPerGame: 1 } });
+
+    const { gameState } = sockets[1].emit.mock.calls.find(([event]) => event === 'game-start')[1];
+    expect(gameState.rules).toMatchObject({ roundsPerGame: 1, pointsToWin: null });
+  });
+});
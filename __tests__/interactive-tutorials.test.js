@@ -0,0 +1,107 @@
+/**
+ * Interactive tutorial tests
+ * Covers shared/game/tutorials/interactive: lessons load into the real
+ * engine, the goal move completes them, and wrong moves get feedback and
+ * a reset board.
+ */
+
+const {
+  LESSON_IDS,
+  getLesson,
+  createTutorialSession,
+  applyTutorialAction,
+  restartTutorialTask,
+} = require('../shared/game/tutorials/interactive');
+const { getLegalMoves } = require('../shared/game/legalMoves');
+
+const sameCard = (a, b) => !!a && !!b && a.rank === b.rank && a.suit === b.suit;
+
+function movesFor(session) {
+  return getLegalMoves(session.state, 0);
+}
+
+function goalMove(session) {
+  const task = getLesson(session.lessonId).tasks[session.taskIndex];
+  return movesFor(session).find(move => task.kinds.includes(move.kind)
+    && (!task.card || move.actions.some(action => sameCard(action.payload.card, task.card))));
+}
+
+function play(session, move) {
+  return move.actions.reduce(applyTutorialAction, session);
+}
+
+describe('interactive tutorials', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes every lesson by playing its goal moves', () => {
+    for (const lessonId of LESSON_IDS) {
+      let session = createTutorialSession(lessonId);
+      expect(session.state.currentPlayer).toBe(0);
+
+      while (!session.completed) {
+        const move = goalMove(session);
+        expect(move).toBeDefined();
+        session = play(session, move);
+        expect(session.feedback.type).toBe('success');
+      }
+      expect(session.mistakes).toBe(0);
+    }
+  });
+
+  it('rewinds a wrong move and explains it', () => {
+    const session = createTutorialSession('captureLoose');
+    const trail = movesFor(session).find(move => move.kind === 'trail');
+
+    const after = play(session, trail);
+    expect(after.completed).toBe(false);
+    expect(after.mistakes).toBe(1);
+    expect(after.state).toBe(session.taskStartState);
+    expect(after.feedback).toEqual({
+      type: 'error',
+      message: 'Trailing leaves the 7♠ for your opponent. Drop your 7♦ onto it to capture it instead.',
+    });
+
+    expect(play(after, goalMove(after)).completed).toBe(true);
+  });
+
+  it('leaves the board alone when the engine rejects an action', () => {
+    const session = createTutorialSession('trail');
+    const after = applyTutorialAction(session, {
+      type: 'capture',
+      payload: { card: { rank: '3', suit: '♦', value: 3 }, targetType: 'loose', targetRank: '5', targetSuit: '♠' },
+    });
+
+    expect(after.state).toBe(session.state);
+    expect(after.feedback.type).toBe('error');
+    expect(after.feedback.message).toMatch(/^That move isn't allowed: /);
+  });
+
+  it('walks a multi-step lesson through the opponent reply', () => {
+    let session = createTutorialSession('buildTemp');
+    const [createTemp, acceptTemp] = goalMove(session).actions;
+
+    // Half-played build: the turn stays open with the follow-up prompt
+    session = applyTutorialAction(session, createTemp);
+    expect(session.feedback).toEqual({ type: 'prompt', message: 'Now accept the stack as a build of 8.' });
+
+    // Reset puts back the half-played move
+    const restarted = restartTutorialTask(session);
+    expect(restarted.state).toBe(session.taskStartState);
+    expect(restarted.taskIndex).toBe(0);
+
+    const tempStack = session.state.tableCards.find(tc => tc.type === 'temp_stack');
+    session = applyTutorialAction(session, { ...acceptTemp, payload: { ...acceptTemp.payload, stackId: tempStack.stackId } });
+    expect(session.taskIndex).toBe(1);
+    expect(session.state.currentPlayer).toBe(0);
+    expect(session.state.tableCards.some(tc => tc.rank === '9' && tc.suit === '♣')).toBe(true);
+
+    session = play(session, goalMove(session));
+    expect(session.completed).toBe(true);
+  });
+});
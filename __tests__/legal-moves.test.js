@@ -0,0 +1,216 @@
+/**
+ * getLegalMoves tests
+ * Every listed move must be accepted by the shared handlers and finish the
+ * turn, and the list must cover each kind of play.
+ */
+
+const { initializeGame, getLegalMoves, MOVE_KINDS } = require('../shared/game');
+const { createActionRouter } = require('../shared/game/ActionRouter');
+const actionHandlers = require('../shared/game/actions');
+
+const router = createActionRouter({ handlers: actionHandlers });
+
+const card = (rank, suit) => ({ rank, suit, value: rank === 'A' ? 1 : Number(rank) });
+
+/**
+ * A two-player deal with the given hands and table
+ */
+function dealState(hands, tableCards) {
+  const state = initializeGame(2, false, { seed: 1 });
+  state.players[0].hand = hands[0];
+  state.players[1].hand = hands[1];
+  state.tableCards = tableCards;
+  return state;
+}
+
+function play(state, playerIndex, move) {
+  return move.actions.reduce(
+    (current, action) => router.executeAction(current, playerIndex, action.type, action.payload),
+    state
+  );
+}
+
+const kinds = moves => [...new Set(moves.map(m => m.kind))].sort();
+
+describe('getLegalMoves', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists only moves that the handlers accept and that end the turn', () => {
+    let state = initializeGame(2, false, { seed: 'legal' });
+
+    for (let turn = 0; turn < 20; turn++) {
+      const player = state.currentPlayer;
+      const moves = getLegalMoves(state, player);
+      expect(moves.length).toBeGreaterThan(0);
+
+      for (const move of moves) {
+        expect(play(state, player, move).currentPlayer).not.toBe(player);
+      }
+      state = play(state, player, moves[moves.length - 1]);
+    }
+  });
+
+  it('covers captures, multi-card captures, builds and steals', () => {
+    const state = dealState(
+      [[card('9', '♠'), card('7', '♣'), card('5', '♥'), card('10', '♣')], [card('8', '♥')]],
+      [
+        card('7', '♦'),
+        card('2', '♦'),
+        card('3', '♣'),
+        card('4', '♥'),
+        { type: 'build_stack', stackId: 'build_p1_1', owner: 1, value: 5, need: 5, hasBase: false,
+          cards: [card('3', '♠'), card('2', '♠')] },
+      ]
+    );
+
+    const moves = getLegalMoves(state, 0);
+
+    expect(kinds(moves)).toEqual(expect.arrayContaining([
+      MOVE_KINDS.TRAIL,
+      MOVE_KINDS.CAPTURE,
+      MOVE_KINDS.CAPTURE_BUILD,
+      MOVE_KINDS.MULTI_CAPTURE,
+      MOVE_KINDS.BUILD,
+      MOVE_KINDS.STEAL,
+    ]));
+    expect(moves).toContainEqual({
+      kind: MOVE_KINDS.MULTI_CAPTURE,
+      actions: [
+        { type: 'createTemp', payload: { card: card('2', '♦'), targetCard: card('3', '♣'), source: 'table' } },
+        { type: 'addToTemp', payload: { card: card('4', '♥'), stackId: expect.any(String), source: 'table' } },
+        { type: 'captureTemp', payload: { card: card('9', '♠'), stackId: expect.any(String), source: 'hand' } },
+      ],
+    });
+    expect(moves.find(m => m.kind === MOVE_KINDS.STEAL).actions.at(-1)).toEqual({ type: 'endTurn', payload: {} });
+  });
+
+  it('combines any number of loose cards into grouped captures and builds', () => {
+    const state = dealState(
+      [[card('5', '♥'), card('5', '♣'), card('9', '♠')], [card('8', '♥')]],
+      [card('2', '♦'), card('3', '♣'), card('5', '♠'), card('A', '♥'), card('4', '♥')]
+    );
+
+    const moves = getLegalMoves(state, 0);
+    const temp = expect.any(String);
+
+    expect(moves).toContainEqual({
+      kind: MOVE_KINDS.MULTI_CAPTURE,
+      actions: [
+        { type: 'createTemp', payload: { card: card('2', '♦'), targetCard: card('3', '♣'), source: 'table' } },
+        { type: 'addToTemp', payload: { card: card('5', '♠'), stackId: temp, source: 'table' } },
+        { type: 'addToTemp', payload: { card: card('A', '♥'), stackId: temp, source: 'table' } },
+        { type: 'addToTemp', payload: { card: card('4', '♥'), stackId: temp, source: 'table' } },
+        { type: 'captureTemp', payload: { card: card('5', '♥'), stackId: temp, source: 'hand' } },
+      ],
+    });
+    expect(moves).toContainEqual({
+      kind: MOVE_KINDS.BUILD,
+      actions: [
+        { type: 'createTemp', payload: { card: card('5', '♥'), targetCard: card('3', '♣'), source: 'hand' } },
+        { type: 'addToTemp', payload: { card: card('A', '♥'), stackId: temp, source: 'table' } },
+        { type: 'acceptTemp', payload: { stackId: temp, buildValue: 9 } },
+      ],
+    });
+    expect(moves).toContainEqual({
+      kind: MOVE_KINDS.BUILD,
+      actions: [
+        { type: 'createTemp', payload: { card: card('5', '♣'), targetCard: card('3', '♣'), source: 'hand' } },
+        { type: 'addToTemp', payload: { card: card('2', '♦'), stackId: temp, source: 'table' } },
+        { type: 'acceptTemp', payload: { stackId: temp, buildValue: 5 } },
+      ],
+    });
+  });
+
+  it('adds loose cards to the player\'s own build', () => {
+    const state = dealState(
+      [[card('5', '♥'), card('6', '♣')], [card('8', '♥')]],
+      [
+        card('2', '♦'),
+        card('4', '♥'),
+        card('A', '♥'),
+        { type: 'build_stack', stackId: 'build_p0_1', owner: 0, value: 6, need: 6, hasBase: false,
+          cards: [card('4', '♠'), card('2', '♠')] },
+      ]
+    );
+
+    const moves = getLegalMoves(state, 0);
+
+    expect(moves).toContainEqual({
+      kind: MOVE_KINDS.CAPTURE_BUILD,
+      actions: [
+        { type: 'extendBuild', payload: { card: card('2', '♦'), stackId: 'build_p0_1', cardSource: 'table' } },
+        { type: 'extendBuild', payload: { card: card('4', '♥'), stackId: 'build_p0_1', cardSource: 'table' } },
+        { type: 'acceptBuildExtension', payload: { stackId: 'build_p0_1' } },
+        { type: 'capture', payload: { card: card('6', '♣'), targetType: 'build', targetStackId: 'build_p0_1' } },
+      ],
+    });
+    expect(moves).toContainEqual({
+      kind: MOVE_KINDS.EXTEND,
+      actions: [
+        { type: 'extendBuild', payload: { card: card('A', '♥'), stackId: 'build_p0_1', cardSource: 'table' } },
+        { type: 'extendBuild', payload: { card: card('5', '♥'), stackId: 'build_p0_1', cardSource: 'hand' } },
+        { type: 'acceptBuildExtension', payload: { stackId: 'build_p0_1' } },
+      ],
+    });
+  });
+
+  it('does not offer a trail the rules refuse', () => {
+    const state = dealState([[card('7', '♣'), card('4', '♦')], [card('8', '♥')]], [card('7', '♦')]);
+
+    const trails = getLegalMoves(state, 0).filter(m => m.kind === MOVE_KINDS.TRAIL);
+
+    expect(trails).toEqual([{ kind: MOVE_KINDS.TRAIL, actions: [{ type: 'trail', payload: { card: card('4', '♦') } }] }]);
+  });
+
+  it('extends the player\'s own build', () => {
+    const state = dealState(
+      [[card('2', '♣'), card('8', '♦'), card('A', '♥')], [card('9', '♥')]],
+      [{ type: 'build_stack', stackId: 'build_p0_1', owner: 0, value: 6, need: 6, hasBase: false,
+        cards: [card('4', '♠'), card('2', '♠')] }]
+    );
+
+    const extend = getLegalMoves(state, 0).find(m => m.kind === MOVE_KINDS.EXTEND);
+
+    expect(extend.actions).toEqual([
+      { type: 'extendBuild', payload: { card: card('2', '♣'), stackId: 'build_p0_1', cardSource: 'hand' } },
+      { type: 'acceptBuildExtension', payload: { stackId: 'build_p0_1' } },
+    ]);
+  });
+
+  it('finishes an open temp stack before anything else', () => {
+    const state = dealState([[card('3', '♣'), card('8', '♠'), card('6', '♥')], [card('9', '♥')]], [card('5', '♦')]);
+    const opened = router.executeAction(state, 0, 'createTemp', {
+      card: card('3', '♣'), targetCard: card('5', '♦'), source: 'hand',
+    });
+
+    const moves = getLegalMoves(opened, 0);
+
+    expect(kinds(moves)).toEqual([MOVE_KINDS.ACCEPT_TEMP, MOVE_KINDS.CAPTURE_TEMP]);
+    expect(moves.find(m => m.kind === MOVE_KINDS.CAPTURE_TEMP).actions[0].payload.card).toEqual(card('8', '♠'));
+  });
+
+  it('has nothing for a player waiting on their turn outside party mode', () => {
+    const state = initializeGame(2, false, { seed: 3 });
+    expect(getLegalMoves(state, 1)).toEqual([]);
+  });
+
+  it('offers a party recall out of turn', () => {
+    const state = initializeGame(4, true, { seed: 4 });
+    const captured = { type: 'temp_stack', stackId: 'temp_p0_1', value: 7, cards: [card('7', '♥'), card('7', '♣')] };
+    state.currentPlayer = 2;
+    state.players[0].captures = [...captured.cards];
+    state.players[1].hand = [card('7', '♠'), card('2', '♦')];
+    state.shiyaRecalls = { 1: { recall_a: { recallId: 'recall_a', capturedItem: captured, capturedBy: 0 } } };
+
+    expect(getLegalMoves(state, 1)).toEqual([
+      { kind: MOVE_KINDS.RECALL, actions: [{ type: 'recall', payload: { recallId: 'recall_a' } }] },
+    ]);
+  });
+});
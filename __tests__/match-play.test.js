@@ -0,0 +1,124 @@
+/**
+ * Match play tests
+ * Covers the dealer seat in the shared engine and MatchCoordinator adding up
+ * deals, rotating the dealer and ending a match at its target.
+ */
+
+jest.mock('../multiplayer/server/models/GameState', () => ({ save: jest.fn(async () => ({})) }));
+jest.mock('../multiplayer/server/models/GameStats', () => ({ updateAfterGame: jest.fn(async () => null) }));
+
+const { initializeGame, startNextRound, validateRules } = require('../shared/game');
+const GameManager = require('../multiplayer/server/game/GameManager');
+const SocketRegistry = require('../multiplayer/server/services/SocketRegistry');
+const MatchCoordinator = require('../multiplayer/server/services/MatchCoordinator');
+
+describe('dealer seat', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets the seat after the dealer play first in every round', () => {
+    const state = initializeGame(2, false, { seed: 1, dealer: 0 });
+
+    expect(state).toMatchObject({ dealer: 0, currentPlayer: 1 });
+    expect(startNextRound(state, 2).currentPlayer).toBe(1);
+    expect(initializeGame(4, false, { seed: 1 })).toMatchObject({ dealer: 3, currentPlayer: 0 });
+    expect(() => initializeGame(2, false, { seed: 1, dealer: 2 })).toThrow('initializeGame: dealer');
+  });
+
+  it('limits the match target to the allowed range', () => {
+    expect(validateRules({ matchTarget: 21 })).toBeNull();
+    expect(validateRules({ matchTarget: 2 })).toBe('Match target must be between 5 and 50');
+  });
+});
+
+describe('MatchCoordinator', () => {
+  let gameManager;
+  let matchmaking;
+  let broadcaster;
+  let sockets;
+  let matches;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    gameManager = new GameManager();
+    matchmaking = { socketRegistry: new SocketRegistry() };
+    broadcaster = { broadcastToGame: jest.fn(), syncTurnTimer: jest.fn() };
+    sockets = ['s0', 's1'].map(id => ({ id, connected: true, emit: jest.fn() }));
+    const io = { sockets: { sockets: new Map(sockets.map(s => [s.id, s])) } };
+    matches = new MatchCoordinator(gameManager, matchmaking, broadcaster, io, { nextDealDelayMs: 1000 });
+  });
+
+  afterEach(() => {
+    matches.shutdown();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // Deal a game to both sockets and finish it with the given scores
+  function playDeal(gameId, scores, extra = {}) {
+    const state = gameManager.getGameState(gameId);
+    sockets.forEach((socket, i) => gameManager.addPlayerToGame(gameId, socket.id, i));
+    Object.assign(state, { gameOver: true, scores }, extra);
+    return matches.handleGameOver(gameId, state);
+  }
+
+  const nextGameStart = socket => socket.emit.mock.calls.filter(([event]) => event === 'game-start').at(-1)[1];
+
+  it('adds up deals, rotates the dealer and ends at the target', () => {
+    const { gameId } = gameManager.startGame(2, false, { seed: 1, rules: { matchTarget: 11 } });
+    jest.spyOn(gameManager, 'startGame');
+
+    const first = playDeal(gameId, [6, 5]);
+    expect(first).toMatchObject({ status: 'playing', scores: [6, 5], deals: 1, dealer: 0, winner: null, nextDealInMs: 1000 });
+    expect(broadcaster.broadcastToGame).toHaveBeenCalledWith(gameId, 'match-update', first, matchmaking);
+
+    jest.advanceTimersByTime(1000);
+    expect(gameManager.startGame).toHaveBeenCalledWith(2, false, { rules: expect.objectContaining({ matchTarget: 11 }), dealer: 0 });
+
+    const { gameId: secondId, gameState, match } = nextGameStart(sockets[1]);
+    expect(gameState).toMatchObject({ dealer: 0, currentPlayer: 1, matchDeal: 2 });
+    expect(match.matchId).toBe(first.matchId);
+    expect(gameManager.getGameState(gameId).isClosed).toBe(true);
+
+    const second = playDeal(secondId, [6, 5]);
+    expect(second).toMatchObject({ status: 'complete', scores: [12, 10], deals: 2, winner: 0, lastDealScores: [6, 5] });
+    expect(matches.getMatch(first.matchId)).toBeNull();
+  });
+
+  it('plays another deal while the top score is tied', () => {
+    const { gameId } = gameManager.startGame(2, false, { seed: 2, rules: { matchTarget: 5 } });
+
+    expect(playDeal(gameId, [6, 6])).toMatchObject({ status: 'playing', winner: null });
+  });
+
+  it('ends the match against the side that forfeits', () => {
+    const { gameId } = gameManager.startGame(2, false, { seed: 3, rules: { matchTarget: 21 } });
+
+    expect(playDeal(gameId, [8, 2], { forfeitedBy: 0 })).toMatchObject({ status: 'complete', winner: 1 });
+  });
+
+  it('abandons the match when a seat has left before the next deal', () => {
+    const { gameId } = gameManager.startGame(2, false, { seed: 4, rules: { matchTarget: 21 } });
+    const { matchId } = playDeal(gameId, [3, 4]);
+    sockets[1].connected = false;
+
+    jest.advanceTimersByTime(1000);
+
+    expect(sockets[0].emit).toHaveBeenCalledWith('match-update', expect.objectContaining({ status: 'abandoned' }));
+    expect(sockets[0].emit).not.toHaveBeenCalledWith('game-start', expect.anything());
+    expect(matches.getMatch(matchId)).toBeNull();
+  });
+
+  it('leaves single games and tournament games alone', () => {
+    expect(matches.isMatchGame(initializeGame(2, false, { seed: 5 }))).toBe(false);
+    expect(matches.isMatchGame({ ...initializeGame(2, false, { seed: 5, rules: { matchTarget: 11 } }), tournamentMode: 'knockout' })).toBe(false);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Detailed player stats tests
+ * Covers shared/game/playerStats (stat lines replayed from a finished
+ * game's action log, summaries and time windows) and the stat lines
+ * GamePersistenceService hands to GameStats when a game is saved.
+ */
+
+jest.mock('../multiplayer/server/models/GameState', () => ({ save: jest.fn(async () => ({})) }));
+jest.mock('../multiplayer/server/models/GameStats', () => ({
+  updateAfterGame: jest.fn(async () => null),
+  getRatings: jest.fn(async userIds => userIds.map(() => ({ rating: 1500, rd: 350, volatility: 0.06, games: 0 }))),
+  saveRating: jest.fn(async () => null),
+}));
+
+const GameStats = require('../multiplayer/server/models/GameStats');
+const GamePersistenceService = require('../multiplayer/server/services/GamePersistenceService');
+const {
+  getGameStatLines,
+  summarizeStats,
+  summarizeWindows,
+  createStatTotals,
+} = require('../shared/game/playerStats');
+const { REPLAY_EVENTS } = require('../shared/game/replay');
+const { getLegalMoves } = require('../shared/game/legalMoves');
+const { finalizeGame } = require('../shared/game/gameEnd');
+const { makeReplay, lastState, log, logMove, play } = require('./helpers/replayTestUtils');
+
+/**
+ * Finish the game, logging the round and game transitions the server would
+ */
+function playToEnd(replay) {
+  for (let turn = 0; turn < 200; turn++) {
+    const state = lastState(replay);
+    if (state.players.every(p => p.hand.length === 0)) {
+      if (state.deck.length === 0) {
+        log(replay, { system: true, type: REPLAY_EVENTS.GAME_OVER, payload: { finalize: true } });
+        return replay;
+      }
+      log(replay, { system: true, type: REPLAY_EVENTS.ROUND_END, payload: {} });
+      log(replay, { system: true, type: REPLAY_EVENTS.NEXT_ROUND, payload: {} });
+      continue;
+    }
+    const moves = getLegalMoves(state, state.currentPlayer);
+    const preferred = state.deck.length === 0 ? 'trail' : 'capture';
+    logMove(replay, state.currentPlayer, moves.find(m => m.kind === preferred) || moves[0]);
+  }
+  throw new Error('Game did not finish');
+}
+
+describe('getGameStatLines', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts trails, builds and captures from the action log', () => {
+    const replay = makeReplay();
+    play(replay, 'trail', 'A♥');
+    play(replay, 'trail', '5♣');
+    play(replay, 'build', '2♥');
+    play(replay, 'capture', 'A♣');
+    play(replay, 'captureBuild', '7♠');
+
+    const [p0, p1] = getGameStatLines(replay);
+
+    expect(p0).toMatchObject({ games: 1, trails: 1, buildsCreated: 1, captures: 1, buildsStolen: 0, aces: 0 });
+    expect(p1).toMatchObject({ games: 1, trails: 1, buildsCreated: 0, captures: 1, aces: 2 });
+  });
+
+  it('adds scoring cards and bonuses from a finished game', () => {
+    const replay = playToEnd(makeReplay());
+    const final = lastState(replay);
+    const lines = getGameStatLines(replay);
+
+    expect(lines.map(l => l.points)).toEqual(final.scores);
+    expect(lines.reduce((sum, l) => sum + l.tenDiamonds, 0)).toBe(1);
+    expect(lines.reduce((sum, l) => sum + l.twoSpades, 0)).toBe(1);
+    expect(lines.reduce((sum, l) => sum + l.aces, 0)).toBe(4);
+    expect(lines.reduce((sum, l) => sum + l.cardCountBonuses, 0)).toBeGreaterThanOrEqual(1);
+  });
+
+  it('credits the last-capture sweep to the player finalizeGame gave the table to', () => {
+    const replay = playToEnd(makeReplay());
+    const unswept = lastState(replay);
+    unswept.tableCards.push(unswept.players[0].captures.pop());
+    unswept.lastCapturePlayer = 1;
+
+    const swept = finalizeGame(unswept);
+    const lines = getGameStatLines(replay, swept);
+
+    expect(swept.lastCaptureSweep).toEqual({ playerIndex: 1, cards: 1 });
+    expect(lines.map(l => l.lastCaptureSweeps)).toEqual([0, 1]);
+    expect(getGameStatLines(replay).map(l => l.lastCaptureSweeps)).toEqual([0, 0]);
+  });
+
+  it('records nothing for a log that does not replay', () => {
+    const replay = makeReplay();
+    log(replay, { playerIndex: 0, type: 'trail', payload: { card: { rank: '3', suit: '♦', value: 3 } } });
+
+    expect(getGameStatLines(replay)).toBeNull();
+    expect(getGameStatLines({ playerCount: 2, actions: [] })).toBeNull();
+  });
+});
+
+describe('stat summaries', () => {
+  it('turns totals into per-game averages, card shares and bonus rates', () => {
+    const summary = summarizeStats({
+      ...createStatTotals(),
+      games: 4, points: 30, captures: 20, tenDiamonds: 3, twoSpades: 1, aces: 8, spadeBonuses: 2, cardCountBonuses: 1,
+    });
+
+    expect(summary).toMatchObject({
+      games: 4,
+      averagePoints: 7.5,
+      capturesPerGame: 5,
+      tenDiamondShare: 0.75,
+      twoSpadeShare: 0.25,
+      aceShare: 0.5,
+      spadeBonusRate: 0.5,
+      cardCountBonusRate: 0.25,
+    });
+    expect(summarizeStats({}).averagePoints).toBe(0);
+  });
+
+  it('summarises only the games inside each time window', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = 100 * day;
+    const lines = [
+      { ...createStatTotals(), games: 1, points: 4, at: new Date(now - 2 * day) },
+      { ...createStatTotals(), games: 1, points: 10, at: new Date(now - 20 * day) },
+      { ...createStatTotals(), games: 1, points: 1, at: new Date(now - 60 * day) },
+    ];
+
+    const windows = summarizeWindows(lines, now);
+
+    expect(windows.week).toMatchObject({ games: 1, averagePoints: 4 });
+    expect(windows.month).toMatchObject({ games: 2, averagePoints: 7 });
+  });
+});
+
+describe('GamePersistenceService detailed stats', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    GameStats.updateAfterGame.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes each player their replayed stat line', async () => {
+    const replay = playToEnd(makeReplay());
+    const final = lastState(replay);
+    final.players.forEach((p, idx) => { p.userId = `u${idx}`; });
+
+    await new GamePersistenceService().updatePlayerStats(final, 'twoHands', 7, replay.actions);
+
+    const lines = getGameStatLines(replay, final);
+    expect(GameStats.updateAfterGame).toHaveBeenCalledTimes(2);
+    expect(GameStats.updateAfterGame).toHaveBeenCalledWith('u0', expect.objectContaining({ detail: lines[0] }), 'twoHands');
+    expect(GameStats.updateAfterGame).toHaveBeenCalledWith('u1', expect.objectContaining({ detail: lines[1] }), 'twoHands');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Puzzle tests
+ * Covers shared/game/puzzles (validation and answer checking by scoring
+ * every legal move) and PuzzleService (daily puzzle, streaks, reveals).
+ */
+
+jest.mock('../multiplayer/server/models/PuzzleProgress', () => {
+  const records = new Map();
+  return {
+    records,
+    reset: () => records.clear(),
+    findByUserId: jest.fn(async userId => records.get(userId) || null),
+    recordAttempt: jest.fn(async (userId, puzzleId, dateKey) => {
+      const record = records.get(userId) || { userId, attempts: 0, puzzles: {}, daily: {}, currentStreak: 0, bestStreak: 0, lastDailyDate: null };
+      record.attempts += 1;
+      record.puzzles[puzzleId] = { ...record.puzzles[puzzleId], attempts: (record.puzzles[puzzleId]?.attempts || 0) + 1 };
+      if (dateKey) {
+        record.daily[dateKey] = { ...record.daily[dateKey], puzzleId, attempts: (record.daily[dateKey]?.attempts || 0) + 1 };
+      }
+      records.set(userId, record);
+      return record;
+    }),
+    recordSolve: jest.fn(async (userId, puzzleId, daily) => {
+      const record = records.get(userId);
+      record.puzzles[puzzleId].solvedAt = record.puzzles[puzzleId].solvedAt || new Date();
+      if (daily) {
+        record.daily[daily.dateKey].solvedAt = new Date();
+        Object.assign(record, { currentStreak: daily.currentStreak, bestStreak: daily.bestStreak, lastDailyDate: daily.dateKey });
+      }
+      return record;
+    }),
+  };
+});
+
+const PuzzleProgress = require('../multiplayer/server/models/PuzzleProgress');
+const PuzzleService = require('../multiplayer/server/services/PuzzleService');
+const {
+  listPuzzles,
+  getPuzzle,
+  getDailyPuzzle,
+  validatePuzzle,
+  scorePuzzleMoves,
+  checkPuzzleSolution,
+} = require('../shared/game/puzzles');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Best and a worse move for a puzzle, as actions
+function answers(puzzle) {
+  const [best, worse] = scorePuzzleMoves(puzzle);
+  return { right: best.actions, wrong: worse.actions };
+}
+
+describe('puzzles', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ships only puzzles the engine agrees with', () => {
+    expect(listPuzzles().length).toBeGreaterThan(0);
+    for (const puzzle of listPuzzles()) {
+      expect(validatePuzzle(puzzle)).toBeNull();
+    }
+  });
+
+  it('rejects bad layouts and wrong solutions', () => {
+    const puzzle = getPuzzle('big-casino');
+
+    expect(validatePuzzle({ ...puzzle, hand: ['10♠', '10♦'] })).toBe('big-casino: 10♦ appears more than once');
+    expect(validatePuzzle({ ...puzzle, hand: ['J♠'] })).toBe('big-casino: hand has an unknown card "J♠"');
+    expect(validatePuzzle({ ...puzzle, builds: [{ owner: 1, cards: ['2♠', '4♦'], value: 7 }] }))
+      .toBe('big-casino: builds[0] cards must add up to its value (10 at most)');
+    expect(validatePuzzle({ ...puzzle, solution: { kind: 'capture', card: '7♦' } }))
+      .toBe('big-casino: the engine\'s best move is "Capture 10♦ + 7♣ + 3♥ with 10♠", not the stated solution');
+  });
+
+  it('checks answers by scoring every legal move', () => {
+    const puzzle = getPuzzle('spade-majority');
+    const { right, wrong } = answers(puzzle);
+
+    expect(checkPuzzleSolution(puzzle, right)).toMatchObject({ valid: true, correct: true, move: 'Capture 4♠ with 4♣', points: 2 });
+    expect(checkPuzzleSolution(puzzle, wrong)).toMatchObject({
+      valid: true,
+      correct: false,
+      best: { description: 'Capture 4♠ with 4♣', points: 2 },
+    });
+    expect(checkPuzzleSolution(puzzle, [])).toEqual({ valid: false, error: 'No move was played' });
+    expect(checkPuzzleSolution(puzzle, [{ type: 'trail', payload: { card: { rank: '9', suit: '♣', value: 9 } } }]).valid).toBe(false);
+  });
+
+  describe('PuzzleService', () => {
+    let now;
+    let service;
+
+    beforeEach(() => {
+      PuzzleProgress.reset();
+      now = Date.parse('2026-03-10T12:00:00Z');
+      service = new PuzzleService({ now: () => now });
+    });
+
+    it('serves the same seeded puzzle all day, without its solution', async () => {
+      const daily = await service.getDaily();
+      expect(daily.date).toBe('2026-03-10');
+      expect(daily.puzzle.id).toBe(getDailyPuzzle('2026-03-10').id);
+      expect(daily.puzzle.solution).toBeUndefined();
+
+      now += 6 * 60 * 60 * 1000;
+      expect((await service.getDaily()).puzzle.id).toBe(daily.puzzle.id);
+    });
+
+    it('grows the streak on consecutive days and restarts it after a gap', async () => {
+      const solveToday = async () => {
+        const puzzle = getDailyPuzzle(service.today());
+        return service.submitAttempt('alice', puzzle.id, answers(puzzle).right);
+      };
+
+      expect((await solveToday()).stats).toMatchObject({ currentStreak: 1, bestStreak: 1, dailySolved: 1 });
+      // Solving again the same day doesn't count twice
+      expect((await solveToday()).stats).toMatchObject({ currentStreak: 1, dailySolved: 1 });
+
+      now += DAY_MS;
+      expect((await solveToday()).stats).toMatchObject({ currentStreak: 2, bestStreak: 2 });
+
+      now += 2 * DAY_MS;
+      expect((await service.getStats('alice')).currentStreak).toBe(0);
+      expect((await solveToday()).stats).toMatchObject({ currentStreak: 1, bestStreak: 2, dailySolved: 3 });
+    });
+
+    it('reveals the best move only when solved or after repeated misses', async () => {
+      const puzzle = getPuzzle('pair-of-aces');
+      const { wrong } = answers(puzzle);
+
+      const first = await service.submitAttempt('bob', puzzle.id, wrong);
+      expect(first).toMatchObject({ success: true, correct: false, attempts: 1 });
+      expect(first.best).toBeUndefined();
+
+      await service.submitAttempt('bob', puzzle.id, wrong);
+      const third = await service.submitAttempt('bob', puzzle.id, wrong);
+      expect(third.best.description).toBe('Capture A♣ with A♠');
+
+      expect(await service.submitAttempt('bob', 'no-such-puzzle', wrong)).toEqual({ success: false, error: 'Puzzle not found' });
+      // Guests are checked but not recorded
+      expect((await service.submitAttempt(null, puzzle.id, wrong)).stats).toBeUndefined();
+      expect(PuzzleProgress.recordAttempt).not.toHaveBeenCalledWith(null, expect.anything(), expect.anything());
+    });
+  });
+});
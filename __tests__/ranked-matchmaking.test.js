@@ -0,0 +1,197 @@
+/**
+ * Ranked matchmaking tests
+ * Covers grouping by rating with widening search windows, rematch avoidance,
+ * party team balancing and the ranked queue in UnifiedMatchmakingService.
+ */
+
+jest.mock('../multiplayer/server/models/GameState', () => ({ save: jest.fn(async () => ({})) }));
+jest.mock('../multiplayer/server/models/GameStats', () => ({
+  updateAfterGame: jest.fn(async () => null),
+  getRatings: jest.fn(async userIds => userIds.map(() => ({ rating: 1500, rd: 350, volatility: 0.06, games: 0 }))),
+}));
+jest.mock('../multiplayer/server/models/PlayerProfile', () => ({ getPlayerInfos: jest.fn(async () => []) }));
+
+const GameStats = require('../multiplayer/server/models/GameStats');
+const GameManager = require('../multiplayer/server/game/GameManager');
+const RankedQueueManager = require('../multiplayer/server/services/RankedQueueManager');
+const UnifiedMatchmakingService = require('../multiplayer/server/services/UnifiedMatchmakingService');
+const { createBroadcastHelpers } = require('../multiplayer/server/socket/handlers/broadcast');
+const { getCardHints } = require('../shared/game/hints');
+
+const makeSocket = id => ({ id, connected: true, emit: jest.fn(), join: jest.fn() });
+
+describe('RankedQueueManager', () => {
+  let now;
+  let queue;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    now = 0;
+    queue = new RankedQueueManager({ now: () => now });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const join = (id, rating, gameType = 'two-hands') => queue.addToQueue(makeSocket(id), gameType, id, { rating, rd: 100 });
+
+  it('matches close ratings straight away', () => {
+    join('a', 1500);
+    join('b', 1560);
+
+    expect(queue.findMatch('two-hands').map(e => e.userId)).toEqual(['a', 'b']);
+    expect(queue.getWaitingCount('two-hands')).toBe(0);
+  });
+
+  it('widens the search window the longer both players wait', () => {
+    join('a', 1500);
+    join('b', 1800);
+
+    expect(queue.findMatch('two-hands')).toBeNull();
+    expect(queue.getEstimatedWaitMs('two-hands', queue.queues['two-hands'][0])).toBe(40000);
+
+    now = 40000;
+    expect(queue.getSearchWindow(queue.queues['two-hands'][0])).toBe(300);
+    expect(queue.findMatch('two-hands')).toHaveLength(2);
+  });
+
+  it('pairs the closest ratings and leaves the outlier waiting', () => {
+    join('a', 1500);
+    join('far', 1900);
+    join('b', 1540);
+
+    expect(queue.findMatch('two-hands').map(e => e.userId)).toEqual(['a', 'b']);
+    expect(queue.queues['two-hands'].map(e => e.userId)).toEqual(['far']);
+  });
+
+  it('holds back a rematch until both players have waited a while', () => {
+    join('a', 1500);
+    join('b', 1500);
+    queue.findMatch('two-hands');
+
+    join('a', 1500);
+    join('b', 1500);
+    expect(queue.findMatch('two-hands')).toBeNull();
+
+    join('c', 1520);
+    expect(queue.findMatch('two-hands').map(e => e.userId)).toEqual(['a', 'c']);
+
+    now = 60000;
+    join('a', 1500);
+    now = 120000;
+    expect(queue.findMatch('two-hands').map(e => e.userId)).toEqual(['b', 'a']);
+  });
+
+  it('never matches a user against themself on another socket', () => {
+    queue.queues['two-hands'].push(
+      { id: 's1', socket: makeSocket('s1'), userId: 'a', rating: 1500, rd: 100, joinedAt: 0, lastActivity: 0 },
+      { id: 's2', socket: makeSocket('s2'), userId: 'a', rating: 1500, rd: 100, joinedAt: 0, lastActivity: 0 },
+    );
+    expect(queue.findMatch('two-hands')).toBeNull();
+
+    expect(queue.addToQueue(makeSocket('s3'), 'two-hands', 'a', { rating: 1500, rd: 100 })).toBeNull();
+  });
+
+  it('splits a party group into even teams', () => {
+    join('p1', 1700, 'party');
+    join('p2', 1650, 'party');
+    join('p3', 1620, 'party');
+    join('p4', 1600, 'party');
+
+    expect(queue.findMatch('party').map(e => e.userId)).toEqual(['p1', 'p4', 'p2', 'p3']);
+  });
+});
+
+describe('ranked queue in UnifiedMatchmakingService', () => {
+  let matchmaking;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    matchmaking = new UnifiedMatchmakingService(new GameManager());
+  });
+
+  afterEach(() => {
+    matchmaking.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  it('looks up the mode rating and starts a ranked game when a group fits', async () => {
+    const first = makeSocket('s1');
+    const second = makeSocket('s2');
+
+    expect(await matchmaking.addToRankedQueue(first, 'two-hands', 'u1')).toBeNull();
+    expect(matchmaking.isSocketInQueue('s1', matchmaking.queueManager)).toBe(true);
+
+    const result = await matchmaking.addToRankedQueue(second, 'two-hands', 'u2');
+    expect(GameStats.getRatings).toHaveBeenCalledWith(['u2'], 'twoHands');
+    expect(result.gameState.ranked).toBe(true);
+    expect(getCardHints(result.gameState, 0, result.gameState.players[0].hand[0])).toBeNull();
+    expect(result.players.map(p => p.userId)).toEqual(['u1', 'u2']);
+    expect(matchmaking.getGameId('s2')).toBe(result.gameId);
+  });
+
+  it('sends each waiting player their search window and wait estimate', async () => {
+    const socket = makeSocket('s1');
+    await matchmaking.addToRankedQueue(socket, 'three-hands', 'u1');
+
+    const { broadcastQueueState } = createBroadcastHelpers(matchmaking, null);
+    await broadcastQueueState('three-hands', { ranked: true });
+
+    expect(socket.emit).toHaveBeenCalledWith('queue-state-update', expect.objectContaining({
+      gameType: 'three-hands', ranked: true, requiredPlayers: 3, waitingCount: 1, ratingWindow: 100, estimatedWaitMs: expect.any(Number),
+    }));
+  });
+
+  it('forms groups on each pass and drops players who disconnected', async () => {
+    const sockets = ['s1', 's2', 's3'].map(makeSocket);
+    GameStats.getRatings
+      .mockResolvedValueOnce([{ rating: 1500, rd: 100 }])
+      .mockResolvedValueOnce([{ rating: 1900, rd: 100 }]);
+    sockets[2].connected = false;
+
+    await matchmaking.addToRankedQueue(sockets[0], 'two-hands', 'u1');
+    await matchmaking.addToRankedQueue(sockets[1], 'two-hands', 'u2');
+    matchmaking.rankedQueue.addToQueue(sockets[2], 'two-hands', 'u3', { rating: 1510, rd: 100 });
+
+    const onMatch = jest.fn();
+    const onWaiting = jest.fn();
+    matchmaking.processRankedQueues(onMatch, onWaiting);
+
+    expect(onMatch).not.toHaveBeenCalled();
+    expect(onWaiting).toHaveBeenCalledWith('two-hands');
+    expect(matchmaking.rankedQueue.getWaitingCount('two-hands')).toBe(2);
+  });
+
+  it('queues a socket once when it joins again during the rating lookup', async () => {
+    const socket = makeSocket('s1');
+
+    const first = matchmaking.addToRankedQueue(socket, 'two-hands', 'u1');
+    expect(matchmaking.isSocketInQueue('s1', matchmaking.queueManager)).toBe(true);
+    const second = matchmaking.addToRankedQueue(socket, 'two-hands', 'u1');
+    await Promise.all([first, second]);
+
+    expect(matchmaking.rankedQueue.getWaitingCount('two-hands')).toBe(1);
+    expect(matchmaking.rankedQueue.addToQueue(socket, 'two-hands', 'u1', { rating: 1500, rd: 100 })).toBeNull();
+    expect(matchmaking.rankedQueue.getWaitingCount('two-hands')).toBe(1);
+  });
+
+  it('leaves a socket unqueued when its rating lookup fails', async () => {
+    GameStats.getRatings.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(matchmaking.addToRankedQueue(makeSocket('s1'), 'two-hands', 'u1')).rejects.toThrow('db down');
+    expect(matchmaking.isSocketInQueue('s1', matchmaking.queueManager)).toBe(false);
+    expect(matchmaking.socketRegistry.get('s1')).toBeUndefined();
+  });
+
+  it('turns away a user already queued or playing on another socket', async () => {
+    expect(await matchmaking.addToRankedQueue(makeSocket('s1'), 'two-hands', 'u1')).toBeNull();
+    expect(await matchmaking.addToRankedQueue(makeSocket('s2'), 'two-hands', 'u1')).toBeNull();
+    expect(matchmaking.rankedQueue.getWaitingCount('two-hands')).toBe(1);
+    expect(matchmaking.isUserInQueue('u1')).toBe(true);
+
+    matchmaking.socketRegistry.set('s3', 7, 'two-hands', 'u2');
+    expect(await matchmaking.addToRankedQueue(makeSocket('s4'), 'two-hands', 'u2')).toBeNull();
+    expect(matchmaking.rankedQueue.getWaitingCount('two-hands')).toBe(1);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Reconnect-and-resume tests
+ * Covers the seat grace window held by ReconnectionService and the
+ * rejoin-game rebinding of GameManager.socketPlayerMap and SocketRegistry.
+ */
+
+const GameManager = require('../multiplayer/server/game/GameManager');
+const SocketRegistry = require('../multiplayer/server/services/SocketRegistry');
+const ReconnectionService = require('../multiplayer/server/services/ReconnectionService');
+
+function createMockSocket(id, userId = null) {
+  return {
+    id,
+    userId,
+    emit: jest.fn(),
+    join: jest.fn(),
+  };
+}
+
+function createMockBroadcaster() {
+  return {
+    broadcastToGame: jest.fn(),
+    broadcastToOthers: jest.fn(),
+    broadcastGameUpdate: jest.fn(),
+  };
+}
+
+function setupGame() {
+  const gameManager = new GameManager();
+  const matchmaking = { socketRegistry: new SocketRegistry() };
+  const broadcaster = createMockBroadcaster();
+  const reconnection = new ReconnectionService(gameManager, matchmaking, broadcaster, null, { graceMs: 1000 });
+
+  const { gameId, gameState } = gameManager.startGame(2, false);
+  const sockets = [createMockSocket('s0', 'user-a'), createMockSocket('s1', 'user-b')];
+  sockets.forEach((socket, idx) => {
+    gameManager.addPlayerToGame(gameId, socket.id, idx, socket.userId);
+    gameManager.setPlayerUserId(gameId, idx, socket.userId);
+    matchmaking.socketRegistry.set(socket.id, gameId, 'two-hands', socket.userId);
+  });
+  matchmaking.socketRegistry.setGameSockets(gameId, sockets.map(s => s.id));
+
+  return { gameManager, matchmaking, broadcaster, reconnection, gameId, gameState, sockets };
+}
+
+describe('ReconnectionService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('holds the seat and pauses the turn timer instead of ending the game', () => {
+    const { gameManager, broadcaster, reconnection, gameId, sockets } = setupGame();
+
+    const held = reconnection.holdSeat(sockets[1]);
+
+    expect(held).toMatchObject({ gameId, playerIndex: 1 });
+    expect(gameManager.getGameState(gameId)).toBeDefined();
+    expect(gameManager.getPlayerIndex(gameId, 's1')).toBeNull();
+    expect(gameManager.getGameState(gameId).turnTimerPaused).toBe(true);
+    expect(gameManager.getGameState(gameId).disconnectedPlayers[1]).toBeDefined();
+    expect(broadcaster.broadcastToGame).toHaveBeenCalledWith(
+      gameId, 'player-disconnected', expect.objectContaining({ playerIndex: 1 }), expect.anything()
+    );
+  });
+
+  it('keeps the game alive even when the last socket drops', () => {
+    const { gameManager, reconnection, gameId, sockets } = setupGame();
+
+    reconnection.holdSeat(sockets[0]);
+    reconnection.holdSeat(sockets[1]);
+
+    expect(gameManager.getGameState(gameId)).toBeDefined();
+  });
+
+  it('rebinds a new socket by resume token and sends a full resync', () => {
+    const { gameManager, matchmaking, reconnection, gameId, sockets } = setupGame();
+    const token = gameManager.getResumeToken(gameId, 1);
+    reconnection.holdSeat(sockets[1]);
+
+    const newSocket = createMockSocket('s1-new', null);
+    const result = reconnection.rejoin(newSocket, { gameId, resumeToken: token });
+
+    expect(result).toEqual({ success: true, gameId, playerIndex: 1 });
+    expect(gameManager.getPlayerIndex(gameId, 's1-new')).toBe(1);
+    expect(matchmaking.socketRegistry.get('s1-new')).toMatchObject({ gameId, gameType: 'two-hands' });
+    expect(matchmaking.socketRegistry.getGameSockets(gameId)).toContain('s1-new');
+    expect(gameManager.getGameState(gameId).turnTimerPaused).toBe(false);
+
+    const [event, payload] = newSocket.emit.mock.calls[0];
+    expect(event).toBe('game-rejoined');
+    expect(payload.playerNumber).toBe(1);
+    expect(payload.gameState.players[1].hand.length).toBeGreaterThan(0);
+    expect(payload.gameState.players[0].hand).toEqual([]);
+  });
+
+  it('rebinds a held seat by authenticated userId', () => {
+    const { gameManager, reconnection, gameId, sockets } = setupGame();
+    reconnection.holdSeat(sockets[0]);
+
+    const result = reconnection.rejoin(createMockSocket('s0-new', 'user-a'), {});
+
+    expect(result.success).toBe(true);
+    expect(gameManager.getPlayerIndex(gameId, 's0-new')).toBe(0);
+  });
+
+  it('rejects rejoin attempts without a valid token or held seat', () => {
+    const { reconnection, sockets } = setupGame();
+    reconnection.holdSeat(sockets[0]);
+
+    const result = reconnection.rejoin(createMockSocket('intruder', 'user-z'), { resumeToken: 'bogus' });
+
+    expect(result.success).toBe(false);
+  });
+
+  it('ends the game once the grace window expires with nobody left', () => {
+    const { gameManager, reconnection, gameId, sockets } = setupGame();
+    reconnection.holdSeat(sockets[0]);
+    reconnection.holdSeat(sockets[1]);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(gameManager.getGameState(gameId)).toBeUndefined();
+  });
+
+  it('skips the absent player\'s turn when their seat expires', () => {
+    const { gameManager, broadcaster, reconnection, gameId, sockets } = setupGame();
+    gameManager.getGameState(gameId).currentPlayer = 1;
+    reconnection.holdSeat(sockets[1]);
+
+    jest.advanceTimersByTime(1000);
+
+    const state = gameManager.getGameState(gameId);
+    expect(state.currentPlayer).toBe(0);
+    expect(state.turnTimerPaused).toBe(false);
+    expect(broadcaster.broadcastToGame).toHaveBeenCalledWith(gameId, 'player-left', { playerIndex: 1 }, expect.anything());
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Room invite tests
+ * Covers RoomInviteService: friends-only invites into a waiting room,
+ * accept/decline, and expiry on timeout or when the room fills.
+ */
+
+jest.mock('../multiplayer/server/models/FriendRequest', () => ({
+  areFriends: jest.fn(async () => true),
+}));
+jest.mock('../multiplayer/server/models/User', () => ({
+  findById: jest.fn(async id => ({ _id: id, username: `name-${id}` })),
+}));
+
+const FriendRequest = require('../multiplayer/server/models/FriendRequest');
+const RoomService = require('../multiplayer/server/services/RoomService');
+const RoomInviteService = require('../multiplayer/server/services/RoomInviteService');
+
+const MINUTE = 60 * 1000;
+
+describe('RoomInviteService', () => {
+  let now;
+  let emit;
+  let io;
+  let roomService;
+  let invites;
+  let roomCode;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    FriendRequest.areFriends.mockReset().mockResolvedValue(true);
+    now = 0;
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    roomService = new RoomService(null, null, null, io);
+    invites = new RoomInviteService(roomService, io, { now: () => now });
+    ({ roomCode } = roomService.createRoom({ id: 'host-socket', userId: 'host' }, 'two-hands'));
+  });
+
+  afterEach(() => {
+    invites.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  it('sends a live invite into the inviter\'s room', async () => {
+    const result = await invites.invite('host', 'friend');
+
+    expect(result.invite).toMatchObject({ roomCode, gameMode: 'two-hands', from: { _id: 'host', username: 'name-host' }, status: 'pending' });
+    expect(io.to).toHaveBeenCalledWith('user:friend');
+    expect(emit).toHaveBeenCalledWith('room-invite', result.invite);
+    expect(invites.listPending('friend')).toEqual([result.invite]);
+  });
+
+  it('only invites friends, once, from a room the inviter is in', async () => {
+    expect(await invites.invite('stranger', 'friend')).toEqual({ success: false, error: 'Join a private room before inviting friends' });
+
+    FriendRequest.areFriends.mockResolvedValueOnce(false);
+    expect(await invites.invite('host', 'nobody')).toEqual({ success: false, error: 'You can only invite friends' });
+
+    await invites.invite('host', 'friend');
+    expect(await invites.invite('host', 'friend')).toEqual({ success: false, error: 'Invite already sent' });
+  });
+
+  it('tells the inviter when the invite is accepted or declined', async () => {
+    const { invite: first } = await invites.invite('host', 'friend');
+    const { invite: second } = await invites.invite('host', 'other');
+
+    expect(invites.respond('other', first.id, true)).toEqual({ success: false, error: 'Invite not found' });
+    expect(invites.respond('friend', first.id, true).invite).toMatchObject({ roomCode, status: 'accepted' });
+    expect(emit).toHaveBeenCalledWith('room-invite-response', expect.objectContaining({ id: first.id, accepted: true }));
+
+    invites.respond('other', second.id, false);
+    expect(emit).toHaveBeenCalledWith('room-invite-response', expect.objectContaining({ id: second.id, accepted: false }));
+    expect(invites.listPending('friend')).toEqual([]);
+  });
+
+  it('expires invites after the timeout', async () => {
+    const { invite } = await invites.invite('host', 'friend');
+
+    now = 5 * MINUTE;
+    expect(invites.respond('friend', invite.id, true)).toEqual({ success: false, error: 'Invite has expired' });
+    expect(emit).toHaveBeenCalledWith('room-invite-expired', { id: invite.id, roomCode });
+  });
+
+  it('expires invites once the room fills', async () => {
+    const { invite } = await invites.invite('host', 'friend');
+    roomService.joinRoom({ id: 'guest-socket', userId: 'guest' }, roomCode);
+
+    expect(invites.listPending('friend')).toEqual([]);
+    expect(emit).toHaveBeenCalledWith('room-invite-expired', { id: invite.id, roomCode });
+    expect(await invites.invite('host', 'late')).toEqual({ success: false, error: 'Room is full' });
+  });
+});
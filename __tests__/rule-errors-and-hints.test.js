@@ -0,0 +1,108 @@
+/**
+ * Rule error and move hint tests
+ * Covers shared/game/ruleErrors (rejected moves carry a code and a
+ * player-facing explanation) and shared/game/hints (what a hand card can
+ * capture or build on, and that ranked games get no hints).
+ */
+
+const { createActionRouter } = require('../shared/game/ActionRouter');
+const actionHandlers = require('../shared/game/actions');
+const { initializeGame } = require('../shared/game/initialization');
+const { rankValue } = require('../shared/game/deck');
+const { RuleError, RULE_ERROR_CODES, explainError } = require('../shared/game/ruleErrors');
+const { areHintsAllowed, getCardHints } = require('../shared/game/hints');
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+function makeState() {
+  const state = initializeGame(2);
+  state.currentPlayer = 0;
+  state.round = 1;
+  state.players[0].hand = [card('3', '♠'), card('7', '♥'), card('5', '♦')];
+  state.tableCards = [
+    card('4', '♣'),
+    { type: 'build_stack', stackId: 'build_1_1', cards: [card('6', '♣'), card('4', '♦')], value: 10, owner: 1, hasBase: false },
+    { type: 'build_stack', stackId: 'build_0_1', cards: [card('2', '♣'), card('3', '♦')], value: 5, owner: 0, hasBase: false },
+  ];
+  return state;
+}
+
+function rejection(state, playerIndex, type, payload) {
+  const router = createActionRouter({ handlers: actionHandlers });
+  try {
+    router.executeAction(state, playerIndex, type, payload);
+  } catch (err) {
+    return err;
+  }
+  throw new Error(`${type} was not rejected`);
+}
+
+describe('rule errors', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects moves out of turn with NOT_YOUR_TURN', () => {
+    const err = rejection(makeState(), 1, 'trail', { card: card('3', '♠') });
+
+    expect(err).toBeInstanceOf(RuleError);
+    expect(err.code).toBe(RULE_ERROR_CODES.NOT_YOUR_TURN);
+    expect(err.message).toMatch(/^Not your turn/);
+  });
+
+  it('explains why a player holding a build cannot trail', () => {
+    const err = rejection(makeState(), 0, 'trail', { card: card('3', '♠') });
+
+    expect(explainError(err)).toEqual({
+      code: RULE_ERROR_CODES.TRAIL_WITH_BUILD,
+      message: expect.stringMatching(/active build/),
+      explanation: "You can't trail while you own a build. Capture it or add to it first.",
+    });
+  });
+
+  it('gives steal validator rejections their own codes', () => {
+    const err = rejection(makeState(), 0, 'opponentBuildDrop', {
+      card: card('3', '♠'), stackId: 'build_1_1', cardSource: 'hand',
+    });
+
+    expect(err.code).toBe(RULE_ERROR_CODES.STEAL_TEN_BUILD);
+    expect(err.explanation).toBe("Builds worth 10 can't be taken over.");
+  });
+
+  it('falls back to INVALID_MOVE for plain errors from deeper actions', () => {
+    expect(explainError(new Error('capture: card 9♠ not on table'))).toEqual({
+      code: RULE_ERROR_CODES.INVALID_MOVE,
+      message: 'capture: card 9♠ not on table',
+      explanation: 'Card 9♠ not on table',
+    });
+  });
+});
+
+describe('move hints', () => {
+  it('marks builds of the card value as captures', () => {
+    const hints = getCardHints(makeState(), 0, card('5', '♦'));
+
+    expect(hints).toEqual({ captures: ['build_0_1'], builds: [] });
+  });
+
+  it('offers a build target only when another hand card can capture it', () => {
+    const state = makeState();
+    expect(getCardHints(state, 0, card('3', '♠')).builds).toEqual([{ id: '4♣', value: 7 }]);
+
+    state.players[0].hand = [card('3', '♠'), card('8', '♥')];
+    expect(getCardHints(state, 0, card('3', '♠')).builds).toEqual([]);
+  });
+
+  it('gives no hints in ranked games', () => {
+    const state = makeState();
+    expect(areHintsAllowed(state)).toBe(true);
+
+    state.ranked = true;
+    expect(areHintsAllowed(state)).toBe(false);
+    expect(getCardHints(state, 0, card('3', '♠'))).toBeNull();
+  });
+});
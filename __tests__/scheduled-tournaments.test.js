@@ -0,0 +1,160 @@
+/**
+ * Scheduled tournament tests
+ * Covers TournamentScheduler registration (cap, rating floor, friends only),
+ * the check-in window and starting or cancelling at the start time.
+ */
+
+jest.mock('../multiplayer/server/models/GameStats', () => ({
+  getRatings: jest.fn(async userIds => userIds.map(() => ({ rating: 1500, rd: 100 }))),
+}));
+jest.mock('../multiplayer/server/models/FriendRequest', () => ({
+  areFriends: jest.fn(async () => false),
+}));
+
+const GameStats = require('../multiplayer/server/models/GameStats');
+const FriendRequest = require('../multiplayer/server/models/FriendRequest');
+const TournamentScheduler = require('../multiplayer/server/services/TournamentScheduler');
+const BracketTournamentCoordinator = require('../multiplayer/server/services/BracketTournamentCoordinator');
+
+const MINUTE = 60 * 1000;
+
+describe('TournamentScheduler', () => {
+  let now;
+  let emit;
+  let io;
+  let bracketCoordinator;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    now = 0;
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    bracketCoordinator = { startWithPlayers: jest.fn(async () => ({ success: true, tournament: { tournamentId: 'bracket-1' } })) };
+    scheduler = new TournamentScheduler(bracketCoordinator, io, { now: () => now });
+  });
+
+  afterEach(() => {
+    scheduler.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  const schedule = (spec = {}) => scheduler.createTournament('host', {
+    name: 'Friday Cup', startsAt: new Date(60 * MINUTE).toISOString(), maxPlayers: 8, ...spec,
+  }).tournament;
+
+  async function registerAll(tournamentId, count) {
+    for (let i = 1; i <= count; i++) await scheduler.register(`u${i}`, tournamentId);
+  }
+
+  it('schedules a tournament with its organiser registered', () => {
+    const tournament = schedule({ checkInMinutes: 10 });
+
+    expect(tournament).toMatchObject({
+      name: 'Friday Cup',
+      status: 'registration',
+      checkInOpensAt: new Date(50 * MINUTE).toISOString(),
+      registeredCount: 1,
+    });
+    expect(scheduler.getView(tournament.id, 'host').isRegistered).toBe(true);
+  });
+
+  it('rejects start times in the past and caps outside the bracket sizes', () => {
+    const spec = { name: 'Cup', startsAt: new Date(60 * MINUTE).toISOString(), maxPlayers: 8 };
+
+    expect(scheduler.createTournament('host', { ...spec, startsAt: new Date(0).toISOString() }).error).toBe('Start time must be in the future');
+    expect(scheduler.createTournament('host', { ...spec, maxPlayers: 64 }).error).toBe('Player cap must be between 5 and 32');
+    expect(scheduler.createTournament('host', { ...spec, name: ' ' }).error).toBe('Tournament name is required');
+  });
+
+  it('closes registration at the cap', async () => {
+    const tournament = schedule({ maxPlayers: 5 });
+    await registerAll(tournament.id, 4);
+
+    expect(await scheduler.register('late', tournament.id)).toEqual({ success: false, error: 'Tournament is full' });
+  });
+
+  it('checks the rating floor and friends-only entry', async () => {
+    const rated = schedule({ minRating: 1600 });
+    GameStats.getRatings.mockResolvedValueOnce([{ rating: 1650, rd: 80 }]);
+
+    expect(await scheduler.register('strong', rated.id)).toMatchObject({ success: true });
+    expect(await scheduler.register('weak', rated.id)).toEqual({ success: false, error: 'A two-hands rating of 1600 is required' });
+
+    const friends = schedule({ friendsOnly: true });
+    FriendRequest.areFriends.mockResolvedValueOnce(true);
+
+    expect(await scheduler.register('friend', friends.id)).toMatchObject({ success: true });
+    expect(FriendRequest.areFriends).toHaveBeenCalledWith('host', 'friend');
+    expect(await scheduler.register('stranger', friends.id)).toEqual({ success: false, error: 'This tournament is for friends of the organiser' });
+  });
+
+  it('only lets registered players check in during the window', async () => {
+    const tournament = schedule();
+    await scheduler.register('u1', tournament.id);
+
+    expect(scheduler.checkIn('u1', tournament.id)).toEqual({ success: false, error: 'Check-in has not opened yet' });
+    expect(scheduler.checkIn('u2', tournament.id)).toEqual({ success: false, error: 'You are not registered' });
+
+    now = 46 * MINUTE;
+    await scheduler.tick();
+    expect(io.to).toHaveBeenCalledWith('user:u1');
+    expect(emit).toHaveBeenCalledWith('tournament-check-in', expect.objectContaining({ id: tournament.id, status: 'check-in' }));
+
+    expect(scheduler.checkIn('u1', tournament.id).tournament).toMatchObject({ isCheckedIn: true, checkedInCount: 1 });
+  });
+
+  it('starts with the checked-in players at the start time', async () => {
+    const tournament = schedule();
+    await registerAll(tournament.id, 6);
+
+    now = 50 * MINUTE;
+    ['u1', 'u2', 'u3', 'u4', 'u5'].forEach(id => scheduler.checkIn(id, tournament.id));
+
+    now = 60 * MINUTE;
+    await scheduler.tick();
+
+    expect(bracketCoordinator.startWithPlayers).toHaveBeenCalledWith('host', ['u1', 'u2', 'u3', 'u4', 'u5']);
+    expect(scheduler.getView(tournament.id)).toMatchObject({ status: 'started', bracketTournamentId: 'bracket-1' });
+    expect(emit).toHaveBeenCalledWith('tournament-started', expect.objectContaining({ bracketTournamentId: 'bracket-1' }));
+    expect(await scheduler.register('u9', tournament.id)).toEqual({ success: false, error: 'Registration is closed' });
+  });
+
+  it('cancels when too few players checked in', async () => {
+    const tournament = schedule();
+    await registerAll(tournament.id, 6);
+    now = 50 * MINUTE;
+    scheduler.checkIn('u1', tournament.id);
+
+    now = 60 * MINUTE;
+    await scheduler.tick();
+
+    expect(bracketCoordinator.startWithPlayers).not.toHaveBeenCalled();
+    expect(scheduler.getView(tournament.id).status).toBe('cancelled');
+    expect(emit).toHaveBeenCalledWith('tournament-cancelled', expect.objectContaining({ id: tournament.id }));
+  });
+});
+
+describe('starting a bracket from a player list', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the smallest bracket that holds everyone', async () => {
+    const broadcaster = { broadcastGameStart: jest.fn(), _getPlayerInfos: jest.fn(async () => []) };
+    const io = { sockets: { sockets: new Map() } };
+    const coordinator = new BracketTournamentCoordinator(null, null, broadcaster, io);
+    const userIds = Array.from({ length: 9 }, (_, i) => `u${i + 1}`);
+
+    const { tournament } = await coordinator.startWithPlayers('host', userIds);
+
+    expect(tournament).toMatchObject({ size: 16, entrants: 9 });
+    expect(tournament.rounds[0].matches.filter(m => m.status === 'bye')).toHaveLength(7);
+    coordinator.shutdown();
+  });
+});
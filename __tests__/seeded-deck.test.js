@@ -0,0 +1,82 @@
+/**
+ * Seeded deal tests
+ * The same seed or explicit deck order must always reproduce the same deal,
+ * and the seed must never reach a client mid-game.
+ */
+
+const { createDeck, createOrderedDeck } = require('../shared/game/deck');
+const { initializeGame, initializeTestGame } = require('../shared/game/initialization');
+const { projectStateForPlayer, projectStateForSpectator } = require('../shared/game/stateProjection');
+
+const hands = state => state.players.map(p => p.hand);
+
+describe('createDeck', () => {
+  it('produces the same order for the same seed', () => {
+    expect(createDeck(42)).toEqual(createDeck(42));
+    expect(createDeck('tournament-final')).toEqual(createDeck('tournament-final'));
+  });
+
+  it('produces different orders for different seeds', () => {
+    expect(createDeck(1)).not.toEqual(createDeck(2));
+  });
+
+  it('rejects unusable seeds', () => {
+    expect(() => createDeck('')).toThrow('Invalid seed');
+  });
+});
+
+describe('initializeGame deal options', () => {
+  it.each([2, 3, 4])('reproduces the full %i-player deal from a seed', playerCount => {
+    const a = initializeGame(playerCount, false, { seed: 1234 });
+    const b = initializeGame(playerCount, false, { seed: 1234 });
+
+    expect(hands(a)).toEqual(hands(b));
+    expect(a.deck).toEqual(b.deck);
+    expect(a.tableCards).toEqual(b.tableCards);
+    expect(a.seed).toBe(1234);
+  });
+
+  it('records a generated seed that reproduces the deal', () => {
+    const original = initializeGame(2);
+    const replayed = initializeGame(2, false, { seed: original.seed });
+
+    expect(typeof original.seed).toBe('number');
+    expect(hands(replayed)).toEqual(hands(original));
+  });
+
+  it('deals an explicit deck order as given', () => {
+    const order = createOrderedDeck().reverse();
+    const state = initializeGame(2, false, { deck: order });
+
+    expect(state.players[0].hand).toEqual(order.slice(0, 10));
+    expect(state.players[1].hand).toEqual(order.slice(10, 20));
+    expect(state.deck).toEqual(order.slice(20));
+    expect(state.seed).toBeNull();
+    expect(state.initialDeck).toEqual(order);
+  });
+
+  it('rejects an explicit deck with missing or duplicate cards', () => {
+    const order = createOrderedDeck();
+    expect(() => initializeGame(2, false, { deck: order.slice(1) })).toThrow('exactly 40 cards');
+
+    order[1] = order[0];
+    expect(() => initializeGame(2, false, { deck: order })).toThrow('duplicate card');
+  });
+
+  it('seeds the test deal as well', () => {
+    expect(hands(initializeTestGame(2, { seed: 'debug' }))).toEqual(hands(initializeTestGame(2, { seed: 'debug' })));
+  });
+});
+
+describe('seed redaction', () => {
+  it('never sends the seed or initial deck to clients', () => {
+    const seeded = initializeGame(2, false, { seed: 99 });
+    const explicit = initializeGame(2, false, { deck: createOrderedDeck() });
+
+    for (const view of [projectStateForPlayer(seeded, 0), projectStateForSpectator(explicit)]) {
+      expect(view).not.toHaveProperty('seed');
+      expect(view).not.toHaveProperty('initialDeck');
+    }
+    expect(seeded.seed).toBe(99);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Skill rating tests
+ * Covers the Glicko-2 update, rating free-for-all and party games as
+ * rankings, and the rating update GamePersistenceService runs after a game.
+ */
+
+jest.mock('../multiplayer/server/models/GameState', () => ({ save: jest.fn(async () => ({})) }));
+jest.mock('../multiplayer/server/models/GameStats', () => ({
+  updateAfterGame: jest.fn(async () => null),
+  getRatings: jest.fn(async userIds => userIds.map(() => ({ rating: 1500, rd: 350, volatility: 0.06, games: 0 }))),
+  saveRating: jest.fn(async () => null),
+}));
+
+const GameStats = require('../multiplayer/server/models/GameStats');
+const GamePersistenceService = require('../multiplayer/server/services/GamePersistenceService');
+const { initializeGame } = require('../shared/game');
+const { updateRating, rateGame, createRating, isProvisional } = require('../multiplayer/server/utils/rating');
+
+describe('Glicko-2 rating', () => {
+  it('matches the worked example from the Glicko-2 paper', () => {
+    const rated = updateRating({ rating: 1500, rd: 200, volatility: 0.06, games: 0 }, [
+      { rating: 1400, rd: 30, score: 1 },
+      { rating: 1550, rd: 100, score: 0 },
+      { rating: 1700, rd: 300, score: 0 },
+    ]);
+
+    expect(rated.rating).toBeCloseTo(1464.06, 1);
+    expect(rated.rd).toBeCloseTo(151.52, 1);
+    expect(rated.volatility).toBeCloseTo(0.05999, 4);
+    expect(rated.games).toBe(1);
+  });
+
+  it('moves an upset further than an expected result', () => {
+    const strong = { rating: 1800, rd: 60, volatility: 0.06, games: 30 };
+    const weak = { rating: 1400, rd: 60, volatility: 0.06, games: 30 };
+
+    const expected = rateGame([{ ...strong, side: 0, points: 9 }, { ...weak, side: 1, points: 2 }]);
+    const upset = rateGame([{ ...strong, side: 0, points: 2 }, { ...weak, side: 1, points: 9 }]);
+
+    expect(upset[1].rating - weak.rating).toBeGreaterThan(expected[0].rating - strong.rating);
+  });
+
+  it('rates a free-for-all as a ranking', () => {
+    const [first, second, third] = rateGame([
+      { side: 0, points: 8 }, { side: 1, points: 5 }, { side: 2, points: 1 },
+    ]);
+
+    expect(first.rating).toBeGreaterThan(1500);
+    expect(second.rating).toBeCloseTo(1500, 5);
+    expect(third.rating).toBeLessThan(1500);
+  });
+
+  it('rates party partners together against the other team', () => {
+    const ratings = rateGame([
+      { ...createRating(), rating: 1600, side: 'A', points: 7 },
+      { ...createRating(), rating: 1400, side: 'A', points: 7 },
+      { side: 'B', points: 4 },
+      { side: 'B', points: 4 },
+    ]);
+
+    expect(ratings[0].rating).toBeGreaterThan(1600);
+    expect(ratings[1].rating).toBeGreaterThan(1400);
+    expect(ratings[2]).toEqual(ratings[3]);
+    expect(ratings[2].rating).toBeLessThan(1500);
+  });
+
+  it('keeps a player provisional for their first games', () => {
+    expect(isProvisional(createRating())).toBe(true);
+    expect(isProvisional({ ...createRating(), games: 10 })).toBe(false);
+  });
+});
+
+describe('rating after a game', () => {
+  const persistence = new GamePersistenceService();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    GameStats.saveRating.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const finishedGame = (playerCount, isParty, scores, extra = {}) => {
+    const state = initializeGame(playerCount, isParty, { seed: 1 });
+    state.players.forEach((p, i) => { p.userId = `user${i}`; });
+    return Object.assign(state, { gameOver: true, scores, ranked: true }, extra);
+  };
+
+  it('rates every signed-in player in the game\'s mode', async () => {
+    const updated = await persistence.updateRatings(finishedGame(2, false, [7, 4]), 'twoHands', 12);
+
+    expect(updated[0].rating).toBeGreaterThan(1500);
+    expect(GameStats.saveRating).toHaveBeenCalledWith('user0', 'twoHands', updated[0], 12);
+    expect(GameStats.saveRating).toHaveBeenCalledWith('user1', 'twoHands', updated[1], 12);
+  });
+
+  it('ranks a forfeiting side last whatever the score', async () => {
+    const updated = await persistence.updateRatings(finishedGame(2, false, [9, 1], { forfeitedBy: 0 }), 'twoHands');
+
+    expect(updated[0].rating).toBeLessThan(1500);
+  });
+
+  it('rates party games by team score', async () => {
+    const state = finishedGame(4, true, [0, 0, 0, 0], { teamScores: [3, 8] });
+    const updated = await persistence.updateRatings(state, 'party');
+
+    expect(updated[2].rating).toBeGreaterThan(1500);
+    expect(updated[0].rating).toEqual(updated[1].rating);
+  });
+
+  it('leaves ratings alone when a CPU or guest took a seat', async () => {
+    const state = finishedGame(2, false, [7, 4]);
+    state.players[1].userId = null;
+
+    expect(await persistence.updateRatings(state, 'twoHands')).toBeNull();
+    expect(GameStats.saveRating).not.toHaveBeenCalled();
+  });
+
+  it('leaves ratings alone when one account fills several seats', async () => {
+    const state = finishedGame(2, false, [7, 4]);
+    state.players[1].userId = state.players[0].userId;
+
+    expect(await persistence.updateRatings(state, 'twoHands')).toBeNull();
+    expect(GameStats.saveRating).not.toHaveBeenCalled();
+  });
+
+  it('leaves ratings alone after a private-room or house-rules game', async () => {
+    const privateRoom = finishedGame(2, false, [7, 4], { ranked: false });
+    const houseRules = finishedGame(2, false, [7, 4]);
+    houseRules.rules = { ...houseRules.rules, pointsToWin: 1 };
+
+    expect(await persistence.updateRatings(privateRoom, 'twoHands')).toBeNull();
+    expect(await persistence.updateRatings(houseRules, 'twoHands')).toBeNull();
+    expect(GameStats.saveRating).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Socket identity tests
+ * Covers socket/identity: identities come from verified tokens only, guests
+ * get server-issued IDs, and a live socket can't switch accounts.
+ */
+
+jest.mock('../multiplayer/server/models/User', () => ({
+  verifyToken: jest.fn(token => (token.startsWith('valid:') ? { userId: token.slice(6), sid: `session-${token.slice(6)}` } : null)),
+  verifyGuestToken: jest.fn(token => (token.startsWith('guest-token:') ? token.slice(12) : null)),
+  generateGuestToken: jest.fn(guestId => `guest-token:${guestId}`),
+}));
+
+const {
+  GUEST_ID_PREFIX,
+  resolveIdentity,
+  applyIdentity,
+  authenticateSocket,
+  playerIdFor,
+} = require('../multiplayer/server/socket/identity');
+
+const makeSocket = () => ({ id: 'socket-1', join: jest.fn() });
+
+describe('socket identity', () => {
+  it('trusts only verified tokens from the handshake or cookie', () => {
+    expect(resolveIdentity({ auth: { token: 'valid:alice' } })).toEqual({ userId: 'alice', sessionId: 'session-alice', guestId: null });
+    expect(resolveIdentity({ headers: { cookie: 'theme=dark; auth_token=valid:bob' } })).toEqual({ userId: 'bob', sessionId: 'session-bob', guestId: null });
+
+    const forged = resolveIdentity({ auth: { token: 'forged:alice', userId: 'alice' } });
+    expect(forged.userId).toBeNull();
+    expect(forged.guestId.startsWith(GUEST_ID_PREFIX)).toBe(true);
+  });
+
+  it('issues guest IDs and gives returning guests the same one', () => {
+    const first = resolveIdentity({});
+    const second = resolveIdentity({});
+    expect(first.guestId).not.toEqual(second.guestId);
+    expect(first.guestToken).toBe(`guest-token:${first.guestId}`);
+
+    expect(resolveIdentity({ auth: { guestToken: first.guestToken } })).toEqual({
+      userId: null,
+      guestId: first.guestId,
+      guestToken: first.guestToken,
+    });
+
+    const socket = makeSocket();
+    applyIdentity(socket, first);
+    expect(socket).toMatchObject({ userId: null, isGuest: true, guestId: first.guestId });
+    expect(playerIdFor(socket)).toBe(first.guestId);
+    expect(socket.join).not.toHaveBeenCalled();
+  });
+
+  it('rejects identity changes on a live socket', () => {
+    const socket = makeSocket();
+    applyIdentity(socket, { userId: 'alice', sessionId: 'session-alice', guestId: null });
+    expect(socket.join).toHaveBeenCalledWith('user:alice');
+    expect(socket.join).toHaveBeenCalledWith('session:session-alice');
+
+    expect(authenticateSocket(socket, 'alice')).toEqual({ success: false, error: 'Invalid or expired token' });
+    expect(authenticateSocket(socket, 'valid:bob')).toEqual({ success: false, error: 'Identity cannot change on a live connection' });
+    expect(authenticateSocket(socket, 'valid:alice')).toEqual({ success: true, userId: 'alice' });
+    expect(socket.userId).toBe('alice');
+  });
+
+  it('lets an idle guest sign in with a verified token', () => {
+    const socket = makeSocket();
+    applyIdentity(socket, resolveIdentity({}));
+
+    expect(authenticateSocket(socket, 'valid:carol', { isBusy: true })).toEqual({
+      success: false,
+      error: 'Leave your queue, room or game before signing in',
+    });
+    expect(authenticateSocket(socket, 'valid:carol')).toEqual({ success: true, userId: 'carol' });
+    expect(socket).toMatchObject({ userId: 'carol', guestId: null, isGuest: false });
+    expect(playerIdFor(socket)).toBe('carol');
+  });
+});
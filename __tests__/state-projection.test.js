@@ -0,0 +1,145 @@
+/**
+ * State projection tests
+ * Verifies that per-viewer game state views hide the deck, opponent hands
+ * and other players' shiya recalls, and that the broadcaster uses them.
+ */
+
+jest.mock('../multiplayer/server/models/PlayerProfile', () => ({
+  getPlayerInfos: jest.fn(async () => []),
+}));
+
+const {
+  projectStateForPlayer,
+  projectStateForSpectator,
+  projectStateForEliminated,
+} = require('../shared/game/stateProjection');
+const { initializeGame } = require('../shared/game');
+const BroadcasterService = require('../multiplayer/server/services/BroadcasterService');
+
+function createPartyState() {
+  const state = initializeGame(4, true);
+  state.shiyaRecalls = {
+    1: { stack_1: { stackId: 'stack_1', value: 7, originalOwner: 1, capturedBy: 3 } },
+    2: { stack_2: { stackId: 'stack_2', value: 9, originalOwner: 2, capturedBy: 0 } },
+  };
+  return state;
+}
+
+describe('projectStateForPlayer', () => {
+  it('keeps the viewer hand and replaces opponent hands with counts', () => {
+    const state = createPartyState();
+    const view = projectStateForPlayer(state, 1);
+
+    expect(view.players[1].hand).toEqual(state.players[1].hand);
+    expect(view.players[1].handCount).toBe(state.players[1].hand.length);
+
+    [0, 2, 3].forEach((idx) => {
+      expect(view.players[idx].hand).toEqual([]);
+      expect(view.players[idx].handCount).toBe(state.players[idx].hand.length);
+    });
+    expect(view.viewerRole).toBe('player');
+  });
+
+  it('strips the deck order but keeps the remaining count', () => {
+    const state = initializeGame(2, false);
+    const view = projectStateForPlayer(state, 0);
+
+    expect(view.deck).toEqual([]);
+    expect(view.deckCount).toBe(state.deck.length);
+    expect(state.deck.length).toBeGreaterThan(0);
+  });
+
+  it('only exposes the viewer\'s own shiya recalls', () => {
+    const view = projectStateForPlayer(createPartyState(), 1);
+
+    expect(Object.keys(view.shiyaRecalls)).toEqual(['1']);
+    expect(view.shiyaRecalls[1].stack_1.value).toBe(7);
+  });
+
+  it('does not mutate the authoritative state', () => {
+    const state = createPartyState();
+    const before = JSON.stringify(state);
+
+    projectStateForPlayer(state, 0);
+    projectStateForSpectator(state);
+
+    expect(JSON.stringify(state)).toBe(before);
+  });
+
+  it('falls back to the eliminated view for eliminated tournament players', () => {
+    const state = createPartyState();
+    state.playerStatuses = { player_2: 'ELIMINATED' };
+
+    const view = projectStateForPlayer(state, 2);
+
+    expect(view.viewerRole).toBe('eliminated');
+    expect(view.players[2].hand).toEqual([]);
+    expect(view.shiyaRecalls).toEqual({});
+  });
+});
+
+describe('spectator and eliminated views', () => {
+  it('hides every hand and every recall from spectators', () => {
+    const state = createPartyState();
+    const view = projectStateForSpectator(state);
+
+    view.players.forEach((player, idx) => {
+      expect(player.hand).toEqual([]);
+      expect(player.handCount).toBe(state.players[idx].hand.length);
+    });
+    expect(view.shiyaRecalls).toEqual({});
+    expect(view.viewerRole).toBe('spectator');
+  });
+
+  it('records which seat an eliminated viewer used to hold', () => {
+    const view = projectStateForEliminated(createPartyState(), 3);
+
+    expect(view.eliminatedPlayerIndex).toBe(3);
+    expect(view.players.every(p => p.hand.length === 0)).toBe(true);
+  });
+
+  it('treats a missing player index as a spectator', () => {
+    const view = projectStateForPlayer(createPartyState(), null);
+    expect(view.viewerRole).toBe('spectator');
+  });
+});
+
+describe('BroadcasterService.broadcastGameUpdate', () => {
+  const createSocket = (id) => ({ id, emit: jest.fn() });
+
+  it('sends each socket a view containing only its own hand', () => {
+    const state = initializeGame(2, false);
+    const sockets = [createSocket('s0'), createSocket('s1')];
+    const matchmaking = { getGameSockets: jest.fn(() => sockets) };
+    const gameManager = { socketPlayerMap: new Map([[7, new Map([['s0', 0], ['s1', 1]])]]) };
+    const broadcaster = new BroadcasterService(matchmaking, gameManager, { to: jest.fn() });
+
+    broadcaster.broadcastGameUpdate(7, state);
+
+    const [event0, payload0] = sockets[0].emit.mock.calls[0];
+    const payload1 = sockets[1].emit.mock.calls[0][1];
+
+    expect(event0).toBe('game-update');
+    expect(payload0.playerNumber).toBe(0);
+    expect(payload0.players[0].hand).toEqual(state.players[0].hand);
+    expect(payload0.players[1].hand).toEqual([]);
+    expect(payload1.players[1].hand).toEqual(state.players[1].hand);
+    expect(payload1.players[0].hand).toEqual([]);
+    expect(payload0.deck).toEqual([]);
+  });
+
+  it('falls back to a spectator view for room broadcasts', () => {
+    const state = initializeGame(2, false);
+    const roomEmit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit: roomEmit })) };
+    const matchmaking = { getGameSockets: jest.fn(() => []) };
+    const broadcaster = new BroadcasterService(matchmaking, null, io);
+
+    broadcaster.broadcastGameUpdate(3, state);
+
+    expect(io.to).toHaveBeenCalledWith('game-3');
+    const payload = roomEmit.mock.calls[0][1];
+    expect(payload.players.every(p => p.hand.length === 0)).toBe(true);
+    expect(payload.deck).toEqual([]);
+  });
+});
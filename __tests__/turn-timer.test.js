@@ -0,0 +1,238 @@
+/**
+ * Server turn timer tests
+ * Covers the per-turn deadline kept by TurnTimerService, the timeout policy
+ * run by GameCoordinatorService and the host's room settings.
+ */
+
+jest.mock('../multiplayer/server/models/GameState', () => ({ save: jest.fn(async () => ({})) }));
+jest.mock('../multiplayer/server/models/GameStats', () => ({ updateAfterGame: jest.fn(async () => null) }));
+
+const GameManager = require('../multiplayer/server/game/GameManager');
+const ActionRouter = require('../multiplayer/server/game/ActionRouter');
+const SocketRegistry = require('../multiplayer/server/services/SocketRegistry');
+const GameCoordinatorService = require('../multiplayer/server/services/GameCoordinatorService');
+const TurnTimerService = require('../multiplayer/server/services/TurnTimerService');
+const RoomService = require('../multiplayer/server/services/RoomService');
+const { TIMEOUT_POLICIES } = require('../multiplayer/server/config/turnTimer');
+const { buildReplayFrames, REPLAY_EVENTS } = require('../shared/game/replay');
+
+const card = (rank, suit) => ({ rank, suit, value: rank === 'A' ? 1 : Number(rank) });
+
+function setupGame(turnSettings) {
+  const gameManager = new GameManager();
+  const actionRouter = new ActionRouter(gameManager);
+  const matchmaking = { socketRegistry: new SocketRegistry() };
+  const broadcaster = {
+    broadcastToGame: jest.fn(),
+    broadcastToOthers: jest.fn(),
+    broadcastGameUpdate: jest.fn((gameId, state) => coordinator.turnTimer.sync(gameId, state)),
+    sendError: jest.fn(),
+  };
+  const coordinator = new GameCoordinatorService(gameManager, actionRouter, matchmaking, broadcaster, null);
+
+  const { gameId, gameState } = gameManager.startGame(2, false, { seed: 'timer' });
+  gameState.turnSettings = turnSettings;
+  gameState.players[0].hand = [card('9', '♠'), card('3', '♦'), card('7', '♣')];
+  gameState.players[1].hand = [card('8', '♥'), card('6', '♦'), card('5', '♣')];
+  gameState.tableCards = [card('10', '♥')];
+
+  const sockets = [0, 1].map(i => {
+    const socket = { id: `s${i}`, emit: jest.fn() };
+    gameManager.addPlayerToGame(gameId, socket.id, i);
+    matchmaking.socketRegistry.set(socket.id, gameId, 'two-hands');
+    return socket;
+  });
+  coordinator.turnTimer.sync(gameId, gameState);
+
+  return { gameManager, coordinator, broadcaster, gameId, sockets };
+}
+
+describe('TurnTimerService', () => {
+  let now;
+  let onExpire;
+  let timer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    now = 1000;
+    onExpire = jest.fn();
+    timer = new TurnTimerService({ onExpire, now: () => now });
+  });
+
+  afterEach(() => {
+    timer.shutdown();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const state = (overrides = {}) => ({
+    round: 1, turnCounter: 1, currentPlayer: 0, playerCount: 2, players: [{}, {}],
+    turnSettings: { turnMs: 30000 }, ...overrides,
+  });
+
+  it('stamps a deadline that holds for the rest of the same turn', () => {
+    const first = timer.sync(7, state());
+    now += 5000;
+    const again = timer.sync(7, state());
+
+    expect(first).toMatchObject({ turnDeadline: 31000, turnRemainingMs: 30000, turnDurationMs: 30000 });
+    expect(again).toMatchObject({ turnDeadline: 31000, turnRemainingMs: 25000 });
+  });
+
+  it('starts a fresh deadline when the turn moves on', () => {
+    timer.sync(7, state());
+    now += 5000;
+
+    expect(timer.sync(7, state({ turnCounter: 2, currentPlayer: 1 })).turnDeadline).toBe(36000);
+  });
+
+  it('holds the remaining time while paused and resumes from it', () => {
+    timer.sync(7, state());
+    now += 10000;
+    jest.advanceTimersByTime(10000);
+
+    const paused = timer.sync(7, state({ turnTimerPaused: true }));
+    expect(paused).toMatchObject({ turnDeadline: null, turnRemainingMs: 20000 });
+
+    now += 60000;
+    jest.advanceTimersByTime(60000);
+    expect(onExpire).not.toHaveBeenCalled();
+
+    expect(timer.sync(7, state()).turnDeadline).toBe(now + 20000);
+    jest.advanceTimersByTime(20000);
+    expect(onExpire).toHaveBeenCalledWith(7, 0);
+  });
+
+  it('stops timing finished games', () => {
+    timer.sync(7, state());
+    timer.sync(7, state({ gameOver: true }));
+    jest.advanceTimersByTime(60000);
+
+    expect(onExpire).not.toHaveBeenCalled();
+    expect(timer.getDeadline(7)).toBeNull();
+  });
+});
+
+describe('turn timeout policy', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('trails the lowest card for a player who runs out of time and logs it for replay', () => {
+    const { gameManager, coordinator, broadcaster, gameId } = setupGame({
+      turnMs: 20000, onTimeout: TIMEOUT_POLICIES.AUTO_TRAIL, maxTimeouts: 1,
+    });
+    const initial = JSON.parse(JSON.stringify(gameManager.getGameState(gameId)));
+
+    jest.advanceTimersByTime(20000);
+
+    const state = gameManager.getGameState(gameId);
+    expect(state.tableCards).toContainEqual(card('3', '♦'));
+    expect(state.currentPlayer).toBe(1);
+    expect(state.turnTimeouts).toEqual({ 0: 1 });
+    expect(state.turnDeadline).toBe(Date.now() + 20000);
+    expect(broadcaster.broadcastToGame).toHaveBeenCalledWith(
+      gameId, 'turn-timeout', expect.objectContaining({ playerIndex: 0, timeouts: 1, forfeited: false }), expect.anything()
+    );
+
+    const log = gameManager.getActionLog(gameId);
+    expect(log.map(e => e.type)).toEqual([REPLAY_EVENTS.TURN_TIMEOUT, 'trail']);
+
+    // The logged entries rebuild the same table from the dealt state
+    const { createActionRouter } = require('../shared/game/ActionRouter');
+    const { applyLogEntry } = require('../shared/game/replay');
+    const router = createActionRouter({ handlers: require('../shared/game/actions') });
+    const replayed = log.reduce((s, entry) => applyLogEntry(router, s, entry), initial);
+    expect(replayed.tableCards).toEqual(state.tableCards);
+    expect(replayed.turnTimeouts).toEqual(state.turnTimeouts);
+
+    coordinator.turnTimer.shutdown();
+  });
+
+  it('forfeits a player once they reach the timeout limit', () => {
+    const { gameManager, coordinator, broadcaster, gameId, sockets } = setupGame({
+      turnMs: 20000, onTimeout: TIMEOUT_POLICIES.FORFEIT, maxTimeouts: 2,
+    });
+
+    jest.advanceTimersByTime(20000); // player 0 times out and trails
+    coordinator.handleGameAction(sockets[1], { type: 'trail', payload: { card: card('5', '♣') } });
+    jest.advanceTimersByTime(20000); // second timeout ends the game
+
+    const state = gameManager.getGameState(gameId);
+    expect(state.gameOver).toBe(true);
+    expect(state.forfeitedBy).toBe(0);
+    expect(broadcaster.broadcastToGame).toHaveBeenCalledWith(
+      gameId, 'game-over', expect.objectContaining({ winner: 1, forfeitedBy: 0 }), expect.anything()
+    );
+    expect(gameManager.getActionLog(gameId).filter(e => e.system).map(e => e.type)).toEqual([
+      REPLAY_EVENTS.TURN_TIMEOUT,
+      REPLAY_EVENTS.TURN_TIMEOUT,
+      REPLAY_EVENTS.FORFEIT,
+      REPLAY_EVENTS.GAME_OVER,
+    ]);
+    expect(coordinator.turnTimer.getDeadline(gameId)).toBeNull();
+  });
+
+  it('does nothing when the player moved before the timer fired', () => {
+    const { gameManager, coordinator, gameId } = setupGame({
+      turnMs: 20000, onTimeout: TIMEOUT_POLICIES.AUTO_TRAIL, maxTimeouts: 1,
+    });
+    const state = gameManager.getGameState(gameId);
+    state.currentPlayer = 1;
+
+    coordinator._handleTurnTimeout(gameId, 0);
+
+    expect(gameManager.getActionLog(gameId)).toEqual([]);
+    coordinator.turnTimer.shutdown();
+  });
+
+  it('replays timeouts and forfeits from the log', () => {
+    const { frames, error } = buildReplayFrames({
+      playerCount: 2,
+      seed: 'timer',
+      actions: [
+        { seq: 1, system: true, type: REPLAY_EVENTS.TURN_TIMEOUT, payload: { playerIndex: 0 } },
+        { seq: 2, system: true, type: REPLAY_EVENTS.FORFEIT, payload: { playerIndex: 0 } },
+      ],
+    });
+
+    expect(error).toBeNull();
+    expect(frames.at(-1).state).toMatchObject({ turnTimeouts: { 0: 1 }, forfeitedBy: 0 });
+  });
+});
+
+describe('room turn settings', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets the host pick the turn length and rejects out-of-range values', () => {
+    const roomService = new RoomService({}, {}, null);
+    const host = { id: 'host' };
+    const guest = { id: 'guest' };
+
+    const { room } = roomService.createRoom(host, 'party', undefined, { turnSeconds: 45 });
+    expect(room.turnSettings).toMatchObject({ turnMs: 45000 });
+
+    expect(roomService.updateRoomSettings(host, { turnSeconds: 5 })).toEqual({
+      success: false, error: expect.stringContaining('between'),
+    });
+    expect(roomService.updateRoomSettings(host, { onTimeout: TIMEOUT_POLICIES.AUTO_TRAIL }).room.turnSettings)
+      .toEqual({ turnMs: 45000, onTimeout: TIMEOUT_POLICIES.AUTO_TRAIL, maxTimeouts: 3 });
+
+    roomService.joinRoom(guest, room.code);
+    expect(roomService.updateRoomSettings(guest, { turnSeconds: 60 }).error).toBe('Only the host can change room settings');
+  });
+});
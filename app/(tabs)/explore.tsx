@@ -2,7 +2,8 @@
  * Learn / Tutorial Hub
  * 
  * Interactive tutorials for learning game mechanics.
- * Features animated demonstrations of gameplay actions.
+ * Features animated demonstrations of gameplay actions, and hands-on
+ * lessons ("Try it") where the player makes the move on a real board.
  */
 
 import React, { useState } from 'react';
@@ -13,9 +14,12 @@ import {
   ScrollView, 
   TouchableOpacity,
 } from 'react-native';
+import { useRouter } from 'expo-router';
 import { ThemedText } from '@/components/themed/themed-text';
 import { TutorialViewer } from '@/components/tutorials';
+import { useTutorialProgress } from '@/hooks/useTutorialProgress';
 import tutorials from '../../shared/game/tutorials';
+import { LESSON_IDS } from '../../shared/game/tutorials/interactive';
 
 
 // Group tutorials by difficulty
@@ -54,7 +58,9 @@ interface Tutorial {
 }
 
 export default function TabTwoScreen() {
+  const router = useRouter();
   const [selectedTutorial, setSelectedTutorial] = useState<Tutorial | null>(null);
+  const { isCompleted } = useTutorialProgress();
 
   const tutorialList = Object.values(tutorials) as Tutorial[];
 
@@ -74,7 +80,10 @@ export default function TabTwoScreen() {
         </Text>
       </View>
       <View style={styles.cardContent}>
-        <Text style={styles.cardTitle}>{tutorial.title}</Text>
+        <Text style={styles.cardTitle}>
+          {tutorial.title}
+          {isCompleted(tutorial.id) && <Text style={styles.completedMark}>  ✓</Text>}
+        </Text>
         <Text style={styles.cardDescription} numberOfLines={2}>
           {tutorial.description}
         </Text>
@@ -87,7 +96,17 @@ export default function TabTwoScreen() {
           </Text>
         </View>
       </View>
-      <Text style={styles.arrow}>›</Text>
+      {LESSON_IDS.includes(tutorial.id) ? (
+        <TouchableOpacity
+          style={styles.tryButton}
+          onPress={() => router.push({ pathname: '/tutorial-play', params: { lessonId: tutorial.id } })}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+        >
+          <Text style={styles.tryButtonText}>Try it</Text>
+        </TouchableOpacity>
+      ) : (
+        <Text style={styles.arrow}>›</Text>
+      )}
     </TouchableOpacity>
   );
 
@@ -128,6 +147,22 @@ export default function TabTwoScreen() {
         </ThemedText>
       </View>
 
+      {/* Daily Puzzle */}
+      <TouchableOpacity
+        style={styles.puzzleCard}
+        onPress={() => router.push('/puzzles')}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.puzzleEmoji}>🧩</Text>
+        <View style={styles.cardContent}>
+          <Text style={styles.cardTitle}>Daily Puzzle</Text>
+          <Text style={styles.cardDescription}>
+            Find the best move. A new puzzle every day — keep your streak going!
+          </Text>
+        </View>
+        <Text style={styles.arrow}>›</Text>
+      </TouchableOpacity>
+
       {/* Tutorial Groups */}
       {renderTutorialGroup('beginner')}
       {renderTutorialGroup('intermediate')}
@@ -139,8 +174,8 @@ export default function TabTwoScreen() {
         <View style={styles.tipContent}>
           <Text style={styles.tipTitle}>Pro Tip</Text>
           <Text style={styles.tipText}>
-            Tap on any tutorial to watch an animated demonstration. 
-            Use the play/pause button to control the playback!
+            Tap on any tutorial to watch an animated demonstration, 
+            then tap Try it to play the move yourself!
           </Text>
         </View>
       </View>
@@ -283,6 +318,36 @@ const styles = StyleSheet.create({
     color: '#CCC',
     marginLeft: 8,
   },
+  puzzleCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF8E1',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 24,
+    borderWidth: 1.5,
+    borderColor: '#FFD700',
+  },
+  puzzleEmoji: {
+    fontSize: 28,
+    marginRight: 12,
+  },
+  tryButton: {
+    marginLeft: 8,
+    backgroundColor: '#4CAF50',
+    borderRadius: 14,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  tryButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  completedMark: {
+    color: '#4CAF50',
+    fontWeight: 'bold',
+  },
   tipContainer: {
     flexDirection: 'row',
     backgroundColor: '#FFF9C4',
@@ -47,6 +47,8 @@ export default function RootLayout() {
             <Stack.Screen name="leaderboards" />
             <Stack.Screen name="online-play" />
             <Stack.Screen name="cpu-game" />
+            <Stack.Screen name="tutorial-play" />
+            <Stack.Screen name="puzzles" />
 
             <Stack.Screen name="private-room" />
             <Stack.Screen name="create-room" />
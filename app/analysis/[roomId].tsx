@@ -0,0 +1,312 @@
+/**
+ * Game Analysis Screen
+ * Post-game report for a finished game: how each player tended to play,
+ * then every move with the scoring cards it moved, its point swing and any
+ * capture of point cards it missed.
+ * The report is worked out on the device from the game's action log
+ * (see hooks/useGameAnalysis).
+ */
+
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useGameAnalysis, AnalyzedMove, PlayerTendencies } from '../../hooks/useGameAnalysis';
+
+// In-game color scheme - matching replay/stats
+const COLORS = {
+  background: '#0f4d0f',
+  headerBg: '#1a5c1a',
+  primary: '#FFD700',
+  text: '#FFFFFF',
+  textMuted: 'rgba(255, 255, 255, 0.6)',
+  cardBg: 'rgba(0, 0, 0, 0.4)',
+  border: 'rgba(255, 215, 0, 0.3)',
+  gain: '#4CAF50',
+  error: '#FF6B6B',
+};
+
+const STYLE_LABELS: Record<PlayerTendencies['style'], string> = {
+  capturer: 'Takes what the table offers',
+  builder: 'Likes to build',
+  cautious: 'Plays it safe with trails',
+  balanced: 'Balanced',
+  none: 'No moves',
+};
+
+export const options = {
+  headerShown: false,
+};
+
+function formatSwing(swing: number): string {
+  return swing > 0 ? `+${swing}` : `${swing}`;
+}
+
+function PlayerSummary({ name, summary }: { name: string; summary: PlayerTendencies }) {
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{name}</Text>
+      <Text style={styles.styleText}>{STYLE_LABELS[summary.style]}</Text>
+      <Text style={styles.mutedText}>
+        {summary.moves} moves · {summary.captures} captures · {summary.builds} builds · {summary.steals} steals · {summary.trails} trails
+      </Text>
+      <Text style={styles.mutedText}>
+        Point cards: {summary.pointCardsTaken.length ? summary.pointCardsTaken.join(' ') : 'none'} ({summary.pointsTaken} pts)
+      </Text>
+      <Text style={styles.mutedText}>
+        Net swing {formatSwing(summary.netSwing)} · {summary.missedCaptures} missed captures
+        {summary.pointsMissed ? ` (${summary.pointsMissed} pts left on the table)` : ''}
+      </Text>
+    </View>
+  );
+}
+
+function MoveRow({ move, name }: { move: AnalyzedMove; name: string }) {
+  return (
+    <View style={[styles.moveRow, move.missedCapture && styles.moveRowMissed]}>
+      <View style={styles.moveHeader}>
+        <Text style={styles.moveText}>
+          {move.index + 1}. {name}: {move.description}
+        </Text>
+        {move.swing !== 0 && (
+          <Text style={[styles.swing, move.swing > 0 ? styles.swingGain : styles.swingLoss]}>
+            {formatSwing(move.swing)}
+          </Text>
+        )}
+      </View>
+      {move.pointCards.length > 0 && (
+        <Text style={styles.mutedText}>
+          {move.pointCards.map(c => `${c.card} ${c.change === 'gained' ? '→' : '←'} P${c.player + 1}`).join(' · ')}
+        </Text>
+      )}
+      {move.missedCapture && (
+        <Text style={styles.warningText}>
+          Missed: {move.missedCapture.description} ({move.missedCapture.points} pts)
+        </Text>
+      )}
+    </View>
+  );
+}
+
+export default function GameAnalysisScreen() {
+  const router = useRouter();
+  const { roomId } = useLocalSearchParams<{ roomId: string }>();
+  const { replay, analysis, isLoading, error, refresh } = useGameAnalysis(roomId);
+  const [keyMovesOnly, setKeyMovesOnly] = useState(false);
+
+  const playerName = (idx: number) => replay?.players?.[idx]?.name || `Player ${idx + 1}`;
+  const moves = (analysis?.moves || []).filter(
+    m => !keyMovesOnly || m.pointCards.length > 0 || m.missedCapture
+  );
+
+  const header = (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.headerButton}
+        onPress={() => router.back()}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      >
+        <Ionicons name="arrow-back" size={22} color={COLORS.text} />
+      </TouchableOpacity>
+      <View style={styles.titleContainer}>
+        <Text style={styles.brandName}>ANALYSIS</Text>
+        <Text style={styles.brandSub}>Game {roomId}</Text>
+      </View>
+      <TouchableOpacity
+        style={styles.headerButton}
+        onPress={() => router.push(`/replay/${roomId}`)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        accessibilityLabel="Watch replay"
+      >
+        <Ionicons name="play-circle-outline" size={22} color={COLORS.text} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <ActivityIndicator size="large" color={COLORS.primary} style={styles.loading} />
+      </View>
+    );
+  }
+
+  if (error || !analysis) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <View style={styles.centered}>
+          <Text style={styles.errorTitle}>Failed to analyse game</Text>
+          {error && <Text style={styles.mutedText}>{error}</Text>}
+          <TouchableOpacity style={styles.controlButton} onPress={refresh}>
+            <Text style={styles.controlText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {header}
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        {analysis.players.map(summary => (
+          <PlayerSummary key={summary.playerIndex} name={playerName(summary.playerIndex)} summary={summary} />
+        ))}
+
+        <View style={styles.section}>
+          <View style={styles.moveHeader}>
+            <Text style={styles.sectionTitle}>Moves</Text>
+            <TouchableOpacity onPress={() => setKeyMovesOnly(on => !on)}>
+              <Text style={styles.filterText}>{keyMovesOnly ? 'Show all' : 'Key moves only'}</Text>
+            </TouchableOpacity>
+          </View>
+          {analysis.error && <Text style={styles.warningText}>{analysis.error}</Text>}
+          {moves.length === 0 && <Text style={styles.mutedText}>No moves to show</Text>}
+          {moves.map(move => (
+            <MoveRow key={move.index} move={move} name={playerName(move.playerIndex)} />
+          ))}
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 50,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    backgroundColor: COLORS.headerBg,
+    borderBottomWidth: 1,
+    borderBottomColor: `${COLORS.primary}15`,
+  },
+  headerButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    padding: 8,
+    borderRadius: 8,
+  },
+  titleContainer: {
+    alignItems: 'center',
+  },
+  brandName: {
+    color: COLORS.primary,
+    fontSize: 18,
+    fontWeight: '700',
+    letterSpacing: 2,
+  },
+  brandSub: {
+    color: COLORS.textMuted,
+    fontSize: 9,
+    fontWeight: '600',
+    letterSpacing: 1,
+    textTransform: 'uppercase',
+    marginTop: 1,
+  },
+  loading: {
+    marginTop: 60,
+  },
+  centered: {
+    alignItems: 'center',
+    paddingTop: 50,
+    gap: 12,
+  },
+  errorTitle: {
+    color: COLORS.primary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 14,
+    gap: 10,
+  },
+  section: {
+    backgroundColor: COLORS.cardBg,
+    borderRadius: 10,
+    padding: 10,
+    gap: 6,
+  },
+  sectionTitle: {
+    color: COLORS.text,
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  styleText: {
+    color: COLORS.primary,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  mutedText: {
+    color: COLORS.textMuted,
+    fontSize: 12,
+  },
+  warningText: {
+    color: COLORS.error,
+    fontSize: 12,
+  },
+  filterText: {
+    color: COLORS.primary,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  moveRow: {
+    borderLeftWidth: 2,
+    borderLeftColor: 'transparent',
+    paddingLeft: 8,
+    paddingVertical: 4,
+    gap: 2,
+  },
+  moveRowMissed: {
+    borderLeftColor: COLORS.error,
+  },
+  moveHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 8,
+  },
+  moveText: {
+    color: COLORS.text,
+    fontSize: 13,
+    flexShrink: 1,
+  },
+  swing: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  swingGain: {
+    color: COLORS.gain,
+  },
+  swingLoss: {
+    color: COLORS.error,
+  },
+  controlButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  controlText: {
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+});
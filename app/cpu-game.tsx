@@ -8,19 +8,27 @@
  * - useLocalGame: Client-side game state management
  * - useCpuEngine: CPU AI decision making
  * - GameBoard: Reusable game UI component
+ *
+ * The player picks the CPU difficulty before the first deal.
  */
 
 import React, { useState } from 'react';
-import { StyleSheet, View, Text, ActivityIndicator } from 'react-native';
+import { StyleSheet, View, Text, ActivityIndicator, Pressable } from 'react-native';
 import { GameBoard } from '../components/game/GameBoard';
 import { useLocalGame, GameState } from '../hooks/game/useLocalGame';
-import { useCpuEngine } from '../hooks/game/useCpuEngine';
+import { useCpuEngine, CpuLevel } from '../hooks/game/useCpuEngine';
 import { useRouter } from 'expo-router';
 
 export const options = {
   headerShown: false,
 };
 
+const DIFFICULTIES: { level: CpuLevel; title: string; description: string }[] = [
+  { level: 'easy', title: 'Easy', description: 'Plays loosely and often misses points' },
+  { level: 'medium', title: 'Medium', description: 'Goes after the best-scoring move each turn' },
+  { level: 'hard', title: 'Hard', description: 'Thinks ahead about the cards you might hold' },
+];
+
 export default function CpuGameScreen() {
   const router = useRouter();
   
@@ -30,16 +38,46 @@ export default function CpuGameScreen() {
     playerNumber,
     isCpuTurn,
     resetGame,
-    startNextRound 
+    startNextRound,
+    error,
+    clearError,
   } = useLocalGame(2); // 2 players: human vs CPU
+
+  const [level, setLevel] = useState<CpuLevel | null>(null);
   
   // Hook up CPU AI
   useCpuEngine({
     gameState,
     executeAction: sendAction,
-    enabled: true,
+    enabled: level !== null,
+    level: level ?? 'medium',
   });
 
+  // Pick a difficulty, then deal a fresh game
+  if (!level) {
+    return (
+      <View style={styles.pickerContainer}>
+        <Text style={styles.pickerTitle}>Choose CPU difficulty</Text>
+        {DIFFICULTIES.map(option => (
+          <Pressable
+            key={option.level}
+            style={({ pressed }) => [styles.levelCard, pressed && styles.levelCardPressed]}
+            onPress={() => {
+              resetGame();
+              setLevel(option.level);
+            }}
+          >
+            <Text style={styles.levelTitle}>{option.title}</Text>
+            <Text style={styles.levelDescription}>{option.description}</Text>
+          </Pressable>
+        ))}
+        <Pressable onPress={() => router.back()}>
+          <Text style={styles.pickerBack}>Back</Text>
+        </Pressable>
+      </View>
+    );
+  }
+
   // Wait for game to initialize
   if (!gameState) {
     return (
@@ -62,7 +100,9 @@ export default function CpuGameScreen() {
       {isCpuTurn && (
         <View style={styles.cpuIndicator}>
           <ActivityIndicator size="small" color="#FFFFFF" />
-          <Text style={styles.cpuIndicatorText}>CPU is thinking...</Text>
+          <Text style={styles.cpuIndicatorText}>
+            CPU ({DIFFICULTIES.find(d => d.level === level)?.title}) is thinking...
+          </Text>
         </View>
       )}
       
@@ -75,8 +115,8 @@ export default function CpuGameScreen() {
           resetGame();
         }}
         onBackToMenu={() => {}}
-        serverError={null}
-        onServerErrorClose={() => {}}
+        serverError={error ? { message: error } : null}
+        onServerErrorClose={clearError}
         opponentDrag={null}
         emitDragStart={() => {}}
         emitDragMove={() => {}}
@@ -97,6 +137,48 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  pickerContainer: {
+    flex: 1,
+    backgroundColor: '#0f4d0f',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    gap: 12,
+  },
+  pickerTitle: {
+    color: '#FFD700',
+    fontSize: 22,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  levelCard: {
+    width: '100%',
+    maxWidth: 420,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: 'rgba(255, 215, 0, 0.3)',
+    paddingVertical: 14,
+    paddingHorizontal: 18,
+  },
+  levelCardPressed: {
+    borderColor: '#FFD700',
+  },
+  levelTitle: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  levelDescription: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 13,
+    marginTop: 2,
+  },
+  pickerBack: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 15,
+    marginTop: 8,
+  },
   loadingText: {
     color: 'white',
     fontSize: 18,
@@ -189,6 +189,7 @@ export default function GameModesScreen() {
   const router = useRouter();
   const { width, height } = useWindowDimensions();
   const [selectedMode, setSelectedMode] = useState<GameModeOption | null>('two-hands');
+  const [ranked, setRanked] = useState(false);
 
   // Responsive calculations
   const isPortrait = height > width;
@@ -202,7 +203,7 @@ export default function GameModesScreen() {
 
   const handleStartGame = () => {
     if (selectedMode) {
-      router.push(`/online-play?mode=${selectedMode}`);
+      router.push(`/online-play?mode=${selectedMode}${ranked ? '&ranked=1' : ''}`);
     }
   };
 
@@ -257,6 +258,15 @@ export default function GameModesScreen() {
         </View>
       </ScrollView>
 
+      {/* Ranked toggle - matched by skill rating instead of arrival order */}
+      <Pressable
+        style={[styles.rankedToggle, { maxWidth: maxContentWidth }, ranked && styles.rankedToggleOn]}
+        onPress={() => setRanked(r => !r)}
+      >
+        <Ionicons name={ranked ? 'checkbox' : 'square-outline'} size={18} color="#f5c842" />
+        <Text style={styles.rankedToggleText}>Ranked (matched by skill rating)</Text>
+      </Pressable>
+
       {/* Start Button */}
       <Pressable
         style={({ pressed }) => [
@@ -268,6 +278,15 @@ export default function GameModesScreen() {
       >
         <Text style={styles.startButtonText}>Start game</Text>
       </Pressable>
+
+      {/* Scheduled knockout tournaments */}
+      <Pressable
+        style={[styles.tournamentsLink, { maxWidth: maxContentWidth }]}
+        onPress={() => router.push('/tournaments')}
+      >
+        <Ionicons name="trophy-outline" size={16} color="#f5c842" />
+        <Text style={styles.rankedToggleText}>Tournaments</Text>
+      </Pressable>
     </View>
   );
 }
@@ -367,8 +386,29 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#a8d87a',
   },
+  rankedToggle: {
+    marginTop: 16,
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: '#2a6632',
+    alignSelf: 'center',
+  },
+  rankedToggleOn: {
+    borderColor: '#f5c842',
+  },
+  rankedToggleText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#f5c842',
+  },
   startButton: {
-    marginTop: 20,
+    marginTop: 12,
     width: '100%',
     paddingVertical: 14,
     backgroundColor: '#f5c842',
@@ -376,6 +416,16 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     alignSelf: 'center',
   },
+  tournamentsLink: {
+    marginTop: 10,
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 8,
+    alignSelf: 'center',
+  },
   startButtonPressed: {
     backgroundColor: '#fad84a',
   },
@@ -185,7 +185,7 @@ export default function LeaderboardsScreen() {
   const entries = leaderboard.map((entry, index) => ({
     rank: entry.rank || index + 1,
     name: entry.username || 'Unknown',
-    score: entry.wins || 0,
+    score: entry.rating ?? entry.wins ?? 0,
     wins: entry.wins || 0,
     country: '🌍',
   }));
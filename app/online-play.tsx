@@ -21,7 +21,7 @@ import { useRouter, useLocalSearchParams } from 'expo-router';
 import { Lobby } from '../components/lobby/Lobby';
 import { GameRoomContainer } from '../components/lobby/GameRoomContainer';
 import { ErrorScreen } from '../components/lobby/ErrorScreen';
-import { useSocketConnection, useOpponentDrag } from '../hooks/multiplayer';
+import { useSocketConnection, useOpponentDrag, useGameChat } from '../hooks/multiplayer';
 import { useRoom } from '../hooks/useRoom';
 import { useGameState } from '../hooks/useGameSession';
 import { useSoundContext } from '../hooks/useSoundContext';
@@ -33,7 +33,7 @@ export const options = {
 
 export default function OnlinePlayScreen() {
   const router = useRouter();
-  const params = useLocalSearchParams<{ mode?: string; roomCode?: string }>();
+  const params = useLocalSearchParams<{ mode?: string; roomCode?: string; ranked?: string }>();
   const mode = (params.mode as GameMode) || 'party';
   const roomCodeParam = params.roomCode || null;
   const modeConfig = MODE_CONFIG[mode];
@@ -56,7 +56,8 @@ export default function OnlinePlayScreen() {
   // Connection - handles both public matchmaking and private room detection
   const { socket, isConnected } = useSocketConnection({ 
     mode, 
-    roomCode: roomCodeParam 
+    roomCode: roomCodeParam,
+    ranked: params.ranked === '1',
   });
 
   // Room - handles room lifecycle (create/join/leave)
@@ -68,6 +69,8 @@ export default function OnlinePlayScreen() {
 
   const opponentDrag = useOpponentDrag(socket);
 
+  const chat = useGameChat(socket);
+
   useEffect(() => {
     if (game.gameState != null) {
       setInGameMode(true);
@@ -115,6 +118,7 @@ export default function OnlinePlayScreen() {
         isConnected={true}
         onCopyRoomCode={handleCopyRoomCode}
         roomCode={roomCodeParam}
+        rules={room.room.rules}
       />
     );
   }
@@ -156,6 +160,7 @@ export default function OnlinePlayScreen() {
       emitDragStackStart={opponentDrag?.emitDragStackStart}
       emitDragStackMove={opponentDrag?.emitDragStackMove}
       emitDragStackEnd={opponentDrag?.emitDragStackEnd}
+      chat={chat}
     />
   );
 }
@@ -0,0 +1,171 @@
+/**
+ * Puzzle Screen
+ *
+ * "Find the best move": a fixed table, hand and captures, and one move to
+ * find. Shows today's daily puzzle, or the puzzle given by `puzzleId`.
+ *
+ * The screen uses:
+ * - usePuzzleGame: puzzle loading, local play and answer checking
+ * - GameBoard: Reusable game UI component
+ */
+
+import React from 'react';
+import { StyleSheet, View, Text, Pressable, ActivityIndicator } from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { GameBoard } from '../components/game/GameBoard';
+import { usePuzzleGame } from '../hooks/game/usePuzzleGame';
+
+export const options = {
+  headerShown: false,
+};
+
+export default function PuzzleScreen() {
+  const router = useRouter();
+  const { puzzleId } = useLocalSearchParams<{ puzzleId?: string }>();
+
+  const {
+    puzzle,
+    isDaily,
+    gameState,
+    sendAction,
+    playerNumber,
+    isLoading,
+    isChecking,
+    result,
+    error,
+    stats,
+    retry,
+  } = usePuzzleGame(puzzleId);
+
+  if (isLoading || !puzzle || !gameState) {
+    return (
+      <View style={styles.loadingContainer}>
+        {isLoading ? (
+          <ActivityIndicator size="large" color="#FFD700" />
+        ) : (
+          <Text style={styles.message}>This puzzle isn&apos;t available.</Text>
+        )}
+        <Pressable onPress={() => router.back()}>
+          <Text style={styles.action}>Back</Text>
+        </Pressable>
+      </View>
+    );
+  }
+
+  let message = puzzle.description;
+  let bannerStyle = styles.bannerPrompt;
+  if (isChecking) {
+    message = 'Checking your move...';
+  } else if (result?.correct) {
+    message = `Correct! ${result.move} is the best play.`;
+    bannerStyle = styles.bannerSuccess;
+  } else if (result) {
+    message = `${result.move} isn't the best play.`;
+    if (result.best) message += ` The best was: ${result.best.description}.`;
+    bannerStyle = styles.bannerError;
+  } else if (error) {
+    message = error;
+    bannerStyle = styles.bannerError;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.banner, bannerStyle]}>
+        <Text style={styles.title}>
+          {isDaily ? 'Daily Puzzle · ' : ''}{puzzle.title} ({puzzle.difficulty})
+        </Text>
+        <Text style={styles.message}>{message}</Text>
+        <View style={styles.actions}>
+          {stats && (
+            <Text style={styles.streak}>
+              🔥 {stats.currentStreak} day streak · best {stats.bestStreak}
+            </Text>
+          )}
+          {((result && !result.correct) || error) && (
+            <Pressable onPress={retry}>
+              <Text style={styles.action}>Try again</Text>
+            </Pressable>
+          )}
+          <Pressable onPress={() => router.back()}>
+            <Text style={styles.action}>{result?.correct ? 'Done' : 'Quit'}</Text>
+          </Pressable>
+        </View>
+      </View>
+
+      <GameBoard
+        gameState={gameState as any}
+        playerNumber={playerNumber}
+        sendAction={sendAction}
+        onRestart={retry}
+        onBackToMenu={() => router.back()}
+        serverError={null}
+        onServerErrorClose={() => {}}
+        opponentDrag={null}
+        emitDragStart={() => {}}
+        emitDragMove={() => {}}
+        emitDragEnd={() => {}}
+        allowHints={false}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f4d0f',
+  },
+  loadingContainer: {
+    flex: 1,
+    backgroundColor: '#0f4d0f',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 12,
+  },
+  banner: {
+    position: 'absolute',
+    top: 12,
+    left: 60,
+    right: 60,
+    zIndex: 1000,
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  bannerPrompt: {
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+  },
+  bannerSuccess: {
+    backgroundColor: 'rgba(46, 125, 50, 0.9)',
+  },
+  bannerError: {
+    backgroundColor: 'rgba(183, 28, 28, 0.9)',
+  },
+  title: {
+    color: '#FFD700',
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  message: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: 16,
+    marginTop: 6,
+  },
+  streak: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 13,
+    marginRight: 'auto',
+  },
+  action: {
+    color: '#FFD700',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
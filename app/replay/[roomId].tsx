@@ -0,0 +1,340 @@
+/**
+ * Replay Screen
+ * Steps through a finished game forward and backward.
+ * Every state is rebuilt on the device from the game's seed and action log
+ * (see hooks/useReplay), so all hands are shown face up.
+ */
+
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { PlayingCard } from '../../components/cards/PlayingCard';
+import { useReplay, ReplayEntry } from '../../hooks/useReplay';
+import type { TableItem } from '../../types/game.types';
+
+// In-game color scheme - matching stats/leaderboards
+const COLORS = {
+  background: '#0f4d0f',
+  headerBg: '#1a5c1a',
+  primary: '#FFD700',
+  text: '#FFFFFF',
+  textMuted: 'rgba(255, 255, 255, 0.6)',
+  cardBg: 'rgba(0, 0, 0, 0.4)',
+  border: 'rgba(255, 215, 0, 0.3)',
+  error: '#FF6B6B',
+};
+
+const CARD_WIDTH = 36;
+const CARD_HEIGHT = 54;
+
+const SYSTEM_EVENT_LABELS: Record<string, string> = {
+  roundEnd: 'Round ended',
+  nextRound: 'New round dealt',
+  gameOver: 'Game over',
+  skipTurn: 'Turn skipped',
+};
+
+export const options = {
+  headerShown: false,
+};
+
+/**
+ * Human-readable description of a log entry
+ */
+function describeEntry(entry: ReplayEntry | null, playerNames: string[]): string {
+  if (!entry) return 'Deal';
+  if (entry.system) {
+    const label = SYSTEM_EVENT_LABELS[entry.type] || entry.type;
+    return entry.type === 'skipTurn' && entry.payload?.playerIndex !== undefined
+      ? `${label} (${playerNames[entry.payload.playerIndex]})`
+      : label;
+  }
+
+  const name = playerNames[entry.playerIndex ?? 0] || `Player ${(entry.playerIndex ?? 0) + 1}`;
+  const card = entry.payload?.card;
+  const cardText = card ? ` ${card.rank}${card.suit}` : '';
+  const routed = entry.routedType && entry.routedType !== entry.type ? ` → ${entry.routedType}` : '';
+  return `${name}: ${entry.type}${routed}${cardText}`;
+}
+
+function TableItemView({ item }: { item: TableItem }) {
+  if ('type' in item && item.type) {
+    const top = item.cards[item.cards.length - 1];
+    return (
+      <View style={styles.stack}>
+        {top && <PlayingCard rank={top.rank} suit={top.suit} width={CARD_WIDTH} height={CARD_HEIGHT} />}
+        <Text style={styles.stackLabel}>
+          {item.type === 'build_stack' ? 'Build' : 'Temp'} {item.value}
+        </Text>
+      </View>
+    );
+  }
+  const card = item as { rank: string; suit: string };
+  return <PlayingCard rank={card.rank} suit={card.suit} width={CARD_WIDTH} height={CARD_HEIGHT} />;
+}
+
+export default function ReplayScreen() {
+  const router = useRouter();
+  const { roomId } = useLocalSearchParams<{ roomId: string }>();
+  const {
+    replay,
+    frames,
+    step,
+    isLoading,
+    error,
+    replayError,
+    stepForward,
+    stepBack,
+    goTo,
+    refresh,
+  } = useReplay(roomId);
+
+  const frame = frames[step];
+  const state = frame?.state;
+  const playerNames = (state?.players || []).map(
+    (p, idx) => replay?.players?.[idx]?.name || p.name || `Player ${idx + 1}`
+  );
+  const lastStep = Math.max(frames.length - 1, 0);
+
+  const header = (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => router.back()}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      >
+        <Ionicons name="arrow-back" size={22} color={COLORS.text} />
+      </TouchableOpacity>
+      <View style={styles.titleContainer}>
+        <Text style={styles.brandName}>REPLAY</Text>
+        <Text style={styles.brandSub}>Game {roomId}</Text>
+      </View>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => router.push(`/analysis/${roomId}`)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        accessibilityLabel="Game analysis"
+      >
+        <Ionicons name="analytics-outline" size={22} color={COLORS.text} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <ActivityIndicator size="large" color={COLORS.primary} style={styles.loading} />
+      </View>
+    );
+  }
+
+  if (error || !state) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <View style={styles.centered}>
+          <Text style={styles.errorTitle}>Failed to load replay</Text>
+          {error && <Text style={styles.mutedText}>{error}</Text>}
+          <TouchableOpacity style={styles.controlButton} onPress={refresh}>
+            <Text style={styles.controlText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {header}
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <View style={styles.section}>
+          <Text style={styles.stepTitle}>{describeEntry(frame.entry, playerNames)}</Text>
+          <Text style={styles.mutedText}>
+            Step {step} of {lastStep} · Round {state.round} · Deck {state.deck?.length ?? 0}
+          </Text>
+          {replayError && step === lastStep && (
+            <Text style={styles.warningText}>{replayError}</Text>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Table</Text>
+          <View style={styles.cardRow}>
+            {state.tableCards.length === 0 && <Text style={styles.mutedText}>Empty</Text>}
+            {state.tableCards.map((item, idx) => (
+              <TableItemView key={idx} item={item as TableItem} />
+            ))}
+          </View>
+        </View>
+
+        {state.players.map((player, idx) => (
+          <View
+            key={idx}
+            style={[styles.section, state.currentPlayer === idx && !state.gameOver && styles.activeSection]}
+          >
+            <Text style={styles.sectionTitle}>
+              {playerNames[idx]} · {player.captures.length} captured
+              {state.scores?.[idx] !== undefined ? ` · ${state.scores[idx]} pts` : ''}
+            </Text>
+            <View style={styles.cardRow}>
+              {player.hand.map((card, cardIdx) => (
+                <PlayingCard
+                  key={`${card.rank}${card.suit}${cardIdx}`}
+                  rank={card.rank}
+                  suit={card.suit}
+                  width={CARD_WIDTH}
+                  height={CARD_HEIGHT}
+                />
+              ))}
+            </View>
+          </View>
+        ))}
+      </ScrollView>
+
+      {/* Step controls */}
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.controlButton} onPress={() => goTo(0)} disabled={step === 0}>
+          <Ionicons name="play-skip-back" size={20} color={step === 0 ? COLORS.textMuted : COLORS.text} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={stepBack} disabled={step === 0}>
+          <Ionicons name="chevron-back" size={20} color={step === 0 ? COLORS.textMuted : COLORS.text} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={stepForward} disabled={step === lastStep}>
+          <Ionicons name="chevron-forward" size={20} color={step === lastStep ? COLORS.textMuted : COLORS.text} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={() => goTo(lastStep)} disabled={step === lastStep}>
+          <Ionicons name="play-skip-forward" size={20} color={step === lastStep ? COLORS.textMuted : COLORS.text} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 50,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    backgroundColor: COLORS.headerBg,
+    borderBottomWidth: 1,
+    borderBottomColor: `${COLORS.primary}15`,
+  },
+  backButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    padding: 8,
+    borderRadius: 8,
+  },
+  titleContainer: {
+    alignItems: 'center',
+  },
+  brandName: {
+    color: COLORS.primary,
+    fontSize: 18,
+    fontWeight: '700',
+    letterSpacing: 2,
+  },
+  brandSub: {
+    color: COLORS.textMuted,
+    fontSize: 9,
+    fontWeight: '600',
+    letterSpacing: 1,
+    textTransform: 'uppercase',
+    marginTop: 1,
+  },
+  loading: {
+    marginTop: 60,
+  },
+  centered: {
+    alignItems: 'center',
+    paddingTop: 50,
+    gap: 12,
+  },
+  errorTitle: {
+    color: COLORS.primary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 14,
+    gap: 10,
+  },
+  section: {
+    backgroundColor: COLORS.cardBg,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    padding: 10,
+    gap: 6,
+  },
+  activeSection: {
+    borderColor: COLORS.border,
+  },
+  sectionTitle: {
+    color: COLORS.text,
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  stepTitle: {
+    color: COLORS.primary,
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  mutedText: {
+    color: COLORS.textMuted,
+    fontSize: 12,
+  },
+  warningText: {
+    color: COLORS.error,
+    fontSize: 12,
+  },
+  cardRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+  },
+  stack: {
+    alignItems: 'center',
+  },
+  stackLabel: {
+    color: COLORS.primary,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 16,
+    paddingVertical: 12,
+    backgroundColor: COLORS.headerBg,
+  },
+  controlButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  controlText: {
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+});
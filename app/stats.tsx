@@ -17,7 +17,10 @@ import {
 import { useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { usePlayerProfile } from '../hooks/usePlayerProfile';
-import { usePlayerStats, ModeStats } from '../hooks/usePlayerStats';
+import { usePlayerStats, ModeStats, StatWindow } from '../hooks/usePlayerStats';
+import { useGameHistory } from '../hooks/useGameHistory';
+import { StatBars } from '../components/stats/StatBars';
+import { PointsTrend } from '../components/stats/PointsTrend';
 
 import { GAME_MODES } from '../shared/config/gameModes';
 
@@ -44,6 +47,21 @@ const MODES = [
 
 type ModeId = typeof MODES[number]['id'];
 
+// Time windows for the detailed play stats
+const WINDOWS: { id: StatWindow; label: string }[] = [
+  { id: 'week', label: '7 Days' },
+  { id: 'month', label: '30 Days' },
+  { id: 'all', label: 'All Time' },
+];
+
+// Recent games shown in the points trend
+const TREND_GAMES = 20;
+
+// Finished games listed under Recent Games
+const HISTORY_GAMES = 10;
+
+const modeTitle = (key: string) => GAME_MODES.find(mode => mode.key === key)?.title || key;
+
 
 
 export const options = {
@@ -54,8 +72,10 @@ export default function StatsScreen() {
   const router = useRouter();
   const { width } = useWindowDimensions();
   const { profile, isLoading: profileLoading } = usePlayerProfile();
-  const { stats, isLoading: statsLoading, error, refresh } = usePlayerStats();
+  const { stats, ratings, detailed, isLoading: statsLoading, error, refresh } = usePlayerStats();
+  const { games: history } = useGameHistory();
   const [selectedMode, setSelectedMode] = useState<ModeId>('all');
+  const [selectedWindow, setSelectedWindow] = useState<StatWindow>('month');
 
   const isLoading = profileLoading || statsLoading;
 
@@ -72,6 +92,21 @@ export default function StatsScreen() {
     return stats.modeStats?.[selectedMode] || { games: 0, wins: 0, losses: 0 };
   }, [stats, selectedMode]);
 
+  // Skill rating for the selected mode (ratings are per mode)
+  const modeRating = selectedMode === 'all' ? null : ratings?.[selectedMode] ?? null;
+
+  // Detailed play stats for the selected mode and window
+  const playStats = detailed?.modes?.[selectedMode]?.[selectedWindow] ?? null;
+  const trendPoints = useMemo(() => (detailed?.trend || [])
+    .filter(game => selectedMode === 'all' || game.mode === selectedMode)
+    .slice(-TREND_GAMES)
+    .map(game => game.points), [detailed, selectedMode]);
+
+  // Finished games in the selected mode - each opens its post-game analysis
+  const recentGames = useMemo(() => history
+    .filter(game => selectedMode === 'all' || game.gameMode === selectedMode)
+    .slice(0, HISTORY_GAMES), [history, selectedMode]);
+
   // Calculate win rate for selected mode
   const winRate = modeStats && modeStats.games > 0 
     ? ((modeStats.wins / modeStats.games) * 100).toFixed(1)
@@ -192,6 +227,30 @@ export default function StatsScreen() {
           </View>
         </View>
 
+        {/* Skill Rating Section */}
+        {modeRating && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Skill Rating</Text>
+            <View style={styles.statsRow}>
+              <View style={styles.statBox}>
+                <Text style={styles.statBoxIcon}>⭐</Text>
+                <Text style={styles.statBoxValueGold}>{modeRating.rating}{modeRating.provisional ? '?' : ''}</Text>
+                <Text style={styles.statBoxLabel}>{modeRating.provisional ? 'Provisional' : 'Rating'}</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statBoxIcon}>±</Text>
+                <Text style={styles.statBoxValue}>{modeRating.deviation}</Text>
+                <Text style={styles.statBoxLabel}>Deviation</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statBoxIcon}>🎯</Text>
+                <Text style={styles.statBoxValue}>{modeRating.games}</Text>
+                <Text style={styles.statBoxLabel}>Rated Games</Text>
+              </View>
+            </View>
+          </View>
+        )}
+
         {/* Point Retention Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Point Retention</Text>
@@ -214,7 +273,112 @@ export default function StatsScreen() {
           </View>
         </View>
 
-        
+        {/* Play Style Section - detailed stats from finished games */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Play Style</Text>
+          <View style={styles.windowToggleRow}>
+            {WINDOWS.map(window => (
+              <TouchableOpacity
+                key={window.id}
+                style={[styles.modeToggle, selectedWindow === window.id && styles.modeToggleActive]}
+                onPress={() => setSelectedWindow(window.id)}
+              >
+                <Text style={[
+                  styles.modeToggleText,
+                  selectedWindow === window.id && styles.modeToggleTextActive
+                ]}>
+                  {window.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {playStats && playStats.games > 0 ? (
+            <>
+              <View style={styles.statsRow}>
+                <View style={styles.statBox}>
+                  <Text style={styles.statBoxValueGold}>{playStats.averagePoints.toFixed(1)}</Text>
+                  <Text style={styles.statBoxLabel}>Avg Points</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statBoxValue}>{playStats.capturesPerGame.toFixed(1)}</Text>
+                  <Text style={styles.statBoxLabel}>Captures/Game</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statBoxValue}>{playStats.trailsPerGame.toFixed(1)}</Text>
+                  <Text style={styles.statBoxLabel}>Trails/Game</Text>
+                </View>
+              </View>
+              <View style={[styles.statsRow, styles.statsRowSpaced]}>
+                <View style={styles.statBox}>
+                  <Text style={styles.statBoxValue}>{playStats.buildsCreatedPerGame.toFixed(1)}</Text>
+                  <Text style={styles.statBoxLabel}>Builds/Game</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statBoxValue}>{playStats.buildsStolenPerGame.toFixed(1)}</Text>
+                  <Text style={styles.statBoxLabel}>Steals/Game</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statBoxValue}>{playStats.lastCaptureSweeps}</Text>
+                  <Text style={styles.statBoxLabel}>Last Sweeps</Text>
+                </View>
+                <View style={styles.statBox}>
+                  <Text style={styles.statBoxValue}>{playStats.shiyaRecalls}</Text>
+                  <Text style={styles.statBoxLabel}>Shiya Recalls</Text>
+                </View>
+              </View>
+
+              <View style={styles.chartCard}>
+                <StatBars
+                  bars={[
+                    { label: '10♦ captured', value: playStats.tenDiamondShare },
+                    { label: '2♠ captured', value: playStats.twoSpadeShare },
+                    { label: 'Aces captured', value: playStats.aceShare },
+                    { label: 'Spade bonus', value: playStats.spadeBonusRate },
+                    { label: 'Card-count bonus', value: playStats.cardCountBonusRate },
+                  ]}
+                />
+              </View>
+            </>
+          ) : (
+            <Text style={styles.statBoxLabel}>No detailed stats for this period yet</Text>
+          )}
+        </View>
+
+        {/* Points Trend Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Points Trend</Text>
+          <View style={styles.chartCard}>
+            <PointsTrend points={trendPoints} />
+          </View>
+        </View>
+
+        {/* Recent Games Section - opens each game's analysis */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Recent Games</Text>
+          {recentGames.length > 0 ? (
+            recentGames.map(game => (
+              <TouchableOpacity
+                key={String(game.roomId)}
+                style={styles.historyRow}
+                onPress={() => router.push(`/analysis/${game.roomId}`)}
+              >
+                <View style={styles.historyInfo}>
+                  <Text style={styles.historyMode}>{modeTitle(game.gameMode)}</Text>
+                  <Text style={styles.statBoxLabel} numberOfLines={1}>
+                    {game.players.map(p => p.username || p.name).join(' · ')}
+                  </Text>
+                </View>
+                <Text style={styles.statBoxLabel}>
+                  {game.completedAt ? new Date(game.completedAt).toLocaleDateString() : ''}
+                </Text>
+                <Ionicons name="analytics-outline" size={18} color={COLORS.primary} />
+              </TouchableOpacity>
+            ))
+          ) : (
+            <Text style={styles.statBoxLabel}>No finished games yet</Text>
+          )}
+        </View>
 
         {/* Bottom padding */}
         <View style={styles.bottomPadding} />
@@ -357,6 +521,41 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginTop: 2,
   },
+  statsRowSpaced: {
+    marginTop: 8,
+  },
+  windowToggleRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chartCard: {
+    backgroundColor: COLORS.cardBg,
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 215, 0, 0.08)',
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    backgroundColor: COLORS.cardBg,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 215, 0, 0.08)',
+  },
+  historyInfo: {
+    flex: 1,
+  },
+  historyMode: {
+    color: COLORS.text,
+    fontSize: 14,
+    fontWeight: '700',
+  },
   bottomPadding: {
     height: 40,
   },
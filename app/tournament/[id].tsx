@@ -0,0 +1,322 @@
+/**
+ * Tournament Bracket Screen
+ * Shows a knockout tournament's bracket round by round: seeds, byes,
+ * tables in play, results and the champion.
+ */
+
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useBracket, BracketMatch, BracketPlayer } from '../../hooks/useBracket';
+
+// In-game color scheme - matching stats/leaderboards
+const COLORS = {
+  background: '#0f4d0f',
+  headerBg: '#1a5c1a',
+  primary: '#FFD700',
+  text: '#FFFFFF',
+  textMuted: 'rgba(255, 255, 255, 0.6)',
+  cardBg: 'rgba(0, 0, 0, 0.4)',
+  border: 'rgba(255, 215, 0, 0.3)',
+  error: '#FF6B6B',
+  live: '#4CAF50',
+};
+
+const MATCH_WIDTH = 170;
+
+const STATUS_LABELS: Record<string, string> = {
+  registering: 'Registering',
+  playing: 'In progress',
+  complete: 'Finished',
+};
+
+export const options = {
+  headerShown: false,
+};
+
+/**
+ * Score line under a decided match
+ */
+function describeResult(match: BracketMatch): string | null {
+  if (match.status === 'bye') return 'Bye';
+  if (match.status === 'playing') return `Playing · table ${match.gameId}`;
+  if (!match.result) return null;
+  if (match.result.walkover) return 'Walkover';
+  const scores = match.result.scores?.join(' - ') || '';
+  return match.result.forfeitedBy !== null ? `${scores} (forfeit)` : scores;
+}
+
+function PlayerRow({ player, isWinner, isLoser }: { player: BracketPlayer | null; isWinner: boolean; isLoser: boolean }) {
+  return (
+    <View style={styles.playerRow}>
+      <Text style={styles.seed}>{player ? player.seed : ''}</Text>
+      <Text
+        style={[styles.playerName, isWinner && styles.winnerName, isLoser && styles.loserName]}
+        numberOfLines={1}
+      >
+        {player ? player.name : '—'}
+      </Text>
+      {isWinner && <Ionicons name="checkmark" size={14} color={COLORS.primary} />}
+    </View>
+  );
+}
+
+function MatchCard({ match }: { match: BracketMatch }) {
+  const result = describeResult(match);
+  return (
+    <View style={[styles.match, match.status === 'playing' && styles.liveMatch]}>
+      {match.players.map((player, idx) => (
+        <PlayerRow
+          key={idx}
+          player={player}
+          isWinner={!!player && match.winner === player.id}
+          isLoser={!!player && !!match.winner && match.winner !== player.id}
+        />
+      ))}
+      {result && <Text style={[styles.result, match.status === 'playing' && styles.liveText]}>{result}</Text>}
+    </View>
+  );
+}
+
+export default function TournamentBracketScreen() {
+  const router = useRouter();
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const { bracket, isLoading, error, refresh } = useBracket(id);
+
+  const champion = bracket?.champion
+    ? bracket.rounds.at(-1)?.matches[0]?.players.find(p => p?.id === bracket.champion)
+    : null;
+
+  const header = (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => router.back()}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      >
+        <Ionicons name="arrow-back" size={22} color={COLORS.text} />
+      </TouchableOpacity>
+      <View style={styles.titleContainer}>
+        <Text style={styles.brandName}>TOURNAMENT</Text>
+        <Text style={styles.brandSub}>
+          {bracket ? `${bracket.size}-player knockout · ${STATUS_LABELS[bracket.status]}` : 'Bracket'}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.backButton} onPress={refresh}>
+        <Ionicons name="refresh" size={22} color={COLORS.text} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (isLoading && !bracket) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <ActivityIndicator size="large" color={COLORS.primary} style={styles.loading} />
+      </View>
+    );
+  }
+
+  if (!bracket) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <View style={styles.centered}>
+          <Text style={styles.errorTitle}>Failed to load bracket</Text>
+          {error && <Text style={styles.mutedText}>{error}</Text>}
+          <TouchableOpacity style={styles.retryButton} onPress={refresh}>
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {header}
+
+      <View style={styles.summary}>
+        {champion ? (
+          <Text style={styles.champion}>🏆 {champion.name}</Text>
+        ) : bracket.status === 'registering' ? (
+          <Text style={styles.mutedText}>{bracket.entrants} of {bracket.size} players registered</Text>
+        ) : (
+          <Text style={styles.mutedText}>{bracket.currentRoundName} in play</Text>
+        )}
+        {error && <Text style={styles.warningText}>{error}</Text>}
+      </View>
+
+      {/* Rounds side by side, scrolled horizontally */}
+      <ScrollView horizontal contentContainerStyle={styles.roundsContent}>
+        {bracket.rounds.map(round => (
+          <View key={round.round} style={styles.round}>
+            <Text style={[styles.roundTitle, round.round === bracket.currentRound && styles.currentRoundTitle]}>
+              {round.name}
+            </Text>
+            <ScrollView contentContainerStyle={styles.roundMatches}>
+              {round.matches.map(match => (
+                <MatchCard key={match.id} match={match} />
+              ))}
+            </ScrollView>
+          </View>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 50,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    backgroundColor: COLORS.headerBg,
+    borderBottomWidth: 1,
+    borderBottomColor: `${COLORS.primary}15`,
+  },
+  backButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    padding: 8,
+    borderRadius: 8,
+  },
+  titleContainer: {
+    alignItems: 'center',
+  },
+  brandName: {
+    color: COLORS.primary,
+    fontSize: 18,
+    fontWeight: '700',
+    letterSpacing: 2,
+  },
+  brandSub: {
+    color: COLORS.textMuted,
+    fontSize: 9,
+    fontWeight: '600',
+    letterSpacing: 1,
+    textTransform: 'uppercase',
+    marginTop: 1,
+  },
+  loading: {
+    marginTop: 60,
+  },
+  centered: {
+    alignItems: 'center',
+    paddingTop: 50,
+    gap: 12,
+  },
+  errorTitle: {
+    color: COLORS.primary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  retryButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  retryText: {
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+  summary: {
+    alignItems: 'center',
+    paddingVertical: 10,
+    gap: 4,
+  },
+  champion: {
+    color: COLORS.primary,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  mutedText: {
+    color: COLORS.textMuted,
+    fontSize: 12,
+  },
+  warningText: {
+    color: COLORS.error,
+    fontSize: 12,
+  },
+  roundsContent: {
+    paddingHorizontal: 14,
+    paddingBottom: 14,
+    gap: 12,
+  },
+  round: {
+    width: MATCH_WIDTH,
+  },
+  roundTitle: {
+    color: COLORS.textMuted,
+    fontSize: 12,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  currentRoundTitle: {
+    color: COLORS.primary,
+  },
+  roundMatches: {
+    flexGrow: 1,
+    justifyContent: 'space-around',
+    gap: 8,
+  },
+  match: {
+    backgroundColor: COLORS.cardBg,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    padding: 8,
+    gap: 4,
+  },
+  liveMatch: {
+    borderColor: COLORS.border,
+  },
+  playerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  seed: {
+    color: COLORS.textMuted,
+    fontSize: 11,
+    width: 16,
+    textAlign: 'right',
+  },
+  playerName: {
+    color: COLORS.text,
+    fontSize: 13,
+    flex: 1,
+  },
+  winnerName: {
+    color: COLORS.primary,
+    fontWeight: '700',
+  },
+  loserName: {
+    color: COLORS.textMuted,
+  },
+  result: {
+    color: COLORS.textMuted,
+    fontSize: 11,
+    marginTop: 2,
+  },
+  liveText: {
+    color: COLORS.live,
+  },
+});
@@ -0,0 +1,393 @@
+/**
+ * Tournaments Screen
+ * Scheduled knockout tournaments: register, check in when the window opens,
+ * follow the bracket once it starts, or schedule a new one.
+ */
+
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  Pressable,
+  ScrollView,
+  TextInput,
+  ActivityIndicator,
+  useWindowDimensions,
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useTournaments, ScheduledTournament } from '../hooks/useTournaments';
+
+const START_IN_CHOICES = [
+  { label: '30 min', minutes: 30 },
+  { label: '1 hour', minutes: 60 },
+  { label: '3 hours', minutes: 180 },
+  { label: 'Tomorrow', minutes: 24 * 60 },
+];
+const CAP_CHOICES = [8, 16, 32];
+const RATING_FLOOR_CHOICES: (number | null)[] = [null, 1400, 1600, 1800];
+
+const STATUS_LABELS: Record<ScheduledTournament['status'], string> = {
+  registration: 'Registration open',
+  'check-in': 'Check-in open',
+  started: 'In progress',
+  cancelled: 'Cancelled',
+};
+
+export const options = {
+  headerShown: false,
+};
+
+function formatStart(iso: string): string {
+  const date = new Date(iso);
+  return `${date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })} ${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function Chip({ label, selected, onPress }: { label: string; selected: boolean; onPress: () => void }) {
+  return (
+    <Pressable style={[styles.chip, selected && styles.chipSelected]} onPress={onPress}>
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </Pressable>
+  );
+}
+
+export default function TournamentsScreen() {
+  const router = useRouter();
+  const { width } = useWindowDimensions();
+  const { tournaments, isLoading, error, createTournament, register, unregister, checkIn } = useTournaments();
+
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [name, setName] = useState('');
+  const [startInMinutes, setStartInMinutes] = useState(START_IN_CHOICES[1].minutes);
+  const [maxPlayers, setMaxPlayers] = useState(CAP_CHOICES[0]);
+  const [minRating, setMinRating] = useState<number | null>(null);
+  const [friendsOnly, setFriendsOnly] = useState(false);
+
+  const horizontalPadding = width < 400 ? 16 : 20;
+  const maxContentWidth = Math.min(width - horizontalPadding * 2, 480);
+
+  const run = async (action: Promise<{ success: boolean; error?: string }>) => {
+    setActionError(null);
+    const result = await action;
+    if (!result.success) setActionError(result.error || 'Something went wrong');
+    return result.success;
+  };
+
+  const handleCreate = async () => {
+    const created = await run(createTournament({
+      name,
+      startsAt: new Date(Date.now() + startInMinutes * 60 * 1000).toISOString(),
+      maxPlayers,
+      minRating,
+      friendsOnly,
+    }));
+    if (created) {
+      setShowCreate(false);
+      setName('');
+    }
+  };
+
+  const renderAction = (tournament: ScheduledTournament) => {
+    if (tournament.status === 'started' && tournament.bracketTournamentId) {
+      return (
+        <Pressable style={styles.actionButton} onPress={() => router.push(`/tournament/${tournament.bracketTournamentId}`)}>
+          <Text style={styles.actionText}>View bracket</Text>
+        </Pressable>
+      );
+    }
+    if (tournament.status === 'cancelled') return null;
+
+    if (!tournament.isRegistered) {
+      const isFull = tournament.registeredCount >= tournament.maxPlayers;
+      return (
+        <Pressable
+          style={[styles.actionButton, isFull && styles.actionButtonDisabled]}
+          disabled={isFull}
+          onPress={() => run(register(tournament.id))}
+        >
+          <Text style={styles.actionText}>{isFull ? 'Full' : 'Register'}</Text>
+        </Pressable>
+      );
+    }
+
+    return (
+      <View style={styles.actionRow}>
+        {tournament.status === 'check-in' && !tournament.isCheckedIn && (
+          <Pressable style={styles.actionButton} onPress={() => run(checkIn(tournament.id))}>
+            <Text style={styles.actionText}>Check in</Text>
+          </Pressable>
+        )}
+        {tournament.isCheckedIn && <Text style={styles.checkedIn}>Checked in ✓</Text>}
+        <Pressable style={styles.secondaryButton} onPress={() => run(unregister(tournament.id))}>
+          <Text style={styles.secondaryText}>Withdraw</Text>
+        </Pressable>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingHorizontal: horizontalPadding }]}>
+      <View style={styles.headerRow}>
+        <Pressable style={styles.backButton} onPress={() => router.back()} hitSlop={10}>
+          <Ionicons name="arrow-back" size={22} color="#f5c842" />
+        </Pressable>
+        <Text style={styles.title}>Tournaments</Text>
+        <Pressable style={styles.backButton} onPress={() => setShowCreate(s => !s)} hitSlop={10}>
+          <Ionicons name={showCreate ? 'close' : 'add'} size={22} color="#f5c842" />
+        </Pressable>
+      </View>
+
+      {(actionError || error) && <Text style={styles.errorText}>{actionError || error}</Text>}
+
+      <ScrollView contentContainerStyle={[styles.list, { maxWidth: maxContentWidth }]}>
+        {/* Schedule a tournament */}
+        {showCreate && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>New tournament</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Name"
+              placeholderTextColor="#6f9a5a"
+              value={name}
+              onChangeText={setName}
+              maxLength={40}
+            />
+            <Text style={styles.label}>Starts in</Text>
+            <View style={styles.chipRow}>
+              {START_IN_CHOICES.map(choice => (
+                <Chip key={choice.minutes} label={choice.label} selected={startInMinutes === choice.minutes} onPress={() => setStartInMinutes(choice.minutes)} />
+              ))}
+            </View>
+            <Text style={styles.label}>Player cap</Text>
+            <View style={styles.chipRow}>
+              {CAP_CHOICES.map(cap => (
+                <Chip key={cap} label={`${cap}`} selected={maxPlayers === cap} onPress={() => setMaxPlayers(cap)} />
+              ))}
+            </View>
+            <Text style={styles.label}>Rating floor</Text>
+            <View style={styles.chipRow}>
+              {RATING_FLOOR_CHOICES.map(floor => (
+                <Chip key={floor ?? 'none'} label={floor ? `${floor}+` : 'None'} selected={minRating === floor} onPress={() => setMinRating(floor)} />
+              ))}
+            </View>
+            <Pressable style={styles.toggle} onPress={() => setFriendsOnly(f => !f)}>
+              <Ionicons name={friendsOnly ? 'checkbox' : 'square-outline'} size={18} color="#f5c842" />
+              <Text style={styles.toggleText}>Friends only</Text>
+            </Pressable>
+            <Pressable style={styles.actionButton} onPress={handleCreate}>
+              <Text style={styles.actionText}>Schedule</Text>
+            </Pressable>
+          </View>
+        )}
+
+        {isLoading && tournaments.length === 0 && <ActivityIndicator color="#f5c842" style={styles.loading} />}
+        {!isLoading && tournaments.length === 0 && (
+          <Text style={styles.emptyText}>No tournaments scheduled. Tap + to schedule one.</Text>
+        )}
+
+        {tournaments.map(tournament => (
+          <View key={tournament.id} style={[styles.card, tournament.status === 'check-in' && styles.cardHighlighted]}>
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle} numberOfLines={1}>{tournament.name}</Text>
+              <View style={styles.badge}>
+                <Text style={styles.badgeText}>{STATUS_LABELS[tournament.status]}</Text>
+              </View>
+            </View>
+            <Text style={styles.detail}>
+              {formatStart(tournament.startsAt)} · check-in from {new Date(tournament.checkInOpensAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+            </Text>
+            <Text style={styles.detail}>
+              {tournament.registeredCount}/{tournament.maxPlayers} registered · {tournament.checkedInCount} checked in (min {tournament.minPlayers})
+            </Text>
+            {(tournament.requirements.minRating || tournament.requirements.friendsOnly) && (
+              <Text style={styles.detail}>
+                {[
+                  tournament.requirements.minRating ? `Rating ${tournament.requirements.minRating}+` : null,
+                  tournament.requirements.friendsOnly ? 'Friends of the organiser' : null,
+                ].filter(Boolean).join(' · ')}
+              </Text>
+            )}
+            {renderAction(tournament)}
+          </View>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a4a1a',
+    paddingTop: 40,
+    paddingBottom: 20,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  backButton: {
+    padding: 6,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '600',
+    color: '#f5c842',
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#FF6B6B',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  list: {
+    width: '100%',
+    alignSelf: 'center',
+    gap: 12,
+    paddingBottom: 20,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#8fba6a',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  card: {
+    backgroundColor: '#0f3318',
+    borderRadius: 14,
+    borderWidth: 1.5,
+    borderColor: '#2a6632',
+    padding: 16,
+    gap: 6,
+  },
+  cardHighlighted: {
+    borderColor: '#f5c842',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#f5c842',
+  },
+  detail: {
+    fontSize: 13,
+    color: '#8fba6a',
+  },
+  badge: {
+    backgroundColor: '#2a5c20',
+    paddingHorizontal: 10,
+    paddingVertical: 3,
+    borderRadius: 20,
+    borderWidth: 0.5,
+    borderColor: '#3a7a2a',
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: '500',
+    color: '#a8d87a',
+  },
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginTop: 6,
+  },
+  actionButton: {
+    marginTop: 6,
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+    backgroundColor: '#f5c842',
+    borderRadius: 12,
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1a4a1a',
+  },
+  secondaryButton: {
+    marginTop: 6,
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: '#2a6632',
+  },
+  secondaryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#a8d87a',
+  },
+  checkedIn: {
+    marginTop: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#a8d87a',
+  },
+  input: {
+    backgroundColor: '#143d1e',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#2a6632',
+    color: '#ffffff',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+  },
+  label: {
+    fontSize: 12,
+    color: '#8fba6a',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#2a6632',
+  },
+  chipSelected: {
+    borderColor: '#f5c842',
+    backgroundColor: '#143d1e',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#a8d87a',
+  },
+  chipTextSelected: {
+    color: '#f5c842',
+  },
+  toggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 6,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: '#ffffff',
+  },
+});
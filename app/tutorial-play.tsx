@@ -0,0 +1,170 @@
+/**
+ * Tutorial Play Screen
+ *
+ * Interactive tutorial lesson: the learner makes the move themselves on a
+ * live GameBoard. Moves are checked by the shared engine; wrong ones show
+ * feedback and the board goes back for another try.
+ *
+ * The screen uses:
+ * - useTutorialGame: lesson state and move checking
+ * - useTutorialProgress: records finished lessons for the player
+ * - GameBoard: Reusable game UI component
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { StyleSheet, View, Text, Pressable } from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { GameBoard } from '../components/game/GameBoard';
+import { useTutorialGame, TutorialFeedbackType } from '../hooks/game/useTutorialGame';
+import { useTutorialProgress } from '../hooks/useTutorialProgress';
+import { LESSON_IDS } from '../shared/game/tutorials/interactive';
+
+export const options = {
+  headerShown: false,
+};
+
+const FEEDBACK_COLORS: Record<TutorialFeedbackType, string> = {
+  prompt: 'rgba(0, 0, 0, 0.75)',
+  error: 'rgba(183, 28, 28, 0.9)',
+  success: 'rgba(46, 125, 50, 0.9)',
+};
+
+export default function TutorialPlayScreen() {
+  const router = useRouter();
+  const { lessonId } = useLocalSearchParams<{ lessonId: string }>();
+
+  if (!LESSON_IDS.includes(lessonId)) {
+    return (
+      <View style={styles.missingContainer}>
+        <Text style={styles.bannerMessage}>This lesson isn&apos;t available.</Text>
+        <Pressable onPress={() => router.back()}>
+          <Text style={styles.bannerAction}>Back</Text>
+        </Pressable>
+      </View>
+    );
+  }
+
+  return <TutorialLesson lessonId={lessonId} />;
+}
+
+function TutorialLesson({ lessonId }: { lessonId: string }) {
+  const router = useRouter();
+
+  const {
+    gameState,
+    sendAction,
+    playerNumber,
+    title,
+    taskIndex,
+    taskCount,
+    feedback,
+    mistakes,
+    completed,
+    restartTask,
+    restartLesson,
+  } = useTutorialGame(lessonId);
+  const { markCompleted } = useTutorialProgress();
+
+  // Record each finished run once
+  const recorded = useRef(false);
+  useEffect(() => {
+    if (completed && !recorded.current) {
+      recorded.current = true;
+      markCompleted(lessonId, mistakes);
+    }
+    if (!completed) {
+      recorded.current = false;
+    }
+  }, [completed, lessonId, mistakes, markCompleted]);
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.banner, { backgroundColor: FEEDBACK_COLORS[feedback.type] }]}>
+        <Text style={styles.bannerTitle}>
+          {title} · Step {Math.min(taskIndex + 1, taskCount)} of {taskCount}
+        </Text>
+        <Text style={styles.bannerMessage}>{feedback.message}</Text>
+        <View style={styles.bannerActions}>
+          {completed ? (
+            <>
+              <Pressable onPress={restartLesson}>
+                <Text style={styles.bannerAction}>Play again</Text>
+              </Pressable>
+              <Pressable onPress={() => router.back()}>
+                <Text style={styles.bannerAction}>Done</Text>
+              </Pressable>
+            </>
+          ) : (
+            <>
+              <Pressable onPress={restartTask}>
+                <Text style={styles.bannerAction}>Reset board</Text>
+              </Pressable>
+              <Pressable onPress={() => router.back()}>
+                <Text style={styles.bannerAction}>Quit</Text>
+              </Pressable>
+            </>
+          )}
+        </View>
+      </View>
+
+      <GameBoard
+        gameState={gameState as any}
+        playerNumber={playerNumber}
+        sendAction={sendAction}
+        onRestart={restartLesson}
+        onBackToMenu={() => router.back()}
+        serverError={null}
+        onServerErrorClose={() => {}}
+        opponentDrag={null}
+        emitDragStart={() => {}}
+        emitDragMove={() => {}}
+        emitDragEnd={() => {}}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f4d0f',
+  },
+  missingContainer: {
+    flex: 1,
+    backgroundColor: '#0f4d0f',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 12,
+  },
+  banner: {
+    position: 'absolute',
+    top: 12,
+    left: 60,
+    right: 60,
+    zIndex: 1000,
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  bannerTitle: {
+    color: '#FFD700',
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  bannerMessage: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    marginTop: 2,
+  },
+  bannerActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 16,
+    marginTop: 6,
+  },
+  bannerAction: {
+    color: '#FFD700',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
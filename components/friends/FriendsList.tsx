@@ -1,6 +1,7 @@
 /**
  * FriendsList Component
- * Displays the user's friends list
+ * Displays the user's friends list with their live status, and a shortcut
+ * to join a friend's open room or watch their tournament bracket
  */
 
 import React from 'react';
@@ -15,6 +16,8 @@ import { useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useFriends, Friend } from '../../hooks/useFriends';
 import { AVATAR_OPTIONS } from '../../hooks/usePlayerProfile';
+import { useFriendPresence, FriendPresence } from '../../hooks/useFriendPresence';
+import { getModeById } from '../../shared/config/gameModes';
 
 // In-game color scheme - matching leaderboards.tsx
 const COLORS = {
@@ -27,6 +30,28 @@ const COLORS = {
   border: 'rgba(255, 215, 0, 0.3)',
 };
 
+const STATUS_COLORS: Record<FriendPresence['status'], string> = {
+  offline: 'rgba(255, 255, 255, 0.3)',
+  online: '#4CAF50',
+  queued: '#FFC107',
+  'in-game': '#42A5F5',
+};
+
+function describePresence(presence: FriendPresence): string {
+  const mode = presence.mode ? getModeById(presence.mode)?.title || presence.mode : null;
+  switch (presence.status) {
+    case 'in-game':
+      return mode ? `Playing ${mode}` : 'In a game';
+    case 'queued':
+      if (presence.roomCode) return mode ? `In a ${mode} room` : 'In a private room';
+      return `Looking for a${presence.ranked ? ' ranked' : ''} ${mode || 'game'}`;
+    case 'online':
+      return 'Online';
+    default:
+      return 'Offline';
+  }
+}
+
 interface FriendsListProps {
   onFriendPress?: (friendId: string) => void;
 }
@@ -34,6 +59,7 @@ interface FriendsListProps {
 export function FriendsList({ onFriendPress }: FriendsListProps) {
   const router = useRouter();
   const { friends, removeFriend, isLoading } = useFriends();
+  const { getPresence } = useFriendPresence();
 
   const getAvatarEmoji = (avatarId: string) => {
     const avatar = AVATAR_OPTIONS.find(a => a.id === avatarId);
@@ -53,7 +79,17 @@ export function FriendsList({ onFriendPress }: FriendsListProps) {
     await removeFriend(friendId);
   };
 
+  const handleJoinOrWatch = (presence: FriendPresence) => {
+    if (presence.roomCode) {
+      router.push(`/online-play?mode=${presence.mode}&roomCode=${presence.roomCode}` as any);
+    } else if (presence.bracketTournamentId) {
+      router.push(`/tournament/${presence.bracketTournamentId}` as any);
+    }
+  };
+
   const renderFriend = ({ item, index }: { item: Friend; index: number }) => {
+    const presence = getPresence(item._id);
+    const shortcut = presence.roomCode ? 'Join' : presence.bracketTournamentId ? 'Watch' : null;
     const winRate = item.stats?.totalGames > 0
       ? Math.round((item.stats.wins / item.stats.totalGames) * 100)
       : 0;
@@ -70,6 +106,7 @@ export function FriendsList({ onFriendPress }: FriendsListProps) {
         
         <View style={styles.avatarContainer}>
           <Text style={styles.avatarEmoji}>{getAvatarEmoji(item.avatar)}</Text>
+          <View style={[styles.statusDot, { backgroundColor: STATUS_COLORS[presence.status] }]} />
         </View>
         
         <View style={styles.friendInfo}>
@@ -82,8 +119,20 @@ export function FriendsList({ onFriendPress }: FriendsListProps) {
               <Text style={styles.friendRank}>#{item.stats.rank}</Text>
             )}
           </View>
+          <Text style={[styles.presenceText, { color: STATUS_COLORS[presence.status] }]} numberOfLines={1}>
+            {describePresence(presence)}
+          </Text>
         </View>
 
+        {shortcut && (
+          <TouchableOpacity
+            style={styles.shortcutButton}
+            onPress={() => handleJoinOrWatch(presence)}
+          >
+            <Text style={styles.shortcutText}>{shortcut}</Text>
+          </TouchableOpacity>
+        )}
+
         <TouchableOpacity
           style={styles.removeButton}
           onPress={(e) => handleRemoveFriend(item._id, e)}
@@ -161,6 +210,32 @@ const styles = StyleSheet.create({
   avatarEmoji: {
     fontSize: 18,
   },
+  statusDot: {
+    position: 'absolute',
+    right: -3,
+    bottom: -3,
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    borderWidth: 2,
+    borderColor: COLORS.background,
+  },
+  presenceText: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  shortcutButton: {
+    backgroundColor: `${COLORS.primary}25`,
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginRight: 6,
+  },
+  shortcutText: {
+    color: COLORS.primary,
+    fontSize: 12,
+    fontWeight: '700',
+  },
   friendInfo: {
     flex: 1,
   },
@@ -1,6 +1,6 @@
 /**
  * NotificationPanel Component
- * Slide-in panel showing friend requests and notifications
+ * Slide-in panel showing friend requests, room invites and notifications
  */
 
 import React from 'react';
@@ -12,11 +12,13 @@ import {
   ScrollView,
   Modal,
   Dimensions,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useRouter } from 'expo-router';
 import { useFriends, FriendRequest } from '../../hooks/useFriends';
 import { useNotifications, Notification } from '../../hooks/useNotifications';
+import { useRoomInvites, RoomInvite } from '../../hooks/useRoomInvites';
 import { AVATAR_OPTIONS } from '../../hooks/usePlayerProfile';
 
 interface NotificationPanelProps {
@@ -42,6 +44,8 @@ export function NotificationPanel({ visible, onClose }: NotificationPanelProps)
     markAllAsRead
   } = useNotifications(refresh);
 
+  const { invites, acceptInvite, declineInvite } = useRoomInvites();
+
   const getAvatarEmoji = (avatarId: string) => {
     const avatar = AVATAR_OPTIONS.find(a => a.id === avatarId);
     return avatar?.emoji;
@@ -55,6 +59,16 @@ export function NotificationPanel({ visible, onClose }: NotificationPanelProps)
     await declineRequest(requestId);
   };
 
+  const handleAcceptInvite = async (inviteId: string) => {
+    const result = await acceptInvite(inviteId);
+    if (!result.success || !result.invite) {
+      Alert.alert('Invite', result.error || 'Could not join the room');
+      return;
+    }
+    onClose();
+    router.push(`/online-play?mode=${result.invite.gameMode}&roomCode=${result.invite.roomCode}` as any);
+  };
+
   const handleNotificationPress = (notification: Notification) => {
     markAsRead(notification.id);
     if (notification.fromUser?._id) {
@@ -107,6 +121,35 @@ export function NotificationPanel({ visible, onClose }: NotificationPanelProps)
     );
   };
 
+  const renderRoomInvite = (invite: RoomInvite) => (
+    <View key={invite.id} style={styles.requestItem}>
+      <View style={styles.requestUserInfo}>
+        <View style={styles.requestAvatar}>
+          <Ionicons name="game-controller" size={20} color="#FFD700" />
+        </View>
+        <View style={styles.requestTextContainer}>
+          <Text style={styles.requestUsername}>{invite.from.username}</Text>
+          <Text style={styles.requestAction}>invited you to a {invite.gameMode} room</Text>
+        </View>
+      </View>
+
+      <View style={styles.requestActions}>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.acceptButton]}
+          onPress={() => handleAcceptInvite(invite.id)}
+        >
+          <Ionicons name="checkmark" size={18} color="white" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.declineButton]}
+          onPress={() => declineInvite(invite.id)}
+        >
+          <Ionicons name="close" size={18} color="white" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
   const renderNotification = (notification: Notification) => (
     <TouchableOpacity
       key={notification.id}
@@ -134,7 +177,7 @@ export function NotificationPanel({ visible, onClose }: NotificationPanelProps)
     </TouchableOpacity>
   );
 
-  const hasContent = pendingRequests.length > 0 || notifications.length > 0;
+  const hasContent = invites.length > 0 || pendingRequests.length > 0 || notifications.length > 0;
 
   return (
     <Modal
@@ -163,6 +206,14 @@ export function NotificationPanel({ visible, onClose }: NotificationPanelProps)
           )}
 
           <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+            {/* Room Invites Section */}
+            {invites.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Game Invites</Text>
+                {invites.map(renderRoomInvite)}
+              </View>
+            )}
+
             {/* Friend Requests Section */}
             {pendingRequests.length > 0 && (
               <View style={styles.section}>
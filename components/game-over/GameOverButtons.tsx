@@ -19,6 +19,8 @@ interface GameOverButtonsProps {
   countdown: number;
   onPlayAgain?: () => void;
   onBackToMenu?: () => void;
+  /** Open the post-game analysis (only offered once the game is saved) */
+  onViewAnalysis?: () => void;
 }
 
 export function GameOverButtons({
@@ -28,6 +30,7 @@ export function GameOverButtons({
   countdown,
   onPlayAgain,
   onBackToMenu,
+  onViewAnalysis,
 }: GameOverButtonsProps) {
   if (isTournamentMode) {
     return (
@@ -57,6 +60,11 @@ export function GameOverButtons({
           </Text>
         </View>
       )}
+      {onViewAnalysis && (
+        <Text style={styles.analysisButtonText} onPress={onViewAnalysis}>
+          View Analysis
+        </Text>
+      )}
       {onBackToMenu && (
         <Text style={styles.backButtonText} onPress={onBackToMenu}>
           Back to Menu
@@ -71,6 +79,7 @@ const styles = StyleSheet.create<{
   button: ViewStyle;
   buttonText: TextStyle;
   backButtonText: TextStyle;
+  analysisButtonText: TextStyle;
   countdownDisplay: TextStyle;
 }>({
   buttons: {
@@ -97,6 +106,13 @@ const styles = StyleSheet.create<{
     textAlign: 'center',
     marginTop: GAME_OVER_LAYOUT.backButtonMarginTop,
   },
+  analysisButtonText: {
+    color: '#FFD700',
+    fontSize: GAME_OVER_SIZES.backButtonSize,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: GAME_OVER_LAYOUT.backButtonMarginTop,
+  },
   countdownDisplay: {
     fontSize: 16,
     fontWeight: 'bold',
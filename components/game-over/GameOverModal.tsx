@@ -21,6 +21,8 @@ import { useGameOverModal } from './useGameOverModal';
 import PlayerCard from './PlayerCard';
 import TeamCard from './TeamCard';
 import GameOverButtons from './GameOverButtons';
+import { MatchSummary } from './MatchSummary';
+import type { MatchSummary as MatchSummaryData } from '../../hooks/useGameSession';
 
 interface PlayerBreakdown {
   totalCards: number;
@@ -87,9 +89,11 @@ interface GameOverModalProps {
   countdownSeconds?: number;
   eliminatedPlayers?: string[];
   playerId?: string;
+  match?: MatchSummaryData | null;
   onTransitionToNextGame?: () => void;
   onPlayAgain?: () => void;
   onBackToMenu?: () => void;
+  onViewAnalysis?: () => void;
 }
 
 export function GameOverModal({
@@ -113,9 +117,11 @@ export function GameOverModal({
   countdownSeconds,
   eliminatedPlayers,
   playerId,
+  match,
   onTransitionToNextGame,
   onPlayAgain,
   onBackToMenu,
+  onViewAnalysis,
 }: GameOverModalProps) {
   const {
     titleText,
@@ -201,6 +207,8 @@ export function GameOverModal({
             )}
           </View>
 
+          {match && <MatchSummary match={match} />}
+
           <Text style={styles.winnerText}>{localStatusText}</Text>
 
           <GameOverButtons
@@ -210,6 +218,7 @@ export function GameOverModal({
             countdown={countdown}
             onPlayAgain={onPlayAgain}
             onBackToMenu={onBackToMenu}
+            onViewAnalysis={onViewAnalysis}
           />
         </Animated.View>
       </Animated.View>
@@ -0,0 +1,114 @@
+/**
+ * MatchSummary.tsx
+ * Match standings shown in GameOverModal after each deal of a match
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, ViewStyle, TextStyle } from 'react-native';
+
+import {
+  GAME_OVER_COLORS,
+  GAME_OVER_SIZES,
+  GAME_OVER_LAYOUT,
+} from '../../shared/config/gameOverStyles';
+import type { MatchSummary as MatchSummaryData } from '../../hooks/useGameSession';
+
+interface MatchSummaryProps {
+  match: MatchSummaryData;
+}
+
+function getSideName(match: MatchSummaryData, side: number): string {
+  return match.sides === 'teams' ? `Team ${side === 0 ? 'A' : 'B'}` : `Player ${side + 1}`;
+}
+
+function getStatusText(match: MatchSummaryData): string {
+  if (match.status === 'complete') {
+    return match.winner !== null ? `${getSideName(match, match.winner)} wins the match!` : 'Match over';
+  }
+  if (match.status === 'abandoned') {
+    return 'Match abandoned - a player left';
+  }
+  const nextSeconds = match.nextDealInMs ? Math.round(match.nextDealInMs / 1000) : null;
+  return nextSeconds ? `Next deal in ${nextSeconds} seconds...` : 'Next deal starting...';
+}
+
+export function MatchSummary({ match }: MatchSummaryProps) {
+  return (
+    <View style={styles.panel}>
+      <Text style={styles.title}>
+        Match to {match.target} · Deal {match.deals}
+      </Text>
+
+      {match.scores.map((score, side) => (
+        <View key={side} style={styles.row}>
+          <Text style={[styles.sideName, match.winner === side && styles.winner]}>
+            {getSideName(match, side)}
+          </Text>
+          {match.lastDealScores && (
+            <Text style={styles.dealScore}>+{match.lastDealScores[side] ?? 0}</Text>
+          )}
+          <Text style={[styles.total, match.winner === side && styles.winner]}>{score}</Text>
+        </View>
+      ))}
+
+      <Text style={styles.status}>{getStatusText(match)}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create<{
+  panel: ViewStyle;
+  title: TextStyle;
+  row: ViewStyle;
+  sideName: TextStyle;
+  dealScore: TextStyle;
+  total: TextStyle;
+  winner: TextStyle;
+  status: TextStyle;
+}>({
+  panel: {
+    width: '100%',
+    backgroundColor: GAME_OVER_COLORS.panelBackground,
+    borderRadius: GAME_OVER_SIZES.panelRadius,
+    padding: GAME_OVER_LAYOUT.panelPadding,
+    marginBottom: GAME_OVER_LAYOUT.sectionMarginBottom,
+  },
+  title: {
+    fontSize: GAME_OVER_SIZES.scoresTitleSize,
+    fontWeight: '600',
+    color: GAME_OVER_COLORS.textSecondary,
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  sideName: {
+    flex: 1,
+    fontSize: GAME_OVER_SIZES.playerNameSize,
+    color: GAME_OVER_COLORS.textPrimary,
+  },
+  dealScore: {
+    fontSize: GAME_OVER_SIZES.labelSize,
+    color: GAME_OVER_COLORS.textTertiary,
+    marginRight: 10,
+  },
+  total: {
+    fontSize: GAME_OVER_SIZES.playerNameSize,
+    fontWeight: 'bold',
+    color: GAME_OVER_COLORS.textPrimary,
+  },
+  winner: {
+    color: GAME_OVER_COLORS.gold,
+  },
+  status: {
+    fontSize: GAME_OVER_SIZES.labelSize,
+    color: GAME_OVER_COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: 6,
+  },
+});
+
+export default MatchSummary;
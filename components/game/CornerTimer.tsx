@@ -11,6 +11,8 @@ import { TURN_TIMER_DURATION, LOW_TIME_THRESHOLD } from '../../hooks/game/useTur
 interface CornerTimerProps {
   /** Time remaining in seconds */
   timeRemaining: number;
+  /** Full turn length in seconds */
+  duration?: number;
   /** Whether the timer should show (only for active player's turn) */
   visible?: boolean;
   /** Whether time is running low (≤5 seconds) */
@@ -19,6 +21,7 @@ interface CornerTimerProps {
 
 export function CornerTimer({ 
   timeRemaining, 
+  duration = TURN_TIMER_DURATION,
   visible = true,
   isLowTime = false,
 }: CornerTimerProps) {
@@ -49,7 +52,7 @@ export function CornerTimer({
   };
   
   // Calculate progress percentage
-  const progressPercent = (timeRemaining / TURN_TIMER_DURATION) * 100;
+  const progressPercent = (timeRemaining / duration) * 100;
   
   return (
     <View style={styles.container}>
@@ -0,0 +1,158 @@
+/**
+ * EmoteWheel
+ *
+ * Emote button above the chat button. Opens a ring of emotes to send,
+ * and shows the emotes other players sent as bubbles along the top.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Pressable, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { EMOTES, getEmoteById } from '../../shared/config/emotes';
+import type { EmoteEvent } from '../../hooks/multiplayer/useGameChat';
+
+const WHEEL_RADIUS = 70;
+const SLOT_SIZE = 40;
+
+interface EmoteWheelProps {
+  /** Latest emote per player index */
+  emotes: Record<number, EmoteEvent>;
+  /** Current player's index */
+  playerNumber: number;
+  /** List of players in the game */
+  players: any[];
+  onSendEmote: (emote: string) => void;
+}
+
+export function EmoteWheel({ emotes, playerNumber, players, onSendEmote }: EmoteWheelProps) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleSelect = (emoteId: string) => {
+    onSendEmote(emoteId);
+    setIsOpen(false);
+  };
+
+  const activeEmotes = Object.values(emotes);
+
+  return (
+    <>
+      {activeEmotes.length > 0 && (
+        <View style={styles.bubbleRow} pointerEvents="none">
+          {activeEmotes.map(event => (
+            <View key={`${event.from}-${event.sentAt}`} style={styles.bubble}>
+              <Text style={styles.bubbleSymbol}>{getEmoteById(event.emote)?.symbol}</Text>
+              <Text style={styles.bubbleName}>
+                {event.from === playerNumber
+                  ? 'You'
+                  : players[event.from]?.username || players[event.from]?.name || `Player ${event.from + 1}`}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={styles.emoteButton}
+        onPress={() => setIsOpen(open => !open)}
+        activeOpacity={0.7}
+      >
+        <Ionicons name={isOpen ? 'close' : 'happy'} size={22} color="white" />
+      </TouchableOpacity>
+
+      {isOpen && (
+        <Pressable style={styles.overlay} onPress={() => setIsOpen(false)}>
+          <View style={styles.wheel}>
+            {EMOTES.map((emote, index) => {
+              // Spread the emotes over a half circle opening up and to the right
+              const angle = Math.PI * (index / (EMOTES.length - 1)) - Math.PI / 2;
+              return (
+                <TouchableOpacity
+                  key={emote.id}
+                  style={[
+                    styles.slot,
+                    {
+                      left: WHEEL_RADIUS + Math.cos(angle) * WHEEL_RADIUS - SLOT_SIZE / 2,
+                      top: WHEEL_RADIUS + Math.sin(angle) * WHEEL_RADIUS - SLOT_SIZE / 2,
+                    },
+                  ]}
+                  onPress={() => handleSelect(emote.id)}
+                  accessibilityLabel={emote.label}
+                >
+                  <Text style={styles.slotSymbol}>{emote.symbol}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </Pressable>
+      )}
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  emoteButton: {
+    position: 'absolute',
+    left: 12,
+    bottom: 116,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 100,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    zIndex: 200,
+  },
+  wheel: {
+    position: 'absolute',
+    left: 34 - WHEEL_RADIUS,
+    bottom: 138 - WHEEL_RADIUS,
+    width: WHEEL_RADIUS * 2,
+    height: WHEEL_RADIUS * 2,
+  },
+  slot: {
+    position: 'absolute',
+    width: SLOT_SIZE,
+    height: SLOT_SIZE,
+    borderRadius: SLOT_SIZE / 2,
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 215, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  slotSymbol: {
+    fontSize: 20,
+  },
+  bubbleRow: {
+    position: 'absolute',
+    top: 48,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    zIndex: 120,
+  },
+  bubble: {
+    alignItems: 'center',
+    marginHorizontal: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  bubbleSymbol: {
+    fontSize: 28,
+  },
+  bubbleName: {
+    color: '#FFFFFF',
+    fontSize: 11,
+  },
+});
+
+export default EmoteWheel;
@@ -16,9 +16,10 @@ import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import { StyleSheet, View } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import * as NavigationBar from 'expo-navigation-bar';
-import { GameState, OpponentDragState } from '../../hooks/useGameState';
+import { GameState, OpponentDragState, MatchSummary } from '../../hooks/useGameState';
 import { useDrag } from '../../hooks/useDrag';
 import { useDragOverlay } from '../../hooks/drag/useDragOverlay';
+import { useMoveHints } from '../../hooks/game/useMoveHints';
 import { useModalManager } from '../../hooks/game/useModalManager';
 import { useGameActions } from '../../hooks/game/useGameActions';
 import { useGameComputed } from '../../hooks/game/useGameComputed';
@@ -43,11 +44,15 @@ import { GameOverModal } from '../modals/GameOverModal';
 import { TournamentWinnerModal } from '../game-over/TournamentWinnerModal';
 import { MotorAchievementModal } from '../game-over/MotorAchievementModal';
 import { HomeMenuButton } from './HomeMenuButton';
+import { GameChatPanel } from './GameChatPanel';
+import { EmoteWheel } from './EmoteWheel';
+import type { UseGameChatResult } from '../../hooks/multiplayer/useGameChat';
 import { OpponentProfileModal } from '../modals/OpponentProfileModal';
 import { useOpponentInfo } from '../../hooks/useOpponentInfo';
 import { areTeammates, isPartyGame } from '../../shared/game/team';
 import { CornerTimer } from './CornerTimer';
 import { RoundIndicator } from './RoundIndicator';
+import { HintToggle } from './HintToggle';
 import { TurnStatusIndicator } from './TurnStatusIndicator';
 
 // ── Types ─────────────────────────────────────────────────────────────────────
@@ -64,6 +69,8 @@ interface GameBoardProps {
     scoreBreakdowns?: any[];
     teamScoreBreakdowns?: any;
     isPartyMode?: boolean;
+    // Saved game's id (not sent for tournament games)
+    gameId?: number;
     // Tournament-specific props
     isTournamentMode?: boolean;
     playerStatuses?: { [playerId: string]: string };
@@ -73,12 +80,16 @@ interface GameBoardProps {
     transitionType?: 'auto' | 'manual';
     countdownSeconds?: number;
     eliminatedPlayers?: string[];
+    // Match standings (match play)
+    match?: MatchSummary;
   } | null;
   playerNumber: number;
   sendAction: (action: { type: string; payload?: Record<string, unknown> }) => void;
   startNextRound?: () => void;
   onRestart?: () => void;
   onBackToMenu?: () => void;
+  /** Open the post-game analysis of a saved game */
+  onViewAnalysis?: (gameId: number) => void;
   serverError?: { message: string } | null;
   onServerErrorClose?: () => void;
   /** Opponent's current drag state for ghost card rendering */
@@ -95,6 +106,10 @@ interface GameBoardProps {
   emitDragStackMove?: (cards: any[], stackId: string, position: { x: number; y: number }) => void;
   /** Emit stack drag end event to server */
   emitDragStackEnd?: (cards: any[], stackId: string, outcome: any, targetType?: string, targetId?: string) => void;
+  /** In-game chat and emotes (online games only) */
+  chat?: UseGameChatResult;
+  /** Offer hint mode where the game allows it (ranked games never do); off for puzzles */
+  allowHints?: boolean;
 }
 
 // ── Component ─────────────────────────────────────────────────────────────────
@@ -107,6 +122,7 @@ export function GameBoard({
   startNextRound,
   onRestart,
   onBackToMenu,
+  onViewAnalysis,
   serverError,
   onServerErrorClose,
   opponentDrag,
@@ -116,6 +132,8 @@ export function GameBoard({
   emitDragStackStart,
   emitDragStackMove,
   emitDragStackEnd,
+  chat,
+  allowHints = true,
 }: GameBoardProps) {
   // Local state
   const [errorVersion, setErrorVersion] = useState(0);
@@ -167,6 +185,7 @@ export function GameBoard({
   } = dragOverlay;
   const modals = useModalManager();
   const actions = useGameActions(sendAction);
+  const moveHints = useMoveHints(gameState, playerNumber, draggingCard, allowHints);
   
   // Opponent info hook for profile modal
   const opponentInfo = useOpponentInfo();
@@ -270,6 +289,9 @@ export function GameBoard({
     gameOver: (gameState.gameOver || !!gameOverData) || false,
     modalVisible: modals.showPlayModal || modals.showStealModal,
     roundOver: roundInfo.isOver,
+    paused: !!gameState.turnTimerPaused,
+    serverRemainingMs: gameState.turnRemainingMs,
+    serverDurationMs: gameState.turnDurationMs,
     onTimeout: () => {
       // Auto-end turn when timer expires
       actions.endTurn();
@@ -721,6 +743,7 @@ export function GameBoard({
       {/* Corner timer - top right corner */}
       <CornerTimer
         timeRemaining={turnTimer.timeRemaining}
+        duration={turnTimer.duration}
         visible={showTimer}
         isLowTime={turnTimer.isLowTime}
       />
@@ -728,6 +751,11 @@ export function GameBoard({
       {/* Round indicator - top left corner */}
       <RoundIndicator round={gameState.round} />
 
+      {/* Hint mode switch - CPU and casual games only */}
+      {moveHints.hintsAllowed && (
+        <HintToggle active={moveHints.hintsOn} onToggle={moveHints.toggleHints} />
+      )}
+
       {/* Turn status - centered at top */}
       <TurnStatusIndicator
         currentPlayer={gameState.currentPlayer}
@@ -800,6 +828,7 @@ export function GameBoard({
         onBuildTap={handleBuildTap}
         onPlayButtonSound={playButton}
         onCardPlayed={playCardContact}
+        hints={moveHints.hints}
       />
 
 
@@ -956,7 +985,7 @@ export function GameBoard({
         playerCount={gameState.playerCount}
         capturedCards={gameOverData?.capturedCards || capturedCardCounts}
         tableCardsRemaining={gameOverData?.tableCardsRemaining ?? gameState.tableCards?.length ?? 0}
-        deckRemaining={gameOverData?.deckRemaining ?? gameState.deck?.length ?? 0}
+        deckRemaining={gameOverData?.deckRemaining ?? gameState.deckCount ?? gameState.deck?.length ?? 0}
         scoreBreakdowns={gameOverData?.scoreBreakdowns}
         teamScoreBreakdowns={gameOverData?.teamScoreBreakdowns}
         isPartyMode={gameOverData?.isPartyMode ?? isPartyMode}
@@ -971,6 +1000,7 @@ export function GameBoard({
         eliminatedPlayers={gameOverData?.eliminatedPlayers}
         playerId={gameState.players?.[playerNumber]?.userId}
         tournamentPhase={gameOverData?.tournamentPhase ?? gameState.tournamentPhase}
+        match={gameOverData?.match}
         onTransitionToNextGame={() => {
           if (gameOverData?.nextGameId) {
             sendAction({ type: 'join-tournament-game', payload: { gameId: gameOverData.nextGameId } });
@@ -978,6 +1008,11 @@ export function GameBoard({
         }}
         onPlayAgain={onRestart ? handlePlayAgain : undefined}
         onBackToMenu={onBackToMenu}
+        onViewAnalysis={
+          onViewAnalysis && gameOverData?.gameId != null
+            ? () => onViewAnalysis(gameOverData.gameId as number)
+            : undefined
+        }
       />
 
 {/* Tournament Winner Modal - shown on top of GameOverModal when player wins tournament */}
@@ -1007,6 +1042,24 @@ export function GameBoard({
         onOpponentPress={handleOpponentPress}
       />
 
+      {/* Chat and emotes - stacked above the menu button */}
+      {chat && (
+        <>
+          <GameChatPanel
+            chat={chat}
+            playerNumber={playerNumber}
+            players={gameState.players || []}
+            isPartyMode={isPartyMode}
+          />
+          <EmoteWheel
+            emotes={chat.emotes}
+            playerNumber={playerNumber}
+            players={gameState.players || []}
+            onSendEmote={chat.sendEmote}
+          />
+        </>
+      )}
+
       {/* Opponent Profile Modal */}
       <OpponentProfileModal
         visible={opponentInfo.isModalVisible}
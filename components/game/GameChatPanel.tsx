@@ -0,0 +1,241 @@
+/**
+ * GameChatPanel
+ *
+ * Collapsible in-game chat. A button above the menu button opens a panel
+ * with the recent messages and an input; party games get a team-only toggle.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import type { UseGameChatResult } from '../../hooks/multiplayer/useGameChat';
+
+const COLORS = {
+  background: 'rgba(0, 0, 0, 0.75)',
+  primary: '#FFD700',
+  text: '#FFFFFF',
+  textMuted: 'rgba(255, 255, 255, 0.6)',
+  border: 'rgba(255, 215, 0, 0.3)',
+  team: '#8fba6a',
+  danger: '#EF5350',
+};
+
+interface GameChatPanelProps {
+  chat: UseGameChatResult;
+  /** Current player's index */
+  playerNumber: number;
+  /** List of players in the game */
+  players: any[];
+  /** Party games can send team-only messages */
+  isPartyMode: boolean;
+}
+
+const getPlayerName = (player: any, index: number) => {
+  if (player?.username) return player.username;
+  if (player?.name) return player.name;
+  return `Player ${index + 1}`;
+};
+
+export function GameChatPanel({ chat, playerNumber, players, isPartyMode }: GameChatPanelProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [teamOnly, setTeamOnly] = useState(false);
+  const scrollRef = useRef<ScrollView>(null);
+  const { messages, unreadCount, chatError, sendMessage, markRead } = chat;
+
+  // Messages read while the panel is open don't count as unread
+  useEffect(() => {
+    if (isOpen && unreadCount > 0) markRead();
+  }, [isOpen, unreadCount, markRead]);
+
+  const handleSend = () => {
+    if (!draft.trim()) return;
+    sendMessage(draft, { teamOnly: isPartyMode && teamOnly });
+    setDraft('');
+  };
+
+  return (
+    <>
+      <TouchableOpacity
+        style={styles.chatButton}
+        onPress={() => setIsOpen(open => !open)}
+        activeOpacity={0.7}
+      >
+        <Ionicons name={isOpen ? 'close' : 'chatbubble-ellipses'} size={22} color="white" />
+        {!isOpen && unreadCount > 0 && (
+          <View style={styles.badge}>
+            <Text style={styles.badgeText}>{unreadCount > 9 ? '9+' : unreadCount}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
+
+      {isOpen && (
+        <View style={styles.panel}>
+          <ScrollView
+            ref={scrollRef}
+            style={styles.messages}
+            onContentSizeChange={() => scrollRef.current?.scrollToEnd({ animated: true })}
+          >
+            {messages.length === 0 && (
+              <Text style={styles.emptyText}>No messages yet</Text>
+            )}
+            {messages.map(message => (
+              <Text key={message.id} style={styles.message}>
+                <Text style={[styles.author, message.teamOnly && styles.teamAuthor]}>
+                  {message.from === playerNumber ? 'You' : getPlayerName(players[message.from], message.from)}
+                  {message.teamOnly ? ' (team)' : ''}:{' '}
+                </Text>
+                {message.text}
+              </Text>
+            ))}
+          </ScrollView>
+
+          {chatError && <Text style={styles.errorText}>{chatError}</Text>}
+
+          <View style={styles.inputRow}>
+            {isPartyMode && (
+              <TouchableOpacity
+                style={[styles.teamToggle, teamOnly && styles.teamToggleActive]}
+                onPress={() => setTeamOnly(value => !value)}
+              >
+                <Text style={[styles.teamToggleText, teamOnly && styles.teamToggleTextActive]}>Team</Text>
+              </TouchableOpacity>
+            )}
+            <TextInput
+              style={styles.input}
+              value={draft}
+              onChangeText={setDraft}
+              onSubmitEditing={handleSend}
+              placeholder={teamOnly && isPartyMode ? 'Message your team' : 'Message the table'}
+              placeholderTextColor={COLORS.textMuted}
+              maxLength={200}
+              returnKeyType="send"
+            />
+            <TouchableOpacity style={styles.sendButton} onPress={handleSend}>
+              <Ionicons name="send" size={18} color={COLORS.primary} />
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  chatButton: {
+    position: 'absolute',
+    left: 12,
+    bottom: 64,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 100,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  badge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: COLORS.danger,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  badgeText: {
+    color: COLORS.text,
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  panel: {
+    position: 'absolute',
+    left: 64,
+    bottom: 12,
+    width: 280,
+    maxHeight: 260,
+    borderRadius: 12,
+    padding: 8,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    zIndex: 150,
+  },
+  messages: {
+    maxHeight: 180,
+    marginBottom: 6,
+  },
+  emptyText: {
+    color: COLORS.textMuted,
+    fontSize: 13,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  message: {
+    color: COLORS.text,
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  author: {
+    color: COLORS.primary,
+    fontWeight: 'bold',
+  },
+  teamAuthor: {
+    color: COLORS.team,
+  },
+  errorText: {
+    color: COLORS.danger,
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  teamToggle: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.team,
+    marginRight: 6,
+  },
+  teamToggleActive: {
+    backgroundColor: COLORS.team,
+  },
+  teamToggleText: {
+    color: COLORS.team,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  teamToggleTextActive: {
+    color: '#0f3318',
+  },
+  input: {
+    flex: 1,
+    color: COLORS.text,
+    fontSize: 13,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  sendButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
+
+export default GameChatPanel;
@@ -0,0 +1,57 @@
+/**
+ * HintToggle
+ * Small switch for hint mode, next to the round indicator (top-left).
+ * While it's on, dragging a hand card highlights what it can capture or
+ * build on.
+ */
+
+import React from 'react';
+import { StyleSheet, Text, Pressable } from 'react-native';
+
+interface HintToggleProps {
+  /** Whether hint mode is on */
+  active: boolean;
+  onToggle: () => void;
+}
+
+export function HintToggle({ active, onToggle }: HintToggleProps) {
+  return (
+    <Pressable
+      style={[styles.container, active && styles.containerActive]}
+      onPress={onToggle}
+      accessibilityRole="switch"
+      accessibilityState={{ checked: active }}
+      accessibilityLabel="Move hints"
+    >
+      <Text style={[styles.label, active && styles.labelActive]}>💡 Hints</Text>
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 4,
+    left: 40,
+    zIndex: 100,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  containerActive: {
+    borderColor: '#FFD700',
+    backgroundColor: 'rgba(255, 215, 0, 0.15)',
+  },
+  label: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  labelActive: {
+    color: '#FFD700',
+  },
+});
+
+export default HintToggle;
@@ -16,6 +16,7 @@ import { GameBoard } from '../game/GameBoard';
 import { useTournamentStatus } from '../../hooks/useTournamentStatus';
 import { SpectatorView, QualificationReviewModal } from '../tournament';
 import type { GameState, GameOverData, OpponentDragState } from '../../hooks/useGameSession';
+import type { UseGameChatResult } from '../../hooks/multiplayer/useGameChat';
 
 export interface GameRoomContainerProps {
   gameState: GameState;
@@ -36,6 +37,8 @@ export interface GameRoomContainerProps {
   emitDragStackEnd?: (cards: any[], stackId: string, outcome: any, targetType?: string, targetId?: string) => void;
   /** Number of players in the game (for spectator view) */
   playerCount?: number;
+  /** In-game chat and emotes */
+  chat?: UseGameChatResult;
 }
 
 export const GameRoomContainer: React.FC<GameRoomContainerProps> = ({
@@ -56,6 +59,7 @@ export const GameRoomContainer: React.FC<GameRoomContainerProps> = ({
   emitDragStackMove,
   emitDragStackEnd,
   playerCount = 4,
+  chat,
 }) => {
   const router = useRouter();
 
@@ -134,6 +138,7 @@ export const GameRoomContainer: React.FC<GameRoomContainerProps> = ({
           emitDragStackStart={emitDragStackStart}
           emitDragStackMove={emitDragStackMove}
           emitDragStackEnd={emitDragStackEnd}
+          chat={chat}
         />
       </View>
     );
@@ -150,6 +155,7 @@ export const GameRoomContainer: React.FC<GameRoomContainerProps> = ({
         startNextRound={startNextRound}
         onRestart={onRestart}
         onBackToMenu={onBackToMenu}
+        onViewAnalysis={(gameId) => router.push(`/analysis/${gameId}`)}
         serverError={serverErrorObj}
         onServerErrorClose={clearError}
         opponentDrag={opponentDrag}
@@ -159,6 +165,7 @@ export const GameRoomContainer: React.FC<GameRoomContainerProps> = ({
         emitDragStackStart={emitDragStackStart}
         emitDragStackMove={emitDragStackMove}
         emitDragStackEnd={emitDragStackEnd}
+        chat={chat}
       />
     </View>
   );
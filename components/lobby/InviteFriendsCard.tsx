@@ -0,0 +1,125 @@
+/**
+ * InviteFriendsCard
+ *
+ * Lists the player's friends in a private room lobby and sends each a live
+ * invite into the room. Shows who was invited and who declined.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Socket } from 'socket.io-client';
+import { useFriends } from '../../hooks/useFriends';
+import { getAvatarEmoji } from '../../hooks/useLobbyHelpers';
+
+interface InviteFriendsCardProps {
+  socket: Socket;
+}
+
+type InviteState = 'sending' | 'invited' | 'declined' | 'accepted';
+
+export function InviteFriendsCard({ socket }: InviteFriendsCardProps) {
+  const { friends } = useFriends();
+  const [inviteStates, setInviteStates] = useState<Record<string, InviteState>>({});
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    // Once sent, a pending invite stays "invited" until answered
+    const handleSent = () => {
+      setError(null);
+      setInviteStates(prev => Object.fromEntries(
+        Object.entries(prev).map(([id, state]) => [id, state === 'sending' ? 'invited' : state])
+      ));
+    };
+    const handleResponse = (data: { userId: string; accepted: boolean }) => {
+      setInviteStates(prev => ({ ...prev, [data.userId]: data.accepted ? 'accepted' : 'declined' }));
+    };
+    const handleError = (data: { message: string }) => {
+      setError(data.message);
+      // The failed invite can be retried
+      setInviteStates(prev => Object.fromEntries(Object.entries(prev).filter(([, state]) => state !== 'sending')));
+    };
+
+    socket.on('room-invite-sent', handleSent);
+    socket.on('room-invite-response', handleResponse);
+    socket.on('room-error', handleError);
+    return () => {
+      socket.off('room-invite-sent', handleSent);
+      socket.off('room-invite-response', handleResponse);
+      socket.off('room-error', handleError);
+    };
+  }, [socket]);
+
+  if (friends.length === 0) return null;
+
+  const handleInvite = (friendId: string) => {
+    setInviteStates(prev => ({ ...prev, [friendId]: 'sending' }));
+    socket.emit('invite-to-room', { friendId });
+  };
+
+  const labelFor = (state?: InviteState) => {
+    switch (state) {
+      case 'sending': return 'Sending...';
+      case 'invited': return 'Invited';
+      case 'accepted': return 'Joining';
+      case 'declined': return 'Invite again';
+      default: return 'Invite';
+    }
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Invite Friends</Text>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+      {friends.map(friend => {
+        const state = inviteStates[friend._id];
+        const canInvite = !state || state === 'declined';
+        return (
+          <View key={friend._id} style={styles.friendRow}>
+            <Text style={styles.friendAvatar}>{getAvatarEmoji(friend.avatar)}</Text>
+            <Text style={styles.friendName} numberOfLines={1}>{friend.username}</Text>
+            <TouchableOpacity
+              style={[styles.inviteButton, !canInvite && styles.inviteButtonDisabled]}
+              onPress={() => handleInvite(friend._id)}
+              disabled={!canInvite}
+            >
+              {canInvite && <Ionicons name="paper-plane-outline" size={14} color="#FFD700" />}
+              <Text style={styles.inviteText}>{labelFor(state)}</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 20,
+  },
+  title: { fontSize: 14, fontWeight: '600', color: '#FFD700', marginBottom: 6 },
+  errorText: { fontSize: 12, color: '#EF5350', marginBottom: 6 },
+  friendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  friendAvatar: { fontSize: 20, marginRight: 10 },
+  friendName: { flex: 1, fontSize: 14, color: 'white' },
+  inviteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: 'rgba(255,215,0,0.2)',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+  },
+  inviteButtonDisabled: { backgroundColor: 'rgba(255,255,255,0.1)' },
+  inviteText: { fontSize: 12, color: '#FFD700', fontWeight: '600' },
+});
+
+export default InviteFriendsCard;
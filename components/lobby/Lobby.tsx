@@ -20,9 +20,11 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { Socket } from 'socket.io-client';
 import { PlayerCard } from './PlayerCard';
+import { InviteFriendsCard } from './InviteFriendsCard';
 import { GameMode, ModeConfig } from '../../utils/modeConfig';
 import { useLobby } from '../../hooks/useLobby';
 import { getAvatarEmoji, getPingColor, getPingIcon } from '../../hooks/useLobbyHelpers';
+import type { RoomRules } from '../../hooks/useRoom';
 
 interface LobbyProps {
   mode: GameMode;
@@ -35,6 +37,21 @@ interface LobbyProps {
   isReady?: boolean;
   setIsReady?: (ready: boolean) => void;
   isGameStarting?: boolean;
+  /** House rules of a private room */
+  rules?: RoomRules | null;
+}
+
+/**
+ * One line per house rule, for the lobby summary
+ */
+function describeRules(rules: RoomRules): string[] {
+  return [
+    rules.pointsToWin ? `First to ${rules.pointsToWin} points` : 'Highest score wins',
+    `${rules.roundsPerGame} round${rules.roundsPerGame === 1 ? '' : 's'} per game`,
+    `Spade bonus at ${rules.spadeBonusThreshold} spades`,
+    rules.buildsOverTen ? 'Builds may total over 10' : 'Builds capped at 10',
+    ...(rules.matchTarget ? [`Match: deal again until ${rules.matchTarget} points`] : []),
+  ];
 }
 
 export const Lobby: React.FC<LobbyProps> = ({
@@ -48,11 +65,14 @@ export const Lobby: React.FC<LobbyProps> = ({
   isReady: externalIsReady,
   setIsReady: externalSetIsReady,
   isGameStarting = false,
+  rules = null,
 }) => {
   const { height } = useWindowDimensions();
   const needsScroll = height < 600;
 
-  const { displayPlayers, isInLobby, roomCode, isReady, toggleReady, players } = useLobby(socket ?? null, mode);
+  const {
+    displayPlayers, isInLobby, roomCode, isReady, toggleReady, players, ranked, ratingWindow, estimatedWaitMs,
+  } = useLobby(socket ?? null, mode);
 
   const effectiveRoomCode = externalRoomCode ?? roomCode;
   const effectiveIsReady = externalIsReady ?? isReady;
@@ -98,6 +118,17 @@ export const Lobby: React.FC<LobbyProps> = ({
           </View>
         )}
 
+        {externalRoomCode && socket && <InviteFriendsCard socket={socket} />}
+
+        {rules && (
+          <View style={styles.rulesCard}>
+            <Text style={styles.rulesTitle}>House Rules</Text>
+            {describeRules(rules).map(line => (
+              <Text key={line} style={styles.rulesLine}>• {line}</Text>
+            ))}
+          </View>
+        )}
+
         <View style={styles.playersSection}>
           <Text style={styles.sectionTitle}>
             Players ({effectivePlayersCount}/{modeConfig.playerCount})
@@ -160,6 +191,14 @@ export const Lobby: React.FC<LobbyProps> = ({
               <ActivityIndicator size="small" color="#4CAF50" />
               <Text style={styles.readyStatusText}>Initializing game...</Text>
             </View>
+          ) : ranked ? (
+            <View style={styles.waitingStatus}>
+              <ActivityIndicator size="small" color="#FFD700" />
+              <Text style={styles.waitingText}>
+                Finding ranked opponents (±{ratingWindow ?? 0})
+                {estimatedWaitMs !== null && ` · ~${Math.max(1, Math.round(estimatedWaitMs / 1000))}s`}
+              </Text>
+            </View>
           ) : playersNeeded > 0 ? (
             <View style={styles.waitingStatus}>
               <ActivityIndicator size="small" color="#FFD700" />
@@ -245,6 +284,14 @@ const styles = StyleSheet.create({
   roomCodeLabel: { fontSize: 12, color: 'rgba(255,255,255,0.6)', marginBottom: 2 },
   roomCodeValue: { fontSize: 24, fontWeight: 'bold', color: '#FFD700', letterSpacing: 4 },
   copyButton: { backgroundColor: 'rgba(255,215,0,0.2)', padding: 10, borderRadius: 8 },
+  rulesCard: {
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 20,
+  },
+  rulesTitle: { fontSize: 14, fontWeight: '600', color: '#FFD700', marginBottom: 6 },
+  rulesLine: { fontSize: 13, color: 'rgba(255,255,255,0.8)', marginTop: 2 },
   playersSection: { marginBottom: 20 },
   sectionTitle: { fontSize: 16, fontWeight: '600', color: 'white', marginBottom: 12 },
   playersGrid: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between' },
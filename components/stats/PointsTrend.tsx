@@ -0,0 +1,63 @@
+/**
+ * PointsTrend
+ * Column chart of the points scored in recent games, oldest on the left.
+ */
+
+import React from 'react';
+import { StyleSheet, View, Text } from 'react-native';
+
+interface PointsTrendProps {
+  points: number[];
+  color?: string;
+  /** Chart height in px */
+  height?: number;
+}
+
+export function PointsTrend({ points, color = '#FFD700', height = 80 }: PointsTrendProps) {
+  if (points.length === 0) {
+    return <Text style={styles.empty}>No games yet</Text>;
+  }
+
+  const max = Math.max(...points, 1);
+  const average = points.reduce((sum, p) => sum + p, 0) / points.length;
+
+  return (
+    <View>
+      <View style={[styles.chart, { height }]}>
+        {points.map((value, idx) => (
+          <View
+            key={idx}
+            style={[styles.column, { height: Math.max(2, (value / max) * height), backgroundColor: color }]}
+          />
+        ))}
+      </View>
+      <Text style={styles.caption}>
+        Last {points.length} games · avg {average.toFixed(1)} · best {Math.max(...points)}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 2,
+  },
+  column: {
+    flex: 1,
+    borderTopLeftRadius: 2,
+    borderTopRightRadius: 2,
+  },
+  caption: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 11,
+    marginTop: 6,
+  },
+  empty: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+  },
+});
+
+export default PointsTrend;
@@ -0,0 +1,74 @@
+/**
+ * StatBars
+ * Horizontal bar chart of rates between 0 and 1 (e.g. the share of 10♦
+ * captured), each labelled with its percentage.
+ */
+
+import React from 'react';
+import { StyleSheet, View, Text } from 'react-native';
+
+export interface StatBar {
+  label: string;
+  /** Between 0 and 1 */
+  value: number;
+}
+
+interface StatBarsProps {
+  bars: StatBar[];
+  color?: string;
+}
+
+export function StatBars({ bars, color = '#FFD700' }: StatBarsProps) {
+  return (
+    <View style={styles.container}>
+      {bars.map(bar => {
+        const percent = Math.round(Math.max(0, Math.min(1, bar.value)) * 100);
+        return (
+          <View key={bar.label} style={styles.row}>
+            <Text style={styles.label}>{bar.label}</Text>
+            <View style={styles.track}>
+              <View style={[styles.fill, { width: `${percent}%`, backgroundColor: color }]} />
+            </View>
+            <Text style={styles.value}>{percent}%</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  label: {
+    width: 110,
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+  },
+  track: {
+    flex: 1,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+    borderRadius: 5,
+  },
+  value: {
+    width: 40,
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'right',
+  },
+});
+
+export default StatBars;
@@ -7,11 +7,12 @@
  */
 
 import React from 'react';
-import { StyleSheet, View } from 'react-native';
+import { StyleSheet, View, Text } from 'react-native';
 import { CardBounds, TempStackBounds, BuildStackBounds, CapturedCardBounds, CapturePileBounds } from '../../hooks/useDrag';
 import { Card, TempStack, BuildStack, TableItem, isLooseCard, isTempStack, isBuildStack, AnyStack } from './types';
 import { CapturedCardsView } from './CapturedCardsView';
 import { OpponentDragState } from '../../hooks/useGameState';
+import { MoveHints } from '../../hooks/game/useMoveHints';
 
 // Layout components
 import { TableGrid } from './layout/TableGrid';
@@ -146,6 +147,8 @@ interface Props {
   pendingDropCard?: Card | null;
   /** Pending drop source - 'hand' | 'captured' | 'table' | null */
   pendingDropSource?: 'hand' | 'captured' | 'table' | null;
+  /** Hint mode targets for the hand card being dragged */
+  hints?: MoveHints | null;
 }
 
 // ── Component ─────────────────────────────────────────────────────────────────
@@ -212,6 +215,7 @@ export function TableArea({
   onDoubleTapCard,
   pendingDropCard,
   pendingDropSource,
+  hints,
 }: Props) {
   // Separate item types
   const tempStacks = tableCards.filter(isTempStack) as TempStack[];
@@ -237,53 +241,75 @@ export function TableArea({
     return `item-${index}`;
   };
 
+  // Hint frame for an item, if the dragged card can capture or build on it
+  const renderHintFrame = (item: TableItem) => {
+    if (!hints) return null;
+    const id = isLooseCard(item)
+      ? `${(item as Card).rank}${(item as Card).suit}`
+      : (item as AnyStack).stackId;
+    if (hints.captures.includes(id)) {
+      return <View pointerEvents="none" style={[styles.hintFrame, styles.hintCapture]} />;
+    }
+    const build = hints.builds.find(b => b.id === id);
+    if (build) {
+      return (
+        <View pointerEvents="none" style={[styles.hintFrame, styles.hintBuild]}>
+          <Text style={styles.hintBuildValue}>{build.value}</Text>
+        </View>
+      );
+    }
+    return null;
+  };
+
   // Render item function for grid
   const renderItem = (item: TableItem, index: number) => {
     // Determine if hidden for loose cards
     const hidden = isLooseCard(item) ? isCardHidden(item as Card) : false;
     
     return (
-      <TableItemRenderer
-        key={getItemKey(item, index)}
-        item={item}
-        index={index}
-        isMyTurn={isMyTurn}
-        playerNumber={playerNumber}
-        playerCount={playerCount}
-        tableVersion={tableVersion}
-        registerCard={registerCard}
-        unregisterCard={unregisterCard}
-        registerTempStack={registerTempStack}
-        unregisterTempStack={unregisterTempStack}
-        registerBuildStack={registerBuildStack}
-        unregisterBuildStack={unregisterBuildStack}
-        findCardAtPoint={findCardAtPoint}
-        findTempStackAtPoint={findTempStackAtPoint}
-        findBuildStackAtPoint={findBuildStackAtPoint}
-        findCapturePileAtPoint={findCapturePileAtPoint}
-        onDropOnBuildStack={onDropOnBuildStack}
-        onDropOnTempStack={onDropOnTempStack}
-        onTableCardDropOnCard={onTableCardDropOnCard}
-        onTableDragStart={onTableDragStart}
-        onTableDragMove={onTableDragMove}
-        onTableDragEnd={onTableDragEnd}
-        onTempStackDragStart={onTempStackDragStart}
-        onTempStackDragMove={onTempStackDragMove}
-        onTempStackDragEnd={onTempStackDragEnd}
-        onBuildStackDragStart={onBuildStackDragStart}
-        onBuildStackDragMove={onBuildStackDragMove}
-        onBuildStackDragEnd={onBuildStackDragEnd}
-        onDropToCapture={onDropToCapture}
-        onDropBuildToCapture={onDropBuildToCapture}
-        isHidden={hidden}
-        isPartyMode={isPartyMode}
-        currentPlayerIndex={currentPlayerIndex}
-        onBuildTap={onBuildTap}
-        onDoubleTapCard={onDoubleTapCard}
-        pendingDropCard={pendingDropCard}
-        pendingDropSource={pendingDropSource}
-        opponentDrag={opponentDrag}
-      />
+      <React.Fragment key={getItemKey(item, index)}>
+        <TableItemRenderer
+          item={item}
+          index={index}
+          isMyTurn={isMyTurn}
+          playerNumber={playerNumber}
+          playerCount={playerCount}
+          tableVersion={tableVersion}
+          registerCard={registerCard}
+          unregisterCard={unregisterCard}
+          registerTempStack={registerTempStack}
+          unregisterTempStack={unregisterTempStack}
+          registerBuildStack={registerBuildStack}
+          unregisterBuildStack={unregisterBuildStack}
+          findCardAtPoint={findCardAtPoint}
+          findTempStackAtPoint={findTempStackAtPoint}
+          findBuildStackAtPoint={findBuildStackAtPoint}
+          findCapturePileAtPoint={findCapturePileAtPoint}
+          onDropOnBuildStack={onDropOnBuildStack}
+          onDropOnTempStack={onDropOnTempStack}
+          onTableCardDropOnCard={onTableCardDropOnCard}
+          onTableDragStart={onTableDragStart}
+          onTableDragMove={onTableDragMove}
+          onTableDragEnd={onTableDragEnd}
+          onTempStackDragStart={onTempStackDragStart}
+          onTempStackDragMove={onTempStackDragMove}
+          onTempStackDragEnd={onTempStackDragEnd}
+          onBuildStackDragStart={onBuildStackDragStart}
+          onBuildStackDragMove={onBuildStackDragMove}
+          onBuildStackDragEnd={onBuildStackDragEnd}
+          onDropToCapture={onDropToCapture}
+          onDropBuildToCapture={onDropBuildToCapture}
+          isHidden={hidden}
+          isPartyMode={isPartyMode}
+          currentPlayerIndex={currentPlayerIndex}
+          onBuildTap={onBuildTap}
+          onDoubleTapCard={onDoubleTapCard}
+          pendingDropCard={pendingDropCard}
+          pendingDropSource={pendingDropSource}
+          opponentDrag={opponentDrag}
+        />
+        {renderHintFrame(item)}
+      </React.Fragment>
     );
   };
 
@@ -360,6 +386,35 @@ const styles = StyleSheet.create({
     borderColor: '#66BB6A',
     borderStyle: 'dashed',
   },
+  hintFrame: {
+    position:     'absolute',
+    top:          -4,
+    left:         -4,
+    right:        -4,
+    bottom:       -4,
+    borderRadius: 8,
+    borderWidth:  3,
+  },
+  hintCapture: {
+    borderColor: '#66BB6A',
+  },
+  hintBuild: {
+    borderColor: '#FFD700',
+    borderStyle: 'dashed',
+    alignItems:  'flex-end',
+  },
+  hintBuildValue: {
+    marginTop:       -12,
+    marginRight:     -10,
+    minWidth:        20,
+    borderRadius:    10,
+    overflow:        'hidden',
+    backgroundColor: '#FFD700',
+    color:           '#1B5E20',
+    fontSize:        12,
+    fontWeight:      '700',
+    textAlign:       'center',
+  },
 });
 
 export default TableArea;
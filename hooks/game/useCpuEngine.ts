@@ -3,14 +3,15 @@
  * Hook for CPU AI decision making.
  * 
  * Monitors when it's CPU's turn and automatically executes moves.
- * Uses the SmartRouter to find valid actions.
+ * Turns are chosen by the shared CPU opponent (shared/game/ai) at the
+ * selected difficulty level.
  */
 
-import { useEffect, useRef, useCallback } from 'react';
+import { useEffect, useRef } from 'react';
 import { GameState } from './useLocalGame';
 
-// Import SmartRouter from shared module
-const SmartRouter = require('../../shared/game/smart-router');
+// Import CPU opponent from shared module
+const { chooseCpuMove } = require('../../shared/game/ai');
 
 const CPU_PLAYER = 1;
 
@@ -18,6 +19,13 @@ const CPU_PLAYER = 1;
 // This gives the player time to see that it's CPU's turn
 const CPU_THINK_DELAY = 1500;
 
+// Delay between the actions of a multi-step turn (e.g. build then accept)
+const CPU_STEP_DELAY = 700;
+
+export type CpuLevel = 'easy' | 'medium' | 'hard';
+
+type CpuAction = { type: string; payload?: Record<string, unknown> };
+
 interface UseCpuEngineOptions {
   /** Current game state */
   gameState: GameState;
@@ -25,6 +33,8 @@ interface UseCpuEngineOptions {
   executeAction: (action: { type: string; payload?: Record<string, unknown> }) => void;
   /** Whether the CPU engine is enabled */
   enabled?: boolean;
+  /** CPU difficulty (default medium) */
+  level?: CpuLevel;
 }
 
 /**
@@ -32,13 +42,15 @@ interface UseCpuEngineOptions {
  * 
  * When it's CPU's turn:
  * 1. Wait for the thinking delay
- * 2. Find valid actions using SmartRouter
- * 3. Execute the best action (first valid one)
- * 4. Turn ends automatically (handled by action handlers)
+ * 2. Choose a whole turn with the shared CPU opponent
+ * 3. Execute its actions one per state update
+ * 4. Turn ends with the last action (handled by action handlers)
  */
-export function useCpuEngine({ gameState, executeAction, enabled = true }: UseCpuEngineOptions) {
+export function useCpuEngine({ gameState, executeAction, enabled = true, level = 'medium' }: UseCpuEngineOptions) {
   const isProcessingRef = useRef(false);
   const timeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // Remaining actions of the turn being played
+  const pendingActionsRef = useRef<CpuAction[]>([]);
   
   // Clean up timeout on unmount
   useEffect(() => {
@@ -55,6 +67,7 @@ export function useCpuEngine({ gameState, executeAction, enabled = true }: UseCp
     
     // Don't process if game is over or not CPU's turn
     if (gameState.gameOver || gameState.currentPlayer !== CPU_PLAYER) {
+      pendingActionsRef.current = [];
       return;
     }
     
@@ -64,21 +77,21 @@ export function useCpuEngine({ gameState, executeAction, enabled = true }: UseCp
     }
     
     isProcessingRef.current = true;
+    const continuingTurn = pendingActionsRef.current.length > 0;
     
     // Set timeout for "thinking" delay
     timeoutRef.current = setTimeout(() => {
       try {
-        // Find the best action for CPU
-        const action = findCpuAction(gameState, CPU_PLAYER);
-        
-        if (action) {
-          executeAction(action);
-        } else {
-          // No valid actions found - end turn
-          executeAction({ type: 'endTurn', payload: {} });
+        if (!continuingTurn) {
+          const plan = chooseCpuMove(gameState, CPU_PLAYER, { level });
+          pendingActionsRef.current = [...plan.actions];
         }
+        
+        const action = pendingActionsRef.current.shift();
+        executeAction(action || { type: 'endTurn', payload: {} });
       } catch (error) {
         console.error('[useCpuEngine] Error during CPU move:', error);
+        pendingActionsRef.current = [];
         // On error, try to end turn
         try {
           executeAction({ type: 'endTurn', payload: {} });
@@ -88,15 +101,17 @@ export function useCpuEngine({ gameState, executeAction, enabled = true }: UseCp
       } finally {
         isProcessingRef.current = false;
       }
-    }, CPU_THINK_DELAY);
+    }, continuingTurn ? CPU_STEP_DELAY : CPU_THINK_DELAY);
     
     // Cleanup function
     return () => {
       if (timeoutRef.current) {
         clearTimeout(timeoutRef.current);
+        // A cancelled move must not block the next one
+        isProcessingRef.current = false;
       }
     };
-  }, [gameState.currentPlayer, gameState.gameOver, gameState, enabled, executeAction]);
+  }, [gameState.currentPlayer, gameState.gameOver, gameState, enabled, executeAction, level]);
   
   return {
     /** Whether CPU is currently "thinking" */
@@ -104,82 +119,4 @@ export function useCpuEngine({ gameState, executeAction, enabled = true }: UseCp
   };
 }
 
-/**
- * Find the best action for the CPU to take.
- * 
- * This uses the SmartRouter to determine valid actions.
- * For simplicity, we try each action type and use the first one that works.
- */
-function findCpuAction(state: GameState, playerIndex: number): { type: string; payload?: Record<string, unknown> } | null {
-  const smartRouter = new SmartRouter();
-  
-  // Get CPU's hand
-  const cpuHand = state.players?.[playerIndex]?.hand || [];
-  
-  // If CPU has no cards, end turn
-  if (cpuHand.length === 0) {
-    return { type: 'endTurn', payload: {} };
-  }
-  
-  // Try each card in hand to find valid actions
-  for (const card of cpuHand) {
-    // Try trail (always valid if card in hand)
-    try {
-      const trailResult = smartRouter.route('trail', { card }, state, playerIndex);
-      if (trailResult.type) {
-        return { type: 'trail', payload: { card } };
-      }
-    } catch (e) {
-      // Trail not valid, continue
-    }
-    
-    // Try capture on loose table cards
-    for (const tableCard of (state.tableCards || [])) {
-      try {
-        const captureResult = smartRouter.route(
-          'capture',
-          { card, targetType: 'loose', targetRank: tableCard.rank, targetSuit: tableCard.suit },
-          state,
-          playerIndex
-        );
-        if (captureResult.type) {
-          return {
-            type: 'capture',
-            payload: { card, targetType: 'loose', targetRank: tableCard.rank, targetSuit: tableCard.suit }
-          };
-        }
-      } catch (e) {
-        // Capture not valid, continue
-      }
-    }
-    
-    // Try createTemp on table cards
-    for (const tableCard of (state.tableCards || [])) {
-      try {
-        const tempResult = smartRouter.route(
-          'createTemp',
-          { card, targetCard: tableCard },
-          state,
-          playerIndex
-        );
-        if (tempResult.type) {
-          return { type: 'createTemp', payload: { card, targetCard: tableCard } };
-        }
-      } catch (e) {
-        // Not valid, continue
-      }
-    }
-  }
-  
-  // If no specific action found, try trail as fallback
-  // Trail should always be valid if CPU has cards
-  const firstCard = cpuHand[0];
-  if (firstCard) {
-    return { type: 'trail', payload: { card: firstCard } };
-  }
-  
-  // Last resort: end turn
-  return { type: 'endTurn', payload: {} };
-}
-
 export default useCpuEngine;
@@ -47,7 +47,7 @@ export function useGameRound(gameState: GameState | null): RoundInfo {
     // Get cards for each player (works for 2 or 4 players)
     const cardsPerPlayer: number[] = [];
     for (let i = 0; i < playerCount; i++) {
-      cardsPerPlayer.push(playerHands[i]?.hand?.length || 0);
+      cardsPerPlayer.push(playerHands[i]?.handCount ?? playerHands[i]?.hand?.length ?? 0);
     }
     
     const turnCounter = gameState.turnCounter || 1;
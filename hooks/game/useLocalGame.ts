@@ -11,6 +11,7 @@
  */
 
 import { useState, useCallback, useMemo, useEffect } from 'react';
+import { explainError } from '../../shared/game/ruleErrors';
 
 // Import from shared game module
 // The shared module is in JavaScript (CommonJS) but Metro bundler handles this
@@ -74,6 +75,10 @@ interface UseLocalGameResult {
   resetGame: () => void;
   /** Start a new round */
   startNextRound: () => void;
+  /** Why the last action was rejected */
+  error: string | null;
+  /** Dismiss the rejection message */
+  clearError: () => void;
 }
 
 // Constants
@@ -95,6 +100,7 @@ function createInitialGameState(playerCount: number = 2): GameState {
  */
 export function useLocalGame(playerCount: number = 2): UseLocalGameResult {
   const [gameState, setGameState] = useState<GameState>(() => createInitialGameState(playerCount));
+  const [error, setError] = useState<string | null>(null);
   
   // Create ActionRouter with all shared handlers
   const actionRouter = useMemo(() => {
@@ -118,16 +124,20 @@ export function useLocalGame(playerCount: number = 2): UseLocalGameResult {
       );
       
       setGameState(newState);
-    } catch (error: any) {
-      console.error(`[useLocalGame] Action failed: ${type}`, error);
-      // For local games, we need to alert the user about the error
-      alert(`Action failed: ${error.message}`);
+      setError(null);
+    } catch (err: any) {
+      console.error(`[useLocalGame] Action failed: ${type}`, err);
+      // Show the player why the move was rejected
+      setError(explainError(err).explanation);
     }
   }, [gameState, actionRouter]);
+
+  const clearError = useCallback(() => setError(null), []);
   
   // Reset game to initial state
   const resetGame = useCallback(() => {
     setGameState(createInitialGameState(playerCount));
+    setError(null);
   }, [playerCount]);
   
   // Start next round - uses the remaining deck to deal new cards to players
@@ -166,6 +176,8 @@ export function useLocalGame(playerCount: number = 2): UseLocalGameResult {
     isCpuTurn,
     resetGame,
     startNextRound,
+    error,
+    clearError,
   };
 }
 
@@ -0,0 +1,69 @@
+/**
+ * useMoveHints
+ * Hint mode: while the player drags a hand card, work out which table
+ * items it can capture and which it can build on, for TableArea to
+ * highlight.
+ *
+ * Hints come from the shared hints module (built on getBuildHint) and are
+ * only offered where the game allows them - CPU and casual games, not
+ * ranked ones.
+ */
+
+import { useState, useCallback, useMemo } from 'react';
+import { areHintsAllowed, getCardHints } from '../../shared/game/hints';
+
+interface Card {
+  rank: string;
+  suit: string;
+  value: number;
+}
+
+export interface MoveHints {
+  /** Ids of items the card captures (rank+suit for loose cards, stackId for stacks) */
+  captures: string[];
+  /** Items the card builds on, with the value the build would have */
+  builds: { id: string; value: number }[];
+}
+
+interface UseMoveHintsResult {
+  /** Whether this game offers hint mode at all */
+  hintsAllowed: boolean;
+  /** Whether the player has hint mode switched on */
+  hintsOn: boolean;
+  toggleHints: () => void;
+  /** Targets for the card being dragged, or null */
+  hints: MoveHints | null;
+}
+
+/**
+ * @param gameState - Current game state
+ * @param playerNumber - This client's player index
+ * @param draggingCard - Card being dragged, if any
+ * @param enabled - Set false to turn hints off for this screen (e.g. puzzles)
+ */
+export function useMoveHints(
+  gameState: any,
+  playerNumber: number,
+  draggingCard: Card | null,
+  enabled: boolean = true
+): UseMoveHintsResult {
+  const [hintsOn, setHintsOn] = useState(false);
+
+  const hintsAllowed = enabled && areHintsAllowed(gameState);
+
+  const toggleHints = useCallback(() => setHintsOn(on => !on), []);
+
+  const hints = useMemo(() => {
+    if (!hintsAllowed || !hintsOn || !draggingCard) return null;
+
+    const hand: Card[] = gameState?.players?.[playerNumber]?.hand || [];
+    const inHand = hand.some(c => c.rank === draggingCard.rank && c.suit === draggingCard.suit);
+    if (!inHand) return null;
+
+    return getCardHints(gameState, playerNumber, draggingCard) as MoveHints | null;
+  }, [hintsAllowed, hintsOn, draggingCard, gameState, playerNumber]);
+
+  return { hintsAllowed, hintsOn, toggleHints, hints };
+}
+
+export default useMoveHints;
@@ -0,0 +1,230 @@
+/**
+ * usePuzzleGame
+ * Hook for playing a "find the best move" puzzle on a live GameBoard.
+ *
+ * Loads today's puzzle (or a given one) from the server and plays the
+ * player's actions locally through the shared ActionRouter. Once the turn
+ * is over the actions are sent to the server to be checked and recorded;
+ * if the server can't be reached the shared engine checks them instead.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type { GameState } from './useLocalGame';
+import { createActionRouter } from '../../shared/game/ActionRouter';
+import actionHandlers from '../../shared/game/actions';
+import {
+  createPuzzleState,
+  checkPuzzleSolution,
+  getDailyPuzzle,
+  getPuzzle,
+  getPublicPuzzle,
+} from '../../shared/game/puzzles';
+import { explainError } from '../../shared/game/ruleErrors';
+
+// Get the socket URL from environment or use default
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+const PLAYER = 0;
+
+const actionRouter = createActionRouter({ handlers: actionHandlers }) as {
+  executeAction: (state: GameState, playerIndex: number, type: string, payload: Record<string, unknown>) => GameState;
+};
+
+export interface Puzzle {
+  id: string;
+  title: string;
+  description: string;
+  difficulty: 'easy' | 'medium' | 'hard';
+}
+
+export interface PuzzleStats {
+  currentStreak: number;
+  bestStreak: number;
+  dailySolved: number;
+  puzzlesSolved: number;
+  attempts: number;
+}
+
+export interface PuzzleResult {
+  correct: boolean;
+  move: string;
+  points: number;
+  best?: { description: string; points: number };
+}
+
+type GameAction = { type: string; payload?: Record<string, unknown> };
+
+type LocalCheck =
+  | { valid: false; error: string }
+  | { valid: true; correct: boolean; move: string; points: number; best: { description: string; points: number } };
+
+interface UsePuzzleGameResult {
+  puzzle: Puzzle | null;
+  /** Whether this is today's daily puzzle */
+  isDaily: boolean;
+  gameState: GameState | null;
+  sendAction: (action: GameAction) => void;
+  playerNumber: number;
+  isLoading: boolean;
+  isChecking: boolean;
+  /** Result of the last finished move */
+  result: PuzzleResult | null;
+  /** Why the last action was rejected */
+  error: string | null;
+  stats: PuzzleStats | null;
+  /** Put the board back for another try */
+  retry: () => void;
+}
+
+// Get auth token
+async function getAuthToken(): Promise<string | null> {
+  try {
+    return await AsyncStorage.getItem('casino_auth_token');
+  } catch {
+    return null;
+  }
+}
+
+async function authHeaders(): Promise<Record<string, string>> {
+  const token = await getAuthToken();
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+/**
+ * Hook for a puzzle
+ * @param puzzleId - Puzzle to play; today's daily puzzle if omitted
+ */
+export function usePuzzleGame(puzzleId?: string): UsePuzzleGameResult {
+  const [puzzle, setPuzzle] = useState<Puzzle | null>(null);
+  const [isDaily, setIsDaily] = useState(!puzzleId);
+  const [gameState, setGameState] = useState<GameState | null>(null);
+  const [actions, setActions] = useState<GameAction[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isChecking, setIsChecking] = useState(false);
+  const [result, setResult] = useState<PuzzleResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [stats, setStats] = useState<PuzzleStats | null>(null);
+
+  // Load the puzzle
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setIsLoading(true);
+      let loaded: Puzzle | null = null;
+      try {
+        const path = puzzleId ? `/api/puzzles/${puzzleId}` : '/api/puzzles/daily';
+        const response = await fetch(`${API_BASE}${path}`, {
+          credentials: 'include',
+          headers: await authHeaders(),
+        });
+        const data = await response.json();
+        if (response.ok && data.success) {
+          loaded = data.puzzle;
+          if (data.stats) setStats(data.stats);
+        }
+      } catch (err) {
+        console.warn('[usePuzzleGame] Server unavailable, using the local puzzle catalog:', err);
+      }
+
+      // Offline: the catalog ships with the app
+      if (!loaded) {
+        const local = puzzleId ? getPuzzle(puzzleId) : getDailyPuzzle(new Date().toISOString().slice(0, 10));
+        loaded = local ? (getPublicPuzzle(local) as Puzzle) : null;
+      }
+      if (cancelled) return;
+
+      setPuzzle(loaded);
+      setIsDaily(!puzzleId);
+      setGameState(loaded ? (createPuzzleState(loaded) as GameState) : null);
+      setActions([]);
+      setResult(null);
+      setIsLoading(false);
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [puzzleId]);
+
+  const submit = useCallback(async (played: GameAction[]) => {
+    if (!puzzle) return;
+    setIsChecking(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/puzzles/${puzzle.id}/attempt`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { ...(await authHeaders()), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ actions: played }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to check answer');
+        return;
+      }
+      setResult({ correct: data.correct, move: data.move, points: data.points, best: data.best });
+      if (data.stats) setStats(data.stats);
+    } catch (err) {
+      // Check locally - nothing is recorded
+      console.warn('[usePuzzleGame] Server unavailable, checking the answer locally:', err);
+      const local = getPuzzle(puzzle.id);
+      const check = local ? (checkPuzzleSolution(local, played) as LocalCheck) : null;
+      if (check?.valid) {
+        setResult({
+          correct: check.correct,
+          move: check.move,
+          points: check.points,
+          best: check.correct ? check.best : undefined,
+        });
+      } else {
+        setError((check && !check.valid && check.error) || 'Failed to check answer');
+      }
+    } finally {
+      setIsChecking(false);
+    }
+  }, [puzzle]);
+
+  const sendAction = useCallback((action: GameAction) => {
+    if (!gameState || result || isChecking) return;
+
+    try {
+      const next = actionRouter.executeAction(gameState, PLAYER, action.type, action.payload || {});
+      const played = [...actions, action];
+      setGameState(next);
+      setActions(played);
+      setError(null);
+
+      // Turn over - check the answer
+      if (next.currentPlayer !== PLAYER || next.gameOver) {
+        submit(played);
+      }
+    } catch (err: any) {
+      setError(explainError(err).explanation);
+    }
+  }, [gameState, actions, result, isChecking, submit]);
+
+  const retry = useCallback(() => {
+    if (!puzzle) return;
+    setGameState(createPuzzleState(puzzle) as GameState);
+    setActions([]);
+    setResult(null);
+    setError(null);
+  }, [puzzle]);
+
+  return {
+    puzzle,
+    isDaily,
+    gameState,
+    sendAction,
+    playerNumber: PLAYER,
+    isLoading,
+    isChecking,
+    result,
+    error,
+    stats,
+    retry,
+  };
+}
+
+export default usePuzzleGame;
@@ -14,6 +14,10 @@ export const LOW_TIME_THRESHOLD = 5;
  * - Auto-resets when turn changes
  * - Pauses when explicitly paused (animations, between rounds, etc.)
  * - Callback when timer expires
+ *
+ * Multiplayer games are timed by the server: when the state carries
+ * turnRemainingMs the countdown just follows it, and the server plays for
+ * the player on timeout (onTimeout is not called).
  */
 export interface UseTurnTimerResult {
   /** Current time remaining in seconds */
@@ -30,6 +34,8 @@ export interface UseTurnTimerResult {
   resume: () => void;
   /** Reset the timer to full duration */
   reset: () => void;
+  /** Full turn length in seconds */
+  duration: number;
 }
 
 interface UseTurnTimerProps {
@@ -45,6 +51,12 @@ interface UseTurnTimerProps {
   modalVisible?: boolean;
   /** Whether round is over (pause timer between rounds) */
   roundOver?: boolean;
+  /** Whether the server paused the timer (e.g. a player is reconnecting) */
+  paused?: boolean;
+  /** Server deadline: ms left in the turn when the state was sent */
+  serverRemainingMs?: number | null;
+  /** Server turn length in ms */
+  serverDurationMs?: number | null;
 }
 
 export function useTurnTimer({
@@ -54,8 +66,14 @@ export function useTurnTimer({
   gameOver = false,
   modalVisible = false,
   roundOver = false,
+  paused = false,
+  serverRemainingMs = null,
+  serverDurationMs = null,
 }: UseTurnTimerProps): UseTurnTimerResult {
-  const [timeRemaining, setTimeRemaining] = useState(TURN_TIMER_DURATION);
+  const serverTimed = serverDurationMs != null;
+  const duration = serverTimed ? Math.round(serverDurationMs / 1000) : TURN_TIMER_DURATION;
+
+  const [timeRemaining, setTimeRemaining] = useState(duration);
   const [isRunning, setIsRunning] = useState(false);
   
   // Track previous player to detect turn changes
@@ -110,7 +128,7 @@ export function useTurnTimer({
   
   // Timer tick effect
   useEffect(() => {
-    if (isRunning && timeRemaining > 0 && !gameOver && !roundOver) {
+    if (!serverTimed && isRunning && timeRemaining > 0 && !gameOver && !roundOver) {
       intervalRef.current = setInterval(() => {
         setTimeRemaining(prev => {
           if (prev <= 1) {
@@ -130,41 +148,77 @@ export function useTurnTimer({
         intervalRef.current = null;
       }
     };
-  }, [isRunning, gameOver, roundOver, handleTimeout]);
+  }, [serverTimed, isRunning, gameOver, roundOver, handleTimeout]);
+
+  // Server-timed: count down from the remaining time sent with each update
+  useEffect(() => {
+    if (!serverTimed) return;
+    if (serverRemainingMs == null || gameOver || roundOver) {
+      setIsRunning(false);
+      return;
+    }
+
+    const endsAt = Date.now() + serverRemainingMs;
+    const tick = () => setTimeRemaining(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+    tick();
+    if (paused) {
+      setIsRunning(false);
+      return;
+    }
+
+    setIsRunning(true);
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [serverTimed, serverRemainingMs, paused, gameOver, roundOver]);
   
   // Reset timer when turn changes (new player)
   useEffect(() => {
     if (prevPlayerRef.current !== currentPlayer) {
       prevPlayerRef.current = currentPlayer;
+      if (serverTimed) return;
       // Reset timer for new player
       setTimeRemaining(TURN_TIMER_DURATION);
       setIsRunning(false); // Don't auto-start, wait for player to take turn
     }
-  }, [currentPlayer]);
+  }, [serverTimed, currentPlayer]);
   
   // Auto-start timer when it's my turn and game is active
   useEffect(() => {
-    if (isMyTurn && !gameOver && !roundOver && !modalVisible) {
+    if (!serverTimed && isMyTurn && !gameOver && !roundOver && !modalVisible && !paused) {
       // Start timer when player's turn begins
       if (!isRunning && timeRemaining === TURN_TIMER_DURATION) {
         setIsRunning(true);
       }
     }
-  }, [isMyTurn, gameOver, roundOver, modalVisible, isRunning, timeRemaining]);
+  }, [serverTimed, isMyTurn, gameOver, roundOver, modalVisible, paused, isRunning, timeRemaining]);
   
   // Pause when modal is visible, round is over, or game is over
   useEffect(() => {
-    if (modalVisible || roundOver || gameOver) {
+    if (!serverTimed && (modalVisible || roundOver || gameOver)) {
       pause();
     }
-  }, [modalVisible, roundOver, gameOver, pause]);
+  }, [serverTimed, modalVisible, roundOver, gameOver, pause]);
   
+  // Pause while the server holds a seat for a reconnecting player,
+  // then carry on from where the countdown stopped
+  const wasPausedRef = useRef(false);
+  useEffect(() => {
+    if (serverTimed) return;
+    if (paused) {
+      wasPausedRef.current = true;
+      pause();
+    } else if (wasPausedRef.current) {
+      wasPausedRef.current = false;
+      if (isMyTurn) resume();
+    }
+  }, [serverTimed, paused, isMyTurn, pause, resume]);
+
   // Reset when game starts new
   useEffect(() => {
-    if (gameOver) {
+    if (gameOver && !serverTimed) {
       reset();
     }
-  }, [gameOver, reset]);
+  }, [serverTimed, gameOver, reset]);
   
   return {
     timeRemaining,
@@ -174,6 +228,7 @@ export function useTurnTimer({
     pause,
     resume,
     reset,
+    duration,
   };
 }
 
@@ -0,0 +1,99 @@
+/**
+ * useTutorialGame
+ * Hook for playing an interactive tutorial lesson on a live GameBoard.
+ *
+ * Like useLocalGame, actions run through the shared ActionRouter on the
+ * client, but via the shared tutorial module: the learner only ever plays
+ * seat 0, and instead of alerts a wrong move returns feedback and puts the
+ * board back for another try.
+ */
+
+import { useState, useCallback } from 'react';
+import type { GameState } from './useLocalGame';
+import {
+  getLesson,
+  createTutorialSession,
+  applyTutorialAction,
+  restartTutorialTask,
+} from '../../shared/game/tutorials/interactive';
+
+export type TutorialFeedbackType = 'prompt' | 'error' | 'success';
+
+export interface TutorialFeedback {
+  type: TutorialFeedbackType;
+  message: string;
+  /** Rule error code when a move was rejected */
+  code?: string;
+}
+
+interface TutorialSession {
+  lessonId: string;
+  taskIndex: number;
+  state: GameState;
+  taskStartState: GameState;
+  mistakes: number;
+  completed: boolean;
+  feedback: TutorialFeedback;
+}
+
+interface UseTutorialGameResult {
+  /** Board to render */
+  gameState: GameState;
+  /** Send a GameBoard action to the lesson */
+  sendAction: (action: { type: string; payload?: Record<string, unknown> }) => void;
+  /** The learner is always player 0 */
+  playerNumber: number;
+  /** Lesson title */
+  title: string;
+  /** Current task (0-based) and how many there are */
+  taskIndex: number;
+  taskCount: number;
+  /** What to do next, or why the last move was wrong */
+  feedback: TutorialFeedback;
+  /** Wrong moves so far */
+  mistakes: number;
+  /** Whether the lesson is finished */
+  completed: boolean;
+  /** Put the board back to the start of the current task */
+  restartTask: () => void;
+  /** Start the lesson over */
+  restartLesson: () => void;
+}
+
+/**
+ * Hook for an interactive tutorial lesson
+ * @param lessonId - Lesson ID (same IDs as the tutorial slideshows)
+ */
+export function useTutorialGame(lessonId: string): UseTutorialGameResult {
+  const [session, setSession] = useState<TutorialSession>(() => createTutorialSession(lessonId) as TutorialSession);
+
+  const sendAction = useCallback((action: { type: string; payload?: Record<string, unknown> }) => {
+    setSession(prev => applyTutorialAction(prev, action) as TutorialSession);
+  }, []);
+
+  const restartTask = useCallback(() => {
+    setSession(prev => restartTutorialTask(prev) as TutorialSession);
+  }, []);
+
+  const restartLesson = useCallback(() => {
+    setSession(createTutorialSession(lessonId) as TutorialSession);
+  }, [lessonId]);
+
+  const lesson = getLesson(session.lessonId) as { title: string; tasks: unknown[] };
+
+  return {
+    gameState: session.state,
+    sendAction,
+    playerNumber: 0,
+    title: lesson.title,
+    taskIndex: session.taskIndex,
+    taskCount: lesson.tasks.length,
+    feedback: session.feedback,
+    mistakes: session.mistakes,
+    completed: session.completed,
+    restartTask,
+    restartLesson,
+  };
+}
+
+export default useTutorialGame;
@@ -7,6 +7,7 @@
 export { useSocketConnection, type GameMode, type UseSocketConnectionOptions, type UseSocketConnectionResult } from './useSocketConnection';
 export { useGameStateSync, type Card, type GameState, type GameOverData, type UseGameStateSyncResult } from './useGameStateSync';
 export { useOpponentDrag, type OpponentDragState, type UseOpponentDragResult } from './useOpponentDrag';
+export { useGameChat, type ChatMessage, type EmoteEvent, type UseGameChatResult } from './useGameChat';
 export { useRoom, type GameMode as RoomGameMode, type RoomState, type UseRoomResult } from './useRoom';
 
 // Re-export simplified hooks for new implementation
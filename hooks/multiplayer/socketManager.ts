@@ -10,8 +10,13 @@
  */
 
 import { io, Socket } from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getOptimalServerUrl } from '../../utils/serverUrl';
 
+const AUTH_TOKEN_KEY = 'casino_auth_token';
+// Server-issued guest identity, kept so guests get the same ID back
+const GUEST_TOKEN_KEY = 'casino_guest_token';
+
 let socketInstance: Socket | null = null;
 let connectionPromise: Promise<Socket> | null = null;
 let isConnected = false;
@@ -36,6 +41,22 @@ function stopHeartbeat() {
   }
 }
 
+/**
+ * Handshake credentials, read on every (re)connect. The server trusts only
+ * these (or the auth cookie) for the socket's identity.
+ */
+async function readHandshakeAuth(): Promise<{ token?: string; guestToken?: string }> {
+  try {
+    const [token, guestToken] = await Promise.all([
+      AsyncStorage.getItem(AUTH_TOKEN_KEY),
+      AsyncStorage.getItem(GUEST_TOKEN_KEY),
+    ]);
+    return { ...(token ? { token } : {}), ...(guestToken ? { guestToken } : {}) };
+  } catch {
+    return {};
+  }
+}
+
 function notifyListeners() {
   listeners.forEach(cb => cb(isConnected, socketInstance));
 }
@@ -67,6 +88,16 @@ export async function getSocket(): Promise<Socket> {
         reconnectionDelay: 1000,
         timeout: 15000,
         forceNew: false,
+        withCredentials: true,
+        auth: (cb) => {
+          readHandshakeAuth().then(cb);
+        },
+      });
+
+      socketInstance.on('identity', (identity: { guestToken?: string }) => {
+        if (identity?.guestToken) {
+          AsyncStorage.setItem(GUEST_TOKEN_KEY, identity.guestToken).catch(() => {});
+        }
       });
 
       return new Promise<Socket>((resolve, reject) => {
@@ -136,6 +167,17 @@ export function onSocketStateChange(
   };
 }
 
+/**
+ * Reconnect with fresh credentials after signing in or out.
+ * A live socket's identity can't change, so it's replaced instead.
+ */
+export function reconnectSocket(): Socket | null {
+  if (!socketInstance) return null;
+  socketInstance.disconnect();
+  socketInstance.connect();
+  return socketInstance;
+}
+
 /**
  * Disconnect the socket (only call when app is closing).
  */
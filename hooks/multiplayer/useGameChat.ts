@@ -0,0 +1,116 @@
+/**
+ * useGameChat
+ *
+ * In-game chat and emotes for the current game.
+ *
+ * Responsibilities:
+ *  - Send chat messages (optionally team-only in party games) and emotes
+ *  - Keep the recent message history and each player's latest emote
+ *  - Surface rate-limit and filter rejections from the server
+ *
+ * Usage:
+ *   const chat = useGameChat(socket);
+ *   chat.sendMessage('gg', { teamOnly: false });
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Socket } from 'socket.io-client';
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export interface ChatMessage {
+  id: string;
+  from: number;
+  text: string;
+  teamOnly: boolean;
+  sentAt: number;
+}
+
+export interface EmoteEvent {
+  from: number;
+  emote: string;
+  sentAt: number;
+}
+
+export interface UseGameChatResult {
+  /** Recent messages, oldest first */
+  messages: ChatMessage[];
+  /** Latest emote per player index, cleared after a few seconds */
+  emotes: Record<number, EmoteEvent>;
+  /** Messages received since the panel was last opened */
+  unreadCount: number;
+  /** Last rejection from the server (rate limit, filter, ...) */
+  chatError: string | null;
+  sendMessage: (text: string, options?: { teamOnly?: boolean }) => void;
+  sendEmote: (emote: string) => void;
+  markRead: () => void;
+}
+
+// Only the tail of the conversation is kept on the device
+const MAX_MESSAGES = 50;
+const EMOTE_DISPLAY_MS = 3000;
+const ERROR_DISPLAY_MS = 4000;
+
+// ── Hook ─────────────────────────────────────────────────────────────────────
+
+export function useGameChat(socket: Socket | null): UseGameChatResult {
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [emotes, setEmotes] = useState<Record<number, EmoteEvent>>({});
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [chatError, setChatError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const timers: ReturnType<typeof setTimeout>[] = [];
+
+    const handleChat = (message: ChatMessage) => {
+      setMessages(prev => [...prev, message].slice(-MAX_MESSAGES));
+      setUnreadCount(prev => prev + 1);
+    };
+
+    const handleEmote = (event: EmoteEvent) => {
+      setEmotes(prev => ({ ...prev, [event.from]: event }));
+      timers.push(setTimeout(() => {
+        setEmotes(prev => {
+          if (prev[event.from]?.sentAt !== event.sentAt) return prev;
+          const next = { ...prev };
+          delete next[event.from];
+          return next;
+        });
+      }, EMOTE_DISPLAY_MS));
+    };
+
+    const handleError = (data: { message: string }) => {
+      setChatError(data.message);
+      timers.push(setTimeout(() => setChatError(null), ERROR_DISPLAY_MS));
+    };
+
+    socket.on('game-chat', handleChat);
+    socket.on('game-emote', handleEmote);
+    socket.on('chat-error', handleError);
+
+    return () => {
+      socket.off('game-chat', handleChat);
+      socket.off('game-emote', handleEmote);
+      socket.off('chat-error', handleError);
+      timers.forEach(clearTimeout);
+    };
+  }, [socket]);
+
+  const sendMessage = useCallback((text: string, options: { teamOnly?: boolean } = {}) => {
+    const trimmed = text.trim();
+    if (!socket || !trimmed) return;
+    socket.emit('game-chat', { text: trimmed, teamOnly: !!options.teamOnly });
+  }, [socket]);
+
+  const sendEmote = useCallback((emote: string) => {
+    socket?.emit('game-emote', { emote });
+  }, [socket]);
+
+  const markRead = useCallback(() => setUnreadCount(0), []);
+
+  return { messages, emotes, unreadCount, chatError, sendMessage, sendEmote, markRead };
+}
+
+export default useGameChat;
@@ -48,11 +48,28 @@ export interface ShiyaRecall {
 export interface GameState {
   gameId?: number; // Set when received from server (via game-start event)
   deck: Card[];
+  // Server-sent views hide the deck order and opponent hands - only counts are sent
+  deckCount?: number;
+  viewerRole?: 'player' | 'spectator' | 'eliminated';
+  // Seats held for disconnected players, and whether the turn timer is paused for them
+  disconnectedPlayers?: Record<number, { since: number; expiresAt: number }>;
+  turnTimerPaused?: boolean;
+  // Server turn timer: deadline (epoch ms, null while paused), ms left when sent, full length
+  turnDeadline?: number | null;
+  turnRemainingMs?: number | null;
+  turnDurationMs?: number | null;
+  // House rules the game is played with (see shared/game/ruleSet.js)
+  rules?: Record<string, number | boolean | null>;
+  // Dealer's seat (the next seat leads); later deals of a match also carry the match
+  dealer?: number;
+  matchId?: string;
+  matchDeal?: number;
   gameMode?: 'two-hands' | 'party' | 'three-hands' | 'four-hands' | 'tournament';
   players: {
     id: number;
     name: string;
     hand: Card[];
+    handCount?: number;
     captures: Card[];
     score: number;
     team?: 'A' | 'B';
@@ -123,6 +140,7 @@ export interface GameOverData {
   tableCardsRemaining?: number;
   deckRemaining?: number;
   isPartyMode?: boolean; // NEW: tells frontend if party mode (teams) or free-for-all
+  gameId?: number; // Saved game's id, for the replay and analysis screens (not sent for tournaments)
   // Tournament-specific data
   isTournamentMode?: boolean;
   playerStatuses?: { [playerId: string]: 'ACTIVE' | 'ELIMINATED' | 'SPECTATOR' | 'WINNER' };
@@ -246,11 +264,11 @@ function countAllCards(state: GameState): { total: number; breakdown: Record<str
   const breakdown: Record<string, number> = {};
   
   // Count deck
-  breakdown.deck = state.deck?.length ?? 0;
+  breakdown.deck = state.deckCount ?? state.deck?.length ?? 0;
   
   // Count each player's hand
   state.players?.forEach((player, idx) => {
-    breakdown[`player${idx}_hand`] = player.hand?.length ?? 0;
+    breakdown[`player${idx}_hand`] = player.handCount ?? player.hand?.length ?? 0;
     breakdown[`player${idx}_captures`] = player.captures?.length ?? 0;
   });
   
@@ -304,6 +322,9 @@ export function useGameStateSync(socket: Socket | null): UseGameStateSyncResult
   // Store gameId for emitClientReady
   const gameIdRef = useRef<number | null>(null);
 
+  // Resume token for reclaiming our seat after a network drop (rejoin-game)
+  const resumeTokenRef = useRef<string | null>(null);
+
   // Log ALL socket events received (global interceptor)
   useEffect(() => {
     if (!socket) return;
@@ -354,6 +375,7 @@ export function useGameStateSync(socket: Socket | null): UseGameStateSyncResult
       if (data.gameId !== undefined && data.gameId !== null) {
         gameIdRef.current = data.gameId;
       }
+      resumeTokenRef.current = data.resumeToken ?? null;
     };
 
     console.log(`[Client] 🎧 Attaching game-start listener on socket ${socket?.id} at ${Date.now()}`);
@@ -524,10 +546,58 @@ export function useGameStateSync(socket: Socket | null): UseGameStateSyncResult
       setOpponentDisconnected(true);
     };
 
+    const handlePlayerReconnected = () => {
+      setOpponentDisconnected(false);
+    };
+
     socket.on('player-disconnected', handlePlayerDisconnected);
+    socket.on('player-left', handlePlayerDisconnected);
+    socket.on('player-reconnected', handlePlayerReconnected);
 
     return () => {
       socket.off('player-disconnected', handlePlayerDisconnected);
+      socket.off('player-left', handlePlayerDisconnected);
+      socket.off('player-reconnected', handlePlayerReconnected);
+    };
+  }, [socket]);
+
+  // ── Reconnect & Resume ────────────────────────────────────────────────────
+  // The server holds our seat for a grace window after a drop. When the
+  // shared socket reconnects, reclaim it with the resume token from game-start.
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleReconnect = () => {
+      if (gameIdRef.current === null || !resumeTokenRef.current) return;
+      console.log('[Client] 🔄 Reconnected - emitting rejoin-game for game', gameIdRef.current);
+      socket.emit('rejoin-game', {
+        gameId: gameIdRef.current,
+        resumeToken: resumeTokenRef.current,
+      });
+    };
+
+    const handleGameRejoined = (data: any) => {
+      if (!data?.gameState) return;
+      setGameState(data.gameState);
+      setPlayerNumber(data.playerNumber);
+      setError(null);
+      resumeTokenRef.current = data.resumeToken ?? resumeTokenRef.current;
+    };
+
+    const handleRejoinFailed = (data: { message: string }) => {
+      console.warn('[Client] rejoin-game failed:', data.message);
+      resumeTokenRef.current = null;
+      setError(data.message);
+    };
+
+    socket.io.on('reconnect', handleReconnect);
+    socket.on('game-rejoined', handleGameRejoined);
+    socket.on('rejoin-failed', handleRejoinFailed);
+
+    return () => {
+      socket.io.off('reconnect', handleReconnect);
+      socket.off('game-rejoined', handleGameRejoined);
+      socket.off('rejoin-failed', handleRejoinFailed);
     };
   }, [socket]);
 
@@ -552,8 +622,9 @@ export function useGameStateSync(socket: Socket | null): UseGameStateSyncResult
   useEffect(() => {
     if (!socket) return;
 
-    const handleError = (data: { message: string }) => {
-      setError(data.message);
+    const handleError = (data: { message: string; code?: string; explanation?: string }) => {
+      // Rejected moves come with a player-facing explanation
+      setError(data.explanation || data.message);
       
       // Request sync after error
       setTimeout(() => {
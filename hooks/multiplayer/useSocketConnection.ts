@@ -8,7 +8,7 @@
  * Responsibilities:
  *  - Get shared socket from SocketManager
  *  - Authenticate the socket on first connect
- *  - Auto-join matchmaking queue based on mode (except private mode)
+ *  - Auto-join matchmaking queue based on mode (except private mode), ranked or open
  *  - Expose socket state to components
  * 
  * Usage:
@@ -25,6 +25,8 @@ export interface UseSocketConnectionOptions {
   mode: GameMode;
   /** Room code for private room mode - when provided, won't auto-join queues */
   roomCode?: string | null;
+  /** Join the skill-rated queue instead of the open one (signed-in players) */
+  ranked?: boolean;
 }
 
 export interface UseSocketConnectionResult {
@@ -43,7 +45,7 @@ export interface UseSocketConnectionResult {
 export function useSocketConnection(
   options: UseSocketConnectionOptions
 ): UseSocketConnectionResult {
-  const { mode, roomCode } = options;
+  const { mode, roomCode, ranked = false } = options;
   const isPartyMode = mode === 'party';
   const isTwoHandsMode = mode === 'two-hands';
   const isPrivateMode = mode === 'private';
@@ -79,6 +81,12 @@ export function useSocketConnection(
     if (hasSetupRef.current) return;
     hasSetupRef.current = true;
 
+    // Ranked: one queue event for every mode, matched by rating
+    if (ranked && mode !== 'tournament') {
+      sock.emit('join-ranked-queue', { gameType: mode });
+      return;
+    }
+
     // Join the appropriate queue immediately on connect
     // Two-hands mode: join the two-hands queue when connected
     if (isTwoHandsMode) {
@@ -105,7 +113,7 @@ export function useSocketConnection(
     if (mode === 'tournament') {
       sock.emit('join-tournament-queue');
     }
-  }, [mode, isPartyMode, isTwoHandsMode, isPrivateMode, isPrivateRoomGame, roomCode]);
+  }, [mode, ranked, isPartyMode, isTwoHandsMode, isPrivateMode, isPrivateRoomGame, roomCode]);
 
   // Watch for roomCode becoming available after initial mount
   // This handles the case where useLocalSearchParams isn't available on first render
@@ -6,6 +6,7 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { reconnectSocket } from './multiplayer/socketManager';
 
 const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
 const API_BASE = SOCKET_URL;
@@ -29,12 +30,43 @@ interface AuthFunctions {
   login: (username: string, password: string) => Promise<{ success: boolean; error?: string }>;
   register: (username: string, email: string, password: string) => Promise<{ success: boolean; error?: string }>;
   logout: () => Promise<void>;
+  /** Revoke every session of the account, on all devices */
+  logoutEverywhere: () => Promise<void>;
   verifySession: () => Promise<boolean>;
 }
 
 const GUEST_PROFILE_KEY = 'guest_profile';
 const GUEST_GAME_PROGRESS_KEY = 'guest_game_progress';
 
+// Access tokens last 15 minutes; renew them well before that
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Swap the refresh token cookie for a new access token (and refresh token)
+ */
+async function refreshSession(): Promise<boolean> {
+  try {
+    const response = await fetch(`${API_BASE}/api/auth/refresh`, {
+      method: 'POST',
+      credentials: 'include',
+    });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * GET /api/auth/me, refreshing the session once if the access token expired
+ */
+async function fetchMe(): Promise<Response> {
+  const response = await fetch(`${API_BASE}/api/auth/me`, { credentials: 'include' });
+  if (response.status !== 401 || !(await refreshSession())) {
+    return response;
+  }
+  return fetch(`${API_BASE}/api/auth/me`, { credentials: 'include' });
+}
+
 function debugLog(tag: string, message: string, data?: any) {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] [Auth:${tag}] ${message}`, data || '');
@@ -51,12 +83,23 @@ export function useAuth() {
     loadSession();
   }, []);
 
+  // Keep the access token fresh while signed in
+  useEffect(() => {
+    if (!authState.isAuthenticated) return;
+    const interval = setInterval(async () => {
+      if (!(await refreshSession())) {
+        debugLog('refresh', 'Session ended, signing out');
+        setAuthState({ user: null, isAuthenticated: false, isLoading: false });
+        reconnectSocket();
+      }
+    }, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [authState.isAuthenticated]);
+
   const loadSession = async () => {
     debugLog('loadSession', 'Starting session load');
     try {
-      const response = await fetch(`${API_BASE}/api/auth/me`, {
-        credentials: 'include',
-      });
+      const response = await fetchMe();
 
       if (response.ok) {
         const data = await response.json();
@@ -83,9 +126,7 @@ export function useAuth() {
 
   const verifySessionServer = async (): Promise<boolean> => {
     try {
-      const response = await fetch(`${API_BASE}/api/auth/me`, {
-        credentials: 'include',
-      });
+      const response = await fetchMe();
 
       if (response.ok) {
         const data = await response.json();
@@ -146,6 +187,8 @@ export function useAuth() {
         });
 
         debugLog('login', 'Success', { userId: data.user._id });
+        // The socket picks up the new session on its next handshake
+        reconnectSocket();
         return { success: true };
       } else {
         return { success: false, error: data.error || 'Login failed' };
@@ -199,6 +242,8 @@ export function useAuth() {
         });
 
         debugLog('register', 'Success', { userId: data.user._id });
+        // The socket picks up the new session on its next handshake
+        reconnectSocket();
         return { success: true };
       } else {
         return { success: false, error: data.error || 'Registration failed' };
@@ -239,10 +284,25 @@ export function useAuth() {
       isAuthenticated: false,
       isLoading: false,
     });
+    reconnectSocket();
 
     debugLog('logout', 'Complete');
   };
 
+  const logoutEverywhere: AuthFunctions['logoutEverywhere'] = async () => {
+    debugLog('logoutEverywhere', 'Revoking all sessions');
+    try {
+      await fetch(`${API_BASE}/api/auth/logout-all`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+    } catch (error) {
+      debugLog('logoutEverywhere', 'Network error', error);
+    }
+    // Clears local data the same way a normal logout does
+    await logout();
+  };
+
   const verifySession: AuthFunctions['verifySession'] = async () => {
     return verifySessionServer();
   };
@@ -252,6 +312,7 @@ export function useAuth() {
     login,
     register,
     logout,
+    logoutEverywhere,
     verifySession,
   };
 }
@@ -0,0 +1,104 @@
+/**
+ * useBracket Hook
+ * Fetches a knockout tournament's bracket from the server and refreshes it
+ * while the tournament is still registering or being played.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+
+// Get the socket URL from environment or use default
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+// Bracket tables finish every few minutes, so a short refresh keeps it current
+const REFRESH_INTERVAL_MS = 15 * 1000;
+
+export interface BracketPlayer {
+  id: string;
+  name: string;
+  avatar: string;
+  seed: number;
+  rating: number;
+}
+
+export interface BracketMatch {
+  id: string;
+  players: (BracketPlayer | null)[];
+  winner: string | null;
+  status: 'pending' | 'ready' | 'playing' | 'complete' | 'bye';
+  gameId: number | null;
+  result: { scores: number[] | null; forfeitedBy: number | null; walkover: boolean } | null;
+}
+
+export interface BracketRound {
+  round: number;
+  name: string;
+  matches: BracketMatch[];
+}
+
+export interface BracketData {
+  tournamentId: string;
+  size: number;
+  status: 'registering' | 'playing' | 'complete';
+  createdBy: string;
+  entrants: number;
+  currentRound: number | null;
+  currentRoundName: string | null;
+  champion: string | null;
+  rounds: BracketRound[];
+}
+
+interface UseBracketResult {
+  bracket: BracketData | null;
+  isLoading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+}
+
+export function useBracket(tournamentId: string | undefined): UseBracketResult {
+  const [bracket, setBracket] = useState<BracketData | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchBracket = useCallback(async () => {
+    if (!tournamentId) return;
+
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/tournaments/${encodeURIComponent(tournamentId)}/bracket`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to load bracket');
+      }
+
+      setBracket(data.bracket);
+    } catch (err: any) {
+      console.error('[useBracket] Error loading bracket:', err);
+      setError(err.message || 'Failed to load bracket');
+    }
+  }, [tournamentId]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchBracket().finally(() => setIsLoading(false));
+  }, [fetchBracket]);
+
+  // Keep refreshing until there's a champion
+  const isFinished = bracket?.status === 'complete';
+  useEffect(() => {
+    if (!tournamentId || isFinished) return;
+    const interval = setInterval(fetchBracket, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [tournamentId, isFinished, fetchBracket]);
+
+  return {
+    bracket,
+    isLoading,
+    error,
+    refresh: fetchBracket,
+  };
+}
+
+export default useBracket;
@@ -0,0 +1,97 @@
+/**
+ * useFriendPresence Hook
+ * Live status of each friend (offline, online, queued, in-game), loaded from
+ * the API and kept current by `presence-update` events on the shared socket.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './useAuth';
+import { onSocketStateChange, getCurrentSocket } from './multiplayer/socketManager';
+
+// Get the socket URL from environment or use default
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+export type PresenceStatus = 'offline' | 'online' | 'queued' | 'in-game';
+
+export interface FriendPresence {
+  status: PresenceStatus;
+  mode: string | null;
+  ranked?: boolean;
+  /** Set while the friend waits in a private room that has space */
+  roomCode?: string;
+  gameId?: string | number;
+  /** Set while the friend plays a knockout bracket match */
+  bracketTournamentId?: string;
+}
+
+const OFFLINE: FriendPresence = { status: 'offline', mode: null };
+
+// Get auth token
+async function getAuthToken(): Promise<string | null> {
+  try {
+    return await AsyncStorage.getItem('casino_auth_token');
+  } catch {
+    return null;
+  }
+}
+
+export function useFriendPresence() {
+  const { user } = useAuth();
+  const [presence, setPresence] = useState<Record<string, FriendPresence>>({});
+
+  const fetchPresence = useCallback(async () => {
+    const token = await getAuthToken();
+    if (!token) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/friends/presence`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setPresence(data.presence);
+      }
+    } catch (err) {
+      console.error('[useFriendPresence] Error loading presence:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user?._id) {
+      setPresence({});
+      return;
+    }
+
+    fetchPresence();
+
+    const handleUpdate = ({ userId, ...update }: FriendPresence & { userId: string }) => {
+      setPresence(prev => ({ ...prev, [userId]: update }));
+    };
+
+    let attached = false;
+    const unsubscribe = onSocketStateChange((connected, sock) => {
+      if (connected && sock && !attached) {
+        sock.on('presence-update', handleUpdate);
+        attached = true;
+        // Catch up on anything missed while disconnected
+        fetchPresence();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      getCurrentSocket()?.off('presence-update', handleUpdate);
+    };
+  }, [user?._id, fetchPresence]);
+
+  const getPresence = useCallback(
+    (friendId: string): FriendPresence => presence[friendId] || OFFLINE,
+    [presence]
+  );
+
+  return { presence, getPresence, refresh: fetchPresence };
+}
+
+export default useFriendPresence;
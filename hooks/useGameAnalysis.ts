@@ -0,0 +1,101 @@
+/**
+ * useGameAnalysis Hook
+ * Fetches a finished game's replay and runs the shared post-game analysis
+ * on it: every move with the scoring cards it moved, its point swing and
+ * any capture it missed, plus per-player tendencies.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { analyzeGame } from '../shared/game/analysis';
+import { fetchReplayData, type ReplayData } from './useReplay';
+
+export interface PointCardChange {
+  player: number;
+  card: string;
+  points: number;
+  change: 'gained' | 'lost';
+}
+
+export interface AnalyzedMove {
+  index: number;
+  round: number;
+  playerIndex: number;
+  kind: string;
+  description: string;
+  pointCards: PointCardChange[];
+  /** Card points the move won (or lost) the mover's side */
+  swing: number;
+  /** Best capture of point cards the move passed up */
+  missedCapture: { description: string; cards: string[]; points: number } | null;
+}
+
+export interface PlayerTendencies {
+  playerIndex: number;
+  moves: number;
+  captures: number;
+  builds: number;
+  steals: number;
+  trails: number;
+  pointCardsTaken: string[];
+  pointsTaken: number;
+  missedCaptures: number;
+  pointsMissed: number;
+  netSwing: number;
+  style: 'capturer' | 'builder' | 'cautious' | 'balanced' | 'none';
+}
+
+export interface GameAnalysis {
+  moves: AnalyzedMove[];
+  players: PlayerTendencies[];
+  /** Set when the log could only be analysed up to a point */
+  error: string | null;
+}
+
+interface UseGameAnalysisResult {
+  replay: ReplayData | null;
+  analysis: GameAnalysis | null;
+  isLoading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+}
+
+export function useGameAnalysis(roomId: string | undefined): UseGameAnalysisResult {
+  const [replay, setReplay] = useState<ReplayData | null>(null);
+  const [analysis, setAnalysis] = useState<GameAnalysis | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchAnalysis = useCallback(async () => {
+    if (!roomId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await fetchReplayData(roomId);
+      setReplay(data);
+      setAnalysis(analyzeGame(data) as GameAnalysis);
+    } catch (err: any) {
+      console.error('[useGameAnalysis] Error analysing game:', err);
+      setError(err.message || 'Failed to analyse game');
+      setReplay(null);
+      setAnalysis(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    fetchAnalysis();
+  }, [fetchAnalysis]);
+
+  return {
+    replay,
+    analysis,
+    isLoading,
+    error,
+    refresh: fetchAnalysis,
+  };
+}
+
+export default useGameAnalysis;
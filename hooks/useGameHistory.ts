@@ -0,0 +1,80 @@
+/**
+ * useGameHistory Hook
+ * Fetches the signed-in player's finished games, newest first, so each can
+ * be opened in the replay viewer or the post-game analysis.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './useAuth';
+
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+export interface GameHistoryEntry {
+  roomId: string | number;
+  gameMode: string;
+  round: number;
+  players: { playerId: string; name: string; userId?: string | null; username?: string }[];
+  createdAt?: string;
+  completedAt?: string | null;
+}
+
+interface UseGameHistoryResult {
+  games: GameHistoryEntry[];
+  isLoading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+}
+
+export function useGameHistory(limit: number = 20): UseGameHistoryResult {
+  const { user, isAuthenticated } = useAuth();
+  const [games, setGames] = useState<GameHistoryEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchHistory = useCallback(async () => {
+    if (!isAuthenticated || !user?._id) {
+      setGames([]);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const token = await AsyncStorage.getItem('casino_auth_token');
+      if (!token) {
+        throw new Error('Not authenticated');
+      }
+
+      const response = await fetch(`${API_BASE}/api/game/history?limit=${limit}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to load game history');
+      }
+      setGames(data.history || []);
+    } catch (err) {
+      console.error('[useGameHistory] Error fetching history:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load game history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [isAuthenticated, user?._id, limit]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return {
+    games,
+    isLoading,
+    error,
+    refresh: fetchHistory,
+  };
+}
+
+export default useGameHistory;
@@ -4,6 +4,7 @@
  * Responsibilities:
  * - Listen for game-start events
  * - Listen for game-update events
+ * - Listen for game-over and match-update events
  * - Provide game state to UI
  * - Send game actions
  * 
@@ -22,10 +23,23 @@ export interface Card {
 export interface GameState {
   gameId?: number;
   deck: Card[];
+  deckCount?: number;
+  turnTimerPaused?: boolean;
+  // Server turn timer: deadline (epoch ms, null while paused), ms left when sent, full length
+  turnDeadline?: number | null;
+  turnRemainingMs?: number | null;
+  turnDurationMs?: number | null;
+  // House rules the game is played with (see shared/game/ruleSet.js)
+  rules?: Record<string, number | boolean | null>;
+  // Dealer's seat (the next seat leads); later deals of a match also carry the match
+  dealer?: number;
+  matchId?: string;
+  matchDeal?: number;
   players: {
     id: number;
     name: string;
     hand: Card[];
+    handCount?: number;
     captures: Card[];
     score: number;
     team?: 'A' | 'B';
@@ -40,10 +54,26 @@ export interface GameState {
   gameOver?: boolean;
 }
 
+/** Match standings sent with match-update (see MatchCoordinator) */
+export interface MatchSummary {
+  matchId: string;
+  target: number;
+  status: 'playing' | 'complete' | 'abandoned';
+  /** Scores are per team in party games, per player otherwise */
+  sides: 'teams' | 'players';
+  scores: number[];
+  deals: number;
+  lastDealScores: number[] | null;
+  dealer: number;
+  winner: number | null;
+  nextDealInMs: number | null;
+}
+
 export interface GameOverData {
   winner: number;
   finalScores: number[];
   isPartyMode?: boolean;
+  match?: MatchSummary;
 }
 
 export interface UseGameStateResult {
@@ -88,14 +118,21 @@ export function useGameState(socket: Socket | null): UseGameStateResult {
       gameStartedRef.current = false;
     };
 
+    // Follows game-over for match games; the next deal arrives as game-start
+    const handleMatchUpdate = (match: MatchSummary) => {
+      setGameOverData(prev => (prev ? { ...prev, match } : prev));
+    };
+
     socket.on('game-start', handleGameStart);
     socket.on('game-update', handleGameUpdate);
     socket.on('game-over', handleGameOver);
+    socket.on('match-update', handleMatchUpdate);
 
     return () => {
       socket.off('game-start', handleGameStart);
       socket.off('game-update', handleGameUpdate);
       socket.off('game-over', handleGameOver);
+      socket.off('match-update', handleMatchUpdate);
     };
   }, [socket]);
 
@@ -2,4 +2,4 @@
  * Re-export hook for backward compatibility
  * @deprecated Use useGameSession from './useGameSession' instead
  */
-export { useGameSession as useMultiplayerGame, type Card, type GameState, type GameOverData, type OpponentDragState } from './useGameSession';
+export { useGameSession as useMultiplayerGame, type Card, type GameState, type GameOverData, type OpponentDragState, type MatchSummary } from './useGameSession';
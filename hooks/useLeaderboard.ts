@@ -25,6 +25,11 @@ export interface LeaderboardEntry {
   wins: number;
   totalGames: number;
   winRate: number;
+  // Skill rating in the requested mode
+  rating?: number | null;
+  deviation?: number | null;
+  provisional?: boolean | null;
+  ratingHistory?: { rating: number; deviation: number; gameId: number | null; at: string }[] | null;
 }
 
 // Leaderboard response type
@@ -37,6 +37,10 @@ export interface UseLobbyResult {
   roomCode: string | null;
   isReady: boolean;
   toggleReady: () => void;
+  // Ranked queue search (see RankedQueueManager)
+  ranked: boolean;
+  ratingWindow: number | null;
+  estimatedWaitMs: number | null;
 }
 
 const MODE_PLAYER_COUNT: Record<string, number> = {
@@ -53,6 +57,9 @@ export function useLobby(socket: Socket | null, gameMode: GameMode): UseLobbyRes
   const [isInLobby, setIsInLobby] = useState(false);
   const [roomCode, setRoomCode] = useState<string | null>(null);
   const [isReady, setIsReady] = useState(false);
+  const [ranked, setRanked] = useState(false);
+  const [ratingWindow, setRatingWindow] = useState<number | null>(null);
+  const [estimatedWaitMs, setEstimatedWaitMs] = useState<number | null>(null);
   const requiredPlayers = MODE_PLAYER_COUNT[gameMode] || 2;
 
   useEffect(() => {
@@ -72,10 +79,16 @@ export function useLobby(socket: Socket | null, gameMode: GameMode): UseLobbyRes
       requiredPlayers?: number;
       players?: LobbyPlayer[];
       roomCode?: string;
+      ranked?: boolean;
+      ratingWindow?: number;
+      estimatedWaitMs?: number;
     }) => {
       setPlayers([...(data.players || [])]);
       setIsInLobby(true);
       if (data.roomCode) setRoomCode(data.roomCode);
+      setRanked(!!data.ranked);
+      setRatingWindow(data.ratingWindow ?? null);
+      setEstimatedWaitMs(data.estimatedWaitMs ?? null);
     };
 
     const handleGameStart = () => {
@@ -134,6 +147,9 @@ export function useLobby(socket: Socket | null, gameMode: GameMode): UseLobbyRes
     roomCode,
     isReady,
     toggleReady,
+    ranked,
+    ratingWindow,
+    estimatedWaitMs,
   };
 }
 
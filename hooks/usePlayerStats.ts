@@ -1,6 +1,6 @@
 /**
  * usePlayerStats Hook
- * Fetches and manages player statistics from the server
+ * Fetches and manages player statistics and skill ratings from the server
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -18,6 +18,43 @@ export interface ModeStats {
   losses: number;
 }
 
+// Skill rating in one mode (Glicko-2)
+export interface ModeRating {
+  rating: number;
+  deviation: number;
+  games: number;
+  provisional: boolean;
+  history: { rating: number; deviation: number; gameId: number | null; at: string }[];
+}
+
+// Averages and rates from the detailed play stats (shared/game/playerStats)
+export interface StatSummary {
+  games: number;
+  averagePoints: number;
+  capturesPerGame: number;
+  buildsCreatedPerGame: number;
+  buildsStolenPerGame: number;
+  trailsPerGame: number;
+  /** Fraction of the deck's 10♦ / 2♠ / aces the player captured */
+  tenDiamondShare: number;
+  twoSpadeShare: number;
+  aceShare: number;
+  /** Fraction of games the bonus was won */
+  spadeBonusRate: number;
+  cardCountBonusRate: number;
+  lastCaptureSweeps: number;
+  shiyaRecalls: number;
+}
+
+export type StatWindow = 'week' | 'month' | 'all';
+
+export interface DetailedStats {
+  /** 'all' plus each mode key → summary per time window */
+  modes: Record<string, Record<StatWindow, StatSummary>>;
+  /** Points of recent games, oldest first */
+  trend: { at: string; mode: string; points: number }[];
+}
+
 export interface PlayerStatsData {
   _id: string;
   userId: string;
@@ -34,6 +71,8 @@ export interface PlayerStatsData {
 
 interface UsePlayerStatsResult {
   stats: PlayerStatsData | null;
+  ratings: Record<typeof GAME_MODE_KEYS[number], ModeRating> | null;
+  detailed: DetailedStats | null;
   isLoading: boolean;
   error: string | null;
   refresh: () => Promise<void>;
@@ -42,6 +81,8 @@ interface UsePlayerStatsResult {
 export function usePlayerStats(): UsePlayerStatsResult {
   const { user, isAuthenticated } = useAuth();
   const [stats, setStats] = useState<PlayerStatsData | null>(null);
+  const [ratings, setRatings] = useState<UsePlayerStatsResult['ratings']>(null);
+  const [detailed, setDetailed] = useState<DetailedStats | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
@@ -63,6 +104,8 @@ export function usePlayerStats(): UsePlayerStatsResult {
   const fetchStats = useCallback(async () => {
     if (!isAuthenticated || !user?._id) {
       setStats(null);
+      setRatings(null);
+      setDetailed(null);
       return;
     }
 
@@ -89,6 +132,8 @@ export function usePlayerStats(): UsePlayerStatsResult {
       
       if (data.success) {
         setStats(data.stats);
+        setRatings(data.ratings || null);
+        setDetailed(data.detailed || null);
       } else {
         throw new Error(data.error || 'Failed to fetch stats');
       }
@@ -106,6 +151,8 @@ export function usePlayerStats(): UsePlayerStatsResult {
 
   return {
     stats,
+    ratings,
+    detailed,
     isLoading,
     error,
     refresh: fetchStats
@@ -0,0 +1,146 @@
+/**
+ * useReplay Hook
+ * Fetches a finished game's seed and action log from the server and
+ * rebuilds every step locally with the shared action handlers, so the
+ * replay screen can move forward and backward through the game.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type { GameState } from './multiplayer/useGameStateSync';
+import { buildReplayFrames } from '../shared/game/replay';
+
+// Get the socket URL from environment or use default
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+export interface ReplayEntry {
+  seq: number;
+  timestamp: number;
+  type: string;
+  payload?: any;
+  playerIndex?: number;
+  routedType?: string;
+  system?: boolean;
+}
+
+export interface ReplayData {
+  roomId: string | number;
+  gameMode: string;
+  players: { playerId: string; name: string; userId?: string | null }[];
+  playerCount: number;
+  isPartyMode: boolean;
+  seed: number | string | null;
+  initialDeck: { rank: string; suit: string; value: number }[] | null;
+  rules?: Record<string, number | boolean | null> | null;
+  dealer?: number | null;
+  actions: ReplayEntry[];
+  finalScores: number[];
+  createdAt?: string;
+  completedAt?: string | null;
+}
+
+export interface ReplayFrame {
+  state: GameState;
+  entry: ReplayEntry | null;
+}
+
+interface UseReplayResult {
+  replay: ReplayData | null;
+  frames: ReplayFrame[];
+  step: number;
+  isLoading: boolean;
+  error: string | null;
+  /** Set when the log could only be replayed up to a point */
+  replayError: string | null;
+  stepForward: () => void;
+  stepBack: () => void;
+  goTo: (step: number) => void;
+  refresh: () => Promise<void>;
+}
+
+// Get auth token
+async function getAuthToken(): Promise<string | null> {
+  try {
+    return await AsyncStorage.getItem('casino_auth_token');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a finished game's replay - only its players may load it
+ * @throws when the request fails or the server refuses it
+ */
+export async function fetchReplayData(roomId: string): Promise<ReplayData> {
+  const token = await getAuthToken();
+  const response = await fetch(`${API_BASE}/api/game/${encodeURIComponent(roomId)}/replay`, {
+    credentials: 'include',
+    headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Failed to load replay');
+  }
+  return data.replay;
+}
+
+export function useReplay(roomId: string | undefined): UseReplayResult {
+  const [replay, setReplay] = useState<ReplayData | null>(null);
+  const [frames, setFrames] = useState<ReplayFrame[]>([]);
+  const [step, setStep] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [replayError, setReplayError] = useState<string | null>(null);
+
+  const fetchReplay = useCallback(async () => {
+    if (!roomId) return;
+
+    setIsLoading(true);
+    setError(null);
+    setReplayError(null);
+
+    try {
+      const data = await fetchReplayData(roomId);
+      const built = buildReplayFrames(data);
+      setReplay(data);
+      setFrames(built.frames);
+      setReplayError(built.error);
+      setStep(0);
+    } catch (err: any) {
+      console.error('[useReplay] Error loading replay:', err);
+      setError(err.message || 'Failed to load replay');
+      setReplay(null);
+      setFrames([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    fetchReplay();
+  }, [fetchReplay]);
+
+  const goTo = useCallback((target: number) => {
+    setStep(Math.max(0, Math.min(target, frames.length - 1)));
+  }, [frames.length]);
+
+  const stepForward = useCallback(() => goTo(step + 1), [goTo, step]);
+  const stepBack = useCallback(() => goTo(step - 1), [goTo, step]);
+
+  return {
+    replay,
+    frames,
+    step,
+    isLoading,
+    error,
+    replayError,
+    stepForward,
+    stepBack,
+    goTo,
+    refresh: fetchReplay,
+  };
+}
+
+export default useReplay;
@@ -19,6 +19,16 @@ export interface RoomPlayer {
   joinedAt?: number;
 }
 
+/** House rules the room's game will be played with (server RuleSet) */
+export interface RoomRules {
+  pointsToWin: number | null;
+  roundsPerGame: number;
+  buildsOverTen: boolean;
+  spadeBonusThreshold: number;
+  matchTarget: number | null;
+  [rule: string]: number | boolean | null;
+}
+
 export interface RoomState {
   roomCode: string | null;
   gameMode: string | null;
@@ -27,6 +37,7 @@ export interface RoomState {
   maxPlayers: number;
   playerCount: number;
   isHost: boolean;
+  rules: RoomRules | null;
 }
 
 export interface UseRoomOptions {
@@ -41,6 +52,7 @@ export interface UseRoomResult {
   joinRoom: (roomCode: string) => void;
   leaveRoom: () => void;
   startGame: () => void;
+  updateRules: (rules: Partial<RoomRules>) => void;
 }
 
 export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoomResult {
@@ -52,6 +64,7 @@ export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoo
     maxPlayers: 0,
     playerCount: 0,
     isHost: false,
+    rules: null,
   });
   
   const [error, setError] = useState<string | null>(null);
@@ -84,6 +97,7 @@ export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoo
         maxPlayers: data.room.maxPlayers,
         playerCount: data.room.playerCount,
         isHost: true,
+        rules: data.room.rules ?? null,
       });
       isHostRef.current = true;
       setError(null);
@@ -98,6 +112,7 @@ export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoo
         maxPlayers: data.room.maxPlayers,
         playerCount: data.room.playerCount,
         isHost: data.room.hostSocketId === socket.id,
+        rules: data.room.rules ?? null,
       });
       isHostRef.current = data.room.hostSocketId === socket.id;
       setError(null);
@@ -109,6 +124,7 @@ export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoo
         status: data.room.status,
         players: data.room.players,
         playerCount: data.room.playerCount,
+        rules: data.room.rules ?? prev.rules,
       }));
     };
 
@@ -121,6 +137,7 @@ export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoo
         maxPlayers: 0,
         playerCount: 0,
         isHost: false,
+        rules: null,
       });
       isHostRef.current = false;
       joinAttemptedRef.current = null;
@@ -173,6 +190,13 @@ export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoo
     socket.emit('start-room-game');
   }, [socket]);
 
+  // Host only - the server answers with room-updated or room-error
+  const updateRules = useCallback((rules: Partial<RoomRules>) => {
+    if (!socket?.connected) return;
+    if (!isHostRef.current) return;
+    socket.emit('update-room-settings', { rules });
+  }, [socket]);
+
   const isInRoom = room.status !== 'none' && room.status !== 'started';
 
   return {
@@ -183,6 +207,7 @@ export function useRoom(socket: Socket | null, options?: UseRoomOptions): UseRoo
     joinRoom,
     leaveRoom,
     startGame,
+    updateRules,
   };
 }
 
@@ -0,0 +1,137 @@
+/**
+ * useRoomInvites Hook
+ * Pending invites from friends into their private rooms: loads them from the
+ * API, keeps them live over the shared socket, and accepts or declines them.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './useAuth';
+import { onSocketStateChange, getCurrentSocket } from './multiplayer/socketManager';
+
+// Get the socket URL from environment or use default
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+export interface RoomInvite {
+  id: string;
+  roomCode: string;
+  gameMode: string;
+  from: { _id: string; username: string };
+  status: 'pending' | 'accepted' | 'declined' | 'expired';
+  expiresAt: string;
+}
+
+type InviteResult = { success: boolean; invite?: RoomInvite; error?: string };
+
+interface UseRoomInvitesResult {
+  invites: RoomInvite[];
+  refresh: () => Promise<void>;
+  /** Accept an invite; the result carries the room code to join */
+  acceptInvite: (inviteId: string) => Promise<InviteResult>;
+  declineInvite: (inviteId: string) => Promise<InviteResult>;
+}
+
+// Get auth token
+async function getAuthToken(): Promise<string | null> {
+  try {
+    return await AsyncStorage.getItem('casino_auth_token');
+  } catch {
+    return null;
+  }
+}
+
+export function useRoomInvites(): UseRoomInvitesResult {
+  const { user } = useAuth();
+  const [invites, setInvites] = useState<RoomInvite[]>([]);
+
+  const fetchInvites = useCallback(async () => {
+    const token = await getAuthToken();
+    if (!token) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/friends/invites`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setInvites(data.invites);
+      }
+    } catch (err) {
+      console.error('[useRoomInvites] Error loading invites:', err);
+    }
+  }, []);
+
+  // Live updates: new invites arrive, stale ones drop out
+  useEffect(() => {
+    if (!user?._id) {
+      setInvites([]);
+      return;
+    }
+
+    fetchInvites();
+
+    const handleInvite = (invite: RoomInvite) => {
+      setInvites(prev => [invite, ...prev.filter(i => i.id !== invite.id)]);
+    };
+    const handleExpired = (data: { id: string }) => {
+      setInvites(prev => prev.filter(i => i.id !== data.id));
+    };
+
+    let attached = false;
+    const unsubscribe = onSocketStateChange((connected, sock) => {
+      if (connected && sock && !attached) {
+        sock.on('room-invite', handleInvite);
+        sock.on('room-invite-expired', handleExpired);
+        attached = true;
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      const currentSock = getCurrentSocket();
+      if (currentSock) {
+        currentSock.off('room-invite', handleInvite);
+        currentSock.off('room-invite-expired', handleExpired);
+      }
+    };
+  }, [user?._id, fetchInvites]);
+
+  const respond = useCallback(async (inviteId: string, action: 'accept' | 'decline'): Promise<InviteResult> => {
+    const token = await getAuthToken();
+    if (!token) {
+      return { success: false, error: 'Please log in to join friends' };
+    }
+
+    // Answered or not, the invite is no longer pending
+    setInvites(prev => prev.filter(i => i.id !== inviteId));
+
+    try {
+      const response = await fetch(`${API_BASE}/api/friends/invites/${encodeURIComponent(inviteId)}/${action}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        return { success: false, error: data.error || 'Request failed' };
+      }
+      return { success: true, invite: data.invite };
+    } catch (err: any) {
+      console.error('[useRoomInvites] Request error:', err);
+      return { success: false, error: err.message || 'Request failed' };
+    }
+  }, []);
+
+  const acceptInvite = useCallback((inviteId: string) => respond(inviteId, 'accept'), [respond]);
+  const declineInvite = useCallback((inviteId: string) => respond(inviteId, 'decline'), [respond]);
+
+  return {
+    invites,
+    refresh: fetchInvites,
+    acceptInvite,
+    declineInvite,
+  };
+}
+
+export default useRoomInvites;
@@ -0,0 +1,160 @@
+/**
+ * useTournaments Hook
+ * Lists scheduled tournaments and registers, withdraws and checks in the
+ * signed-in player.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Get the socket URL from environment or use default
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+// Check-in windows open and close on the minute, so the list refreshes often
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+export interface ScheduledTournament {
+  id: string;
+  name: string;
+  createdBy: string;
+  status: 'registration' | 'check-in' | 'started' | 'cancelled';
+  startsAt: string;
+  checkInOpensAt: string;
+  maxPlayers: number;
+  minPlayers: number;
+  requirements: { minRating: number | null; friendsOnly: boolean };
+  registeredCount: number;
+  checkedInCount: number;
+  isRegistered: boolean;
+  isCheckedIn: boolean;
+  bracketTournamentId: string | null;
+}
+
+export interface NewTournament {
+  name: string;
+  startsAt: string;
+  maxPlayers: number;
+  checkInMinutes?: number;
+  minRating?: number | null;
+  friendsOnly?: boolean;
+}
+
+type ActionResult = { success: boolean; error?: string };
+
+interface UseTournamentsResult {
+  tournaments: ScheduledTournament[];
+  isLoading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  createTournament: (tournament: NewTournament) => Promise<ActionResult>;
+  register: (tournamentId: string) => Promise<ActionResult>;
+  unregister: (tournamentId: string) => Promise<ActionResult>;
+  checkIn: (tournamentId: string) => Promise<ActionResult>;
+}
+
+// Get auth token
+async function getAuthToken(): Promise<string | null> {
+  try {
+    return await AsyncStorage.getItem('casino_auth_token');
+  } catch {
+    return null;
+  }
+}
+
+export function useTournaments(): UseTournamentsResult {
+  const [tournaments, setTournaments] = useState<ScheduledTournament[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchTournaments = useCallback(async () => {
+    setError(null);
+
+    try {
+      const token = await getAuthToken();
+      const response = await fetch(`${API_BASE}/api/tournaments`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to load tournaments');
+      }
+
+      setTournaments(data.tournaments);
+    } catch (err: any) {
+      console.error('[useTournaments] Error loading tournaments:', err);
+      setError(err.message || 'Failed to load tournaments');
+    }
+  }, []);
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchTournaments().finally(() => setIsLoading(false));
+
+    const interval = setInterval(fetchTournaments, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchTournaments]);
+
+  /**
+   * Authenticated request; refreshes the list when it succeeds
+   */
+  const send = useCallback(async (path: string, method: string, body?: object): Promise<ActionResult> => {
+    const token = await getAuthToken();
+    if (!token) {
+      return { success: false, error: 'Please log in to play tournaments' };
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/api/tournaments${path}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        return { success: false, error: data.error || 'Request failed' };
+      }
+
+      await fetchTournaments();
+      return { success: true };
+    } catch (err: any) {
+      console.error('[useTournaments] Request error:', err);
+      return { success: false, error: err.message || 'Request failed' };
+    }
+  }, [fetchTournaments]);
+
+  const createTournament = useCallback(
+    (tournament: NewTournament) => send('', 'POST', tournament),
+    [send]
+  );
+  const register = useCallback(
+    (tournamentId: string) => send(`/${encodeURIComponent(tournamentId)}/register`, 'POST'),
+    [send]
+  );
+  const unregister = useCallback(
+    (tournamentId: string) => send(`/${encodeURIComponent(tournamentId)}/register`, 'DELETE'),
+    [send]
+  );
+  const checkIn = useCallback(
+    (tournamentId: string) => send(`/${encodeURIComponent(tournamentId)}/check-in`, 'POST'),
+    [send]
+  );
+
+  return {
+    tournaments,
+    isLoading,
+    error,
+    refresh: fetchTournaments,
+    createTournament,
+    register,
+    unregister,
+    checkIn,
+  };
+}
+
+export default useTournaments;
@@ -0,0 +1,155 @@
+/**
+ * useTutorialProgress Hook
+ * Which interactive tutorial lessons the player has finished.
+ *
+ * Signed-in players' progress lives on their profile; guests keep it on the
+ * device. Finishing a lesson as a guest still counts once they sign in, as
+ * local completions are sent up on the next load.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './useAuth';
+
+// Get the socket URL from environment or use default
+const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || 'http://localhost:3001';
+const API_BASE = SOCKET_URL;
+
+const STORAGE_KEY = 'casino_tutorial_progress';
+
+export interface LessonProgress {
+  completedAt: string;
+  lastCompletedAt: string;
+  completions: number;
+  fewestMistakes: number;
+}
+
+export type TutorialProgress = Record<string, LessonProgress>;
+
+interface UseTutorialProgressResult {
+  progress: TutorialProgress;
+  isLoading: boolean;
+  isCompleted: (lessonId: string) => boolean;
+  /** Record a finished lesson */
+  markCompleted: (lessonId: string, mistakes: number) => Promise<void>;
+}
+
+// Get auth token
+async function getAuthToken(): Promise<string | null> {
+  try {
+    return await AsyncStorage.getItem('casino_auth_token');
+  } catch {
+    return null;
+  }
+}
+
+async function readLocalProgress(): Promise<TutorialProgress> {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+function mergeCompletion(progress: TutorialProgress, lessonId: string, mistakes: number): TutorialProgress {
+  const now = new Date().toISOString();
+  const existing = progress[lessonId];
+  return {
+    ...progress,
+    [lessonId]: {
+      completedAt: existing?.completedAt || now,
+      lastCompletedAt: now,
+      completions: (existing?.completions || 0) + 1,
+      fewestMistakes: Math.min(existing?.fewestMistakes ?? mistakes, mistakes),
+    },
+  };
+}
+
+async function postCompletion(token: string, lessonId: string, mistakes: number): Promise<TutorialProgress | null> {
+  const response = await fetch(`${API_BASE}/api/profile/tutorials/${lessonId}/complete`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ mistakes }),
+  });
+  const data = await response.json();
+  return response.ok && data.success ? data.progress : null;
+}
+
+export function useTutorialProgress(): UseTutorialProgressResult {
+  const { user } = useAuth();
+  const [progress, setProgress] = useState<TutorialProgress>({});
+  const [isLoading, setIsLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    const local = await readLocalProgress();
+    const token = user?._id ? await getAuthToken() : null;
+
+    if (!token) {
+      setProgress(local);
+      setIsLoading(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/api/profile/tutorials`, {
+        credentials: 'include',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      let remote: TutorialProgress = response.ok && data.success ? data.progress : {};
+
+      // Lessons finished on this device before signing in
+      for (const [lessonId, entry] of Object.entries(local)) {
+        if (!remote[lessonId]) {
+          remote = (await postCompletion(token, lessonId, entry.fewestMistakes)) || remote;
+        }
+      }
+      setProgress(remote);
+    } catch (err) {
+      console.error('[useTutorialProgress] Error loading progress:', err);
+      setProgress(local);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user?._id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const markCompleted = useCallback(async (lessonId: string, mistakes: number) => {
+    const local = mergeCompletion(await readLocalProgress(), lessonId, mistakes);
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(local)).catch(() => {});
+
+    const token = user?._id ? await getAuthToken() : null;
+    if (!token) {
+      setProgress(local);
+      return;
+    }
+
+    try {
+      const remote = await postCompletion(token, lessonId, mistakes);
+      setProgress(remote || mergeCompletion(progress, lessonId, mistakes));
+    } catch (err) {
+      console.error('[useTutorialProgress] Error saving progress:', err);
+      setProgress(prev => mergeCompletion(prev, lessonId, mistakes));
+    }
+  }, [user?._id, progress]);
+
+  const isCompleted = useCallback((lessonId: string) => !!progress[lessonId], [progress]);
+
+  return {
+    progress,
+    isLoading,
+    isCompleted,
+    markCompleted,
+  };
+}
+
+export default useTutorialProgress;
@@ -28,6 +28,7 @@ module.exports = {
   // Exclude problematic directories
   testPathIgnorePatterns: [
     '<rootDir>/multiplayer/',
+    '<rootDir>/__tests__/(.*/)?helpers/',
     '<rootDir>/node_modules/',
     '<rootDir>/.expo/',
     '<rootDir>/.expo-shared/'
@@ -0,0 +1,37 @@
+/**
+ * Auth session settings
+ * Access tokens are short-lived JWTs tied to a session; refresh tokens are
+ * long-lived, stored hashed on the session and rotated on every use.
+ */
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Spent refresh tokens remembered per session, to spot one being replayed
+const MAX_PREVIOUS_TOKENS = 20;
+
+const ACCESS_COOKIE = 'auth_token';
+const REFRESH_COOKIE = 'refresh_token';
+
+// The refresh cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+function cookieOptions(maxAge, path = '/') {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path,
+    ...(maxAge ? { maxAge } : {}),
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  MAX_PREVIOUS_TOKENS,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  REFRESH_COOKIE_PATH,
+  cookieOptions,
+};
@@ -0,0 +1,43 @@
+/**
+ * In-game chat settings
+ * Per-socket rate limits for chat and emotes, message length, and the word
+ * list the default profanity filter masks.
+ */
+
+// Sliding windows: at most `max` events per `windowMs`, per socket
+const RATE_LIMITS = {
+  chat: { max: 5, windowMs: 10 * 1000 },
+  emote: { max: 3, windowMs: 5 * 1000 },
+};
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// Block lists are read from PlayerProfile, so cache them briefly per game
+const BLOCK_CACHE_TTL_MS = 60 * 1000;
+
+// Extra words can be added with CHAT_BLOCKED_WORDS=word1,word2
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'dick', 'prick', 'slut', 'whore',
+  ...(process.env.CHAT_BLOCKED_WORDS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean),
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.map(escapeRegExp).join('|')})\\w*`, 'gi');
+
+/**
+ * Default profanity filter: masks blocked words with asterisks
+ * @param {string} text - Message text
+ * @returns {string} Filtered text
+ */
+function maskProfanity(text) {
+  return text.replace(BLOCKED_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+module.exports = {
+  RATE_LIMITS,
+  MAX_MESSAGE_LENGTH,
+  BLOCK_CACHE_TTL_MS,
+  BLOCKED_WORDS,
+  maskProfanity,
+};
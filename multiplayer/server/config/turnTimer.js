@@ -0,0 +1,96 @@
+/**
+ * Turn timer settings
+ * Default turn length per game mode, the limits a room host can pick from,
+ * and what the server does when a player runs out of time.
+ */
+
+const TIMEOUT_POLICIES = {
+  AUTO_TRAIL: 'autoTrail', // trail the lowest card for the player, forever
+  FORFEIT: 'forfeit',      // trail for the player until maxTimeouts, then they forfeit
+};
+
+// Turn length in ms, keyed by game mode
+const DEFAULT_TURN_MS = {
+  'two-hands': 180 * 1000,
+  'three-hands': 180 * 1000,
+  'four-hands': 180 * 1000,
+  'party': 180 * 1000,
+};
+
+const MIN_TURN_MS = 15 * 1000;
+const MAX_TURN_MS = 10 * 60 * 1000;
+const MAX_TIMEOUTS_LIMIT = 10;
+
+const DEFAULT_POLICY = TIMEOUT_POLICIES.FORFEIT;
+const DEFAULT_MAX_TIMEOUTS = 3;
+
+/**
+ * Game mode of a running game, derived from its state
+ * @param {object} state - Game state
+ * @returns {string} 'two-hands' | 'three-hands' | 'four-hands' | 'party'
+ */
+function getGameModeFromState(state) {
+  const playerCount = state.playerCount || state.players?.length || 2;
+  if (playerCount === 2) return 'two-hands';
+  if (playerCount === 3) return 'three-hands';
+  return state.players?.some(p => p.team) ? 'party' : 'four-hands';
+}
+
+/**
+ * Default settings for a game mode
+ * @param {string} gameMode - Game mode
+ * @returns {{ turnMs: number, onTimeout: string, maxTimeouts: number }}
+ */
+function getDefaultTurnSettings(gameMode) {
+  return {
+    turnMs: DEFAULT_TURN_MS[gameMode] || DEFAULT_TURN_MS['two-hands'],
+    onTimeout: DEFAULT_POLICY,
+    maxTimeouts: DEFAULT_MAX_TIMEOUTS,
+  };
+}
+
+/**
+ * Validate host-chosen settings on top of the mode defaults
+ * @param {string} gameMode - Game mode
+ * @param {object} [overrides] - { turnSeconds?, onTimeout?, maxTimeouts? }
+ * @returns {{ settings?: object, error?: string }}
+ */
+function resolveTurnSettings(gameMode, overrides = {}) {
+  const settings = getDefaultTurnSettings(gameMode);
+  if (!overrides) return { settings };
+
+  if (overrides.turnSeconds !== undefined) {
+    const turnMs = Number(overrides.turnSeconds) * 1000;
+    if (!Number.isFinite(turnMs) || turnMs < MIN_TURN_MS || turnMs > MAX_TURN_MS) {
+      return { error: `Turn length must be between ${MIN_TURN_MS / 1000} and ${MAX_TURN_MS / 1000} seconds` };
+    }
+    settings.turnMs = Math.round(turnMs);
+  }
+
+  if (overrides.onTimeout !== undefined) {
+    if (!Object.values(TIMEOUT_POLICIES).includes(overrides.onTimeout)) {
+      return { error: `Unknown timeout policy: ${overrides.onTimeout}` };
+    }
+    settings.onTimeout = overrides.onTimeout;
+  }
+
+  if (overrides.maxTimeouts !== undefined) {
+    const maxTimeouts = Number(overrides.maxTimeouts);
+    if (!Number.isInteger(maxTimeouts) || maxTimeouts < 1 || maxTimeouts > MAX_TIMEOUTS_LIMIT) {
+      return { error: `Timeouts before forfeit must be between 1 and ${MAX_TIMEOUTS_LIMIT}` };
+    }
+    settings.maxTimeouts = maxTimeouts;
+  }
+
+  return { settings };
+}
+
+module.exports = {
+  TIMEOUT_POLICIES,
+  DEFAULT_TURN_MS,
+  MIN_TURN_MS,
+  MAX_TURN_MS,
+  getGameModeFromState,
+  getDefaultTurnSettings,
+  resolveTurnSettings,
+};
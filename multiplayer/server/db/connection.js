@@ -95,9 +95,21 @@ async function createIndexes(database) {
       { roomId: 1 }, 
       { unique: true }
     );
-    await database.collection('gameStates').createIndex(
-      { lastUpdated: 1 }, 
-      { expireAfterSeconds: 3600 } // Auto-delete after 1 hour
+    await ensureGameStateTtlIndex(database);
+    
+    // Sessions collection indexes
+    await database.collection('sessions').createIndex(
+      { userId: 1, revokedAt: 1 }
+    );
+    await database.collection('sessions').createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0 } // Auto-delete once the refresh token expires
+    );
+    
+    // Puzzle progress collection indexes
+    await database.collection('puzzleProgress').createIndex(
+      { userId: 1 },
+      { unique: true }
     );
     
     console.log('[MongoDB] Indexes created successfully');
@@ -106,6 +118,31 @@ async function createIndexes(database) {
   }
 }
 
+/**
+ * Expire abandoned in-flight games an hour after their last write
+ * Finished games (isActive: false) are kept - history, replays and
+ * analysis read them, and game IDs continue after them. Replaces the older
+ * TTL index that expired every game.
+ * @param {Db} database - The database instance
+ */
+async function ensureGameStateTtlIndex(database) {
+  const collection = database.collection('gameStates');
+  const indexes = await collection.indexes();
+  const old = indexes.find(index => index.name === 'lastUpdated_1' && !index.partialFilterExpression);
+  if (old) {
+    await collection.dropIndex('lastUpdated_1');
+    console.log('[MongoDB] Dropped gameStates TTL index that expired finished games');
+  }
+
+  await collection.createIndex(
+    { lastUpdated: 1 },
+    {
+      expireAfterSeconds: 3600, // Auto-delete after 1 hour
+      partialFilterExpression: { isActive: true },
+    }
+  );
+}
+
 /**
  * Get the database instance
  * @returns {Promise<Db>} The database instance
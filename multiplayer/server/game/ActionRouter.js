@@ -4,6 +4,7 @@
  * 
  * This is a wrapper around the shared ActionRouter that adds:
  * - Game state persistence via gameManager
+ * - Action log recording (crash recovery and replays)
  * - Server-specific logging
  * 
  * The core routing logic is delegated to the shared ActionRouter.
@@ -37,7 +38,7 @@ class ActionRouter {
     if (!state) throw new Error(`Game "${gameId}" not found`);
 
     // Use shared router for core logic (validates turn, routes action, executes handler)
-    const newState = this.sharedRouter.executeAction(state, playerIndex, type, payload);
+    const { state: newState, routedType } = this.sharedRouter.executeRoutedAction(state, playerIndex, type, payload);
 
     // Clean up expired shiyal recalls (older than 4 seconds)
     if (newState.shiyaRecalls) {
@@ -55,7 +56,8 @@ class ActionRouter {
       }
     }
 
-    // Persist updated state
+    // Persist updated state and log the accepted action
+    this.gameManager.recordAction(gameId, { playerIndex, type, payload, routedType });
     this.gameManager.saveGameState(gameId, newState);
 
     return newState;
@@ -3,13 +3,26 @@
  * Manages the lifecycle of active games.
  * Stores game states in memory and exposes get/save/end helpers.
  * No game logic here — delegates to ActionRouter.
+ *
+ * Every accepted action (and server-driven transition such as a new round)
+ * is appended to the game's action log, which together with the deal seed
+ * is enough to replay the game. When constructed with a store (see
+ * persistence/), every saved state is also snapshotted and the log written
+ * through, so unfinished games can be rehydrated after a restart.
  */
 
+const crypto = require('crypto');
 const { initializeGame, initializeTestGame } = require('../../../shared/game');
 const startTournamentAction = require('../../../shared/game/actions/startTournament');
+const { createActionRouter } = require('../../../shared/game/ActionRouter');
+const { applyLogEntry } = require('../../../shared/game/replay');
 
 class GameManager {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] - Live game store (MongoGameStore, FileGameStore, MemoryGameStore)
+   */
+  constructor(options = {}) {
     /** gameId → gameState */
     this.activeGames = new Map();
 
@@ -22,6 +35,23 @@ class GameManager {
     /** gameId → Set(playerIndex) - tracks which clients are ready */
     this.clientReadyMap = new Map();
 
+    /** gameId → Map(playerIndex → resumeToken) - used to reclaim a seat after a disconnect */
+    this.resumeTokens = new Map();
+
+    /** gameId → number of actions recorded so far */
+    this.actionSeq = new Map();
+
+    /** gameId → logged actions and system events, in seq order */
+    this.actionLogs = new Map();
+
+    this.store = options.store || null;
+
+    /** gameIds with a snapshot write scheduled for the next tick */
+    this._pendingSnapshots = new Set();
+
+    /** gameId → Promise - serializes store writes per game */
+    this._writeChains = new Map();
+
     this._nextId = 1;
   }
 
@@ -32,84 +62,93 @@ class GameManager {
    * Set USE_TEST_GAME = true for debugging with specific cards.
    * @param {number} playerCount - Number of players (2, 3, or 4)
    * @param {boolean} isPartyMode - Whether this is party mode (with teams)
+   * @param {{ seed?: number|string, deck?: Array, rules?: object, dealer?: number }} [dealOptions] - Fixed seed or deck order, house rules, dealer seat
    * @returns {{ gameId: number, gameState: object }}
    */
-  startGame(playerCount = 2, isPartyMode = false) {
+  startGame(playerCount = 2, isPartyMode = false, dealOptions = {}) {
     const gameId = this._nextId++;
     
     // Set to true to use test deal with specific cards
     const USE_TEST_GAME = false;
     
-    const gameState = USE_TEST_GAME ? initializeTestGame(playerCount) : initializeGame(playerCount, isPartyMode);
+    const gameState = USE_TEST_GAME ? initializeTestGame(playerCount, dealOptions) : initializeGame(playerCount, isPartyMode, dealOptions);
 
     this.activeGames.set(gameId, gameState);
     this.socketPlayerMap.set(gameId, new Map());
     this.socketUserIdMap.set(gameId, new Map());
+    this._persistSnapshot(gameId);
 
     return { gameId, gameState };
   }
 
   /**
    * Create a new 4-player party game.
+   * @param {{ seed?: number|string, deck?: Array, rules?: object, dealer?: number }} [dealOptions] - Fixed seed or deck order, house rules, dealer seat
    * @returns {{ gameId: number, gameState: object }}
    */
-  startPartyGame() {
+  startPartyGame(dealOptions = {}) {
     const gameId = this._nextId++;
     
     // Party games always use regular initialization (not test deal)
     // Pass isPartyMode = true to enable 2v2 teams
-    const gameState = initializeGame(4, true); // 4 players, party mode with teams
+    const gameState = initializeGame(4, true, dealOptions); // 4 players, party mode with teams
 
     this.activeGames.set(gameId, gameState);
     this.socketPlayerMap.set(gameId, new Map());
     this.socketUserIdMap.set(gameId, new Map());
+    this._persistSnapshot(gameId);
 
     return { gameId, gameState };
   }
   
   /**
    * Create a new 3-player three-hands game.
+   * @param {{ seed?: number|string, deck?: Array, rules?: object, dealer?: number }} [dealOptions] - Fixed seed or deck order, house rules, dealer seat
    * @returns {{ gameId: number, gameState: object }}
    */
-  startThreeHandsGame() {
+  startThreeHandsGame(dealOptions = {}) {
     const gameId = this._nextId++;
     
     // Three-hands games use 3 players
-    const gameState = initializeGame(3); // 3 players
+    const gameState = initializeGame(3, false, dealOptions); // 3 players
 
     this.activeGames.set(gameId, gameState);
     this.socketPlayerMap.set(gameId, new Map());
     this.socketUserIdMap.set(gameId, new Map());
+    this._persistSnapshot(gameId);
 
     return { gameId, gameState };
   }
 
   /**
    * Create a new 4-player free-for-all game.
+   * @param {{ seed?: number|string, deck?: Array, rules?: object, dealer?: number }} [dealOptions] - Fixed seed or deck order, house rules, dealer seat
    * @returns {{ gameId: number, gameState: object }}
    */
-  startFreeForAllGame() {
+  startFreeForAllGame(dealOptions = {}) {
     const gameId = this._nextId++;
     
     // Free-for-all uses 4 players but without team mechanics
-    const gameState = initializeGame(4); // 4 players
+    const gameState = initializeGame(4, false, dealOptions); // 4 players
 
     this.activeGames.set(gameId, gameState);
     this.socketPlayerMap.set(gameId, new Map());
     this.socketUserIdMap.set(gameId, new Map());
+    this._persistSnapshot(gameId);
 
     return { gameId, gameState };
   }
 
   /**
    * Create a new 4-player tournament (knockout) game.
+   * @param {{ seed?: number|string, deck?: Array, rules?: object, dealer?: number }} [dealOptions] - Fixed seed or deck order, house rules, dealer seat
    * @returns {{ gameId: number, gameState: object }}
    */
-  startTournamentGame() {
+  startTournamentGame(dealOptions = {}) {
     const gameId = this._nextId++;
     
 // Free-for-all uses 4 players but without team mechanics
-    const gameState = initializeGame(4); // 4 players
+    const gameState = initializeGame(4, false, dealOptions); // 4 players
     
     // Initialize tournament state using the shared action
     const tournamentState = startTournamentAction(gameState, null, 0);
@@ -117,6 +156,7 @@ class GameManager {
     this.activeGames.set(gameId, tournamentState);
     this.socketPlayerMap.set(gameId, new Map());
     this.socketUserIdMap.set(gameId, new Map());
+    this._persistSnapshot(gameId);
     return { gameId, gameState: tournamentState };
   }
 
@@ -132,6 +172,7 @@ class GameManager {
    */
   saveGameState(gameId, newState) {
     this.activeGames.set(gameId, newState);
+    this._persistSnapshot(gameId);
   }
 
   /**
@@ -141,6 +182,12 @@ class GameManager {
     this.activeGames.delete(gameId);
     this.socketPlayerMap.delete(gameId);
     this.socketUserIdMap.delete(gameId);
+    this.resumeTokens.delete(gameId);
+    this.actionSeq.delete(gameId);
+    this.actionLogs.delete(gameId);
+    if (this.store) {
+      this._enqueueWrite(gameId, () => this.store.markInactive(gameId));
+    }
   }
 
   /**
@@ -187,6 +234,7 @@ class GameManager {
     const gameState = this.activeGames.get(gameId);
     if (gameState && gameState.players && gameState.players[playerIndex]) {
       gameState.players[playerIndex].userId = userId;
+      this._persistSnapshot(gameId);
     }
   }
 
@@ -203,6 +251,207 @@ class GameManager {
     return map ? Array.from(map.keys()) : [];
   }
 
+  // ── Resume tokens ───────────────────────────────────────────────────────────
+
+  /**
+   * Get (or lazily create) the resume token for a seat.
+   * Sent privately to the seated client with game-start so it can rejoin-game.
+   * @param {number} gameId - Game ID
+   * @param {number} playerIndex - Seat index
+   * @returns {string} Opaque resume token
+   */
+  getResumeToken(gameId, playerIndex) {
+    if (!this.resumeTokens.has(gameId)) {
+      this.resumeTokens.set(gameId, new Map());
+    }
+    const tokens = this.resumeTokens.get(gameId);
+    if (!tokens.has(playerIndex)) {
+      tokens.set(playerIndex, crypto.randomBytes(24).toString('hex'));
+    }
+    return tokens.get(playerIndex);
+  }
+
+  /**
+   * Find the seat a resume token belongs to
+   * @param {string} token - Resume token
+   * @returns {{ gameId: number, playerIndex: number } | null}
+   */
+  findSeatByResumeToken(token) {
+    if (!token) return null;
+    for (const [gameId, tokens] of this.resumeTokens) {
+      for (const [playerIndex, seatToken] of tokens) {
+        if (seatToken === token) return { gameId, playerIndex };
+      }
+    }
+    return null;
+  }
+
+  // ── Persistence ─────────────────────────────────────────────────────────────
+
+  /**
+   * Append an accepted action to the game's action log.
+   * @param {number} gameId - Game ID
+   * @param {object} action - { playerIndex, type, payload, ... }
+   * @returns {object|null} The logged entry (with seq and timestamp)
+   */
+  recordAction(gameId, action) {
+    if (!this.activeGames.has(gameId)) return null;
+
+    const seq = (this.actionSeq.get(gameId) || 0) + 1;
+    this.actionSeq.set(gameId, seq);
+
+    const entry = { seq, timestamp: Date.now(), ...action };
+    if (!this.actionLogs.has(gameId)) {
+      this.actionLogs.set(gameId, []);
+    }
+    this.actionLogs.get(gameId).push(entry);
+
+    if (this.store) {
+      this._enqueueWrite(gameId, () => this.store.appendAction(gameId, entry));
+    }
+    return entry;
+  }
+
+  /**
+   * Append a server-driven transition (see REPLAY_EVENTS) to the action log.
+   * @param {number} gameId - Game ID
+   * @param {string} type - REPLAY_EVENTS value
+   * @param {object} [payload] - Event details
+   * @returns {object|null} The logged entry
+   */
+  recordSystemEvent(gameId, type, payload = {}) {
+    return this.recordAction(gameId, { system: true, type, payload });
+  }
+
+  /**
+   * Get the action log of a game.
+   * @param {number} gameId - Game ID
+   * @returns {Array} Logged entries in seq order (empty if none)
+   */
+  getActionLog(gameId) {
+    return [...(this.actionLogs.get(gameId) || [])];
+  }
+
+  /**
+   * Schedule a snapshot of the game for the next tick.
+   * Deferred so that follow-up mutations in the same tick (turn flags,
+   * round transitions) land in one snapshot.
+   */
+  _persistSnapshot(gameId) {
+    if (!this.store || this._pendingSnapshots.has(gameId)) return;
+    this._pendingSnapshots.add(gameId);
+
+    setTimeout(() => {
+      this._pendingSnapshots.delete(gameId);
+      const gameState = this.activeGames.get(gameId);
+      if (!gameState) return;
+
+      const tokens = this.resumeTokens.get(gameId);
+      const snapshot = {
+        gameState: JSON.parse(JSON.stringify(gameState)),
+        actionSeq: this.actionSeq.get(gameId) || 0,
+        resumeTokens: tokens ? Object.fromEntries(tokens) : {},
+      };
+
+      this._enqueueWrite(gameId, async () => {
+        await this.store.saveSnapshot(gameId, snapshot);
+        // Finished games are kept for history but never rehydrated
+        if (snapshot.gameState.gameOver) {
+          await this.store.markInactive(gameId);
+        }
+      });
+    }, 0);
+  }
+
+  _enqueueWrite(gameId, write) {
+    const previous = this._writeChains.get(gameId) || Promise.resolve();
+    const next = previous
+      .then(write)
+      .catch(err => console.error(`[GameManager] Persistence write failed for game ${gameId}:`, err.message));
+    this._writeChains.set(gameId, next);
+    next.then(() => {
+      if (this._writeChains.get(gameId) === next) this._writeChains.delete(gameId);
+    });
+  }
+
+  /**
+   * Wait for every scheduled snapshot and log write to reach the store.
+   */
+  async flush() {
+    if (this._pendingSnapshots.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    await Promise.all([...this._writeChains.values()]);
+  }
+
+  /**
+   * Load unfinished games from the store after a restart.
+   * Entries logged after the last snapshot are replayed through the shared
+   * ActionRouter (see shared/game/replay). Rehydrated games have no sockets bound yet - players
+   * reclaim their seats with rejoin-game.
+   * New game IDs continue after the highest one in the store, so new games
+   * never reuse the ID of a finished game. Stores keep finished games for
+   * good (MongoDB only expires in-flight ones, see db/connection); an
+   * expired in-flight game leaves nothing behind its ID could clash with.
+   * @returns {Promise<Array<{ gameId: number, gameState: object }>>}
+   */
+  async rehydrate() {
+    if (!this.store) return [];
+
+    const highestId = await this.store.getHighestGameId();
+    if (highestId >= this._nextId) {
+      this._nextId = highestId + 1;
+    }
+
+    const records = await this.store.loadActiveGames();
+    const router = createActionRouter({ handlers: require('../../../shared/game/actions') });
+    const restored = [];
+
+    for (const record of records) {
+      const { gameId } = record;
+      let gameState = record.gameState;
+
+      // Tournament hands depend on in-memory TournamentCoordinator state
+      if (!gameState || gameState.gameOver || gameState.tournamentMode) {
+        await this.store.markInactive(gameId);
+        continue;
+      }
+
+      let actionSeq = record.actionSeq || 0;
+      const pending = (record.actions || [])
+        .filter(action => action.seq > actionSeq)
+        .sort((a, b) => a.seq - b.seq);
+
+      for (const action of pending) {
+        try {
+          gameState = applyLogEntry(router, gameState, action);
+          actionSeq = action.seq;
+        } catch (err) {
+          console.error(`[GameManager] Replay of action ${action.seq} failed for game ${gameId}:`, err.message);
+          break;
+        }
+      }
+
+      this.activeGames.set(gameId, gameState);
+      this.socketPlayerMap.set(gameId, new Map());
+      this.socketUserIdMap.set(gameId, new Map());
+      this.actionSeq.set(gameId, actionSeq);
+      this.actionLogs.set(gameId, (record.actions || [])
+        .filter(action => action.seq <= actionSeq)
+        .sort((a, b) => a.seq - b.seq));
+      this.resumeTokens.set(gameId, new Map(
+        Object.entries(record.resumeTokens || {}).map(([index, token]) => [Number(index), token])
+      ));
+
+      restored.push({ gameId, gameState });
+    }
+
+    if (restored.length > 0) {
+      console.log(`[GameManager] Rehydrated ${restored.length} unfinished game(s)`);
+    }
+    return restored;
+  }
+
   // ── Client Ready Tracking ───────────────────────────────────────────────────
 
   /**
@@ -10,7 +10,7 @@
  */
 
 const { cloneDeep } = require('../../../../shared/utils/cloneDeep');
-const { allPlayersTurnEnded, forceEndTurn, createRoundPlayers, startNextRound } = require('../../../../shared/game');
+const { allPlayersTurnEnded, forceEndTurn, createRoundPlayers, startNextRound, isFinalRound } = require('../../../../shared/game');
 const { getWinnerIndex, getRankings } = require('../../../../shared/game/scoring');
 
 class RoundValidator {
@@ -134,6 +134,14 @@ class RoundValidator {
     // Detect party mode: 4 players with team properties
     const isPartyMode = playerCount === 4 && state.players?.some(p => p.team);
     
+    // A forfeit hands the game to the other side / best remaining player
+    if (state.forfeitedBy !== undefined && state.forfeitedBy !== null) {
+      if (isPartyMode) {
+        return state.players[state.forfeitedBy]?.team === 'A' ? 1 : 0;
+      }
+      return getRankings(state).find(idx => idx !== state.forfeitedBy) ?? 0;
+    }
+    
     // For 4-player party mode: use team scores (no tie-breaking for teams)
     if (playerCount === 4 && isPartyMode && state.teamScores) {
       const [teamAScore, teamBScore] = state.teamScores;
@@ -213,28 +221,16 @@ class RoundValidator {
 
   /**
    * Check if the entire game is over.
-   * For 2-player mode: game ends after round 2
-   * For 3-player mode: game ends after round 1 (single round game)
-   * For 4-player party mode: game ends after round 1 (single round game)
-   * For tournament mode: continues until winner determined
+   * The game ends after the last round of its RuleSet (2 in two-hands and 1
+   * otherwise by default), or earlier once a side reaches the house rules'
+   * points-to-win target.
    * @param {object} state - Game state
    * @returns {{ gameOver: boolean, winner?: number, finalScores: number[] }}
    */
   static checkGameOver(state) {
     const playerCount = state.playerCount || state.players?.length || 2;
-    
-    // For 3-player mode: game ends after round 1 (single round game like 4-player)
-    if (playerCount === 3) {
-      const winner = this.determineRoundWinner(state);
-      return {
-        gameOver: true,
-        winner,
-        finalScores: state.scores || new Array(playerCount).fill(0)
-      };
-    }
-    
-    // For 4-player party mode: game ends after round 1
-    if (playerCount >= 4) {
+
+    if (isFinalRound(state)) {
       const winner = this.determineRoundWinner(state);
       return {
         gameOver: true,
@@ -242,19 +238,7 @@ class RoundValidator {
         finalScores: state.scores || new Array(playerCount).fill(0)
       };
     }
-    
-    // For 2-player mode: game ends after round 2
-    const MAX_ROUNDS = 2;
-    
-    if (state.round >= MAX_ROUNDS) {
-      const winner = this.determineRoundWinner(state);
-      return {
-        gameOver: true,
-        winner,
-        finalScores: state.scores || [0, 0]
-      };
-    }
-    
+
     return { gameOver: false };
   }
 }
@@ -19,13 +19,17 @@ const COLLECTION_NAME = 'gameStates';
  *   ],
  *   gameMode: string, // 'twoPlayer', 'fourPlayer', 'party', 'cpu'
  *   round: number,
- *   isActive: boolean,
+ *   isActive: boolean, // in-flight games expire an hour after lastUpdated; finished games are kept
  *   createdAt: Date,
  *   lastUpdated: Date,
  *   completedAt: Date,
- *   // For replays
+ *   // For replays - the deal plus every logged entry (see shared/game/replay)
+ *   seed: number|string|null,
+ *   initialDeck: Array|null, // explicit deck order when the game wasn't seeded
  *   actions: [
- *     { playerId: number, action: string, timestamp: Date }
+ *     { seq: number, timestamp: number, playerIndex: number, type: string,
+ *       payload: Object, routedType: string }
+ *     | { seq: number, timestamp: number, system: true, type: string, payload: Object }
  *   ]
  * }
  */
@@ -49,6 +53,8 @@ class GameState {
       isActive: gameData.isActive !== false,
       completedAt: null,
       actions: gameData.actions || [],
+      ...(gameData.seed !== undefined && { seed: gameData.seed }),
+      ...(gameData.initialDeck !== undefined && { initialDeck: gameData.initialDeck }),
     };
     
     const result = await database.collection(COLLECTION_NAME).findOneAndUpdate(
@@ -71,6 +77,68 @@ class GameState {
     return result;
   }
 
+  /**
+   * Save a live snapshot of an in-flight game (crash-safe persistence)
+   * Unlike save(), leaves the recorded action log untouched. A finished
+   * game (isActive: false) is never overwritten - its history, replay and
+   * stats depend on it.
+   * @param {string} roomId - Room ID
+   * @param {Object} snapshot - { gameState, actionSeq, resumeTokens, gameMode, players }
+   * @returns {Promise<Object|null>} Update result, or null if the game is already finished
+   */
+  static async saveSnapshot(roomId, snapshot) {
+    const database = await db.getDb();
+    try {
+      return await database.collection(COLLECTION_NAME).updateOne(
+        { roomId, isActive: { $ne: false } },
+        {
+          $set: {
+            roomId,
+            gameState: snapshot.gameState,
+            actionSeq: snapshot.actionSeq || 0,
+            resumeTokens: snapshot.resumeTokens || {},
+            players: snapshot.players || [],
+            gameMode: snapshot.gameMode || 'twoPlayer',
+            round: snapshot.gameState?.round || 1,
+            isActive: true,
+            completedAt: null,
+            lastUpdated: new Date()
+          },
+          $setOnInsert: {
+            createdAt: new Date(),
+            actions: []
+          }
+        },
+        { upsert: true }
+      );
+    } catch (err) {
+      // The unique roomId index turns the upsert into a duplicate key error
+      // when the only record for this roomId is a finished game
+      if (err.code === 11000) {
+        console.warn(`[GameState] Not overwriting finished game ${roomId}`);
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Highest numeric room ID stored, finished games included
+   * Finished games never expire (see db/connection), so their IDs are
+   * always counted.
+   * @returns {Promise<number>} Room ID, or 0 if there are none
+   */
+  static async getHighestRoomId() {
+    const database = await db.getDb();
+    const [doc] = await database.collection(COLLECTION_NAME)
+      .find({ roomId: { $type: 'number' } })
+      .sort({ roomId: -1 })
+      .limit(1)
+      .project({ roomId: 1 })
+      .toArray();
+    return doc ? doc.roomId : 0;
+  }
+
   /**
    * Find game state by room ID
    * @param {string} roomId - Room ID
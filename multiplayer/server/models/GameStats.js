@@ -17,11 +17,26 @@
  *     'freeforall': { games: number, wins: number, losses: number },
  *     'tournament': { games: number, wins: number, losses: number }
  *   },
+ *   // Glicko-2 skill rating per mode (see utils/rating), created on the first rated game
+ *   ratings: {
+ *     'twoHands': { rating: number, rd: number, volatility: number, games: number,
+ *                   history: [{ rating: number, rd: number, gameId: number, at: Date }] },
+ *     ...
+ *   },
  *   // Point retention stats
  *   totalPointsKept: number,
  *   pointRetentionPerGame: number,
 *   // Motor Achievement (score >= 11)
  *   motorAchievementCount: number,
+ *   // Detailed play stats (see shared/game/playerStats), fed from replayed games
+ *   detailedTotals: {
+ *     'all': { games, points, captures, buildsCreated, buildsStolen, trails, tenDiamonds,
+ *              twoSpades, aces, spadeBonuses, cardCountBonuses, lastCaptureSweeps, shiyaRecalls },
+ *     'twoHands': { ... },
+ *     ...
+ *   },
+ *   // Latest stat lines, for time windows and trends
+ *   recentGames: [{ mode: string, at: Date, ...stat line }],
  *   createdAt: Date,
  *   updatedAt: Date
  * }
@@ -32,8 +47,22 @@ const db = require('../db/connection');
 
 const { GAME_MODE_KEYS, MODE_ID_TO_KEY, MODE_KEY_TO_ID } = require('../../../shared/config/gameModes');
 
+const { createRating, isProvisional } = require('../utils/rating');
+const {
+  STAT_FIELDS,
+  createStatTotals,
+  summarizeStats,
+  summarizeWindows,
+} = require('../../../shared/game/playerStats');
+
 const COLLECTION_NAME = 'gameStats';
 
+// Rating history entries kept per mode
+const RATING_HISTORY_LIMIT = 50;
+
+// Detailed stat lines kept for time windows and trends
+const RECENT_GAMES_LIMIT = 100;
+
 // Use centralized game mode keys
 const GAME_MODES = GAME_MODE_KEYS;
 
@@ -58,11 +87,14 @@ class GameStats {
       wins: 0,
       losses: 0,
       modeStats: { ...DEFAULT_MODE_STATS },
+      ratings: {},
       // Point retention stats
       totalPointsKept: 0,
       pointRetentionPerGame: 0,
       // Motor Achievement (score >= 11)
       motorAchievementCount: 0,
+      detailedTotals: {},
+      recentGames: [],
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -104,6 +136,7 @@ class GameStats {
    * Update stats after a game
    * @param {string} userId - User ID
    * @param {Object} gameResult - Game result data
+   *   (detail: the player's stat line from getGameStatLines, when the game could be replayed)
    * @param {string} mode - Game mode (defaults to 'two-hands')
    * @returns {Promise<Object|null>} Updated stats
    */
@@ -115,7 +148,8 @@ class GameStats {
       draw = false,
       // Point retention fields
       pointsKept = 0,
-      motorAchievementCount = 0
+      motorAchievementCount = 0,
+      detail = null
     } = gameResult;
     
     // Validate mode
@@ -185,12 +219,27 @@ class GameStats {
       
       console.log(`[GameStats] 📊 Update increments:`, { ...incrementObj, ...modeIncrementObj });
 
+      // Detailed stats add up overall and per mode, and the line is kept for time windows
+      const update = {
+        $inc: { ...incrementObj, ...modeIncrementObj },
+        $set: { updatedAt: new Date() }
+      };
+      if (detail) {
+        for (const field of STAT_FIELDS) {
+          update.$inc[`detailedTotals.all.${field}`] = detail[field] || 0;
+          update.$inc[`detailedTotals.${mode}.${field}`] = detail[field] || 0;
+        }
+        update.$push = {
+          recentGames: {
+            $each: [{ ...createStatTotals(), ...detail, mode, at: new Date() }],
+            $slice: -RECENT_GAMES_LIMIT,
+          },
+        };
+      }
+
       const result = await database.collection(COLLECTION_NAME).findOneAndUpdate(
         { userId: new ObjectId(userId) },
-        { 
-          $inc: { ...incrementObj, ...modeIncrementObj },
-          $set: { updatedAt: new Date() }
-        },
+        update,
         { returnDocument: 'after' }
       );
 
@@ -222,7 +271,7 @@ class GameStats {
   }
 
   /**
-   * Get leaderboard by mode (ranked by wins in that mode)
+   * Get leaderboard by mode (ranked by skill rating in that mode, by wins overall)
    * @param {string} mode - Game mode
    * @param {number} limit - Number of players to return
    * @returns {Promise<Array>} Leaderboard entries
@@ -246,13 +295,13 @@ class GameStats {
     }
     
     // Return mode-specific leaderboard
-    // Sort by mode-specific wins, then games as tiebreaker
-    const modePath = `modeStats.${mode}.wins`;
-    const gamesPath = `modeStats.${mode}.games`;
+    // Sort by skill rating, then rated games as tiebreaker
+    const ratingPath = `ratings.${mode}.rating`;
+    const ratedGamesPath = `ratings.${mode}.games`;
     
     return database.collection(COLLECTION_NAME)
-      .find({ [`modeStats.${mode}.games`]: { $gt: 0 } })
-      .sort({ [modePath]: -1, [gamesPath]: -1 })
+      .find({ [ratedGamesPath]: { $gt: 0 } })
+      .sort({ [ratingPath]: -1, [ratedGamesPath]: -1 })
       .limit(limit)
       .toArray();
   }
@@ -287,19 +336,19 @@ class GameStats {
     }
     
     // Mode-specific rank
-    const modeStats = stats.modeStats?.[mode];
-    if (!modeStats || modeStats.games === 0) {
-      return null; // Player hasn't played this mode
+    const rating = stats.ratings?.[mode];
+    if (!rating || rating.games === 0) {
+      return null; // Player hasn't played a rated game in this mode
     }
     
-    const modePath = `modeStats.${mode}.wins`;
-    const gamesPath = `modeStats.${mode}.games`;
+    const ratingPath = `ratings.${mode}.rating`;
+    const ratedGamesPath = `ratings.${mode}.games`;
     
     const rank = await database.collection(COLLECTION_NAME)
       .countDocuments({ 
         $or: [
-          { [modePath]: { $gt: modeStats.wins } },
-          { [modePath]: modeStats.wins, [gamesPath]: { $gt: modeStats.games } }
+          { [ratingPath]: { $gt: rating.rating } },
+          { [ratingPath]: rating.rating, [ratedGamesPath]: { $gt: rating.games } }
         ]
       });
     
@@ -344,6 +393,124 @@ class GameStats {
     return stats.modeStats?.[mode] || { games: 0, wins: 0, losses: 0 };
   }
 
+  /**
+   * Get current ratings of several players in a mode
+   * @param {Array<string>} userIds - User IDs
+   * @param {string} mode - Game mode
+   * @returns {Promise<Array<Object>>} Ratings in the same order (defaults for unrated players)
+   */
+  static async getRatings(userIds, mode) {
+    return Promise.all(userIds.map(async (userId) => {
+      const stats = await this.findByUserId(userId);
+      const { history, ...rating } = stats?.ratings?.[mode] || createRating();
+      return rating;
+    }));
+  }
+
+  /**
+   * Store a player's new rating in a mode and add it to their rating history
+   * @param {string} userId - User ID
+   * @param {string} mode - Game mode
+   * @param {Object} rating - New rating ({ rating, rd, volatility, games })
+   * @param {number} [gameId] - Game the rating came from
+   * @returns {Promise<Object|null>} Updated stats
+   */
+  static async saveRating(userId, mode, rating, gameId = null) {
+    const database = await db.getDb();
+    
+    if (!GAME_MODES.includes(mode)) {
+      console.log(`[GameStats] ⚠️ Invalid game mode for rating: ${mode}`);
+      return null;
+    }
+
+    try {
+      await this.getOrCreate(userId);
+      return await database.collection(COLLECTION_NAME).findOneAndUpdate(
+        { userId: new ObjectId(userId) },
+        {
+          $set: {
+            [`ratings.${mode}.rating`]: rating.rating,
+            [`ratings.${mode}.rd`]: rating.rd,
+            [`ratings.${mode}.volatility`]: rating.volatility,
+            [`ratings.${mode}.games`]: rating.games,
+            updatedAt: new Date(),
+          },
+          $push: {
+            [`ratings.${mode}.history`]: {
+              $each: [{ rating: rating.rating, rd: rating.rd, gameId, at: new Date() }],
+              $slice: -RATING_HISTORY_LIMIT,
+            },
+          },
+        },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('[GameStats] saveRating error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Client view of a player's rating in a mode
+   * @param {Object} stats - Stats document
+   * @param {string} mode - Game mode
+   * @returns {Object} { rating, deviation, games, provisional, history }
+   */
+  static getModeRating(stats, mode) {
+    const rating = stats?.ratings?.[mode] || createRating();
+    return {
+      rating: Math.round(rating.rating),
+      deviation: Math.round(rating.rd),
+      games: rating.games,
+      provisional: isProvisional(rating),
+      history: (rating.history || []).map(entry => ({
+        rating: Math.round(entry.rating),
+        deviation: Math.round(entry.rd),
+        gameId: entry.gameId,
+        at: entry.at,
+      })),
+    };
+  }
+
+  /**
+   * Client view of a player's ratings in every mode
+   * @param {Object} stats - Stats document
+   * @returns {Object} Mode key → getModeRating
+   */
+  static getAllRatings(stats) {
+    return GAME_MODES.reduce((acc, mode) => {
+      acc[mode] = this.getModeRating(stats, mode);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Client view of a player's detailed stats
+   * Summaries overall and per mode, each all-time (from the running totals)
+   * and over the recent STAT_WINDOWS, plus points per recent game for trends.
+   * @param {Object} stats - Stats document
+   * @param {number} [now] - Current time (ms)
+   * @returns {{ modes: Object<string, { all: Object, week: Object, month: Object }>,
+   *   trend: Array<{ at: Date, mode: string, points: number }> }}
+   */
+  static getDetailedStats(stats, now = Date.now()) {
+    const recent = stats?.recentGames || [];
+    const summarize = (key, lines) => ({
+      all: summarizeStats(stats?.detailedTotals?.[key] || createStatTotals()),
+      ...summarizeWindows(lines, now),
+    });
+
+    const modes = { all: summarize('all', recent) };
+    for (const mode of GAME_MODES) {
+      modes[mode] = summarize(mode, recent.filter(line => line.mode === mode));
+    }
+
+    return {
+      modes,
+      trend: recent.map(({ at, mode, points }) => ({ at, mode, points })),
+    };
+  }
+
   /**
    * Get top players by a specific stat
    * @param {string} statKey - Stat key to sort by (e.g., 'pointRetentionPerGame', 'motorAchievementCount')
@@ -23,6 +23,9 @@ const COLLECTION_NAME = 'playerProfiles';
  *   },
  *   friends: ObjectId[],
  *   blockedUsers: ObjectId[],
+ *   tutorialProgress: {
+ *     [lessonId]: { completedAt: Date, lastCompletedAt: Date, completions: number, fewestMistakes: number }
+ *   },
  *   createdAt: Date,
  *   updatedAt: Date
  * }
@@ -51,6 +54,7 @@ class PlayerProfile {
       },
       friends: [],
       blockedUsers: [],
+      tutorialProgress: {},
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -308,6 +312,31 @@ class PlayerProfile {
     return friendsWithInfo;
   }
 
+  /**
+   * Record a finished interactive tutorial lesson
+   * Keeps the first completion time and the fewest mistakes across attempts.
+   * @param {string} userId - User ID
+   * @param {string} lessonId - Lesson ID
+   * @param {number} mistakes - Wrong moves made in this attempt
+   * @returns {Promise<Object>} Progress for all lessons
+   */
+  static async recordTutorialCompletion(userId, lessonId, mistakes = 0) {
+    const database = await db.getDb();
+    const now = new Date();
+    const key = `tutorialProgress.${lessonId}`;
+
+    const profile = await database.collection(COLLECTION_NAME).findOneAndUpdate(
+      { userId: new ObjectId(userId) },
+      {
+        $min: { [`${key}.completedAt`]: now, [`${key}.fewestMistakes`]: mistakes },
+        $set: { [`${key}.lastCompletedAt`]: now, updatedAt: now },
+        $inc: { [`${key}.completions`]: 1 },
+      },
+      { returnDocument: 'after', upsert: true }
+    );
+    return profile?.tutorialProgress || {};
+  }
+
   /**
    * Delete profile
    * @param {string} userId - User ID
@@ -0,0 +1,111 @@
+/**
+ * PuzzleProgress Model
+ * A player's puzzle record: attempts and solves per puzzle, which daily
+ * puzzles they solved, and their daily streak.
+ */
+
+const { ObjectId } = require('mongodb');
+const db = require('../db/connection');
+
+const COLLECTION_NAME = 'puzzleProgress';
+
+/**
+ * PuzzleProgress schema
+ * {
+ *   _id: ObjectId,
+ *   userId: ObjectId (unique, ref to users),
+ *   currentStreak: number,
+ *   bestStreak: number,
+ *   lastDailyDate: 'YYYY-MM-DD' | null (last daily puzzle solved),
+ *   attempts: number,
+ *   puzzles: { [puzzleId]: { attempts: number, solvedAt: Date|null } },
+ *   daily: { ['YYYY-MM-DD']: { puzzleId: string, attempts: number, solvedAt: Date|null } },
+ *   createdAt: Date,
+ *   updatedAt: Date
+ * }
+ */
+
+class PuzzleProgress {
+  /**
+   * Find a player's puzzle record
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByUserId(userId) {
+    const database = await db.getDb();
+    return database.collection(COLLECTION_NAME).findOne({ userId: new ObjectId(userId) });
+  }
+
+  /**
+   * Count an attempt at a puzzle
+   * @param {string} userId - User ID
+   * @param {string} puzzleId - Puzzle ID
+   * @param {string|null} dateKey - Day the puzzle is the daily puzzle for, if it is
+   * @returns {Promise<Object>} Updated record
+   */
+  static async recordAttempt(userId, puzzleId, dateKey = null) {
+    const database = await db.getDb();
+    const now = new Date();
+    return database.collection(COLLECTION_NAME).findOneAndUpdate(
+      { userId: new ObjectId(userId) },
+      {
+        $inc: {
+          attempts: 1,
+          [`puzzles.${puzzleId}.attempts`]: 1,
+          ...(dateKey ? { [`daily.${dateKey}.attempts`]: 1 } : {}),
+        },
+        $set: {
+          updatedAt: now,
+          ...(dateKey ? { [`daily.${dateKey}.puzzleId`]: puzzleId } : {}),
+        },
+        $setOnInsert: { createdAt: now, currentStreak: 0, bestStreak: 0, lastDailyDate: null },
+      },
+      { returnDocument: 'after', upsert: true }
+    );
+  }
+
+  /**
+   * Mark a puzzle solved (first solve only)
+   * @param {string} userId - User ID
+   * @param {string} puzzleId - Puzzle ID
+   * @param {object} [daily] - { dateKey, currentStreak, bestStreak } when it's the daily puzzle
+   * @returns {Promise<Object>} Updated record
+   */
+  static async recordSolve(userId, puzzleId, daily = null) {
+    const database = await db.getDb();
+    const now = new Date();
+    return database.collection(COLLECTION_NAME).findOneAndUpdate(
+      { userId: new ObjectId(userId) },
+      {
+        $min: { [`puzzles.${puzzleId}.solvedAt`]: now },
+        $set: {
+          updatedAt: now,
+          ...(daily ? {
+            [`daily.${daily.dateKey}.solvedAt`]: now,
+            currentStreak: daily.currentStreak,
+            bestStreak: daily.bestStreak,
+            lastDailyDate: daily.dateKey,
+          } : {}),
+        },
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * How many players tried and solved a day's puzzle
+   * @param {string} dateKey - 'YYYY-MM-DD'
+   * @returns {Promise<{ attempted: number, solved: number }>}
+   */
+  static async getDailyCounts(dateKey) {
+    const database = await db.getDb();
+    const collection = database.collection(COLLECTION_NAME);
+    const [attempted, solved] = await Promise.all([
+      collection.countDocuments({ [`daily.${dateKey}`]: { $exists: true } }),
+      collection.countDocuments({ [`daily.${dateKey}.solvedAt`]: { $type: 'date' } }),
+    ]);
+    return { attempted, solved };
+  }
+}
+
+module.exports = PuzzleProgress;
@@ -0,0 +1,202 @@
+/**
+ * Session Model
+ * One signed-in device: the hash of its current refresh token, the hashes
+ * it has already spent, and whether it has been revoked.
+ *
+ * Revoked sessions are also kept in memory until their last access token
+ * would have expired, so token checks stay synchronous.
+ */
+
+const { ObjectId } = require('mongodb');
+const db = require('../db/connection');
+const { ACCESS_TOKEN_TTL_SECONDS, MAX_PREVIOUS_TOKENS } = require('../config/auth');
+
+const COLLECTION_NAME = 'sessions';
+
+/**
+ * Session schema
+ * {
+ *   _id: ObjectId,
+ *   userId: ObjectId,
+ *   refreshTokenHash: string,
+ *   previousTokenHashes: string[] (spent refresh tokens, newest last),
+ *   userAgent: string|null,
+ *   ip: string|null,
+ *   createdAt: Date,
+ *   lastUsedAt: Date,
+ *   expiresAt: Date,
+ *   revokedAt: Date|null,
+ *   revokedReason: 'logout' | 'logout-all' | 'revoked' | 'reuse' | null
+ * }
+ */
+
+/** sessionId → time (ms) after which none of its access tokens is valid anyway */
+const revokedSessions = new Map();
+
+function toObjectId(id) {
+  try {
+    return new ObjectId(id);
+  } catch {
+    return null;
+  }
+}
+
+class Session {
+  /**
+   * Start a session
+   * @param {object} data - { userId, refreshTokenHash, userAgent, ip, expiresAt }
+   * @returns {Promise<Object>} Created session
+   */
+  static async create({ userId, refreshTokenHash, userAgent = null, ip = null, expiresAt }) {
+    const database = await db.getDb();
+    const now = new Date();
+    const session = {
+      userId: new ObjectId(userId),
+      refreshTokenHash,
+      previousTokenHashes: [],
+      userAgent,
+      ip,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt,
+      revokedAt: null,
+      revokedReason: null,
+    };
+    const result = await database.collection(COLLECTION_NAME).insertOne(session);
+    return { ...session, _id: result.insertedId };
+  }
+
+  /**
+   * Find a session by ID
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(sessionId) {
+    const _id = toObjectId(sessionId);
+    if (!_id) return null;
+    const database = await db.getDb();
+    return database.collection(COLLECTION_NAME).findOne({ _id });
+  }
+
+  /**
+   * Unrevoked, unexpired sessions of a user, most recently used first
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  static async findActiveByUserId(userId) {
+    const database = await db.getDb();
+    return database.collection(COLLECTION_NAME)
+      .find({ userId: new ObjectId(userId), revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .toArray();
+  }
+
+  /**
+   * Swap the current refresh token for a new one
+   * Only succeeds if `currentHash` is still the current token, so two
+   * concurrent refreshes with the same token can't both win.
+   * @returns {Promise<Object|null>} Updated session, or null if the token was already spent
+   */
+  static async rotate(sessionId, currentHash, nextHash, { userAgent, ip } = {}) {
+    const database = await db.getDb();
+    return database.collection(COLLECTION_NAME).findOneAndUpdate(
+      { _id: new ObjectId(sessionId), refreshTokenHash: currentHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: nextHash,
+          lastUsedAt: new Date(),
+          ...(userAgent ? { userAgent } : {}),
+          ...(ip ? { ip } : {}),
+        },
+        $push: { previousTokenHashes: { $each: [currentHash], $slice: -MAX_PREVIOUS_TOKENS } },
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} sessionId
+   * @param {string} reason
+   * @param {string} [userId] - Only revoke if the session belongs to this user
+   * @returns {Promise<boolean>} Whether a live session was revoked
+   */
+  static async revoke(sessionId, reason, userId = null) {
+    const _id = toObjectId(sessionId);
+    if (!_id) return false;
+
+    const database = await db.getDb();
+    const result = await database.collection(COLLECTION_NAME).updateOne(
+      { _id, revokedAt: null, ...(userId ? { userId: new ObjectId(userId) } : {}) },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    if (result.modifiedCount > 0) {
+      this.markRevoked(String(_id));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Revoke every live session of a user
+   * @param {string} userId
+   * @param {string} reason
+   * @returns {Promise<Array<string>>} IDs of the sessions revoked
+   */
+  static async revokeAllForUser(userId, reason) {
+    const database = await db.getDb();
+    const filter = { userId: new ObjectId(userId), revokedAt: null };
+    const sessions = await database.collection(COLLECTION_NAME).find(filter).project({ _id: 1 }).toArray();
+    if (sessions.length === 0) return [];
+
+    await database.collection(COLLECTION_NAME).updateMany(
+      { _id: { $in: sessions.map(s => s._id) } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    const sessionIds = sessions.map(s => String(s._id));
+    sessionIds.forEach(id => this.markRevoked(id));
+    return sessionIds;
+  }
+
+  /**
+   * Reload sessions revoked recently enough that their access tokens could
+   * still verify (after a restart)
+   */
+  static async loadRecentlyRevoked() {
+    const database = await db.getDb();
+    const since = new Date(Date.now() - ACCESS_TOKEN_TTL_SECONDS * 1000);
+    const sessions = await database.collection(COLLECTION_NAME)
+      .find({ revokedAt: { $gte: since } })
+      .project({ _id: 1, revokedAt: 1 })
+      .toArray();
+    sessions.forEach(s => this.markRevoked(String(s._id), s.revokedAt.getTime()));
+    return sessions.length;
+  }
+
+  /**
+   * Remember a revocation in memory
+   * @param {string} sessionId
+   * @param {number} [revokedAt] - ms timestamp
+   */
+  static markRevoked(sessionId, revokedAt = Date.now()) {
+    revokedSessions.set(String(sessionId), revokedAt + ACCESS_TOKEN_TTL_SECONDS * 1000);
+  }
+
+  /**
+   * Whether a session's access tokens must be refused
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  static isRevoked(sessionId) {
+    const until = revokedSessions.get(String(sessionId));
+    if (until === undefined) return false;
+    if (until <= Date.now()) {
+      // Every access token of the session has expired by now
+      revokedSessions.delete(String(sessionId));
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = Session;
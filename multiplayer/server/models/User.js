@@ -7,6 +7,8 @@ const { ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const db = require('../db/connection');
+const Session = require('./Session');
+const { ACCESS_TOKEN_TTL_SECONDS } = require('../config/auth');
 
 const COLLECTION_NAME = 'users';
 
@@ -244,25 +246,54 @@ class User {
   }
 
   /**
-   * Generate JWT token for user
+   * Generate a short-lived access token for a user's session
    * @param {string} userId - User ID
+   * @param {string} sessionId - Session the token belongs to
    * @returns {string} JWT token
    */
-  static generateToken(userId) {
+  static generateToken(userId, sessionId) {
     const JWT_SECRET = process.env.JWT_SECRET || 'casino-game-secret-key-change-in-production';
-    return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '30d' });
+    return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
   }
 
   /**
-   * Verify JWT token
+   * Verify JWT access token
    * @param {string} token - JWT token
-   * @returns {Object|null} Decoded token or null if invalid
+   * @returns {Object|null} Decoded token ({ userId, sid }) or null if invalid or revoked
    */
   static verifyToken(token) {
     try {
       const JWT_SECRET = process.env.JWT_SECRET || 'casino-game-secret-key-change-in-production';
-      return jwt.verify(token, JWT_SECRET);
-    } catch (error) {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      // Guest tokens share the secret but never carry a user ID; tokens
+      // without a session can't be revoked, so they aren't accepted either
+      if (!decoded?.userId || !decoded.sid) return null;
+      return Session.isRevoked(decoded.sid) ? null : decoded;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Generate JWT token for a server-issued guest identity
+   * @param {string} guestId - Guest ID
+   * @returns {string} JWT token
+   */
+  static generateGuestToken(guestId) {
+    const JWT_SECRET = process.env.JWT_SECRET || 'casino-game-secret-key-change-in-production';
+    return jwt.sign({ guestId }, JWT_SECRET, { expiresIn: '30d' });
+  }
+
+  /**
+   * Verify guest JWT token
+   * @param {string} token - JWT token
+   * @returns {string|null} Guest ID or null if invalid
+   */
+  static verifyGuestToken(token) {
+    try {
+      const JWT_SECRET = process.env.JWT_SECRET || 'casino-game-secret-key-change-in-production';
+      return jwt.verify(token, JWT_SECRET)?.guestId || null;
+    } catch {
       return null;
     }
   }
@@ -0,0 +1,134 @@
+/**
+ * FileGameStore
+ * Live game store on the local filesystem - one snapshot file and one
+ * append-only JSON-lines action log per game.
+ *
+ *   <dir>/game-<id>.json          { gameState, actionSeq, resumeTokens, isActive }
+ *   <dir>/game-<id>.actions.jsonl one action per line
+ *
+ * Snapshots are written to a temp file and renamed so a crash mid-write
+ * never leaves a truncated snapshot behind.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileGameStore {
+  constructor(dir) {
+    if (!dir) throw new Error('FileGameStore requires a directory');
+    this.dir = dir;
+    this._ready = null;
+  }
+
+  _ensureDir() {
+    if (!this._ready) {
+      this._ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this._ready;
+  }
+
+  _snapshotPath(gameId) {
+    return path.join(this.dir, `game-${gameId}.json`);
+  }
+
+  _actionsPath(gameId) {
+    return path.join(this.dir, `game-${gameId}.actions.jsonl`);
+  }
+
+  async _writeSnapshot(gameId, data) {
+    await this._ensureDir();
+    const target = this._snapshotPath(gameId);
+    const tmp = `${target}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ ...data, gameId }));
+    await fs.rename(tmp, target);
+  }
+
+  async saveSnapshot(gameId, snapshot) {
+    const existing = await this._readSnapshot(gameId);
+    if (existing && existing.isActive === false) {
+      console.warn(`[FileGameStore] Not overwriting finished game ${gameId}`);
+      return;
+    }
+    await this._writeSnapshot(gameId, { ...snapshot, isActive: true });
+  }
+
+  async appendAction(gameId, action) {
+    await this._ensureDir();
+    await fs.appendFile(this._actionsPath(gameId), JSON.stringify(action) + '\n');
+  }
+
+  async getActions(gameId) {
+    try {
+      const raw = await fs.readFile(this._actionsPath(gameId), 'utf8');
+      const actions = [];
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          actions.push(JSON.parse(line));
+        } catch {
+          // A torn final line from a crash - everything before it is still valid
+          console.warn(`[FileGameStore] Skipping unreadable action line for game ${gameId}`);
+        }
+      }
+      return actions;
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async _readSnapshot(gameId) {
+    try {
+      return JSON.parse(await fs.readFile(this._snapshotPath(gameId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async loadActiveGames() {
+    await this._ensureDir();
+    const files = await fs.readdir(this.dir);
+    const games = [];
+
+    for (const file of files) {
+      const match = /^game-(.+)\.json$/.exec(file);
+      if (!match) continue;
+
+      let snapshot;
+      try {
+        snapshot = await this._readSnapshot(match[1]);
+      } catch (err) {
+        console.error(`[FileGameStore] Unreadable snapshot ${file}:`, err.message);
+        continue;
+      }
+      if (!snapshot || !snapshot.isActive) continue;
+
+      games.push({
+        gameId: snapshot.gameId,
+        gameState: snapshot.gameState,
+        actionSeq: snapshot.actionSeq || 0,
+        resumeTokens: snapshot.resumeTokens || {},
+        actions: await this.getActions(snapshot.gameId),
+      });
+    }
+    return games;
+  }
+
+  async markInactive(gameId) {
+    const snapshot = await this._readSnapshot(gameId);
+    if (!snapshot) return;
+    await this._writeSnapshot(gameId, { ...snapshot, isActive: false });
+  }
+
+  async getHighestGameId() {
+    await this._ensureDir();
+    const ids = (await fs.readdir(this.dir))
+      .map(file => /^game-(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+    return Math.max(0, ...ids);
+  }
+}
+
+module.exports = FileGameStore;
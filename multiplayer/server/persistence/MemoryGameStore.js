@@ -0,0 +1,71 @@
+/**
+ * MemoryGameStore
+ * In-process live game store - snapshots and action logs held in Maps.
+ * Used by tests and as a no-database fallback; nothing survives a restart.
+ *
+ * Store interface (shared by all backends, every method async):
+ *   saveSnapshot(gameId, snapshot)  - snapshot = { gameState, actionSeq, resumeTokens };
+ *                                     never overwrites a game marked inactive
+ *   appendAction(gameId, action)    - action = { seq, playerIndex, type, payload, timestamp, ... }
+ *   loadActiveGames()               - [{ gameId, gameState, actionSeq, resumeTokens, actions }]
+ *   markInactive(gameId)            - game finished or abandoned, don't rehydrate it
+ *   getHighestGameId()              - highest numeric gameId stored, inactive games included (0 if none)
+ */
+
+class MemoryGameStore {
+  constructor() {
+    /** gameId → { gameState, actionSeq, resumeTokens, isActive } */
+    this.snapshots = new Map();
+
+    /** gameId → action[] */
+    this.actions = new Map();
+  }
+
+  async saveSnapshot(gameId, snapshot) {
+    if (this.snapshots.get(gameId)?.isActive === false) {
+      console.warn(`[MemoryGameStore] Not overwriting finished game ${gameId}`);
+      return;
+    }
+    this.snapshots.set(gameId, {
+      ...JSON.parse(JSON.stringify(snapshot)),
+      isActive: true,
+    });
+  }
+
+  async appendAction(gameId, action) {
+    if (!this.actions.has(gameId)) {
+      this.actions.set(gameId, []);
+    }
+    this.actions.get(gameId).push(JSON.parse(JSON.stringify(action)));
+  }
+
+  async loadActiveGames() {
+    const games = [];
+    for (const [gameId, snapshot] of this.snapshots) {
+      if (!snapshot.isActive) continue;
+      games.push({
+        gameId,
+        gameState: JSON.parse(JSON.stringify(snapshot.gameState)),
+        actionSeq: snapshot.actionSeq || 0,
+        resumeTokens: snapshot.resumeTokens || {},
+        actions: [...(this.actions.get(gameId) || [])],
+      });
+    }
+    return games;
+  }
+
+  async getActions(gameId) {
+    return [...(this.actions.get(gameId) || [])];
+  }
+
+  async markInactive(gameId) {
+    const snapshot = this.snapshots.get(gameId);
+    if (snapshot) snapshot.isActive = false;
+  }
+
+  async getHighestGameId() {
+    return Math.max(0, ...[...this.snapshots.keys()].filter(id => typeof id === 'number'));
+  }
+}
+
+module.exports = MemoryGameStore;
@@ -0,0 +1,54 @@
+/**
+ * MongoGameStore
+ * Live game store backed by the GameState model (gameStates collection).
+ * The snapshot lives in the document's gameState field and the action log
+ * in its actions array, so a finished game keeps its full history.
+ */
+
+const GameState = require('../models/GameState');
+
+class MongoGameStore {
+  async saveSnapshot(gameId, snapshot) {
+    await GameState.saveSnapshot(gameId, {
+      ...snapshot,
+      gameMode: snapshot.gameState?.gameMode,
+      players: (snapshot.gameState?.players || []).map((p, index) => ({
+        playerId: `player${index}`,
+        name: p.name || `Player ${index + 1}`,
+        userId: p.userId || null
+      })),
+    });
+  }
+
+  async appendAction(gameId, action) {
+    await GameState.recordAction(gameId, action);
+  }
+
+  async getActions(gameId) {
+    const doc = await GameState.findByRoomId(gameId);
+    return doc?.actions || [];
+  }
+
+  async loadActiveGames() {
+    const docs = await GameState.getActiveGames();
+    return docs
+      .filter(doc => doc.gameState)
+      .map(doc => ({
+        gameId: doc.roomId,
+        gameState: doc.gameState,
+        actionSeq: doc.actionSeq || 0,
+        resumeTokens: doc.resumeTokens || {},
+        actions: doc.actions || [],
+      }));
+  }
+
+  async markInactive(gameId) {
+    await GameState.update(gameId, { isActive: false });
+  }
+
+  async getHighestGameId() {
+    return GameState.getHighestRoomId();
+  }
+}
+
+module.exports = MongoGameStore;
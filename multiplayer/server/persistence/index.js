@@ -0,0 +1,40 @@
+/**
+ * Live game persistence
+ * Picks the store backend for in-flight games.
+ *
+ *   GAME_STORE=mongo (default) - gameStates collection via the GameState model
+ *   GAME_STORE=file            - JSON files under GAME_STORE_DIR
+ *   GAME_STORE=memory          - in-process only (tests)
+ */
+
+const path = require('path');
+const MemoryGameStore = require('./MemoryGameStore');
+const FileGameStore = require('./FileGameStore');
+const MongoGameStore = require('./MongoGameStore');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', '.game-store');
+
+/**
+ * Create the configured game store
+ * @param {string} [type] - 'mongo' | 'file' | 'memory'
+ * @returns {MongoGameStore|FileGameStore|MemoryGameStore}
+ */
+function createGameStore(type = process.env.GAME_STORE || 'mongo') {
+  switch (type) {
+    case 'memory':
+      return new MemoryGameStore();
+    case 'file':
+      return new FileGameStore(process.env.GAME_STORE_DIR || DEFAULT_STORE_DIR);
+    case 'mongo':
+      return new MongoGameStore();
+    default:
+      throw new Error(`Unknown game store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createGameStore,
+  MemoryGameStore,
+  FileGameStore,
+  MongoGameStore,
+};
@@ -9,7 +9,60 @@ const User = require('../models/User');
 const PlayerProfile = require('../models/PlayerProfile');
 const GameStats = require('../models/GameStats');
 
+const AuthSessionService = require('../services/AuthSessionService');
+const {
+  REFRESH_TOKEN_TTL_MS,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  REFRESH_COOKIE_PATH,
+  cookieOptions,
+} = require('../config/auth');
+
 const router = express.Router();
+const sessions = new AuthSessionService();
+
+// Middleware to verify authentication (access token from cookie or Bearer header)
+function authenticate(req, res, next) {
+  let token = req.cookies?.[ACCESS_COOKIE];
+
+  if (!token && req.headers.authorization?.startsWith('Bearer ')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  const decoded = token ? User.verifyToken(token) : null;
+  if (!decoded) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.userId = decoded.userId;
+  req.sessionId = decoded.sid;
+  next();
+}
+
+function deviceInfo(req) {
+  return { userAgent: req.headers['user-agent'] || null, ip: req.ip || null };
+}
+
+function setAuthCookies(res, tokens) {
+  res.cookie(ACCESS_COOKIE, tokens.accessToken, cookieOptions(tokens.expiresIn * 1000));
+  res.cookie(REFRESH_COOKIE, tokens.refreshToken, cookieOptions(REFRESH_TOKEN_TTL_MS, REFRESH_COOKIE_PATH));
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(null, REFRESH_COOKIE_PATH));
+}
+
+async function startSession(req, res, userId) {
+  const tokens = await sessions.startSession(userId, deviceInfo(req));
+  setAuthCookies(res, tokens);
+  return tokens;
+}
+
+// Revoked sessions lose their live sockets too
+function disconnectSessions(req, sessionIds) {
+  sessionIds.forEach(sessionId => req.io?.in(`session:${sessionId}`).disconnectSockets(true));
+}
 
 // Generate random avatar URL
 function generateAvatar(username) {
@@ -107,16 +160,8 @@ router.post('/register', async (req, res) => {
 
     console.log('[Auth] User registered with merged guest data:', { userId: user._id, mergedStats: { wins: mergedWins, losses: mergedLosses, totalGames: mergedTotalGames } });
 
-    // Generate JWT token
-    const token = User.generateToken(user._id.toString());
-
-    // Set HTTP-only cookie
-    res.cookie('auth_token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+    // New session: short-lived access token + refresh token, as HTTP-only cookies
+    await startSession(req, res, user._id.toString());
 
     // Return user without password
     const { password: _, ...userWithoutPassword } = user;
@@ -249,19 +294,11 @@ router.post('/login', async (req, res) => {
     // Update last login
     await User.updateLastLogin(user._id.toString());
     
-    // Generate JWT token
-    const token = User.generateToken(user._id.toString());
-    
     // Return user without password
     delete user.passwordHash;
 
-    // Set HTTP-only cookie
-    res.cookie('auth_token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+    // New session: short-lived access token + refresh token, as HTTP-only cookies
+    await startSession(req, res, user._id.toString());
 
     // Return user without password
     const { password: _, ...userWithoutPassword } = user;
@@ -344,17 +381,105 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Trade the refresh token (cookie, or body.refreshToken) for a new access
+ * token and refresh token. A refresh token that was already used revokes
+ * its session.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE] || req.body?.refreshToken;
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'No refresh token provided' });
+    }
+
+    const result = await sessions.refresh(refreshToken, deviceInfo(req));
+    if (!result.success) {
+      if (result.reused) disconnectSessions(req, [result.sessionId]);
+      clearAuthCookies(res);
+      return res.status(401).json({ error: result.error });
+    }
+
+    setAuthCookies(res, result);
+    res.json({ success: true, expiresIn: result.expiresIn });
+  } catch (error) {
+    console.error('[Auth] Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions (signed-in devices) of the current user
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(req.userId, req.sessionId);
+    res.json({ success: true, sessions: list });
+  } catch (error) {
+    console.error('[Auth] Sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the current user's sessions (sign a device out)
+ */
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await sessions.revokeSession(req.userId, sessionId);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    disconnectSessions(req, [sessionId]);
+    if (sessionId === req.sessionId) clearAuthCookies(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Auth] Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /api/auth/logout
- * Clear auth cookie
+ * End the current session and clear the auth cookies
  */
 router.post('/logout', async (req, res) => {
-  res.clearCookie('auth_token', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'lax'
-  });
+  try {
+    const decoded = req.cookies?.[ACCESS_COOKIE] ? User.verifyToken(req.cookies[ACCESS_COOKIE]) : null;
+    if (decoded) {
+      await sessions.revokeSession(decoded.userId, decoded.sid, 'logout');
+      disconnectSessions(req, [decoded.sid]);
+    } else if (req.cookies?.[REFRESH_COOKIE]) {
+      const sessionId = await sessions.endSessionByRefreshToken(req.cookies[REFRESH_COOKIE]);
+      if (sessionId) disconnectSessions(req, [sessionId]);
+    }
+  } catch (error) {
+    console.error('[Auth] Logout error:', error);
+  }
+
+  clearAuthCookies(res);
   res.json({ success: true });
 });
 
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the current user ("log out everywhere")
+ */
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAll(req.userId);
+    disconnectSessions(req, revoked);
+    clearAuthCookies(res);
+    res.json({ success: true, revoked: revoked.length });
+  } catch (error) {
+    console.error('[Auth] Logout-all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
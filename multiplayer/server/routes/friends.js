@@ -1,6 +1,6 @@
 /**
  * Friends Routes
- * Handles friend management - search, requests, friends list
+ * Handles friend management - search, requests, friends list, room invites
  */
 
 const express = require('express');
@@ -48,6 +48,21 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/friends/presence
+ * Live status of each friend: offline, online, queued or in-game, with the
+ * mode, plus a room code to join or a bracket to watch when there is one
+ */
+router.get('/presence', authenticate, async (req, res) => {
+  try {
+    const presence = req.presence ? await req.presence.getFriendsPresence(req.userId) : {};
+    res.json({ success: true, presence });
+  } catch (error) {
+    console.error('[Friends] Get presence error:', error);
+    res.status(500).json({ error: 'Failed to get presence' });
+  }
+});
+
 /**
  * GET /api/friends/requests
  * Get pending friend requests (both incoming and outgoing)
@@ -129,6 +144,11 @@ router.post('/request/:userId', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Either side may have blocked the other
+    if (req.blockList && await req.blockList.isBlocked(req.userId, userId)) {
+      return res.status(403).json({ error: 'Cannot send friend request to this user' });
+    }
+
     // Check if already friends
     const status = await FriendRequest.getStatus(req.userId, userId);
     if (status === 'accepted') {
@@ -170,6 +190,8 @@ router.post('/accept/:requestId', authenticate, async (req, res) => {
   try {
     const { requestId } = req.params;
     const request = await FriendRequest.acceptRequest(requestId, req.userId);
+    req.presence?.invalidateFriends(req.userId);
+    req.presence?.invalidateFriends(request.fromUserId.toString());
     
     // Get user info for notification
     const fromUser = await User.findById(request.fromUserId.toString());
@@ -257,6 +279,8 @@ router.delete('/:friendId', authenticate, async (req, res) => {
     const { friendId } = req.params;
     
     await FriendRequest.removeFriends(req.userId, friendId);
+    req.presence?.invalidateFriends(req.userId);
+    req.presence?.invalidateFriends(friendId);
     
     // Get friend's username for notification
     const friend = await User.findById(friendId);
@@ -298,4 +322,64 @@ router.get('/status/:userId', authenticate, async (req, res) => {
   }
 });
 
+// ── Room invites ──────────────────────────────────────────────────────────
+
+// Middleware: invites live in memory on the socket server
+function requireInvites(req, res, next) {
+  if (!req.roomInvites) {
+    return res.status(503).json({ error: 'Room invites are unavailable' });
+  }
+  next();
+}
+
+/**
+ * GET /api/friends/invites
+ * Pending room invites for the current user
+ */
+router.get('/invites', authenticate, requireInvites, (req, res) => {
+  res.json({ success: true, invites: req.roomInvites.listPending(req.userId) });
+});
+
+/**
+ * POST /api/friends/:friendId/invite
+ * Invite a friend into the private room the current user is waiting in
+ * Body: { roomCode? }
+ */
+router.post('/:friendId/invite', authenticate, requireInvites, async (req, res) => {
+  try {
+    const result = await req.roomInvites.invite(req.userId, req.params.friendId, req.body?.roomCode || null);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({ success: true, invite: result.invite });
+  } catch (error) {
+    console.error('[Friends] Invite error:', error);
+    res.status(500).json({ error: 'Failed to send invite' });
+  }
+});
+
+/**
+ * POST /api/friends/invites/:inviteId/accept
+ * Accept a room invite; the response carries the room code to join
+ */
+router.post('/invites/:inviteId/accept', authenticate, requireInvites, (req, res) => {
+  const result = req.roomInvites.respond(req.userId, req.params.inviteId, true);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ success: true, invite: result.invite });
+});
+
+/**
+ * POST /api/friends/invites/:inviteId/decline
+ * Decline a room invite
+ */
+router.post('/invites/:inviteId/decline', authenticate, requireInvites, (req, res) => {
+  const result = req.roomInvites.respond(req.userId, req.params.inviteId, false);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ success: true, invite: result.invite });
+});
+
 module.exports = router;
@@ -213,6 +213,67 @@ router.get('/:roomId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/game/:roomId/replay
+ * Get the seed and action log of a finished game - players of that game only.
+ * The client rebuilds each step with the shared action handlers.
+ */
+router.get('/:roomId/replay', authenticate, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    // Server games are stored under their numeric gameId
+    const game = await GameState.findByRoomId(/^\d+$/.test(roomId) ? Number(roomId) : roomId);
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    // The log holds every player's deal and userId
+    const isPlayer = (game.players || []).some(p => p.userId && p.userId.toString() === req.userId.toString());
+    if (!isPlayer) {
+      return res.status(403).json({ error: 'Only the players of this game can view its replay' });
+    }
+
+    // The seed reveals every card - never hand it out while the game is running
+    if (game.isActive) {
+      return res.status(409).json({ error: 'Replay is available once the game has finished' });
+    }
+
+    const finalState = game.gameState || {};
+    if (finalState.tournamentMode) {
+      return res.status(400).json({ error: 'Replays are not available for tournament games' });
+    }
+
+    const seed = game.seed ?? finalState.seed ?? null;
+    const initialDeck = game.initialDeck || finalState.initialDeck || null;
+    if (seed === null && !initialDeck) {
+      return res.status(404).json({ error: 'No replay was recorded for this game' });
+    }
+
+    res.json({
+      success: true,
+      replay: {
+        roomId: game.roomId,
+        gameMode: game.gameMode,
+        players: game.players,
+        playerCount: finalState.playerCount || game.players?.length || 2,
+        isPartyMode: finalState.gameMode === 'party',
+        seed,
+        initialDeck,
+        rules: finalState.rules || null,
+        dealer: finalState.dealer ?? null,
+        actions: game.actions || [],
+        finalScores: finalState.scores || [],
+        createdAt: game.createdAt,
+        completedAt: game.completedAt
+      }
+    });
+  } catch (error) {
+    console.error('[Game] Replay error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * GET /api/game/recent
  * Get recent games
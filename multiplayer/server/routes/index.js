@@ -9,6 +9,8 @@ const gameRoutes = require('./game');
 const friendsRoutes = require('./friends');
 const usersRoutes = require('./users');
 const statsRoutes = require('./stats');
+const tournamentRoutes = require('./tournaments');
+const puzzleRoutes = require('./puzzles');
 
 module.exports = {
   authRoutes,
@@ -16,5 +18,7 @@ module.exports = {
   gameRoutes,
   friendsRoutes,
   usersRoutes,
-  statsRoutes
+  statsRoutes,
+  tournamentRoutes,
+  puzzleRoutes
 };
@@ -27,6 +27,7 @@ const logger = {
 
 const { validateAndSanitize, isValidObjectId } = require('../utils/validation');
 const { MODE_ID_TO_KEY, GAME_MODE_IDS, GAME_MODE_KEYS } = require('../../../shared/config/gameModes');
+const { LESSON_IDS } = require('../../../shared/game/tutorials/interactive');
 
 const router = express.Router();
 
@@ -157,8 +158,9 @@ router.get('/leaderboard', async (req, res) => {
         // Get rank for the requested mode (or overall)
         const rank = await GameStats.getPlayerRank(stat.userId.toString(), mode === 'all' ? 'all' : mappedMode);
 
-        // Extract mode-specific stats if filtering by mode
+        // Extract mode-specific stats and rating if filtering by mode
         const modeStats = mode === 'all' ? null : stat.modeStats?.[mappedMode];
+        const modeRating = mode === 'all' ? null : GameStats.getModeRating(stat, mappedMode);
         
         return {
           rank,
@@ -170,7 +172,11 @@ router.get('/leaderboard', async (req, res) => {
           losses: mode === 'all' ? stat.losses : (modeStats?.losses || 0),
           winRate: mode === 'all' 
             ? (stat.totalGames > 0 ? Math.round((stat.wins / stat.totalGames) * 100) : 0)
-            : (modeStats?.games > 0 ? Math.round((modeStats.wins / modeStats.games) * 100) : 0)
+            : (modeStats?.games > 0 ? Math.round((modeStats.wins / modeStats.games) * 100) : 0),
+          rating: modeRating?.rating ?? null,
+          deviation: modeRating?.deviation ?? null,
+          provisional: modeRating?.provisional ?? null,
+          ratingHistory: modeRating?.history ?? null
         };
       })
     );
@@ -289,6 +295,7 @@ router.post('/block/:userId', authenticate, async (req, res, next) => {
     }
     
     await PlayerProfileService.blockUser(req.userId, blockedUserId);
+    req.blockList?.setBlocked(req.userId, blockedUserId, true);
     
     const response = {
       success: true,
@@ -319,6 +326,7 @@ router.delete('/block/:userId', authenticate, async (req, res, next) => {
     }
     
     await PlayerProfileService.unblockUser(req.userId, blockedUserId);
+    req.blockList?.setBlocked(req.userId, blockedUserId, false);
     
     const response = {
       success: true,
@@ -334,6 +342,54 @@ router.delete('/block/:userId', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/profile/tutorials
+ * Get the current user's interactive tutorial progress
+ */
+router.get('/tutorials', authenticate, async (req, res, next) => {
+  try {
+    const profile = await PlayerProfile.findByUserId(req.userId);
+
+    res.json({
+      success: true,
+      progress: profile?.tutorialProgress || {},
+      serverTime: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/profile/tutorials/:lessonId/complete
+ * Record that the current user finished an interactive tutorial lesson
+ * Body: { mistakes?: number }
+ */
+router.post('/tutorials/:lessonId/complete', authenticate, async (req, res, next) => {
+  const { lessonId } = req.params;
+
+  try {
+    if (!LESSON_IDS.includes(lessonId)) {
+      throw new ValidationError('Unknown tutorial lesson');
+    }
+
+    const mistakes = Number(req.body?.mistakes ?? 0);
+    if (!Number.isInteger(mistakes) || mistakes < 0) {
+      throw new ValidationError('mistakes must be a non-negative integer');
+    }
+
+    const progress = await PlayerProfile.recordTutorialCompletion(req.userId, lessonId, mistakes);
+
+    res.json({
+      success: true,
+      progress,
+      serverTime: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/profile/:userId/stats
  * Get detailed stats for a user
@@ -0,0 +1,130 @@
+/**
+ * Puzzle Routes
+ * Daily "find the best move" puzzle, the puzzle catalog, answer checking
+ * and per-player streaks.
+ *
+ * Guests can play and check answers; only signed-in players' attempts are
+ * recorded.
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const PuzzleService = require('../services/PuzzleService');
+
+const router = express.Router();
+const puzzles = new PuzzleService();
+
+function readToken(req) {
+  let token = req.cookies?.auth_token;
+  if (!token && req.headers.authorization?.startsWith('Bearer ')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+  return token || null;
+}
+
+// Middleware to verify authentication
+// Supports both Bearer token (deprecated) and cookie-based auth
+function authenticate(req, res, next) {
+  const token = readToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const decoded = User.verifyToken(token);
+  if (!decoded) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  req.userId = decoded.userId;
+  next();
+}
+
+// Same as authenticate, but lets guests through with no userId
+function optionalAuthenticate(req, res, next) {
+  const token = readToken(req);
+  const decoded = token ? User.verifyToken(token) : null;
+  req.userId = decoded?.userId || null;
+  next();
+}
+
+/**
+ * GET /api/puzzles/daily
+ * Today's puzzle, plus the player's progress and streak when signed in
+ */
+router.get('/daily', optionalAuthenticate, async (req, res) => {
+  try {
+    const daily = await puzzles.getDaily(req.userId);
+    res.json({ success: true, ...daily });
+  } catch (error) {
+    console.error('[Puzzles API] Error getting daily puzzle:', error);
+    res.status(500).json({ error: 'Failed to get daily puzzle' });
+  }
+});
+
+/**
+ * GET /api/puzzles/daily/stats
+ * How many players tried and solved today's puzzle
+ */
+router.get('/daily/stats', async (req, res) => {
+  try {
+    const counts = await puzzles.getDailyCounts();
+    res.json({ success: true, ...counts });
+  } catch (error) {
+    console.error('[Puzzles API] Error getting daily stats:', error);
+    res.status(500).json({ error: 'Failed to get daily puzzle stats' });
+  }
+});
+
+/**
+ * GET /api/puzzles/me/stats
+ * The player's streak and solve counts
+ */
+router.get('/me/stats', authenticate, async (req, res) => {
+  try {
+    const stats = await puzzles.getStats(req.userId);
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('[Puzzles API] Error getting puzzle stats:', error);
+    res.status(500).json({ error: 'Failed to get puzzle stats' });
+  }
+});
+
+/**
+ * GET /api/puzzles
+ * Every puzzle, for practice
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, puzzles: puzzles.listPuzzles() });
+});
+
+/**
+ * GET /api/puzzles/:puzzleId
+ */
+router.get('/:puzzleId', (req, res) => {
+  const puzzle = puzzles.getPuzzle(req.params.puzzleId);
+  if (!puzzle) {
+    return res.status(404).json({ error: 'Puzzle not found' });
+  }
+  res.json({ success: true, puzzle });
+});
+
+/**
+ * POST /api/puzzles/:puzzleId/attempt
+ * Check an answer
+ * Body: { actions: [{ type, payload }] } - the moves as the GameBoard sent them
+ */
+router.post('/:puzzleId/attempt', optionalAuthenticate, async (req, res) => {
+  try {
+    const result = await puzzles.submitAttempt(req.userId, req.params.puzzleId, req.body?.actions);
+    if (!result.success) {
+      const status = result.error === 'Puzzle not found' ? 404 : 400;
+      return res.status(status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[Puzzles API] Error checking attempt:', error);
+    res.status(500).json({ error: 'Failed to check answer' });
+  }
+});
+
+module.exports = router;
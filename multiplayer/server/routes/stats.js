@@ -34,7 +34,7 @@ function authenticate(req, res, next) {
 
 /**
  * GET /api/stats/player
- * Get current player's stats
+ * Get current player's stats, skill ratings and detailed play stats per mode
  */
 router.get('/player', authenticate, async (req, res) => {
   try {
@@ -44,7 +44,9 @@ router.get('/player', authenticate, async (req, res) => {
     
     res.json({
       success: true,
-      stats
+      stats,
+      ratings: GameStats.getAllRatings(stats),
+      detailed: GameStats.getDetailedStats(stats)
     });
   } catch (error) {
     console.error('[Stats API] Error getting player stats:', error);
@@ -54,7 +56,8 @@ router.get('/player', authenticate, async (req, res) => {
 
 /**
  * GET /api/stats/player/:userId
- * Get specific player's stats
+ * Get specific player's stats, skill ratings per mode (rating, deviation, history)
+ * and detailed play stats per mode, all-time and over recent time windows
  */
 router.get('/player/:userId', authenticate, async (req, res) => {
   try {
@@ -65,7 +68,9 @@ router.get('/player/:userId', authenticate, async (req, res) => {
     
     res.json({
       success: true,
-      stats
+      stats,
+      ratings: GameStats.getAllRatings(stats),
+      detailed: GameStats.getDetailedStats(stats)
     });
   } catch (error) {
     console.error('[Stats API] Error getting player stats:', error);
@@ -0,0 +1,153 @@
+/**
+ * Tournament Routes
+ * Scheduled tournaments (registration, check-in) and knockout brackets
+ */
+
+const express = require('express');
+
+const router = express.Router();
+
+function readUserId(req) {
+  let token = req.cookies?.auth_token;
+
+  if (!token && req.headers.authorization?.startsWith('Bearer ')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+  if (!token) return null;
+
+  const User = require('../models/User');
+  return User.verifyToken(token)?.userId || null;
+}
+
+// Middleware to verify authentication
+// Supports both Bearer token (deprecated) and cookie-based auth
+function authenticate(req, res, next) {
+  const userId = readUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.userId = userId;
+  next();
+}
+
+// Middleware that finds the scheduled tournament in :id
+function findScheduled(req, res, next) {
+  if (!req.tournamentScheduler?.getView(req.params.id)) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  next();
+}
+
+/**
+ * Send a scheduler result: 200 with the tournament, or 400 with the reason
+ */
+function sendResult(res, result, status = 200) {
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.status(status).json({ success: true, tournament: result.tournament || null });
+}
+
+/**
+ * GET /api/tournaments
+ * List scheduled tournaments, soonest first.
+ * Signed-in players see whether they're registered and checked in.
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tournaments: req.tournamentScheduler?.listTournaments(readUserId(req)) || []
+    });
+  } catch (error) {
+    console.error('[Tournaments] List error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/tournaments
+ * Schedule a tournament
+ * Body: { name, startsAt, maxPlayers, checkInMinutes?, minRating?, friendsOnly? }
+ */
+router.post('/', authenticate, (req, res) => {
+  try {
+    const { name, startsAt, maxPlayers, checkInMinutes, minRating, friendsOnly } = req.body || {};
+    const result = req.tournamentScheduler.createTournament(req.userId, {
+      name, startsAt, maxPlayers, checkInMinutes, minRating, friendsOnly
+    });
+    sendResult(res, result, 201);
+  } catch (error) {
+    console.error('[Tournaments] Create error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/tournaments/:id
+ * Get a scheduled tournament
+ */
+router.get('/:id', findScheduled, (req, res) => {
+  res.json({
+    success: true,
+    tournament: req.tournamentScheduler.getView(req.params.id, readUserId(req))
+  });
+});
+
+/**
+ * POST /api/tournaments/:id/register
+ * Register for a scheduled tournament (cap and entry requirements apply)
+ */
+router.post('/:id/register', authenticate, findScheduled, async (req, res) => {
+  try {
+    sendResult(res, await req.tournamentScheduler.register(req.userId, req.params.id));
+  } catch (error) {
+    console.error('[Tournaments] Register error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/tournaments/:id/register
+ * Withdraw from a scheduled tournament before it starts
+ */
+router.delete('/:id/register', authenticate, findScheduled, (req, res) => {
+  sendResult(res, req.tournamentScheduler.unregister(req.userId, req.params.id));
+});
+
+/**
+ * POST /api/tournaments/:id/check-in
+ * Check in during the check-in window before the start time
+ */
+router.post('/:id/check-in', authenticate, findScheduled, (req, res) => {
+  sendResult(res, req.tournamentScheduler.checkIn(req.userId, req.params.id));
+});
+
+/**
+ * GET /api/tournaments/:id/bracket
+ * Get a tournament's status and bracket: rounds, matches, seeds, results
+ * and the table (gameId) each match is played at.
+ * Takes a bracket id, or the id of a scheduled tournament that has started.
+ */
+router.get('/:id/bracket', (req, res) => {
+  try {
+    const scheduled = req.tournamentScheduler?.getView(req.params.id);
+    const bracketId = scheduled ? scheduled.bracketTournamentId : req.params.id;
+    const bracket = bracketId ? req.bracketTournaments?.getBracket(bracketId) : null;
+
+    if (!bracket) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    res.json({
+      success: true,
+      bracket
+    });
+  } catch (error) {
+    console.error('[Tournaments] Get bracket error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,18 @@ const router = express.Router();
 const User = require('../models/User');
 const PlayerProfile = require('../models/PlayerProfile');
 
+// Signed-in searcher, from the auth cookie or Bearer token if present
+function readUserId(req) {
+  let token = req.cookies?.auth_token;
+
+  if (!token && req.headers.authorization?.startsWith('Bearer ')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+  if (!token) return null;
+
+  return User.verifyToken(token)?.userId || null;
+}
+
 /**
  * GET /api/users/search
  * Search for users by username (partial match)
@@ -23,16 +35,24 @@ router.get('/search', async (req, res) => {
       return res.json({ users: [] });
     }
 
-    // Get the current user ID from header if provided
-    const currentUserId = req.headers['x-user-id'];
+    // Get the current user ID from their token, or the header if provided
+    const currentUserId = readUserId(req) || req.headers['x-user-id'];
 
     // Search users by username
     const users = await User.searchByUsername(q.trim(), parseInt(limit), currentUserId);
 
+    // Users the searcher blocked, or who blocked the searcher, are left out
+    const currentProfile = currentUserId ? await PlayerProfile.findByUserId(currentUserId) : null;
+    const blockedByMe = new Set((currentProfile?.blockedUsers || []).map(String));
+
     // Get player profiles for each user to include stats
     const usersWithStats = await Promise.all(
       users.map(async (user) => {
         const profile = await PlayerProfile.findByUserId(user._id.toString());
+        const blockedMe = currentUserId && (profile?.blockedUsers || []).some(id => String(id) === String(currentUserId));
+        if (blockedByMe.has(user._id.toString()) || blockedMe) {
+          return null;
+        }
         // Use local avatar from profile if available, otherwise fall back to user's avatar
         const userAvatar = profile?.avatar && !profile.avatar.startsWith('http') 
           ? profile.avatar 
@@ -52,7 +72,7 @@ router.get('/search', async (req, res) => {
       })
     );
 
-    res.json({ users: usersWithStats });
+    res.json({ users: usersWithStats.filter(Boolean) });
   } catch (error) {
     console.error('[Users] Search error:', error);
     res.status(500).json({ error: 'Failed to search users' });
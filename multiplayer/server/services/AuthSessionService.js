@@ -0,0 +1,179 @@
+/**
+ * AuthSessionService
+ * Signed-in sessions: issues short-lived access tokens and rotating refresh
+ * tokens, lists a user's devices, and revokes sessions.
+ *
+ * A refresh token is `<sessionId>.<secret>`; only a hash of the secret is
+ * stored. Every refresh swaps it for a new one. Presenting a token that was
+ * already swapped out means it leaked (or was replayed), so the whole
+ * session is revoked.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_MS } = require('../config/auth');
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function createSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (!sessionId || !secret || rest.length > 0) return null;
+  return { sessionId, secret };
+}
+
+class AuthSessionService {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Start a session after login or registration
+   * @param {string} userId
+   * @param {object} [meta] - { userAgent, ip } of the device
+   * @returns {Promise<{ sessionId: string, accessToken: string, refreshToken: string, expiresIn: number }>}
+   */
+  async startSession(userId, meta = {}) {
+    const secret = createSecret();
+    const session = await Session.create({
+      userId,
+      refreshTokenHash: hashSecret(secret),
+      userAgent: meta.userAgent || null,
+      ip: meta.ip || null,
+      expiresAt: new Date(this.now() + REFRESH_TOKEN_TTL_MS),
+    });
+    const sessionId = String(session._id);
+    console.log(`[AuthSession] Started session ${sessionId} for ${userId}`);
+    return this._tokens(String(userId), sessionId, secret);
+  }
+
+  /**
+   * Trade a refresh token for a new access token and refresh token
+   * @param {string} refreshToken
+   * @param {object} [meta] - { userAgent, ip } of the device
+   * @returns {Promise<object>} { success, userId, sessionId, accessToken, refreshToken, expiresIn }
+   *   or { success: false, error, reused? }
+   */
+  async refresh(refreshToken, meta = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+    if (session.revokedAt) {
+      return { success: false, error: 'Session has been revoked' };
+    }
+    if (new Date(session.expiresAt).getTime() <= this.now()) {
+      return { success: false, error: 'Session has expired' };
+    }
+
+    const hash = hashSecret(parsed.secret);
+    if (hash !== session.refreshTokenHash) {
+      if ((session.previousTokenHashes || []).includes(hash)) {
+        return this._revokeForReuse(session);
+      }
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const secret = createSecret();
+    const rotated = await Session.rotate(parsed.sessionId, hash, hashSecret(secret), meta);
+    if (!rotated) {
+      // Another refresh spent this token first
+      return this._revokeForReuse(session);
+    }
+
+    const userId = String(session.userId);
+    return { success: true, ...this._tokens(userId, parsed.sessionId, secret) };
+  }
+
+  /**
+   * Active sessions (devices) of a user
+   * @param {string} userId
+   * @param {string} [currentSessionId] - Session making the request
+   * @returns {Promise<Array<object>>}
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await Session.findActiveByUserId(userId);
+    return sessions.map(session => ({
+      id: String(session._id),
+      userAgent: session.userAgent || null,
+      ip: session.ip || null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: String(session._id) === String(currentSessionId),
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    const revoked = await Session.revoke(sessionId, reason, userId);
+    if (!revoked) {
+      return { success: false, error: 'Session not found' };
+    }
+    console.log(`[AuthSession] Revoked session ${sessionId} of ${userId} (${reason})`);
+    return { success: true };
+  }
+
+  /**
+   * Revoke every session of a user ("log out everywhere")
+   * @returns {Promise<Array<string>>} IDs of the sessions revoked
+   */
+  async revokeAll(userId) {
+    const sessionIds = await Session.revokeAllForUser(userId, 'logout-all');
+    console.log(`[AuthSession] Revoked ${sessionIds.length} session(s) of ${userId}`);
+    return sessionIds;
+  }
+
+  /**
+   * End the session a refresh token belongs to (logout without a valid access token)
+   * @param {string} refreshToken
+   * @returns {Promise<string|null>} ID of the session ended, or null if the token isn't current
+   */
+  async endSessionByRefreshToken(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    const session = parsed ? await Session.findById(parsed.sessionId) : null;
+    if (!session || session.refreshTokenHash !== hashSecret(parsed.secret)) return null;
+
+    const revoked = await Session.revoke(parsed.sessionId, 'logout');
+    return revoked ? parsed.sessionId : null;
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────────
+
+  _tokens(userId, sessionId, secret) {
+    return {
+      userId,
+      sessionId,
+      accessToken: User.generateToken(userId, sessionId),
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    };
+  }
+
+  async _revokeForReuse(session) {
+    await Session.revoke(String(session._id), 'reuse');
+    console.warn(`[AuthSession] Refresh token reuse on session ${session._id} of ${session.userId} — session revoked`);
+    return {
+      success: false,
+      error: 'Refresh token was already used; please log in again',
+      reused: true,
+      sessionId: String(session._id),
+    };
+  }
+}
+
+module.exports = AuthSessionService;
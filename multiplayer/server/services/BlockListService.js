@@ -0,0 +1,100 @@
+/**
+ * BlockListService
+ * In-memory copy of each signed-in player's block list, so matchmaking and
+ * room joins can refuse blocked pairs without a database round trip.
+ *
+ * A player's list is loaded when their socket connects and kept current by
+ * the block/unblock routes. A pair counts as blocked when either player has
+ * blocked the other.
+ */
+
+const PlayerProfile = require('../models/PlayerProfile');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Lists are re-read after this long, in case they changed elsewhere
+const BLOCK_LIST_TTL_MS = 5 * 60 * 1000;
+
+class BlockListService {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+
+    /** userId → { blocked: Set<string>, expiresAt } */
+    this.lists = new Map();
+  }
+
+  /**
+   * Load the block lists of players not cached yet (or cached too long ago)
+   * @param {Array<string>} userIds
+   */
+  async load(userIds) {
+    const missing = [...new Set(userIds.filter(Boolean).map(String))]
+      .filter(id => OBJECT_ID_PATTERN.test(id))
+      .filter(id => !(this.lists.get(id)?.expiresAt > this.now()));
+    if (missing.length === 0) return;
+
+    try {
+      const profiles = await PlayerProfile.findByUserIds(missing);
+      const byUser = new Map(profiles.map(profile => [String(profile.userId), profile.blockedUsers || []]));
+      missing.forEach(id => this._store(id, byUser.get(id) || []));
+    } catch (error) {
+      console.error('[BlockList] Failed to load block lists:', error.message);
+    }
+  }
+
+  /**
+   * Preload a connected player's list
+   * @param {object} socket
+   */
+  handleConnect(socket) {
+    if (socket.userId) this.load([socket.userId]);
+  }
+
+  /**
+   * Whether either player has blocked the other, from the cached lists
+   * Guests (no user id) never block or get blocked.
+   * @param {string} userIdA
+   * @param {string} userIdB
+   * @returns {boolean}
+   */
+  isBlockedPair(userIdA, userIdB) {
+    if (!userIdA || !userIdB) return false;
+    const a = String(userIdA);
+    const b = String(userIdB);
+    return !!(this.lists.get(a)?.blocked.has(b) || this.lists.get(b)?.blocked.has(a));
+  }
+
+  /**
+   * Whether either player has blocked the other, loading their lists first
+   * @returns {Promise<boolean>}
+   */
+  async isBlocked(userIdA, userIdB) {
+    await this.load([userIdA, userIdB]);
+    return this.isBlockedPair(userIdA, userIdB);
+  }
+
+  /**
+   * Record a block or unblock made through the API
+   * @param {string} userId - Player whose list changed
+   * @param {string} targetId - Player blocked or unblocked
+   * @param {boolean} blocked
+   */
+  setBlocked(userId, targetId, blocked) {
+    const entry = this.lists.get(String(userId));
+    if (!entry) return;
+    if (blocked) {
+      entry.blocked.add(String(targetId));
+    } else {
+      entry.blocked.delete(String(targetId));
+    }
+  }
+
+  _store(userId, blockedUsers) {
+    this.lists.set(userId, {
+      blocked: new Set(blockedUsers.map(String)),
+      expiresAt: this.now() + BLOCK_LIST_TTL_MS,
+    });
+  }
+}
+
+module.exports = BlockListService;
@@ -0,0 +1,413 @@
+/**
+ * BracketTournamentCoordinator
+ * Runs knockout tournaments of 8, 16 or 32 entrants on a generated bracket.
+ *
+ * Signed-in players register for a tournament; it starts when it's full or
+ * when its creator starts it with more than half the slots taken. Entrants
+ * are seeded by their two-hands skill rating and the empty slots become
+ * byes for the top seeds (see utils/bracket).
+ *
+ * Every bracket match is a two-hands game at its own table, and all matches
+ * whose players are known run in parallel. When a game ends the winner moves
+ * on; the next-round table opens once both of its players are through. A
+ * player who isn't connected when their table opens loses by walkover.
+ * Every change is sent to all entrants as 'bracket-update'.
+ */
+
+const GameStats = require('../models/GameStats');
+const {
+  BRACKET_SIZES,
+  MATCH_STATUS,
+  createBracket,
+  findMatch,
+  recordResult,
+  getReadyMatches,
+  getCurrentRound,
+  getRoundName,
+} = require('../utils/bracket');
+
+// Time between a table's game over and the next-round table, so the result can be read
+const NEXT_MATCH_DELAY_MS = 10000;
+
+const TOURNAMENT_STATUS = {
+  REGISTERING: 'registering',
+  PLAYING: 'playing',
+  COMPLETE: 'complete',
+};
+
+class BracketTournamentCoordinator {
+  constructor(gameManager, matchmaking, broadcaster, io, options = {}) {
+    this.gameManager = gameManager;
+    this.matchmaking = matchmaking;
+    this.broadcaster = broadcaster;
+    this.io = io;
+    this.nextMatchDelayMs = options.nextMatchDelayMs ?? NEXT_MATCH_DELAY_MS;
+
+    /** tournamentId → tournament */
+    this.tournaments = new Map();
+
+    /** gameId → { tournamentId, matchId }, for every table still being played */
+    this.gameMatches = new Map();
+
+    this._nextId = 1;
+  }
+
+  /**
+   * Whether a finished game is a bracket match
+   */
+  isBracketGame(gameState) {
+    return !!gameState?.bracketTournamentId;
+  }
+
+  /**
+   * Open a tournament and register its creator
+   * @param {object} socket - Creator socket (must be signed in)
+   * @param {number} size - One of BRACKET_SIZES
+   * @returns {object} { success, tournament?, error? }
+   */
+  createTournament(socket, size) {
+    if (!socket.userId) return { success: false, error: 'Sign in to play tournaments' };
+    if (!BRACKET_SIZES.includes(size)) {
+      return { success: false, error: 'Tournaments have 8, 16 or 32 players' };
+    }
+
+    const tournament = this._openTournament(socket.userId, size, [{ id: socket.userId, socketId: socket.id }]);
+    console.log(`[BracketTournament] ${tournament.id} opened for ${size} players by ${socket.userId}`);
+    this._broadcastUpdate(tournament);
+    return { success: true, tournament: this.getBracket(tournament.id) };
+  }
+
+  /**
+   * Start a bracket straight away with a list of players
+   * Used for scheduled tournaments (TournamentScheduler): the bracket is the
+   * smallest size that holds everyone who checked in.
+   * @param {string} createdBy - Organiser userId
+   * @param {string[]} userIds - Checked-in players
+   * @returns {Promise<object>} { success, tournament?, error? }
+   */
+  async startWithPlayers(createdBy, userIds) {
+    const size = BRACKET_SIZES.find(candidate => candidate >= userIds.length);
+    if (!size) return { success: false, error: `At most ${BRACKET_SIZES.at(-1)} players can play a tournament` };
+
+    // Sockets are looked up by userId when each table opens
+    const tournament = this._openTournament(createdBy, size, userIds.map(id => ({ id, socketId: null })));
+    console.log(`[BracketTournament] ${tournament.id} opened for ${userIds.length} scheduled players`);
+
+    const result = await this.startTournament(tournament.id);
+    if (!result.success) this.tournaments.delete(tournament.id);
+    return result;
+  }
+
+  _openTournament(createdBy, size, entrants) {
+    const tournament = {
+      id: `bracket-${Date.now()}-${this._nextId++}`,
+      size,
+      createdBy,
+      status: TOURNAMENT_STATUS.REGISTERING,
+      entrants,
+      bracket: null,
+      champion: null,
+      timers: new Set(),
+      createdAt: new Date().toISOString(),
+    };
+    this.tournaments.set(tournament.id, tournament);
+    return tournament;
+  }
+
+  /**
+   * Register a player; a tournament that fills up starts straight away
+   * @returns {Promise<object>} { success, tournament?, error? }
+   */
+  async joinTournament(socket, tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (!socket.userId) return { success: false, error: 'Sign in to play tournaments' };
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) return { success: false, error: 'Tournament has already started' };
+    if (tournament.entrants.some(e => e.id === socket.userId)) return { success: false, error: 'You are already registered' };
+    if (tournament.entrants.length >= tournament.size) return { success: false, error: 'Tournament is full' };
+
+    tournament.entrants.push({ id: socket.userId, socketId: socket.id });
+    console.log(`[BracketTournament] ${socket.userId} joined ${tournamentId} (${tournament.entrants.length}/${tournament.size})`);
+
+    if (tournament.entrants.length === tournament.size) {
+      return this.startTournament(tournamentId);
+    }
+    this._broadcastUpdate(tournament);
+    return { success: true, tournament: this.getBracket(tournamentId) };
+  }
+
+  /**
+   * Drop a registration before the tournament starts
+   * @returns {object} { success, error? }
+   */
+  leaveTournament(socket, tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) return { success: false, error: 'Tournament has already started' };
+
+    const before = tournament.entrants.length;
+    tournament.entrants = tournament.entrants.filter(e => e.id !== socket.userId);
+    if (tournament.entrants.length === before) return { success: false, error: 'You are not registered' };
+
+    if (tournament.entrants.length === 0) {
+      this.tournaments.delete(tournamentId);
+      console.log(`[BracketTournament] ${tournamentId} closed: no players left`);
+    } else {
+      this._broadcastUpdate(tournament);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Seed the entrants, build the bracket and open every first-round table
+   * @param {string} tournamentId - Tournament
+   * @param {object} [socket] - Socket asking to start early; must be the creator's
+   * @returns {Promise<object>} { success, tournament?, error? }
+   */
+  async startTournament(tournamentId, socket = null) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (socket && socket.userId !== tournament.createdBy) return { success: false, error: 'Only the organiser can start the tournament' };
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTERING) return { success: false, error: 'Tournament has already started' };
+
+    const minimum = tournament.size / 2 + 1;
+    if (tournament.entrants.length < minimum) {
+      return { success: false, error: `At least ${minimum} players are needed to start` };
+    }
+
+    // Claim the tournament before the lookups so a second start can't run
+    tournament.status = TOURNAMENT_STATUS.PLAYING;
+
+    const userIds = tournament.entrants.map(e => e.id);
+    let ratings;
+    let infos;
+    try {
+      [ratings, infos] = await Promise.all([
+        GameStats.getRatings(userIds, 'twoHands'),
+        this.broadcaster._getPlayerInfos(tournament.entrants.map(e => ({ userId: e.id }))),
+      ]);
+    } catch (error) {
+      console.error(`[BracketTournament] ${tournamentId} failed to seed:`, error.message);
+      tournament.status = TOURNAMENT_STATUS.REGISTERING;
+      return { success: false, error: 'Failed to start tournament' };
+    }
+
+    // Best rating is seed 1; entry order breaks ties
+    const seeded = tournament.entrants
+      .map((entrant, i) => {
+        const info = infos.find(p => p.userId === entrant.id);
+        return {
+          ...entrant,
+          name: info?.username || 'Player',
+          avatar: info?.avatar || 'lion',
+          rating: Math.round(ratings[i]?.rating ?? 1500),
+        };
+      })
+      .sort((a, b) => b.rating - a.rating);
+
+    tournament.entrants = seeded;
+    tournament.bracket = createBracket(seeded.map(({ id, name, avatar, rating }) => ({ id, name, avatar, rating })), tournament.size);
+
+    console.log(`[BracketTournament] ${tournamentId} started with ${seeded.length} players`);
+    this._startReadyMatches(tournament);
+    this._broadcastUpdate(tournament);
+    return { success: true, tournament: this.getBracket(tournamentId) };
+  }
+
+  /**
+   * Record a finished table and move the winner on
+   * Called by GameCoordinatorService after it broadcasts game-over.
+   * @param {number} gameId - Finished game
+   * @param {object} gameState - Final (scored) state
+   * @returns {object|null} Bracket view, as sent with bracket-update
+   */
+  handleGameOver(gameId, gameState) {
+    const link = this.gameMatches.get(gameId);
+    const tournament = link && this.tournaments.get(link.tournamentId);
+    if (!tournament) return null;
+    this.gameMatches.delete(gameId);
+
+    const match = findMatch(tournament.bracket, link.matchId);
+    const winnerSeat = this._pickWinnerSeat(match, gameState);
+    const scores = [...(gameState.scores || [])];
+    recordResult(tournament.bracket, match.id, match.players[winnerSeat].id, {
+      scores,
+      forfeitedBy: gameState.forfeitedBy ?? null,
+      walkover: false,
+    });
+
+    console.log(`[BracketTournament] ${tournament.id} ${match.id}: ${match.players[winnerSeat].name} wins [${scores.join(', ')}]`);
+
+    if (!this._checkComplete(tournament) && getReadyMatches(tournament.bracket).length > 0) {
+      const timer = setTimeout(() => {
+        tournament.timers.delete(timer);
+        this._startReadyMatches(tournament);
+        this._broadcastUpdate(tournament);
+      }, this.nextMatchDelayMs);
+      if (timer.unref) timer.unref();
+      tournament.timers.add(timer);
+    }
+
+    this._broadcastUpdate(tournament);
+    return this.getBracket(tournament.id);
+  }
+
+  /**
+   * Seat that goes through: a forfeit loses, then the higher score, then
+   * more cards captured, then the better seed
+   */
+  _pickWinnerSeat(match, gameState) {
+    const forfeitedBy = gameState.forfeitedBy ?? null;
+    if (forfeitedBy !== null) return forfeitedBy === 0 ? 1 : 0;
+
+    const scores = gameState.scores || [0, 0];
+    if (scores[0] !== scores[1]) return scores[0] > scores[1] ? 0 : 1;
+
+    const cards = gameState.players.map(p => p.captures?.length || 0);
+    if (cards[0] !== cards[1]) return cards[0] > cards[1] ? 0 : 1;
+
+    return match.players[0].seed < match.players[1].seed ? 0 : 1;
+  }
+
+  _checkComplete(tournament) {
+    if (!tournament.bracket.champion) return false;
+    tournament.status = TOURNAMENT_STATUS.COMPLETE;
+    tournament.champion = tournament.bracket.champion;
+    console.log(`[BracketTournament] ${tournament.id} won by ${tournament.champion}`);
+    return true;
+  }
+
+  /**
+   * Open a table for every match whose players are known
+   * Walkovers can make further matches ready, so this runs until none are.
+   */
+  _startReadyMatches(tournament) {
+    let walkovers;
+    do {
+      const ready = getReadyMatches(tournament.bracket);
+      ready.forEach(match => this._startMatch(tournament, match));
+      walkovers = ready.filter(match => match.status === MATCH_STATUS.COMPLETE).length;
+    } while (walkovers > 0 && !this._checkComplete(tournament));
+  }
+
+  /**
+   * Deal a two-hands game for one bracket match, or settle it by walkover
+   */
+  _startMatch(tournament, match) {
+    const sockets = match.players.map(player => this._findSocket(tournament, player.id));
+    const present = sockets.map(socket => !!socket?.connected);
+
+    if (!present[0] || !present[1]) {
+      // Nobody turned up: the better seed goes through
+      const winnerSeat = present[0] ? 0 : present[1] ? 1 : (match.players[0].seed < match.players[1].seed ? 0 : 1);
+      console.warn(`[BracketTournament] ${tournament.id} ${match.id}: walkover to ${match.players[winnerSeat].name}`);
+      recordResult(tournament.bracket, match.id, match.players[winnerSeat].id, { scores: null, forfeitedBy: null, walkover: true });
+      return null;
+    }
+
+    const entries = sockets.map((socket, i) => ({ socket, userId: match.players[i].id }));
+    const result = this.matchmaking._createGameFromEntries('two-hands', entries);
+    if (!result) {
+      console.error(`[BracketTournament] ${tournament.id} ${match.id}: failed to create game`);
+      return null;
+    }
+
+    const { gameId, gameState } = result;
+    gameState.bracketTournamentId = tournament.id;
+    gameState.bracketMatchId = match.id;
+    match.gameId = gameId;
+    match.status = MATCH_STATUS.PLAYING;
+    this.gameMatches.set(gameId, { tournamentId: tournament.id, matchId: match.id });
+
+    // The previous-round tables of these players are done with
+    const previousRound = tournament.bracket.rounds[match.round - 2] || [];
+    previousRound
+      .filter(m => m.gameId && match.players.some(p => p.id === m.winner))
+      .forEach(m => this.gameManager.closeGame(m.gameId));
+
+    this.broadcaster.broadcastGameStart(result);
+    console.log(`[BracketTournament] ${tournament.id} ${match.id} started: game ${gameId}`);
+    return result;
+  }
+
+  /**
+   * Entrant's socket: the one they registered with, or any socket they've
+   * reconnected on since
+   */
+  _findSocket(tournament, userId) {
+    const entrant = tournament.entrants.find(e => e.id === userId);
+    const sockets = this.io?.sockets.sockets;
+    if (!entrant || !sockets) return null;
+
+    const registered = sockets.get(entrant.socketId);
+    if (registered?.connected) return registered;
+
+    for (const socket of sockets.values()) {
+      if (socket.userId === userId && socket.connected) {
+        entrant.socketId = socket.id;
+        return socket;
+      }
+    }
+    return null;
+  }
+
+  _broadcastUpdate(tournament) {
+    const view = this.getBracket(tournament.id);
+    for (const entrant of tournament.entrants) {
+      const socket = this._findSocket(tournament, entrant.id);
+      if (socket) socket.emit('bracket-update', view);
+    }
+  }
+
+  /**
+   * Client view of a tournament and its bracket
+   * @param {string} tournamentId - Tournament
+   * @returns {object|null} { tournamentId, size, status, entrants, currentRound, champion, rounds }
+   */
+  getBracket(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return null;
+
+    const { bracket } = tournament;
+    const totalRounds = Math.log2(tournament.size);
+    const currentRound = bracket ? getCurrentRound(bracket) : null;
+
+    return {
+      tournamentId: tournament.id,
+      size: tournament.size,
+      status: tournament.status,
+      createdBy: tournament.createdBy,
+      entrants: tournament.entrants.length,
+      currentRound,
+      currentRoundName: currentRound ? getRoundName(currentRound, totalRounds) : null,
+      champion: tournament.champion,
+      rounds: bracket
+        ? bracket.rounds.map((matches, i) => ({
+          round: i + 1,
+          name: getRoundName(i + 1, totalRounds),
+          matches: matches.map(m => ({
+            id: m.id,
+            players: m.players.map(p => (p ? { id: p.id, name: p.name, avatar: p.avatar, seed: p.seed, rating: p.rating } : null)),
+            winner: m.winner,
+            status: m.status,
+            gameId: m.gameId,
+            result: m.result,
+          })),
+        }))
+        : [],
+    };
+  }
+
+  /**
+   * Cancel pending tables (server shutdown)
+   */
+  shutdown() {
+    for (const tournament of this.tournaments.values()) {
+      tournament.timers.forEach(timer => clearTimeout(timer));
+    }
+    this.tournaments.clear();
+    this.gameMatches.clear();
+  }
+}
+
+module.exports = BracketTournamentCoordinator;
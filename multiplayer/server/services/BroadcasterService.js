@@ -6,12 +6,27 @@
  */
 
 const PlayerProfile = require('../models/PlayerProfile');
+const {
+  projectStateForPlayer,
+  projectStateForSpectator,
+} = require('../../../shared/game/stateProjection');
 
 class BroadcasterService {
   constructor(matchmakingService, gameManager, io) {
     this.matchmaking = matchmakingService;
     this.gameManager = gameManager;
     this.io = io;
+
+    /** TurnTimerService - wired after construction (see socket-server) */
+    this.turnTimer = null;
+  }
+
+  /**
+   * Start / carry on the game's turn deadline and stamp it onto the state
+   * before it goes out, so every game-start and game-update carries it
+   */
+  syncTurnTimer(gameId, gameState) {
+    if (this.turnTimer) this.turnTimer.sync(gameId, gameState);
   }
 
   /**
@@ -37,6 +52,7 @@ class BroadcasterService {
    */
   async broadcastGameStart(gameResult) {
     const { gameId, gameState, players } = gameResult;
+    this.syncTurnTimer(gameId, gameState);
 
     // Fetch player profile info
     const playerInfos = await this._getPlayerInfos(players);
@@ -44,8 +60,9 @@ class BroadcasterService {
     players.forEach(({ socket, playerNumber }) => {
       socket.emit("game-start", {
         gameId,
-        gameState,
+        gameState: projectStateForPlayer(gameState, playerNumber),
         playerNumber,
+        resumeToken: this.gameManager?.getResumeToken(gameId, playerNumber),
         playerInfos,
       });
     });
@@ -56,6 +73,7 @@ class BroadcasterService {
    */
   async broadcastPartyGameStart(gameResult) {
     const { gameId, gameState, players } = gameResult;
+    this.syncTurnTimer(gameId, gameState);
 
     // Fetch player profile info
     const playerInfos = await this._getPlayerInfos(players);
@@ -63,8 +81,9 @@ class BroadcasterService {
     players.forEach(({ socket, playerNumber }) => {
       socket.emit("game-start", {
         gameId,
-        gameState,
+        gameState: projectStateForPlayer(gameState, playerNumber),
         playerNumber,
+        resumeToken: this.gameManager?.getResumeToken(gameId, playerNumber),
         playerInfos,
         isPartyGame: true,
       });
@@ -77,6 +96,7 @@ class BroadcasterService {
   async broadcastThreeHandsGameStart(gameResult) {
     console.log('[Broadcaster] broadcastThreeHandsGameStart called');
     const { gameId, gameState, players } = gameResult;
+    this.syncTurnTimer(gameId, gameState);
     console.log('[Broadcaster] gameId:', gameId, 'players:', players?.length);
 
     // Fetch player profile info
@@ -86,8 +106,9 @@ class BroadcasterService {
     players.forEach(({ socket, playerNumber }) => {
       socket.emit("game-start", {
         gameId,
-        gameState,
+        gameState: projectStateForPlayer(gameState, playerNumber),
         playerNumber,
+        resumeToken: this.gameManager?.getResumeToken(gameId, playerNumber),
         playerInfos,
         isThreeHandsGame: true,
       });
@@ -99,6 +120,7 @@ class BroadcasterService {
    */
   async broadcastFreeForAllGameStart(gameResult) {
     const { gameId, gameState, players } = gameResult;
+    this.syncTurnTimer(gameId, gameState);
 
     // Fetch player profile info
     const playerInfos = await this._getPlayerInfos(players);
@@ -106,8 +128,9 @@ class BroadcasterService {
     players.forEach(({ socket, playerNumber }) => {
       socket.emit("game-start", {
         gameId,
-        gameState,
+        gameState: projectStateForPlayer(gameState, playerNumber),
         playerNumber,
+        resumeToken: this.gameManager?.getResumeToken(gameId, playerNumber),
         playerInfos,
         gameMode: 'four-hands',
       });
@@ -119,6 +142,7 @@ class BroadcasterService {
    */
   async broadcastFourHandsGameStart(gameResult) {
     const { gameId, gameState, players } = gameResult;
+    this.syncTurnTimer(gameId, gameState);
 
     // Fetch player profile info
     const playerInfos = await this._getPlayerInfos(players);
@@ -126,8 +150,9 @@ class BroadcasterService {
     players.forEach(({ socket, playerNumber }) => {
       socket.emit("game-start", {
         gameId,
-        gameState,
+        gameState: projectStateForPlayer(gameState, playerNumber),
         playerNumber,
+        resumeToken: this.gameManager?.getResumeToken(gameId, playerNumber),
         playerInfos,
         gameMode: 'four-hands',
       });
@@ -139,6 +164,7 @@ class BroadcasterService {
    */
   async broadcastTournamentGameStart(gameResult) {
     const { gameId, gameState, players } = gameResult;
+    this.syncTurnTimer(gameId, gameState);
 
     // Fetch player profile info
     const playerInfos = await this._getPlayerInfos(players);
@@ -146,44 +172,63 @@ class BroadcasterService {
     players.forEach(({ socket, playerNumber }) => {
       socket.emit("game-start", {
         gameId,
-        gameState,
+        gameState: projectStateForPlayer(gameState, playerNumber),
         playerNumber,
+        resumeToken: this.gameManager?.getResumeToken(gameId, playerNumber),
         playerInfos,
         gameMode: 'tournament',
       });
     });
   }
 
+  /**
+   * Broadcast game start for a game formed by matchmaking, by queue game type
+   */
+  async broadcastGameStartForType(gameType, gameResult) {
+    const starts = {
+      'two-hands': () => this.broadcastGameStart(gameResult),
+      'three-hands': () => this.broadcastThreeHandsGameStart(gameResult),
+      'four-hands': () => this.broadcastFourHandsGameStart(gameResult),
+      'party': () => this.broadcastPartyGameStart(gameResult),
+    };
+    if (!starts[gameType]) {
+      console.error(`[Broadcaster] No game start broadcast for ${gameType}`);
+      return;
+    }
+    await starts[gameType]();
+  }
+
   /**
    * Broadcast game update to all players in a game
    * CRITICAL: Include each socket's player index in the update so clients
-   * can update their playerNumber after tournament phase transitions
-    */
+   * can update their playerNumber after tournament phase transitions.
+   * Each socket receives its own redacted view (see shared/game/stateProjection).
+   */
   broadcastGameUpdate(gameId, gameState, matchmakingService = null) {
     // Use the provided matchmaking service or default to regular matchmaking
     const mm = matchmakingService || this.matchmaking;
     const gameSockets = mm.getGameSockets(gameId, this.io);
+    this.syncTurnTimer(gameId, gameState);
 
     if (gameSockets.length === 0) {
-      // Fallback: use Socket.IO room-based broadcast since registry lookup failed
-      this.io.to(`game-${gameId}`).emit('game-update', gameState);
+      // Fallback: use Socket.IO room-based broadcast since registry lookup failed.
+      // Room members can't be told apart here, so they only get the spectator view.
+      this.io.to(`game-${gameId}`).emit('game-update', projectStateForSpectator(gameState));
       return;
     }
 
-    // Deep clone to avoid serializing internal references
-    const stateToSend = JSON.parse(JSON.stringify(gameState));
-    console.log('[Broadcaster] pendingShiya in broadcast:', stateToSend.pendingShiya);
+    console.log('[Broadcaster] pendingShiya in broadcast:', gameState?.pendingShiya);
 
     // Get socket->player index mapping from gameManager if available
     const socketPlayerMap = this.gameManager?.socketPlayerMap?.get(gameId);
     const qualifiedPlayers = gameState?.qualifiedPlayers || null;
-    
+
     // Check if this is a tournament phase transition (fewer players than original)
-    const isTournamentTransition = qualifiedPlayers && 
-      socketPlayerMap && 
-      gameState?.tournamentPhase && 
+    const isTournamentTransition = qualifiedPlayers &&
+      socketPlayerMap &&
+      gameState?.tournamentPhase &&
       ['SEMI_FINAL', 'FINAL_SHOWDOWN'].includes(gameState.tournamentPhase);
-    
+
     if (isTournamentTransition) {
       // Tournament transition - sending updated playerNumber to each client
     }
@@ -192,22 +237,28 @@ class BroadcasterService {
       // Include playerNumber for each socket - CRITICAL for tournament transitions
       // FIXED: Check playerStatuses instead of relying on remapped indices
       let playerNumber = null;
+      let playerIndex = null;
       
       if (socketPlayerMap && socketPlayerMap.size > 0) {
         // Get this socket's player index from the map (no longer remapped)
-        const playerIndex = socketPlayerMap.get(gameSocket.id);
+        const mappedIndex = socketPlayerMap.get(gameSocket.id);
         
-        if (playerIndex !== undefined && playerIndex !== null) {
-          const playerId = `player_${playerIndex}`;
+        if (mappedIndex !== undefined && mappedIndex !== null) {
+          playerIndex = mappedIndex;
+          const playerId = `player_${mappedIndex}`;
           const playerStatus = gameState?.playerStatuses?.[playerId];
           
           // Only set playerNumber if player is not ELIMINATED
           if (playerStatus !== 'ELIMINATED') {
-            playerNumber = playerIndex;
+            playerNumber = mappedIndex;
           }
         }
       }
       
+      // Each socket only sees its own hand; eliminated players and unmapped
+      // sockets get the eliminated/spectator views respectively
+      const stateToSend = projectStateForPlayer(gameState, playerIndex);
+
       // Emit with playerNumber so client can update their stored value
       gameSocket.emit("game-update", {
         ...stateToSend,
@@ -276,9 +327,10 @@ class BroadcasterService {
 
   /**
    * Send error message to a specific player
+   * @param {object} [details] - Extra fields, e.g. { code, explanation } for rejected moves
    */
-  sendError(socket, message) {
-    socket.emit("error", { message });
+  sendError(socket, message, details = {}) {
+    socket.emit("error", { message, ...details });
   }
 
   /**
@@ -0,0 +1,241 @@
+/**
+ * ChatService
+ * Relays in-game chat messages and emotes between the players of a game.
+ * Applies per-socket rate limits and a pluggable profanity filter, hides
+ * messages between players who have blocked each other, and limits
+ * team-only chat in party games to the sender's team.
+ */
+
+const PlayerProfile = require('../models/PlayerProfile');
+const { RATE_LIMITS, MAX_MESSAGE_LENGTH, BLOCK_CACHE_TTL_MS, maskProfanity } = require('../config/chat');
+const { EMOTE_IDS } = require('../../../shared/config/emotes');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+class ChatService {
+  constructor(gameManager, matchmaking, io, options = {}) {
+    this.gameManager = gameManager;
+    this.matchmaking = matchmaking;
+    this.io = io;
+    this.now = options.now || Date.now;
+    this.filter = options.filter || maskProfanity;
+
+    // socketId -> { chat: number[], emote: number[] } (send times in the window)
+    this.rateWindows = new Map();
+    // gameId -> { blocked: Map<userId, Set<userId>>, expiresAt }
+    this.blockCache = new Map();
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * Replace the profanity filter. The hook receives the trimmed text and
+   * returns the text to send, or null to drop the message.
+   * @param {function(string, object): (string|null)} filter
+   */
+  setMessageFilter(filter) {
+    this.filter = filter || maskProfanity;
+  }
+
+  /**
+   * Send a chat message to the sender's game (or team)
+   * @param {object} socket - Sender's socket
+   * @param {object} data - { text, teamOnly? } (anything else is treated as empty)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendMessage(socket, data) {
+    data = data || {};
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    if (!text) {
+      return { success: false, error: 'Message is empty' };
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return { success: false, error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+    }
+
+    const ctx = this._resolveSender(socket);
+    if (ctx.error) return { success: false, error: ctx.error };
+
+    const teamOnly = !!data.teamOnly;
+    const sender = ctx.gameState.players[ctx.playerIndex];
+    if (teamOnly && !sender?.team) {
+      return { success: false, error: 'Team chat is only available in party games' };
+    }
+
+    if (!this._takeRateSlot(socket.id, 'chat')) {
+      return { success: false, error: 'You are sending messages too quickly' };
+    }
+
+    const filtered = this.filter(text, { gameId: ctx.gameId, playerIndex: ctx.playerIndex, userId: socket.userId || null });
+    if (!filtered) {
+      return { success: false, error: 'Message was blocked' };
+    }
+
+    const message = {
+      id: `msg-${this.nextMessageId++}`,
+      from: ctx.playerIndex,
+      text: filtered,
+      teamOnly,
+      sentAt: this.now(),
+    };
+
+    const recipients = await this._recipients(ctx, socket, p => !teamOnly || p.team === sender.team);
+    recipients.forEach(s => s.emit('game-chat', message));
+    console.log(`[Chat] Game ${ctx.gameId}: player ${ctx.playerIndex} sent a${teamOnly ? ' team' : ''} message to ${recipients.length} socket(s)`);
+
+    return { success: true };
+  }
+
+  /**
+   * Send an emote to everyone in the sender's game
+   * @param {object} socket - Sender's socket
+   * @param {object} data - { emote } (an id from shared/config/emotes; anything else is rejected)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendEmote(socket, data) {
+    data = data || {};
+    if (!EMOTE_IDS.includes(data.emote)) {
+      return { success: false, error: 'Unknown emote' };
+    }
+
+    const ctx = this._resolveSender(socket);
+    if (ctx.error) return { success: false, error: ctx.error };
+
+    if (!this._takeRateSlot(socket.id, 'emote')) {
+      return { success: false, error: 'You are sending emotes too quickly' };
+    }
+
+    const recipients = await this._recipients(ctx, socket, () => true);
+    recipients.forEach(s => s.emit('game-emote', {
+      from: ctx.playerIndex,
+      emote: data.emote,
+      sentAt: this.now(),
+    }));
+
+    return { success: true };
+  }
+
+  /**
+   * Forget a socket's rate-limit state
+   * @param {string} socketId
+   */
+  handleDisconnect(socketId) {
+    this.rateWindows.delete(socketId);
+  }
+
+  /**
+   * Drop cached block lists, for a game or for all games
+   * @param {string|number} [gameId]
+   */
+  clearBlockCache(gameId) {
+    if (gameId === undefined) {
+      this.blockCache.clear();
+    } else {
+      this.blockCache.delete(gameId);
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────────
+
+  _resolveSender(socket) {
+    let gameId = this.matchmaking.getGameId(socket.id);
+    if (!gameId) {
+      for (const [gid, socketIds] of this.matchmaking.socketRegistry?.gameSocketsMap?.entries() || []) {
+        if (socketIds.includes(socket.id)) {
+          gameId = gid;
+          break;
+        }
+      }
+    }
+
+    const gameState = gameId ? this.gameManager.getGameState(gameId) : null;
+    if (!gameState) {
+      return { error: 'Not in an active game' };
+    }
+
+    const playerIndex = this.gameManager.getPlayerIndex(gameId, socket.id);
+    if (playerIndex === null || playerIndex === undefined) {
+      return { error: 'Player not found in game' };
+    }
+
+    return { gameId, gameState, playerIndex };
+  }
+
+  /**
+   * Record a send if the socket has room in its window
+   * @returns {boolean} false when the socket is over its limit
+   */
+  _takeRateSlot(socketId, kind) {
+    const { max, windowMs } = RATE_LIMITS[kind];
+    const now = this.now();
+    const windows = this.rateWindows.get(socketId) || { chat: [], emote: [] };
+    const recent = windows[kind].filter(sentAt => now - sentAt < windowMs);
+
+    if (recent.length >= max) {
+      windows[kind] = recent;
+      this.rateWindows.set(socketId, windows);
+      return false;
+    }
+
+    recent.push(now);
+    windows[kind] = recent;
+    this.rateWindows.set(socketId, windows);
+    return true;
+  }
+
+  /**
+   * Sockets in the game that should receive the sender's message: the sender
+   * plus every player accepted by `include`, minus anyone on either side of
+   * a block with the sender
+   */
+  async _recipients(ctx, senderSocket, include) {
+    const senderUserId = ctx.gameState.players[ctx.playerIndex]?.userId || senderSocket.userId || null;
+    const blocked = await this._getBlockedSets(ctx.gameId, ctx.gameState);
+    const blockedBySender = blocked.get(String(senderUserId)) || new Set();
+
+    return this.matchmaking.getGameSockets(ctx.gameId, this.io).filter(s => {
+      if (s.id === senderSocket.id) return true;
+
+      const index = this.gameManager.getPlayerIndex(ctx.gameId, s.id);
+      const player = ctx.gameState.players[index];
+      if (!player || !include(player)) return false;
+
+      const userId = String(player.userId || s.userId || '');
+      if (!senderUserId || !userId) return true;
+      return !blockedBySender.has(userId) && !(blocked.get(userId)?.has(String(senderUserId)));
+    });
+  }
+
+  /**
+   * Block lists of the game's registered players, cached per game
+   * @returns {Promise<Map<string, Set<string>>>} userId -> blocked userIds
+   */
+  async _getBlockedSets(gameId, gameState) {
+    const cached = this.blockCache.get(gameId);
+    if (cached && cached.expiresAt > this.now()) {
+      return cached.blocked;
+    }
+
+    const userIds = gameState.players
+      .map(p => p.userId && String(p.userId))
+      .filter(id => id && OBJECT_ID_PATTERN.test(id));
+
+    const blocked = new Map();
+    try {
+      const profiles = userIds.length > 0 ? await PlayerProfile.findByUserIds(userIds) : [];
+      profiles.forEach(profile => {
+        blocked.set(String(profile.userId), new Set((profile.blockedUsers || []).map(String)));
+      });
+    } catch (error) {
+      console.error('[Chat] Failed to load block lists:', error.message);
+    }
+
+    // Finished games never ask again, so drop their stale entries here
+    for (const [id, entry] of this.blockCache.entries()) {
+      if (entry.expiresAt <= this.now()) this.blockCache.delete(id);
+    }
+    this.blockCache.set(gameId, { blocked, expiresAt: this.now() + BLOCK_CACHE_TTL_MS });
+    return blocked;
+  }
+}
+
+module.exports = ChatService;
@@ -7,17 +7,28 @@
  * - Action execution and validation
  * - Round transitions
  * - Broadcasting game updates
+ * - Turn deadlines (TurnTimerService) and the timeout policy
  * 
  * Secondary concerns are delegated to:
  * - TournamentCoordinator: Tournament-specific logic
+ * - MatchCoordinator: Multi-game matches to a target score
+ * - BracketTournamentCoordinator: Multi-table knockout brackets
  * - GamePersistenceService: MongoDB and stats updates
  */
 
 const RoundValidator = require('../game/utils/RoundValidator');
-const { allPlayersTurnEnded, resetTurnFlags, startPlayerTurn, forceEndTurn, finalizeGame } = require('../../../shared/game');
+const {
+  settleTurnFlags, finalizeGame, projectStateForPlayer, REPLAY_EVENTS, getLegalMoves, MOVE_KINDS, getRules,
+  explainError,
+} = require('../../../shared/game');
+const { applyReplayEvent } = require('../../../shared/game/replay');
 const scoring = require('../../../shared/game/scoring');
+const { TIMEOUT_POLICIES } = require('../config/turnTimer');
 const TournamentCoordinator = require('./TournamentCoordinator');
+const MatchCoordinator = require('./MatchCoordinator');
+const BracketTournamentCoordinator = require('./BracketTournamentCoordinator');
 const GamePersistenceService = require('./GamePersistenceService');
+const TurnTimerService = require('./TurnTimerService');
 const GameStats = require('../models/GameStats');
 
 class GameCoordinatorService {
@@ -30,6 +41,11 @@ class GameCoordinatorService {
     
     this.persistence = new GamePersistenceService();
     this.tournamentCoordinator = new TournamentCoordinator(gameManager, unifiedMatchmaking, broadcaster, io);
+    this.matchCoordinator = new MatchCoordinator(gameManager, unifiedMatchmaking, broadcaster, io);
+    this.bracketCoordinator = new BracketTournamentCoordinator(gameManager, unifiedMatchmaking, broadcaster, io);
+    this.turnTimer = new TurnTimerService({
+      onExpire: (gameId, playerIndex) => this._handleTurnTimeout(gameId, playerIndex),
+    });
   }
 
   // ── Helpers ─────────────────────────────────────────────────────────────
@@ -88,49 +104,88 @@ class GameCoordinatorService {
         throw new Error('Action returned invalid state');
       }
 
-      if (allPlayersTurnEnded(newState)) {
-        const playerCount = newState.playerCount || 2;
-        let allHandsEmpty = true;
-        for (let i = 0; i < playerCount; i++) {
-          if (newState.players[i]?.hand?.length > 0) {
-            allHandsEmpty = false;
-            break;
-          }
-        }
-        
-        if (!allHandsEmpty) {
-          resetTurnFlags(newState);
-          const nextPlayer = newState.currentPlayer;
-          startPlayerTurn(newState, nextPlayer);
-        }
-      }
-      
-      let roundCheck = RoundValidator.shouldEndRound(newState);
-      
-      if (!roundCheck.ended) {
-        const playerCount = newState.playerCount || 2;
-        let autoEndedAny = false;
-        for (let i = 0; i < playerCount; i++) {
-          if (newState.players[i]?.hand?.length === 0 && 
-              newState.roundPlayers?.[i]?.turnEnded === false) {
-            forceEndTurn(newState, i);
-            autoEndedAny = true;
-          }
-        }
-        if (autoEndedAny) {
-          roundCheck = RoundValidator.shouldEndRound(newState);
-        }
-      }
-      
-      if (roundCheck.ended) {
-        this._handleRoundEnd(gameId, newState, isPartyGame, data, roundCheck);
-      } else {
-        this.broadcaster.broadcastGameUpdate(gameId, newState, this.unifiedMatchmaking);
-      }
+      this._afterAction(gameId, newState, isPartyGame, data);
     } catch (err) {
       console.error(`[Coordinator] game-action failed: ${err.message}`);
       console.error('[Coordinator] Full stack trace:', err.stack);
-      this.broadcaster.sendError(socket, err.message);
+      const { code, explanation } = explainError(err);
+      this.broadcaster.sendError(socket, err.message, { code, explanation });
+    }
+  }
+
+  /**
+   * Settle an accepted action and send the result: round end or game-update
+   */
+  _afterAction(gameId, newState, isPartyGame, lastAction) {
+    // Start the next trick / auto-end empty hands (replays run the same step)
+    settleTurnFlags(newState);
+
+    const roundCheck = RoundValidator.shouldEndRound(newState);
+    
+    if (roundCheck.ended) {
+      this._handleRoundEnd(gameId, newState, isPartyGame, lastAction, roundCheck);
+    } else {
+      this.broadcaster.broadcastGameUpdate(gameId, newState, this.unifiedMatchmaking);
+    }
+  }
+
+  // ── Turn timer ─────────────────────────────────────────────────────────────
+
+  /**
+   * Move played for a player whose time ran out: their lowest trail, or the
+   * first legal move when the rules refuse every trail (e.g. an open temp stack)
+   */
+  _getTimeoutMove(state, playerIndex) {
+    const moves = getLegalMoves(state, playerIndex, { includeRecall: false });
+    const trails = moves
+      .filter(move => move.kind === MOVE_KINDS.TRAIL)
+      .sort((a, b) => a.actions.at(-1).payload.card.value - b.actions.at(-1).payload.card.value);
+
+    return trails[0] || moves[0] || { kind: 'endTurn', actions: [{ type: 'endTurn', payload: {} }] };
+  }
+
+  /**
+   * A player's turn deadline passed (called by TurnTimerService)
+   * The timeout is logged, then the player either forfeits (policy 'forfeit'
+   * once they reach maxTimeouts) or has their lowest card trailed for them.
+   */
+  _handleTurnTimeout(gameId, playerIndex) {
+    const state = this.gameManager.getGameState(gameId);
+    if (!state || state.gameOver || state.currentPlayer !== playerIndex) return;
+
+    const isPartyGame = state.players.some(p => p.team);
+    const { onTimeout, maxTimeouts } = this.turnTimer.getSettings(state);
+
+    let newState = applyReplayEvent(state, { type: REPLAY_EVENTS.TURN_TIMEOUT, payload: { playerIndex } });
+    this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.TURN_TIMEOUT, { playerIndex });
+    this.gameManager.saveGameState(gameId, newState);
+
+    const timeouts = newState.turnTimeouts[playerIndex];
+    const forfeits = onTimeout === TIMEOUT_POLICIES.FORFEIT && timeouts >= maxTimeouts;
+    console.log(`[Coordinator] Game ${gameId}: player ${playerIndex} timed out (${timeouts}/${maxTimeouts}, policy=${onTimeout})`);
+
+    this.broadcaster.broadcastToGame(gameId, 'turn-timeout', {
+      playerIndex,
+      timeouts,
+      maxTimeouts: onTimeout === TIMEOUT_POLICIES.FORFEIT ? maxTimeouts : null,
+      forfeited: forfeits,
+    }, this.unifiedMatchmaking);
+
+    if (forfeits) {
+      newState = applyReplayEvent(newState, { type: REPLAY_EVENTS.FORFEIT, payload: { playerIndex } });
+      this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.FORFEIT, { playerIndex });
+      this._handleGameOver(gameId, newState, isPartyGame, false);
+      return;
+    }
+
+    const move = this._getTimeoutMove(newState, playerIndex);
+    try {
+      for (const action of move.actions) {
+        newState = this.actionRouter.executeAction(gameId, playerIndex, action);
+      }
+      this._afterAction(gameId, newState, isPartyGame, move.actions.at(-1));
+    } catch (err) {
+      console.error(`[Coordinator] Auto-play after timeout failed: ${err.message}`);
     }
   }
 
@@ -145,6 +200,7 @@ class GameCoordinatorService {
     }, this.unifiedMatchmaking);
 
     scoring.updateScores(newState);
+    this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.ROUND_END);
     const gameOverCheck = RoundValidator.checkGameOver(newState);
     
     // For tournament mode: call coordinator to accumulate scores, then emit game-over via _handleGameOver
@@ -162,6 +218,7 @@ class GameCoordinatorService {
       // If not game over, continue with next round
       const nextState = RoundValidator.prepareNextRound(result.state);
       if (nextState) {
+        this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.NEXT_ROUND);
         this.gameManager.saveGameState(gameId, nextState);
         this.broadcaster.broadcastGameUpdate(gameId, nextState, this.unifiedMatchmaking);
       } else {
@@ -176,6 +233,7 @@ class GameCoordinatorService {
     } else {
       const nextState = RoundValidator.prepareNextRound(newState);
       if (nextState) {
+        this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.NEXT_ROUND);
         this.gameManager.saveGameState(gameId, nextState);
         this.broadcaster.broadcastGameUpdate(gameId, nextState, this.unifiedMatchmaking);
       } else {
@@ -316,6 +374,7 @@ class GameCoordinatorService {
         return;
       }
 
+      this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.NEXT_ROUND);
       this.gameManager.saveGameState(gameId, newState);
       this.broadcaster.broadcastGameUpdate(gameId, newState, this.unifiedMatchmaking);
     } catch (err) {
@@ -369,9 +428,10 @@ class GameCoordinatorService {
     const tableCardsRemaining = finalizedState.tableCards?.length || 0;
     const deckRemaining = finalizedState.deck?.length || 0;
     
+    const rules = getRules(finalizedState);
     const isPartyMode = playerCount === 4 && finalizedState.players.some(p => p.team);
     const teamScoreBreakdowns = isPartyMode && playerCount === 4 
-      ? scoring.getTeamScoreBreakdown(finalizedState.players)
+      ? scoring.getTeamScoreBreakdown(finalizedState.players, rules)
       : null;
     
     const isTournamentMode = finalizedState.tournamentMode === 'knockout';
@@ -415,13 +475,15 @@ class GameCoordinatorService {
     for (let i = 0; i < playerCount; i++) {
       capturedCards.push(finalizedState.players[i]?.captures?.length || 0);
       const captures = finalizedState.players[i]?.captures || [];
-      scoreBreakdowns.push(scoring.getScoreBreakdown(captures, gameType));
+      scoreBreakdowns.push(scoring.getScoreBreakdown(captures, gameType, rules));
     }
     
     finalizedState.gameOver = true;
+    this.turnTimer.clear(gameId);
+    this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.GAME_OVER, { finalize: !!forceFinalize });
     this.gameManager.saveGameState(gameId, finalizedState);
     
-    this.persistence.saveGame(gameId, finalizedState, isPartyGame);
+    this.persistence.saveGame(gameId, finalizedState, isPartyGame, this.gameManager.getActionLog(gameId));
     
     this.broadcaster.broadcastToGame(gameId, 'game-over', {
       winner: RoundValidator.determineRoundWinner(finalizedState),
@@ -436,6 +498,9 @@ class GameCoordinatorService {
       gameType,
       playerStatuses,
       qualifiedPlayers,
+      forfeitedBy: finalizedState.forfeitedBy ?? null,
+      // Saved games are stored under their gameId - the replay/analysis screens load them by it
+      ...(!isTournamentMode && { gameId }),
       ...(isTournamentMode && {
         tournamentPhase: finalizedState.tournamentPhase,
         tournamentHand: finalizedState.tournamentHand,
@@ -446,6 +511,16 @@ class GameCoordinatorService {
       tieBreakReason,
       previousWinner,
     }, this.unifiedMatchmaking);
+
+    // Matches add the deal up and deal again (match-update follows game-over)
+    if (this.matchCoordinator.isMatchGame(finalizedState)) {
+      this.matchCoordinator.handleGameOver(gameId, finalizedState);
+    }
+
+    // Bracket tables move their winner on (bracket-update follows game-over)
+    if (this.bracketCoordinator.isBracketGame(finalizedState)) {
+      this.bracketCoordinator.handleGameOver(gameId, finalizedState);
+    }
   }
 
   // ── Tournament Game Join ─────────────────────────────────────────────────────────────
@@ -481,10 +556,12 @@ class GameCoordinatorService {
     
     // Send game-start to the socket that requested to join
     socket.join(`game-${gameId}`);
+    this.turnTimer.sync(gameId, newGameState);
     socket.emit('game-start', {
       gameId: gameId,
-      gameState: newGameState,
+      gameState: projectStateForPlayer(newGameState, playerIndex),
       playerNumber: playerIndex,
+      resumeToken: this.gameManager.getResumeToken(gameId, playerIndex),
       tournamentPhase: newGameState.tournamentPhase,
       tournamentHand: newGameState.tournamentHand,
       totalHands: newGameState.totalHands,
@@ -7,12 +7,19 @@
 const GameState = require('../models/GameState');
 const GameStats = require('../models/GameStats');
 const scoring = require('../../../shared/game/scoring');
+const { getRules, createRuleSet } = require('../../../shared/game/ruleSet');
+const { getGameStatLines } = require('../../../shared/game/playerStats');
+const { rateGame } = require('../utils/rating');
 
 class GamePersistenceService {
   /**
    * Save game state to MongoDB
+   * @param {number} gameId - Game ID (stored as roomId)
+   * @param {object} gameState - Final game state
+   * @param {boolean} isPartyGame - Whether this is a party game
+   * @param {Array} [actions] - Full action log from GameManager, kept for replays
    */
-  async saveGame(gameId, gameState, isPartyGame) {
+  async saveGame(gameId, gameState, isPartyGame, actions = []) {
     try {
       const gameMode = this.getGameModeFromState(gameState);
       
@@ -30,33 +37,45 @@ class GamePersistenceService {
         gameMode,
         round: gameState.round || 1,
         isActive: false,
-        actions: []
+        seed: gameState.seed ?? null,
+        initialDeck: gameState.initialDeck || null,
+        actions
       });
       
       console.log(`[Persistence] ✅ Game saved to MongoDB: ${gameId}`);
       
       // Update player stats
-      await this.updatePlayerStats(gameState, gameMode);
+      await this.updatePlayerStats(gameState, gameMode, gameId, actions);
     } catch (error) {
       console.error(`[Persistence] ❌ Failed to save game to MongoDB:`, error.message);
     }
   }
 
   /**
-   * Update player stats after game ends
+   * Update player stats and skill ratings after game ends
+   * @param {Array} [actions] - Action log; detailed play stats are only recorded
+   *   when it replays to the end
    */
-  async updatePlayerStats(gameState, gameMode) {
+  async updatePlayerStats(gameState, gameMode, gameId = null, actions = []) {
     try {
       const playerCount = gameState.playerCount || 2;
       const scores = gameState.scores || [];
       
       if (scores.length < 2) return;
       
-      const maxScore = Math.max(...scores);
-      const winners = scores.filter(s => s === maxScore).length;
+      // A forfeiting player (and their partner) lose whatever the score
+      const forfeitedBy = gameState.forfeitedBy ?? null;
+      const forfeitTeam = forfeitedBy !== null ? gameState.players[forfeitedBy]?.team : null;
+      const forfeited = idx => idx === forfeitedBy || (!!forfeitTeam && gameState.players[idx]?.team === forfeitTeam);
+      const contending = scores.map((s, idx) => (forfeited(idx) ? -Infinity : s));
+
+      const maxScore = Math.max(...contending);
+      const winners = contending.filter(s => s === maxScore).length;
       const isDraw = winners > 1;
 
       console.log(`[Persistence] 📊 Game ending - scores: ${JSON.stringify(scores)}, maxScore: ${maxScore}, isDraw: ${isDraw}`);
+
+      const statLines = this.getStatLines(gameState, actions);
       
       for (let i = 0; i < playerCount; i++) {
         const player = gameState.players[i];
@@ -66,15 +85,15 @@ class GamePersistenceService {
           continue; // Skip CPU players
         }
         
-        const won = !isDraw && scores[i] === maxScore;
-        const lost = !isDraw && scores[i] < maxScore;
+        const won = !isDraw && contending[i] === maxScore;
+        const lost = forfeited(i) || (!isDraw && contending[i] < maxScore);
         const playerScore = scores[i] || 0;
         
         console.log(`[Persistence] 📊 Player ${i} (${player.name}): won=${won}, lost=${lost}, score=${playerScore}`);
         
         // Calculate detailed stats from captures
         const captures = player.captures || [];
-        const scoreBreakdown = scoring.getScoreBreakdown(captures);
+        const scoreBreakdown = scoring.getScoreBreakdown(captures, 'standard', getRules(gameState));
 
         console.log(`[Persistence] 📊 Score breakdown for ${player.name}:`, {
           aceCount: scoreBreakdown.aceCount,
@@ -90,12 +109,13 @@ class GamePersistenceService {
           const updatedStats = await GameStats.updateAfterGame(player.userId.toString(), {
             won,
             lost,
-            draw: isDraw,
+            draw: isDraw && !forfeited(i),
             score: playerScore,
             cardsCaptured: captures.length,
             // Point retention stats
             pointsKept: playerScore,
             motorAchievementCount: playerScore >= 11 ? 1 : 0,
+            detail: statLines?.[i] || null,
           }, gameMode);
           
           console.log(`[Persistence] 📊 Stats AFTER update for ${player.name}:`, {
@@ -111,11 +131,112 @@ class GamePersistenceService {
       }
       
       console.log(`[Persistence] ✅ Player stats updated in MongoDB`);
+
+      await this.updateRatings(gameState, gameMode, gameId);
     } catch (error) {
       console.error(`[Persistence] ❌ Failed to update player stats:`, error.message);
     }
   }
 
+  /**
+   * Per-player stat lines of a finished game, replayed from its action log
+   * @returns {Array<Object>|null} Null when there's no log or it doesn't replay
+   */
+  getStatLines(gameState, actions = []) {
+    if (!actions.length) return null;
+    try {
+      const lines = getGameStatLines({
+        playerCount: gameState.playerCount || gameState.players.length,
+        isPartyMode: gameState.gameMode === 'party',
+        seed: gameState.seed ?? null,
+        initialDeck: gameState.initialDeck || null,
+        rules: gameState.rules || null,
+        dealer: gameState.dealer ?? null,
+        actions,
+      }, gameState);
+      if (!lines) console.log(`[Persistence] ⚠️ Action log did not replay - no detailed stats recorded`);
+      return lines;
+    } catch (error) {
+      console.error(`[Persistence] ❌ Failed to compute detailed stats:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a game counts for skill ratings
+   * Only ranked matchmaking games played with the standard rules are rated -
+   * private rooms and house rules would let friends farm rating.
+   */
+  isRatedGame(gameState) {
+    if (gameState.ranked !== true) return false;
+    // States from before house rules were always played with the standard rules
+    if (!gameState.rules) return true;
+
+    const standard = createRuleSet({}, (gameState.players || []).length || 2);
+    return Object.keys(standard).every(key => gameState.rules[key] === standard[key]);
+  }
+
+  /**
+   * Update the skill rating of every player of a rated game
+   * A game is rated when it's a ranked game (see isRatedGame) and every seat
+   * is a different signed-in player - games with CPU or guest seats, or one
+   * account in two seats, don't move ratings. A forfeiting side finishes last.
+   * @returns {Promise<Array|null>} New ratings in seat order, or null if unrated
+   */
+  async updateRatings(gameState, gameMode, gameId = null) {
+    if (!this.isRatedGame(gameState)) {
+      console.log(`[Persistence] ⚠️ Game ${gameId} is unrated (not a ranked game with standard rules)`);
+      return null;
+    }
+
+    const players = gameState.players || [];
+    if (players.length < 2 || players.some(p => !p?.userId)) {
+      console.log(`[Persistence] ⚠️ Game ${gameId} is unrated (CPU or guest seat)`);
+      return null;
+    }
+
+    const userIds = players.map(p => p.userId.toString());
+    if (new Set(userIds).size !== userIds.length) {
+      console.log(`[Persistence] ⚠️ Game ${gameId} is unrated (one account in several seats)`);
+      return null;
+    }
+
+    const current = await GameStats.getRatings(userIds, gameMode);
+    const updated = rateGame(players.map((player, i) => ({
+      ...current[i],
+      ...this.getPlacement(gameState, i),
+    })));
+
+    await Promise.all(updated.map((rating, i) => GameStats.saveRating(userIds[i], gameMode, rating, gameId)));
+
+    console.log(`[Persistence] 📈 Ratings updated for game ${gameId}:`, updated.map((r, i) =>
+      `${players[i].name}: ${Math.round(current[i].rating)} → ${Math.round(r.rating)}`
+    ).join(', '));
+    return updated;
+  }
+
+  /**
+   * Side and points of a seat for rating
+   * Party seats play for their team with the team's score.
+   */
+  getPlacement(gameState, playerIndex) {
+    const player = gameState.players[playerIndex];
+    const forfeitedBy = gameState.forfeitedBy ?? null;
+    const forfeitTeam = forfeitedBy !== null ? gameState.players[forfeitedBy]?.team : null;
+
+    if (player.team) {
+      const teamIndex = player.team === 'A' ? 0 : 1;
+      return {
+        side: player.team,
+        points: forfeitTeam === player.team ? -Infinity : (gameState.teamScores?.[teamIndex] ?? 0),
+      };
+    }
+    return {
+      side: playerIndex,
+      points: playerIndex === forfeitedBy ? -Infinity : (gameState.scores?.[playerIndex] ?? 0),
+    };
+  }
+
   /**
    * Get game mode from game state
    */
@@ -0,0 +1,259 @@
+/**
+ * MatchCoordinator
+ * Plays a match: a run of games (deals) between the same seats that ends
+ * when a side's cumulative score reaches the house rules' matchTarget.
+ *
+ * A match starts with the first game over of a game whose rules have a
+ * matchTarget. After every deal the side scores are added up, the dealer
+ * moves one seat on (the seat after the dealer plays first) and the next
+ * deal is started for the same sockets. Every change is sent as
+ * 'match-update' with the match summary.
+ */
+
+const { projectStateForPlayer } = require('../../../shared/game/stateProjection');
+const { getRules, getVariantChoices } = require('../../../shared/game/ruleSet');
+
+// Time between a deal's game over and the next deal, so the result can be read
+const NEXT_DEAL_DELAY_MS = 10000;
+
+const MATCH_STATUS = {
+  PLAYING: 'playing',
+  COMPLETE: 'complete',
+  ABANDONED: 'abandoned', // a seat was empty when the next deal was due
+};
+
+class MatchCoordinator {
+  constructor(gameManager, matchmaking, broadcaster, io, options = {}) {
+    this.gameManager = gameManager;
+    this.matchmaking = matchmaking;
+    this.broadcaster = broadcaster;
+    this.io = io;
+    this.nextDealDelayMs = options.nextDealDelayMs ?? NEXT_DEAL_DELAY_MS;
+
+    /** matchId → match */
+    this.activeMatches = new Map();
+
+    /** gameId → matchId, for every deal still being played */
+    this.gameMatches = new Map();
+
+    this._nextId = 1;
+  }
+
+  /**
+   * Whether a finished game belongs to a match
+   */
+  isMatchGame(gameState) {
+    return !!getRules(gameState).matchTarget && !gameState.tournamentMode;
+  }
+
+  /**
+   * Record a finished deal and start the next one or end the match
+   * Called by GameCoordinatorService after it broadcasts game-over.
+   * @param {number} gameId - Finished game
+   * @param {object} gameState - Final (scored) state
+   * @returns {object} Match summary, as sent with match-update
+   */
+  handleGameOver(gameId, gameState) {
+    const match = this._getOrCreateMatch(gameId, gameState);
+    this.gameMatches.delete(gameId);
+
+    const isParty = match.isParty;
+    const dealScores = isParty ? [...(gameState.teamScores || [0, 0])] : [...(gameState.scores || [])];
+    match.scores = match.scores.map((score, side) => score + (dealScores[side] || 0));
+    match.deals.push({ gameId, dealer: gameState.dealer, scores: dealScores });
+    match.previousGameId = gameId;
+    match.seats = this._getSeats(gameId, gameState);
+
+    const forfeitedBy = gameState.forfeitedBy ?? null;
+    if (forfeitedBy !== null) {
+      // The forfeiting side loses the match whatever the score
+      const loser = this._sideOf(match, forfeitedBy);
+      match.winner = this._leadingSide(match.scores.map((score, side) => (side === loser ? -Infinity : score)));
+      match.status = MATCH_STATUS.COMPLETE;
+    } else {
+      // A side must reach the target alone - a tie at the top plays another deal
+      const leader = this._leadingSide(match.scores);
+      if (leader !== null && match.scores[leader] >= match.target) {
+        match.winner = leader;
+        match.status = MATCH_STATUS.COMPLETE;
+      }
+    }
+
+    console.log(`[MatchCoordinator] Match ${match.id} deal ${match.deals.length}: [${dealScores.join(', ')}] → [${match.scores.join(', ')}] / ${match.target}`);
+
+    if (match.status === MATCH_STATUS.COMPLETE) {
+      console.log(`[MatchCoordinator] Match ${match.id} won by side ${match.winner}`);
+      this.activeMatches.delete(match.id);
+    } else {
+      match.dealer = (match.dealer + 1) % match.playerCount;
+      match.timer = setTimeout(() => this._startNextDeal(match.id), this.nextDealDelayMs);
+      if (match.timer.unref) match.timer.unref();
+    }
+
+    const summary = this.getSummary(match);
+    this.broadcaster.broadcastToGame(gameId, 'match-update', summary, this.matchmaking);
+    return summary;
+  }
+
+  /**
+   * Match a game belongs to, creating it on the first deal
+   */
+  _getOrCreateMatch(gameId, gameState) {
+    const existing = this.activeMatches.get(this.gameMatches.get(gameId));
+    if (existing) return existing;
+
+    const playerCount = gameState.playerCount || gameState.players.length;
+    const isParty = playerCount === 4 && gameState.players.some(p => p.team);
+    const rules = getRules(gameState);
+
+    const match = {
+      id: `match-${Date.now()}-${this._nextId++}`,
+      target: rules.matchTarget,
+      rules: getVariantChoices(rules),
+      turnSettings: gameState.turnSettings || null,
+      playerCount,
+      isParty,
+      dealer: gameState.dealer ?? playerCount - 1,
+      scores: new Array(isParty ? 2 : playerCount).fill(0),
+      deals: [],
+      seats: [],
+      status: MATCH_STATUS.PLAYING,
+      winner: null,
+      previousGameId: null,
+      currentGameId: gameId,
+      timer: null,
+    };
+
+    this.activeMatches.set(match.id, match);
+    console.log(`[MatchCoordinator] Match ${match.id} started from game ${gameId}: first to ${match.target}`);
+    return match;
+  }
+
+  /**
+   * Socket and user of every seat of a game, in seat order
+   */
+  _getSeats(gameId, gameState) {
+    const seats = gameState.players.map(p => ({ socketId: null, userId: p.userId || null }));
+    for (const socketId of this.gameManager.getGameSockets(gameId)) {
+      const seat = this.gameManager.getPlayerIndex(gameId, socketId);
+      if (seats[seat]) seats[seat].socketId = socketId;
+    }
+    return seats;
+  }
+
+  _sideOf(match, playerIndex) {
+    return match.isParty ? (playerIndex < 2 ? 0 : 1) : playerIndex;
+  }
+
+  /**
+   * Side with the highest score, or null when the top is shared
+   */
+  _leadingSide(scores) {
+    const best = Math.max(...scores);
+    const leaders = scores.filter(score => score === best);
+    return leaders.length === 1 ? scores.indexOf(best) : null;
+  }
+
+  /**
+   * Deal the next game of a match to the same seats
+   */
+  _startNextDeal(matchId) {
+    const match = this.activeMatches.get(matchId);
+    if (!match) return null;
+    match.timer = null;
+
+    const sockets = match.seats.map(seat => this.io?.sockets.sockets.get(seat.socketId));
+    if (sockets.some(socket => !socket?.connected)) {
+      console.warn(`[MatchCoordinator] Match ${match.id} abandoned: a seat is empty`);
+      match.status = MATCH_STATUS.ABANDONED;
+      this.activeMatches.delete(match.id);
+      sockets.filter(Boolean).forEach(socket => socket.emit('match-update', this.getSummary(match)));
+      return null;
+    }
+
+    const dealOptions = { rules: match.rules, dealer: match.dealer };
+    const { gameId, gameState } = match.isParty
+      ? this.gameManager.startPartyGame(dealOptions)
+      : this.gameManager.startGame(match.playerCount, false, dealOptions);
+    const gameMode = gameState.gameMode;
+
+    if (match.turnSettings) gameState.turnSettings = match.turnSettings;
+    gameState.matchId = match.id;
+    gameState.matchDeal = match.deals.length + 1;
+
+    sockets.forEach((socket, i) => {
+      const { userId } = match.seats[i];
+      this.gameManager.addPlayerToGame(gameId, socket.id, i, userId);
+      this.matchmaking.socketRegistry.set(socket.id, gameId, gameMode, userId);
+      if (userId) this.gameManager.setPlayerUserId(gameId, i, userId);
+    });
+    this.matchmaking.socketRegistry.setGameSockets(gameId, sockets.map(s => s.id));
+
+    if (match.previousGameId) this.gameManager.closeGame(match.previousGameId);
+    match.currentGameId = gameId;
+    this.gameMatches.set(gameId, match.id);
+    this.broadcaster.syncTurnTimer(gameId, gameState);
+
+    const summary = this.getSummary(match);
+    const playerInfos = sockets.map((socket, index) => ({
+      playerNumber: index,
+      userId: match.seats[index].userId,
+      username: socket.username || null,
+      avatar: socket.avatar || null,
+    }));
+    sockets.forEach((socket, idx) => {
+      socket.emit('game-start', {
+        gameId,
+        gameState: projectStateForPlayer(gameState, idx),
+        playerNumber: idx,
+        resumeToken: this.gameManager.getResumeToken(gameId, idx),
+        playerInfos,
+        match: summary,
+      });
+      socket.emit('match-update', summary);
+    });
+
+    console.log(`[MatchCoordinator] Match ${match.id} deal ${gameState.matchDeal} started: game ${gameId}, dealer ${match.dealer}`);
+    return { gameId, gameState };
+  }
+
+  /**
+   * Client view of a match
+   * @param {object} match - Match record
+   * @returns {object} { matchId, target, status, sides, scores, deals, lastDealScores, dealer, winner, nextDealInMs }
+   */
+  getSummary(match) {
+    return {
+      matchId: match.id,
+      target: match.target,
+      status: match.status,
+      sides: match.isParty ? 'teams' : 'players',
+      scores: [...match.scores],
+      deals: match.deals.length,
+      lastDealScores: match.deals.at(-1)?.scores || null,
+      dealer: match.dealer,
+      winner: match.winner,
+      nextDealInMs: match.status === MATCH_STATUS.PLAYING && match.timer ? this.nextDealDelayMs : null,
+    };
+  }
+
+  /**
+   * Match by id (for debugging/API)
+   */
+  getMatch(matchId) {
+    return this.activeMatches.get(matchId) || null;
+  }
+
+  /**
+   * Cancel pending deals (server shutdown)
+   */
+  shutdown() {
+    for (const match of this.activeMatches.values()) {
+      if (match.timer) clearTimeout(match.timer);
+    }
+    this.activeMatches.clear();
+    this.gameMatches.clear();
+  }
+}
+
+module.exports = MatchCoordinator;
@@ -0,0 +1,212 @@
+/**
+ * PresenceService
+ * Tracks what each signed-in player is doing — offline, online, queued or
+ * in a game (with its mode) — and pushes changes to their online friends
+ * as `presence-update` events on the `user:<id>` socket rooms.
+ *
+ * Presence is derived from the live services (connected sockets, queues,
+ * private rooms, running games), so a periodic pass catches every change
+ * without hooking each queue and game transition.
+ */
+
+const PlayerProfile = require('../models/PlayerProfile');
+
+const PRESENCE_STATUS = {
+  OFFLINE: 'offline',
+  ONLINE: 'online',
+  QUEUED: 'queued',
+  IN_GAME: 'in-game',
+};
+
+const TICK_INTERVAL_MS = 5 * 1000;
+
+// Friend lists come from Mongo, so they're cached briefly per user
+const FRIENDS_CACHE_TTL_MS = 60 * 1000;
+
+class PresenceService {
+  constructor(unifiedMatchmaking, roomService, gameManager, io, options = {}) {
+    this.unifiedMatchmaking = unifiedMatchmaking;
+    this.roomService = roomService;
+    this.gameManager = gameManager;
+    this.io = io;
+    this.now = options.now || Date.now;
+
+    /** userId → Set of connected socket ids */
+    this.userSockets = new Map();
+    /** userId → last presence pushed to friends */
+    this.lastPresence = new Map();
+    /** userId → { friendIds, expiresAt } */
+    this.friendsCache = new Map();
+    this.interval = null;
+  }
+
+  start(intervalMs = TICK_INTERVAL_MS) {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.tick(), intervalMs);
+    if (this.interval.unref) this.interval.unref();
+  }
+
+  shutdown() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Register a connected, signed-in socket
+   * @param {object} socket
+   */
+  handleConnect(socket) {
+    if (!socket.userId) return;
+    const userId = String(socket.userId);
+    if (!this.userSockets.has(userId)) {
+      this.userSockets.set(userId, new Set());
+    }
+    this.userSockets.get(userId).add(socket.id);
+    this.refresh(userId);
+  }
+
+  /**
+   * Forget a disconnected socket; the user goes offline with their last one
+   * @param {object} socket
+   */
+  handleDisconnect(socket) {
+    if (!socket.userId) return;
+    const userId = String(socket.userId);
+    const sockets = this.userSockets.get(userId);
+    if (!sockets) return;
+
+    sockets.delete(socket.id);
+    if (sockets.size === 0) {
+      this.userSockets.delete(userId);
+    }
+    this.refresh(userId);
+  }
+
+  /**
+   * Current presence of a player
+   * @param {string} userId
+   * @returns {{ status: string, mode: string|null, ranked?: boolean, roomCode?: string, gameId?: string, bracketTournamentId?: string }}
+   */
+  getPresence(userId) {
+    const id = String(userId);
+    const socketIds = [...(this.userSockets.get(id) || [])];
+    if (socketIds.length === 0) {
+      return { status: PRESENCE_STATUS.OFFLINE, mode: null };
+    }
+
+    const game = this.unifiedMatchmaking.isUserInGame(id);
+    if (game) {
+      const gameState = this.gameManager?.getGameState(game.gameId);
+      return {
+        status: PRESENCE_STATUS.IN_GAME,
+        mode: game.gameType || null,
+        gameId: game.gameId,
+        ...(gameState?.bracketTournamentId ? { bracketTournamentId: gameState.bracketTournamentId } : {}),
+      };
+    }
+
+    for (const socketId of socketIds) {
+      const ranked = this.unifiedMatchmaking.rankedQueue.isInQueue(socketId);
+      if (ranked) return { status: PRESENCE_STATUS.QUEUED, mode: ranked.gameType, ranked: true };
+
+      const queued = this.unifiedMatchmaking.queueManager.isInQueue(socketId);
+      if (queued) return { status: PRESENCE_STATUS.QUEUED, mode: queued.gameType, ranked: false };
+    }
+
+    // Waiting in a private room counts as queued; open rooms can be joined
+    const room = this.roomService?.getRoomByUserId(id);
+    if (room) {
+      const isOpen = room.status === 'waiting' && room.playerCount < room.maxPlayers;
+      return {
+        status: PRESENCE_STATUS.QUEUED,
+        mode: room.gameMode,
+        ranked: false,
+        ...(isOpen ? { roomCode: room.code } : {}),
+      };
+    }
+
+    return { status: PRESENCE_STATUS.ONLINE, mode: null };
+  }
+
+  /**
+   * Presence of each of a player's friends
+   * @param {string} userId
+   * @returns {Promise<Object<string, object>>} friendId → presence
+   */
+  async getFriendsPresence(userId) {
+    const friendIds = await this._getFriendIds(String(userId));
+    return Object.fromEntries(friendIds.map(friendId => [friendId, this.getPresence(friendId)]));
+  }
+
+  /**
+   * Recompute a player's presence and push it to online friends if it changed
+   * @param {string} userId
+   */
+  async refresh(userId) {
+    const id = String(userId);
+    const presence = this.getPresence(id);
+    const previous = this.lastPresence.get(id);
+    if (previous && this._samePresence(previous, presence)) return;
+
+    if (presence.status === PRESENCE_STATUS.OFFLINE) {
+      this.lastPresence.delete(id);
+    } else {
+      this.lastPresence.set(id, presence);
+    }
+    if (!previous && presence.status === PRESENCE_STATUS.OFFLINE) return;
+
+    try {
+      const friendIds = await this._getFriendIds(id);
+      friendIds
+        .filter(friendId => this.userSockets.has(friendId))
+        .forEach(friendId => {
+          this.io?.to(`user:${friendId}`).emit('presence-update', { userId: id, ...presence });
+        });
+    } catch (error) {
+      console.error('[Presence] Failed to push presence:', error.message);
+    }
+
+    if (presence.status === PRESENCE_STATUS.OFFLINE) {
+      this.friendsCache.delete(id);
+    }
+  }
+
+  /**
+   * Re-check every online player (queues and games change without a hook here)
+   */
+  async tick() {
+    for (const userId of [...this.userSockets.keys()]) {
+      await this.refresh(userId);
+    }
+  }
+
+  /**
+   * Drop a player's cached friend list (after friends are added or removed)
+   * @param {string} userId
+   */
+  invalidateFriends(userId) {
+    this.friendsCache.delete(String(userId));
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────────
+
+  _samePresence(a, b) {
+    return a.status === b.status && a.mode === b.mode && a.roomCode === b.roomCode && a.gameId === b.gameId;
+  }
+
+  async _getFriendIds(userId) {
+    const cached = this.friendsCache.get(userId);
+    if (cached && cached.expiresAt > this.now()) {
+      return cached.friendIds;
+    }
+
+    const profile = await PlayerProfile.findByUserId(userId);
+    const friendIds = (profile?.friends || []).map(String);
+    this.friendsCache.set(userId, { friendIds, expiresAt: this.now() + FRIENDS_CACHE_TTL_MS });
+    return friendIds;
+  }
+}
+
+module.exports = PresenceService;
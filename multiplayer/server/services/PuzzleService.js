@@ -0,0 +1,184 @@
+/**
+ * PuzzleService
+ * Serves the daily puzzle and puzzle catalog, checks answers with the
+ * shared engine, and keeps each player's streak and solve counts.
+ *
+ * The daily puzzle changes at midnight UTC. Solving it on consecutive days
+ * grows the streak; missing a day starts it over. Any puzzle can be played
+ * for practice, but only the daily one counts toward the streak.
+ */
+
+const PuzzleProgress = require('../models/PuzzleProgress');
+const {
+  listPuzzles,
+  getPuzzle,
+  getDailyPuzzle,
+  getPublicPuzzle,
+  checkPuzzleSolution,
+} = require('../../../shared/game/puzzles');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wrong answers before the best move is shown
+const ATTEMPTS_BEFORE_REVEAL = 3;
+
+function toDateKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+class PuzzleService {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Today's date key (UTC)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  today() {
+    return toDateKey(this.now());
+  }
+
+  /**
+   * Today's puzzle, with the player's progress on it
+   * @param {string|null} userId - Signed-in player, or null for guests
+   * @returns {Promise<object>} { date, puzzle, progress, stats? }
+   */
+  async getDaily(userId = null) {
+    const date = this.today();
+    const puzzle = getDailyPuzzle(date);
+    const result = { date, puzzle: getPublicPuzzle(puzzle), progress: null };
+    if (!userId) return result;
+
+    const record = await PuzzleProgress.findByUserId(userId);
+    const entry = record?.daily?.[date];
+    result.progress = {
+      attempts: entry?.attempts || 0,
+      solved: !!entry?.solvedAt,
+    };
+    result.stats = this._stats(record);
+    return result;
+  }
+
+  /**
+   * Puzzle catalog (without solutions)
+   * @returns {Array<object>}
+   */
+  listPuzzles() {
+    return listPuzzles().map(getPublicPuzzle);
+  }
+
+  /**
+   * One puzzle (without its solution)
+   * @param {string} puzzleId
+   * @returns {object|null}
+   */
+  getPuzzle(puzzleId) {
+    const puzzle = getPuzzle(puzzleId);
+    return puzzle ? getPublicPuzzle(puzzle) : null;
+  }
+
+  /**
+   * Check an answer and record it for the player
+   * @param {string|null} userId - Signed-in player, or null to check without recording
+   * @param {string} puzzleId
+   * @param {Array<{ type: string, payload?: object }>} actions - Moves as the GameBoard sent them
+   * @returns {Promise<object>} { success: true, correct, move, points, best?, daily, stats? }
+   *   or { success: false, error }
+   */
+  async submitAttempt(userId, puzzleId, actions) {
+    const puzzle = getPuzzle(puzzleId);
+    if (!puzzle) {
+      return { success: false, error: 'Puzzle not found' };
+    }
+
+    const check = checkPuzzleSolution(puzzle, actions);
+    if (!check.valid) {
+      return { success: false, error: check.error };
+    }
+
+    const date = this.today();
+    const isDaily = getDailyPuzzle(date).id === puzzle.id;
+    const result = {
+      success: true,
+      correct: check.correct,
+      move: check.move,
+      points: check.points,
+      daily: isDaily,
+    };
+
+    if (!userId) {
+      if (check.correct) result.best = check.best;
+      return result;
+    }
+
+    let record = await PuzzleProgress.recordAttempt(userId, puzzle.id, isDaily ? date : null);
+    const attempts = (isDaily ? record.daily?.[date]?.attempts : record.puzzles?.[puzzle.id]?.attempts) || 0;
+
+    if (check.correct) {
+      const alreadySolvedToday = isDaily && !!record.daily?.[date]?.solvedAt;
+      const daily = isDaily && !alreadySolvedToday ? this._nextStreak(record, date) : null;
+      record = await PuzzleProgress.recordSolve(userId, puzzle.id, daily) || record;
+      if (daily) {
+        console.log(`[Puzzles] ${userId} solved the daily puzzle ${puzzle.id} (streak ${daily.currentStreak})`);
+      }
+    }
+
+    if (check.correct || attempts >= ATTEMPTS_BEFORE_REVEAL) {
+      result.best = check.best;
+    }
+    result.attempts = attempts;
+    result.stats = this._stats(record);
+    return result;
+  }
+
+  /**
+   * A player's streak and solve counts
+   * @param {string} userId
+   * @returns {Promise<object>}
+   */
+  async getStats(userId) {
+    return this._stats(await PuzzleProgress.findByUserId(userId));
+  }
+
+  /**
+   * How many players tried and solved today's puzzle
+   * @returns {Promise<{ date: string, puzzleId: string, attempted: number, solved: number }>}
+   */
+  async getDailyCounts() {
+    const date = this.today();
+    const counts = await PuzzleProgress.getDailyCounts(date);
+    return { date, puzzleId: getDailyPuzzle(date).id, ...counts };
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────────
+
+  _nextStreak(record, date) {
+    const yesterday = toDateKey(Date.parse(date) - DAY_MS);
+    const currentStreak = record?.lastDailyDate === yesterday ? (record.currentStreak || 0) + 1 : 1;
+    return {
+      dateKey: date,
+      currentStreak,
+      bestStreak: Math.max(record?.bestStreak || 0, currentStreak),
+    };
+  }
+
+  _stats(record) {
+    const today = this.today();
+    const yesterday = toDateKey(Date.parse(today) - DAY_MS);
+    // A streak is only alive if the last daily solve was today or yesterday
+    const alive = record?.lastDailyDate === today || record?.lastDailyDate === yesterday;
+    const puzzles = Object.entries(record?.puzzles || {});
+    return {
+      currentStreak: alive ? record.currentStreak || 0 : 0,
+      bestStreak: record?.bestStreak || 0,
+      lastDailyDate: record?.lastDailyDate || null,
+      dailySolved: Object.values(record?.daily || {}).filter(d => d.solvedAt).length,
+      puzzlesSolved: puzzles.filter(([, p]) => p.solvedAt).length,
+      solvedPuzzleIds: puzzles.filter(([, p]) => p.solvedAt).map(([id]) => id),
+      attempts: record?.attempts || 0,
+    };
+  }
+}
+
+module.exports = PuzzleService;
@@ -22,6 +22,8 @@ class QueueManager {
     this.gameManager = gameManager;
     this.waitingQueues = {};
     this.queueRoomCodes = {};
+    /** Optional BlockListService; blocked pairs are never grouped */
+    this.blockList = null;
 
     Object.keys(GAME_TYPES).forEach(type => {
       this.waitingQueues[type] = [];
@@ -107,28 +109,24 @@ class QueueManager {
       return null;
     }
 
-    if (queue.length !== config.minPlayers) {
+    // Players who blocked each other wait for other opponents
+    const candidates = this._pickGroup(queue, config.minPlayers);
+    if (!candidates) {
       return null;
     }
 
-    const candidates = queue.slice(0, config.minPlayers);
-    const staleIndices = [];
-
-    for (let i = 0; i < candidates.length; i++) {
-      const entry = candidates[i];
-      if (!entry?.socket || !this._isSocketAlive(entry.socket, entry)) {
+    const stale = candidates.filter(entry => !entry?.socket || !this._isSocketAlive(entry.socket, entry));
+    if (stale.length > 0) {
+      stale.forEach(entry => {
         console.warn(`[Queue] Stale socket ${entry?.id} in ${gameType} queue — evicting`);
-        staleIndices.push(i);
-      }
-    }
-
-    if (staleIndices.length > 0) {
-      staleIndices.reverse().forEach(i => queue.splice(i, 1));
-      console.log(`[Queue] Evicted ${staleIndices.length} stale player(s) from ${gameType} queue`);
+        queue.splice(queue.indexOf(entry), 1);
+      });
+      console.log(`[Queue] Evicted ${stale.length} stale player(s) from ${gameType} queue`);
       return null;
     }
 
-    const playerEntries = queue.splice(0, config.minPlayers);
+    const playerEntries = candidates;
+    playerEntries.forEach(entry => queue.splice(queue.indexOf(entry), 1));
 
     for (const entry of playerEntries) {
       if (!entry || !entry.socket || !entry.socket.id) {
@@ -141,6 +139,21 @@ class QueueManager {
     return playerEntries;
   }
 
+  /**
+   * First players in arrival order with no blocked pair between them
+   * @returns {Array|null} Queue entries, or null if no group fits yet
+   */
+  _pickGroup(queue, size) {
+    const group = [];
+    for (const entry of queue) {
+      if (group.every(member => !this.blockList?.isBlockedPair(member.userId, entry.userId))) {
+        group.push(entry);
+      }
+      if (group.length === size) return group;
+    }
+    return null;
+  }
+
   removeFromQueue(socketId) {
     for (const gameType of Object.keys(this.waitingQueues)) {
       const entry = this.waitingQueues[gameType].find(e => e.id === socketId);
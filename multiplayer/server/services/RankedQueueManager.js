@@ -0,0 +1,234 @@
+/**
+ * RankedQueueManager
+ * Skill-based queues for ranked matchmaking
+ *
+ * Players are grouped by skill rating instead of arrival order. Every player
+ * accepts opponents within a rating window that starts narrow and widens the
+ * longer they wait; a group forms when all its players accept each other.
+ * Players who just played each other aren't grouped again until both have
+ * waited REMATCH_GRACE_MS, and players who blocked each other never are.
+ */
+
+const GAME_TYPES = require('../config/gameTypes');
+
+// Ranked play is available in these queues
+const RANKED_GAME_TYPES = ['two-hands', 'three-hands', 'four-hands', 'party'];
+
+// Rating window: ±BASE_WINDOW at first, +WIDEN_PER_SECOND every second, up to MAX_WINDOW
+const BASE_WINDOW = 100;
+const WIDEN_PER_SECOND = 5;
+const MAX_WINDOW = 800;
+
+const REMATCH_GRACE_MS = 60 * 1000;
+
+// Wait estimate before any ranked game of a type has formed
+const DEFAULT_WAIT_ESTIMATE_MS = 60 * 1000;
+
+class RankedQueueManager {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.queues = {};
+    this.averageWaitMs = {};
+
+    /** player key → keys of their opponents in their last ranked game */
+    this.lastOpponents = new Map();
+
+    /** Optional BlockListService; blocked pairs are never grouped */
+    this.blockList = null;
+
+    RANKED_GAME_TYPES.forEach(type => {
+      this.queues[type] = [];
+      this.averageWaitMs[type] = DEFAULT_WAIT_ESTIMATE_MS;
+    });
+  }
+
+  isRankedGameType(gameType) {
+    return RANKED_GAME_TYPES.includes(gameType);
+  }
+
+  /**
+   * Queue a player with their current rating in the game type's mode
+   * @param {object} socket - Player socket
+   * @param {string} gameType - One of RANKED_GAME_TYPES
+   * @param {string} userId - Signed-in user
+   * @param {object} rating - { rating, rd }
+   * @returns {object|null} Queue entry, or null if the socket or user is already queued
+   */
+  addToQueue(socket, gameType, userId, rating) {
+    if (this.isInQueue(socket.id)) {
+      console.log(`[RankedQueue] Socket ${socket.id} already queued, skipping`);
+      return null;
+    }
+    if (this.isUserInQueue(userId)) {
+      console.log(`[RankedQueue] ${userId} already queued on another socket, skipping`);
+      return null;
+    }
+
+    const now = this.now();
+    const entry = {
+      id: socket.id,
+      socket,
+      userId,
+      rating: rating.rating,
+      rd: rating.rd,
+      joinedAt: now,
+      lastActivity: now,
+    };
+    this.queues[gameType].push(entry);
+    console.log(`[RankedQueue] ${userId} (${Math.round(entry.rating)}) joined ranked ${gameType} (now: ${this.queues[gameType].length})`);
+    return entry;
+  }
+
+  removeFromQueue(socketId) {
+    for (const gameType of Object.keys(this.queues)) {
+      const before = this.queues[gameType].length;
+      this.queues[gameType] = this.queues[gameType].filter(entry => entry.id !== socketId);
+      if (this.queues[gameType].length < before) {
+        console.log(`[RankedQueue] ${socketId} left ranked ${gameType} (now: ${this.queues[gameType].length})`);
+      }
+    }
+  }
+
+  isInQueue(socketId) {
+    for (const gameType of Object.keys(this.queues)) {
+      const entry = this.queues[gameType].find(e => e.id === socketId);
+      if (entry) return { gameType, entry };
+    }
+    return null;
+  }
+
+  isUserInQueue(userId) {
+    if (!userId) return null;
+    for (const gameType of Object.keys(this.queues)) {
+      const entry = this.queues[gameType].find(e => e.userId === userId);
+      if (entry) return { gameType, entry };
+    }
+    return null;
+  }
+
+  getRequiredPlayers(gameType) {
+    return GAME_TYPES[gameType].minPlayers;
+  }
+
+  getWaitingCount(gameType) {
+    return this.queues[gameType]?.length || 0;
+  }
+
+  /**
+   * Rating gap a player accepts right now
+   */
+  getSearchWindow(entry) {
+    const waitedSeconds = (this.now() - entry.joinedAt) / 1000;
+    return Math.min(MAX_WINDOW, BASE_WINDOW + waitedSeconds * WIDEN_PER_SECOND);
+  }
+
+  _key(entry) {
+    return entry.userId || entry.id;
+  }
+
+  _isRematch(a, b) {
+    return !!this.lastOpponents.get(this._key(a))?.has(this._key(b));
+  }
+
+  _canPair(a, b) {
+    // One user on two sockets must never play themself
+    if (this._key(a) === this._key(b)) return false;
+    if (this.blockList?.isBlockedPair(a.userId, b.userId)) return false;
+
+    const gap = Math.abs(a.rating - b.rating);
+    if (gap > Math.min(this.getSearchWindow(a), this.getSearchWindow(b))) return false;
+    if (!this._isRematch(a, b)) return true;
+
+    const now = this.now();
+    return now - a.joinedAt >= REMATCH_GRACE_MS && now - b.joinedAt >= REMATCH_GRACE_MS;
+  }
+
+  /**
+   * Take a group of players who accept each other out of a queue
+   * The longest-waiting player is matched first, with the closest-rated
+   * players who fit. Party groups are split into the two most even teams.
+   * @param {string} gameType - Ranked game type
+   * @returns {Array|null} Queue entries in seat order, or null if no group fits yet
+   */
+  findMatch(gameType) {
+    const queue = this.queues[gameType];
+    const needed = this.getRequiredPlayers(gameType);
+    if (!queue || queue.length < needed) return null;
+
+    const byWait = [...queue].sort((a, b) => a.joinedAt - b.joinedAt);
+    for (const anchor of byWait) {
+      const group = [anchor];
+      const candidates = queue
+        .filter(entry => entry !== anchor)
+        .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+
+      for (const candidate of candidates) {
+        if (group.every(member => this._canPair(member, candidate))) group.push(candidate);
+        if (group.length === needed) break;
+      }
+
+      if (group.length === needed) {
+        this.queues[gameType] = queue.filter(entry => !group.includes(entry));
+        this._recordMatch(gameType, group);
+        console.log(`[RankedQueue] Ranked ${gameType} group: ${group.map(e => `${e.userId} (${Math.round(e.rating)})`).join(', ')}`);
+        return gameType === 'party' ? this._balanceTeams(group) : group;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Seat a party group so each team has one stronger and one weaker player
+   * Seats 0,1 are Team A and seats 2,3 are Team B.
+   */
+  _balanceTeams(group) {
+    const [best, second, third, worst] = [...group].sort((a, b) => b.rating - a.rating);
+    return [best, worst, second, third];
+  }
+
+  _recordMatch(gameType, group) {
+    const now = this.now();
+    for (const entry of group) {
+      const opponents = group.filter(other => other !== entry).map(other => this._key(other));
+      this.lastOpponents.set(this._key(entry), new Set(opponents));
+      this.averageWaitMs[gameType] = Math.round(this.averageWaitMs[gameType] * 0.8 + (now - entry.joinedAt) * 0.2);
+    }
+  }
+
+  /**
+   * Estimated time until a queued player is matched
+   * When enough players are queued, it's the time until the search window
+   * reaches the player who completes the group; otherwise the recent
+   * average wait for the game type.
+   * @returns {number} Milliseconds (0 = expected on the next pass)
+   */
+  getEstimatedWaitMs(gameType, entry) {
+    const needed = this.getRequiredPlayers(gameType) - 1;
+    const waitedMs = this.now() - entry.joinedAt;
+    const gaps = this.queues[gameType]
+      .filter(other => other !== entry)
+      .map(other => Math.abs(other.rating - entry.rating))
+      .sort((a, b) => a - b);
+
+    if (gaps.length >= needed && gaps[needed - 1] <= MAX_WINDOW) {
+      const windowReachedAtMs = (Math.max(0, gaps[needed - 1] - BASE_WINDOW) / WIDEN_PER_SECOND) * 1000;
+      return Math.max(0, Math.round(windowReachedAtMs - waitedMs));
+    }
+    return Math.max(0, this.averageWaitMs[gameType] - waitedMs);
+  }
+
+  /**
+   * Drop players whose socket went away
+   * @returns {Array} Removed entries
+   */
+  evictDisconnected(gameType) {
+    const removed = this.queues[gameType].filter(entry => !entry.socket?.connected);
+    if (removed.length > 0) {
+      this.queues[gameType] = this.queues[gameType].filter(entry => !removed.includes(entry));
+      console.log(`[RankedQueue] Evicted ${removed.length} disconnected player(s) from ranked ${gameType}`);
+    }
+    return removed;
+  }
+}
+
+module.exports = RankedQueueManager;
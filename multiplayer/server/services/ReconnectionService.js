@@ -0,0 +1,282 @@
+/**
+ * ReconnectionService
+ * Holds a dropped player's seat for a grace window so a network blip
+ * doesn't end the match.
+ *
+ * Seats are reclaimed with the `rejoin-game` event, either by the resume
+ * token handed out with game-start or by the authenticated userId.
+ * While any seat is held the turn timer is paused (state.turnTimerPaused).
+ */
+
+const { projectStateForPlayer } = require('../../../shared/game/stateProjection');
+const { skipDisconnectedPlayer } = require('../../../shared/game/turn');
+const { REPLAY_EVENTS } = require('../../../shared/game/replay');
+
+const RECONNECT_GRACE_MS = 60 * 1000; // 60 seconds
+const REHYDRATE_GRACE_MS = 5 * 60 * 1000; // 5 minutes for everyone to come back after a restart
+
+class ReconnectionService {
+  constructor(gameManager, unifiedMatchmaking, broadcaster, io, options = {}) {
+    this.gameManager = gameManager;
+    this.unifiedMatchmaking = unifiedMatchmaking;
+    this.broadcaster = broadcaster;
+    this.io = io;
+    this.graceMs = options.graceMs ?? RECONNECT_GRACE_MS;
+    this.rehydrateGraceMs = options.rehydrateGraceMs ?? REHYDRATE_GRACE_MS;
+
+    /** `${gameId}:${playerIndex}` → { gameId, playerIndex, userId, gameType, expiresAt, timer } */
+    this.heldSeats = new Map();
+  }
+
+  // ── Seat lookup ─────────────────────────────────────────────────────────────
+
+  /**
+   * Find a held seat belonging to a userId
+   * @returns {{ gameId: number, playerIndex: number } | null}
+   */
+  _findHeldSeatByUserId(userId, gameId = null) {
+    if (!userId) return null;
+    for (const seat of this.heldSeats.values()) {
+      if (seat.userId === userId && (gameId === null || seat.gameId === gameId)) {
+        return { gameId: seat.gameId, playerIndex: seat.playerIndex };
+      }
+    }
+    return null;
+  }
+
+  // ── Disconnect / grace window ───────────────────────────────────────────────
+
+  /**
+   * Hold the seat of a socket that just dropped out of a running game
+   * @param {object} socket - Disconnected socket
+   * @returns {{ gameId: number, playerIndex: number, expiresAt: number } | null}
+   *   Held seat, or null if the socket wasn't seated in a running game
+   */
+  holdSeat(socket) {
+    const socketInfo = this.unifiedMatchmaking.socketRegistry.get(socket.id);
+    const gameId = socketInfo?.gameId;
+    if (!gameId) return null;
+
+    const gameState = this.gameManager.getGameState(gameId);
+    if (!gameState || gameState.gameOver) return null;
+
+    const playerIndex = this.gameManager.getPlayerIndex(gameId, socket.id);
+    if (playerIndex === null) return null;
+
+    // Unbind the dead socket without ending the game
+    this.unifiedMatchmaking.socketRegistry.handleDisconnection(socket);
+    this.gameManager.removePlayerFromGame(gameId, socket.id);
+
+    const key = `${gameId}:${playerIndex}`;
+    const existing = this.heldSeats.get(key);
+    if (existing) clearTimeout(existing.timer);
+
+    const expiresAt = Date.now() + this.graceMs;
+    const seat = {
+      gameId,
+      playerIndex,
+      userId: socketInfo.userId || gameState.players?.[playerIndex]?.userId || null,
+      gameType: socketInfo.gameType,
+      expiresAt,
+      timer: setTimeout(() => this._expireSeat(key), this.graceMs),
+    };
+    this.heldSeats.set(key, seat);
+
+    this._markDisconnected(gameState, playerIndex, expiresAt);
+    console.log(`[Reconnection] Holding seat ${playerIndex} in game ${gameId} for ${this.graceMs}ms`);
+
+    this.broadcaster.broadcastToGame(gameId, 'player-disconnected', {
+      playerIndex,
+      expiresAt,
+      graceMs: this.graceMs,
+    }, this.unifiedMatchmaking);
+    this.broadcaster.broadcastGameUpdate(gameId, gameState, this.unifiedMatchmaking);
+
+    return { gameId, playerIndex, expiresAt };
+  }
+
+  /**
+   * Hold every seat of a game rehydrated after a server restart
+   * No sockets are bound yet, so each player has to rejoin-game.
+   * @param {number} gameId - Rehydrated game ID
+   * @returns {number} Number of seats held
+   */
+  holdRehydratedGame(gameId) {
+    const gameState = this.gameManager.getGameState(gameId);
+    if (!gameState) return 0;
+
+    const expiresAt = Date.now() + this.rehydrateGraceMs;
+    const playerCount = gameState.players?.length || 0;
+    gameState.disconnectedPlayers = {};
+
+    for (let playerIndex = 0; playerIndex < playerCount; playerIndex++) {
+      const key = `${gameId}:${playerIndex}`;
+      this.heldSeats.set(key, {
+        gameId,
+        playerIndex,
+        userId: gameState.players[playerIndex]?.userId || null,
+        gameType: gameState.gameMode,
+        expiresAt,
+        timer: setTimeout(() => this._expireSeat(key), this.rehydrateGraceMs),
+      });
+      this._markDisconnected(gameState, playerIndex, expiresAt);
+    }
+
+    console.log(`[Reconnection] Holding ${playerCount} seat(s) in rehydrated game ${gameId}`);
+    return playerCount;
+  }
+
+  /**
+   * Grace window ran out - release the seat
+   * Ends the game when nobody is left, otherwise skips the absent player's turn.
+   */
+  _expireSeat(key) {
+    const seat = this.heldSeats.get(key);
+    if (!seat) return;
+    this.heldSeats.delete(key);
+
+    const { gameId, playerIndex } = seat;
+    const gameState = this.gameManager.getGameState(gameId);
+    console.log(`[Reconnection] Seat ${playerIndex} in game ${gameId} expired`);
+
+    if (!gameState) return;
+
+    this._clearDisconnected(gameState, playerIndex);
+
+    const remainingSockets = this.unifiedMatchmaking.socketRegistry.getGameSockets(gameId);
+    if (remainingSockets.length === 0) {
+      this.endGame(gameId);
+      return;
+    }
+
+    if (gameState.currentPlayer === playerIndex && !gameState.gameOver) {
+      skipDisconnectedPlayer(gameState, playerIndex);
+      this.gameManager.recordSystemEvent(gameId, REPLAY_EVENTS.SKIP_TURN, { playerIndex });
+      this.gameManager.saveGameState(gameId, gameState);
+    }
+
+    this.broadcaster.broadcastToGame(gameId, 'player-left', { playerIndex }, this.unifiedMatchmaking);
+    this.broadcaster.broadcastGameUpdate(gameId, gameState, this.unifiedMatchmaking);
+  }
+
+  // ── Rejoin ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Rebind a new socket to a held (or stale) seat
+   * @param {object} socket - The reconnecting socket
+   * @param {{ gameId?: number, resumeToken?: string }} data - Rejoin request
+   * @returns {{ success: boolean, error?: string, gameId?: number, playerIndex?: number }}
+   */
+  rejoin(socket, data = {}) {
+    const requestedGameId = data.gameId ?? null;
+
+    let seat = this.gameManager.findSeatByResumeToken(data.resumeToken);
+    if (seat && requestedGameId !== null && seat.gameId !== requestedGameId) {
+      seat = null;
+    }
+    if (!seat) {
+      seat = this._findHeldSeatByUserId(socket.userId, requestedGameId);
+    }
+    if (!seat) {
+      return { success: false, error: 'No seat to rejoin' };
+    }
+
+    const { gameId, playerIndex } = seat;
+    const gameState = this.gameManager.getGameState(gameId);
+    if (!gameState || gameState.gameOver) {
+      return { success: false, error: 'Game is no longer running' };
+    }
+
+    const key = `${gameId}:${playerIndex}`;
+    const held = this.heldSeats.get(key);
+    if (held) {
+      clearTimeout(held.timer);
+      this.heldSeats.delete(key);
+    }
+
+    // Drop any stale socket still bound to this seat (disconnect not yet detected)
+    const registry = this.unifiedMatchmaking.socketRegistry;
+    const seatSockets = this.gameManager.socketPlayerMap.get(gameId);
+    let gameType = held?.gameType || null;
+    if (seatSockets) {
+      for (const [socketId, index] of seatSockets) {
+        if (index === playerIndex && socketId !== socket.id) {
+          gameType = gameType || registry.get(socketId)?.gameType || null;
+          this.gameManager.removePlayerFromGame(gameId, socketId);
+          registry.delete(socketId);
+          registry.setGameSockets(gameId, registry.getGameSockets(gameId).filter(id => id !== socketId));
+        }
+      }
+    }
+
+    const userId = socket.userId || held?.userId || gameState.players?.[playerIndex]?.userId || null;
+    this.gameManager.addPlayerToGame(gameId, socket.id, playerIndex, userId);
+    registry.set(socket.id, gameId, gameType || gameState.gameMode, userId);
+    registry.addSocketToGame(gameId, socket.id);
+    socket.join(gameId);
+    socket.join(`game-${gameId}`);
+
+    this._clearDisconnected(gameState, playerIndex);
+    console.log(`[Reconnection] Socket ${socket.id} rejoined game ${gameId} as player ${playerIndex}`);
+
+    socket.emit('game-rejoined', {
+      gameId,
+      gameState: projectStateForPlayer(gameState, playerIndex),
+      playerNumber: playerIndex,
+      resumeToken: this.gameManager.getResumeToken(gameId, playerIndex),
+      serverTime: Date.now(),
+    });
+    this.broadcaster.broadcastToOthers(gameId, socket.id, 'player-reconnected', { playerIndex }, this.unifiedMatchmaking);
+    this.broadcaster.broadcastGameUpdate(gameId, gameState, this.unifiedMatchmaking);
+
+    return { success: true, gameId, playerIndex };
+  }
+
+  // ── Cleanup ─────────────────────────────────────────────────────────────────
+
+  /**
+   * End a game and release every seat held for it
+   */
+  endGame(gameId) {
+    for (const [key, seat] of this.heldSeats) {
+      if (seat.gameId === gameId) {
+        clearTimeout(seat.timer);
+        this.heldSeats.delete(key);
+      }
+    }
+    this.unifiedMatchmaking.socketRegistry.cleanupGame(gameId);
+    this.gameManager.endGame(gameId);
+  }
+
+  isSeatHeld(gameId, playerIndex) {
+    return this.heldSeats.has(`${gameId}:${playerIndex}`);
+  }
+
+  shutdown() {
+    for (const seat of this.heldSeats.values()) {
+      clearTimeout(seat.timer);
+    }
+    this.heldSeats.clear();
+  }
+
+  // ── State flags ─────────────────────────────────────────────────────────────
+
+  _markDisconnected(gameState, playerIndex, expiresAt) {
+    gameState.disconnectedPlayers = {
+      ...(gameState.disconnectedPlayers || {}),
+      [playerIndex]: { since: Date.now(), expiresAt },
+    };
+    gameState.turnTimerPaused = true;
+  }
+
+  _clearDisconnected(gameState, playerIndex) {
+    if (gameState.disconnectedPlayers) {
+      delete gameState.disconnectedPlayers[playerIndex];
+    }
+    gameState.turnTimerPaused = Object.keys(gameState.disconnectedPlayers || {}).length > 0;
+  }
+}
+
+ReconnectionService.RECONNECT_GRACE_MS = RECONNECT_GRACE_MS;
+
+module.exports = ReconnectionService;
@@ -0,0 +1,213 @@
+/**
+ * RoomInviteService
+ * Live invites from a private room's players to their friends.
+ * Invites go to the friend's `user:<id>` socket room, can be accepted or
+ * declined, and expire after a few minutes or once the room fills,
+ * starts or closes. Invites live in memory, like the rooms they point at.
+ */
+
+const FriendRequest = require('../models/FriendRequest');
+const User = require('../models/User');
+
+const INVITE_TTL_MS = 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+const INVITE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+};
+
+class RoomInviteService {
+  constructor(roomService, io, options = {}) {
+    this.roomService = roomService;
+    this.io = io;
+    this.now = options.now || Date.now;
+
+    /** inviteId → invite */
+    this.invites = new Map();
+    this.nextInviteId = 1;
+    this.sweepTimer = null;
+  }
+
+  start(intervalMs = SWEEP_INTERVAL_MS) {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), intervalMs);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  shutdown() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Invite a friend into the inviter's waiting room
+   * @param {string} fromUserId - Inviting player (must be in the room)
+   * @param {string} toUserId - Friend to invite
+   * @param {string} [roomCode] - Room to invite into; defaults to the inviter's room
+   * @returns {Promise<{success: boolean, invite?: object, error?: string}>}
+   */
+  async invite(fromUserId, toUserId, roomCode = null) {
+    if (!fromUserId) {
+      return { success: false, error: 'Please log in to invite friends' };
+    }
+    if (!toUserId) {
+      return { success: false, error: 'friendId is required' };
+    }
+    if (String(toUserId) === String(fromUserId)) {
+      return { success: false, error: 'You cannot invite yourself' };
+    }
+
+    const room = roomCode
+      ? this.roomService.getRoomStatus(roomCode)
+      : this.roomService.getRoomByUserId(fromUserId);
+    if (!room || !room.players.some(p => String(p.userId) === String(fromUserId))) {
+      return { success: false, error: 'Join a private room before inviting friends' };
+    }
+    if (!this._isOpen(room)) {
+      return { success: false, error: 'Room is full' };
+    }
+    if (room.players.some(p => String(p.userId) === String(toUserId))) {
+      return { success: false, error: 'Already in this room' };
+    }
+
+    const duplicate = [...this.invites.values()].find(i =>
+      i.status === INVITE_STATUS.PENDING && i.roomCode === room.code && i.toUserId === String(toUserId)
+    );
+    if (duplicate) {
+      return { success: false, error: 'Invite already sent' };
+    }
+
+    if (!await FriendRequest.areFriends(fromUserId, toUserId)) {
+      return { success: false, error: 'You can only invite friends' };
+    }
+
+    const fromUser = await User.findById(String(fromUserId)).catch(() => null);
+    const now = this.now();
+    const invite = {
+      id: `invite-${this.nextInviteId++}`,
+      roomCode: room.code,
+      gameMode: room.gameMode,
+      fromUserId: String(fromUserId),
+      fromUsername: fromUser?.username || 'A friend',
+      toUserId: String(toUserId),
+      status: INVITE_STATUS.PENDING,
+      createdAt: now,
+      expiresAt: now + INVITE_TTL_MS,
+    };
+    this.invites.set(invite.id, invite);
+
+    this._notify(invite.toUserId, 'room-invite', this._serialize(invite));
+    console.log(`[RoomInvites] ${invite.fromUserId} invited ${invite.toUserId} to room ${room.code}`);
+
+    return { success: true, invite: this._serialize(invite) };
+  }
+
+  /**
+   * Accept or decline an invite
+   * @param {string} userId - Invited player
+   * @param {string} inviteId
+   * @param {boolean} accept
+   * @returns {{success: boolean, invite?: object, error?: string}}
+   */
+  respond(userId, inviteId, accept) {
+    const invite = this.invites.get(inviteId);
+    if (!invite || invite.toUserId !== String(userId)) {
+      return { success: false, error: 'Invite not found' };
+    }
+
+    this._expireIfStale(invite);
+    if (invite.status !== INVITE_STATUS.PENDING) {
+      return { success: false, error: 'Invite has expired' };
+    }
+
+    invite.status = accept ? INVITE_STATUS.ACCEPTED : INVITE_STATUS.DECLINED;
+    this._notify(invite.fromUserId, 'room-invite-response', {
+      id: invite.id,
+      roomCode: invite.roomCode,
+      userId: invite.toUserId,
+      accepted: !!accept,
+    });
+    console.log(`[RoomInvites] ${invite.toUserId} ${invite.status} invite to room ${invite.roomCode}`);
+
+    return { success: true, invite: this._serialize(invite) };
+  }
+
+  /**
+   * Pending invites for a player, newest first
+   * @param {string} userId
+   * @returns {object[]}
+   */
+  listPending(userId) {
+    this.sweep();
+    return [...this.invites.values()]
+      .filter(i => i.toUserId === String(userId) && i.status === INVITE_STATUS.PENDING)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(i => this._serialize(i));
+  }
+
+  /**
+   * Expire every pending invite into a room (it filled, started or closed)
+   * @param {string} roomCode
+   */
+  expireForRoom(roomCode) {
+    const code = String(roomCode).toUpperCase();
+    for (const invite of this.invites.values()) {
+      if (invite.roomCode === code && invite.status === INVITE_STATUS.PENDING) {
+        this._expire(invite);
+      }
+    }
+  }
+
+  /**
+   * Expire timed-out invites and invites to rooms that can't take players,
+   * and forget the ones already answered
+   */
+  sweep() {
+    for (const invite of [...this.invites.values()]) {
+      this._expireIfStale(invite);
+      if (invite.status !== INVITE_STATUS.PENDING) {
+        this.invites.delete(invite.id);
+      }
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────────
+
+  _isOpen(room) {
+    return !!room && room.status === 'waiting' && room.playerCount < room.maxPlayers;
+  }
+
+  _expireIfStale(invite) {
+    if (invite.status !== INVITE_STATUS.PENDING) return;
+    if (this.now() >= invite.expiresAt || !this._isOpen(this.roomService.getRoomStatus(invite.roomCode))) {
+      this._expire(invite);
+    }
+  }
+
+  _expire(invite) {
+    invite.status = INVITE_STATUS.EXPIRED;
+    this._notify(invite.toUserId, 'room-invite-expired', { id: invite.id, roomCode: invite.roomCode });
+  }
+
+  _notify(userId, event, data) {
+    this.io?.to(`user:${userId}`).emit(event, data);
+  }
+
+  _serialize(invite) {
+    return {
+      id: invite.id,
+      roomCode: invite.roomCode,
+      gameMode: invite.gameMode,
+      from: { _id: invite.fromUserId, username: invite.fromUsername },
+      status: invite.status,
+      expiresAt: new Date(invite.expiresAt).toISOString(),
+    };
+  }
+}
+
+module.exports = RoomInviteService;
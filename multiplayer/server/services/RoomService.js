@@ -4,6 +4,10 @@
  * Supports both 2-player 2-hands and 4-player party modes.
  */
 
+const { projectStateForPlayer } = require('../../../shared/game/stateProjection');
+const { resolveTurnSettings } = require('../config/turnTimer');
+const { validateRules, createRuleSet } = require('../../../shared/game/ruleSet');
+
 const CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
 const CODE_LENGTH = 6;
 const ROOM_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
@@ -20,6 +24,9 @@ class RoomService {
 
     /** socketId → roomCode */
     this.socketRoomMap = new Map();
+
+    /** Optional BlockListService; players can't join rooms with someone they blocked (or who blocked them) */
+    this.blockList = null;
   }
 
   // ── Room Code Generation ─────────────────────────────────────────────────────
@@ -48,9 +55,11 @@ class RoomService {
    * @param {object} hostSocket - The socket of the room host
    * @param {string} gameMode - '2-hands', 'party', 'three-hands', 'four-hands'
    * @param {number} maxPlayers - 2, 3, or 4
-   * @returns {object} { roomCode, room }
+   * @param {object} [turnOptions] - Host's turn timer choice { turnSeconds?, onTimeout?, maxTimeouts? }
+   * @param {object} [ruleOptions] - Host's house rules (keys of RULE_VARIANTS)
+   * @returns {object} { roomCode, room } or { success: false, error }
    */
-  createRoom(hostSocket, gameMode, maxPlayers) {
+  createRoom(hostSocket, gameMode, maxPlayers, turnOptions = null, ruleOptions = null) {
     // CRITICAL: Clean up any previous room association before creating new room
     // This prevents room code mixing when the same socket creates multiple rooms
     const previousRoomCode = this.socketRoomMap.get(hostSocket.id);
@@ -73,6 +82,16 @@ class RoomService {
       }
     }
     
+    const { settings: turnSettings, error } = resolveTurnSettings(gameMode, turnOptions);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const rulesError = validateRules(ruleOptions, maxPlayers);
+    if (rulesError) {
+      return { success: false, error: rulesError };
+    }
+
     const roomCode = this._generateRoomCode();
     
     const room = {
@@ -80,9 +99,11 @@ class RoomService {
       hostSocketId: hostSocket.id,
       gameMode,
       maxPlayers,
+      turnSettings,
+      rules: { ...(ruleOptions || {}) }, // variant choices only; the game resolves the rest
       status: 'waiting', // 'waiting' | 'ready' | 'started' | 'closed'
       players: [
-        { socketId: hostSocket.id, isHost: true, joinedAt: Date.now() }
+        { socketId: hostSocket.id, userId: hostSocket.userId || null, isHost: true, joinedAt: Date.now() }
       ],
       createdAt: Date.now(),
       lastActivity: Date.now(),
@@ -97,6 +118,51 @@ class RoomService {
     return { roomCode, room };
   }
 
+  // ── Room Settings ───────────────────────────────────────────────────────────
+
+  /**
+   * Change the turn timer and house rules of a room before its game starts (host only)
+   * @param {object} socket - The host's socket
+   * @param {object} turnOptions - { turnSeconds?, onTimeout?, maxTimeouts? }
+   * @param {object} [ruleOptions] - House rule changes (keys of RULE_VARIANTS)
+   * @returns {object} { success, room?, error? }
+   */
+  updateRoomSettings(socket, turnOptions, ruleOptions = null) {
+    const code = this.socketRoomMap.get(socket.id);
+    const room = code ? this.rooms.get(code) : null;
+
+    if (!room) {
+      return { success: false, error: 'Not in a room' };
+    }
+
+    if (room.hostSocketId !== socket.id) {
+      return { success: false, error: 'Only the host can change room settings' };
+    }
+
+    if (room.status === 'started') {
+      return { success: false, error: 'Game already started' };
+    }
+
+    const { settings, error } = resolveTurnSettings(room.gameMode, { ...this._turnOptions(room), ...turnOptions });
+    if (error) {
+      return { success: false, error };
+    }
+
+    const rules = { ...room.rules, ...(ruleOptions || {}) };
+    const rulesError = validateRules(rules, room.maxPlayers);
+    if (rulesError) {
+      return { success: false, error: rulesError };
+    }
+
+    room.turnSettings = settings;
+    room.rules = rules;
+    room.lastActivity = Date.now();
+    console.log(`[RoomService] Room ${code} turn settings: ${settings.turnMs / 1000}s, ${settings.onTimeout}, max ${settings.maxTimeouts}`);
+    console.log(`[RoomService] Room ${code} house rules: ${JSON.stringify(rules)}`);
+
+    return { success: true, room: this._serializeRoom(room) };
+  }
+
   // ── Room Joining ─────────────────────────────────────────────────────────────
 
   /**
@@ -134,8 +200,12 @@ class RoomService {
       return { success: false, error: 'Room is no longer accepting players' };
     }
 
+    if (room.players.some(p => this.blockList?.isBlockedPair(p.userId, socket.userId))) {
+      return { success: false, error: 'You cannot join this room' };
+    }
+
     // Add new player
-    room.players.push({ socketId: socket.id, isHost: false, joinedAt: Date.now() });
+    room.players.push({ socketId: socket.id, userId: socket.userId || null, isHost: false, joinedAt: Date.now() });
 
     this.socketRoomMap.set(socket.id, code);
     room.lastActivity = Date.now();
@@ -234,6 +304,21 @@ class RoomService {
     return this._serializeRoom(this.rooms.get(roomCode));
   }
 
+  /**
+   * Get the waiting room a signed-in user is sitting in
+   * @param {string} userId
+   * @returns {object|null}
+   */
+  getRoomByUserId(userId) {
+    if (!userId) return null;
+    for (const room of this.rooms.values()) {
+      if (room.status !== 'started' && room.players.some(p => p.userId && String(p.userId) === String(userId))) {
+        return this._serializeRoom(room);
+      }
+    }
+    return null;
+  }
+
   // ── Game Start ─────────────────────────────────────────────────────────────
 
   /**
@@ -303,8 +388,9 @@ class RoomService {
     let gameResult;
     if (isParty) {
       // For party games (2v2 team mode)
-      const { gameId, gameState } = this.gameManager.startPartyGame();
+      const { gameId, gameState } = this.gameManager.startPartyGame({ rules: room.rules });
       room.gameId = gameId;
+      this._applyTurnSettings(gameId, gameState, room);
 
       // Register players
       for (let i = 0; i < 4; i++) {
@@ -338,15 +424,17 @@ class RoomService {
         console.log(`[RoomService] → Sending to socket ${socket.id} as player ${idx}`);
         socket.emit('game-start', { 
           gameId, 
-          gameState,
+          gameState: projectStateForPlayer(gameState, idx),
           playerNumber: idx,
+          resumeToken: this.gameManager.getResumeToken(gameId, idx),
           playerInfos,
         });
       });
     } else {
       // For 2-hands, three-hands, and four-hands games
-      const { gameId, gameState } = this.gameManager.startGame(playerCount, false); // isPartyMode = false
+      const { gameId, gameState } = this.gameManager.startGame(playerCount, false, { rules: room.rules }); // isPartyMode = false
       room.gameId = gameId;
+      this._applyTurnSettings(gameId, gameState, room);
 
       // Register players
       for (let i = 0; i < playerCount; i++) {
@@ -380,8 +468,9 @@ class RoomService {
         console.log(`[RoomService] → Sending to socket ${socket.id} as player ${idx}`);
         socket.emit('game-start', { 
           gameId, 
-          gameState,
+          gameState: projectStateForPlayer(gameState, idx),
           playerNumber: idx,
+          resumeToken: this.gameManager.getResumeToken(gameId, idx),
           playerInfos,
         });
       });
@@ -459,6 +548,27 @@ class RoomService {
 
   // ── Helpers ─────────────────────────────────────────────────────────────
 
+  /**
+   * Carry the room's turn timer into its game and start the first deadline
+   */
+  _applyTurnSettings(gameId, gameState, room) {
+    // Lands in the start snapshot, which GameManager writes on the next tick
+    gameState.turnSettings = room.turnSettings || resolveTurnSettings(room.gameMode).settings;
+    this.broadcaster?.syncTurnTimer(gameId, gameState);
+  }
+
+  /**
+   * Room's current turn settings in the shape the host sends them
+   */
+  _turnOptions(room) {
+    if (!room.turnSettings) return {};
+    return {
+      turnSeconds: room.turnSettings.turnMs / 1000,
+      onTimeout: room.turnSettings.onTimeout,
+      maxTimeouts: room.turnSettings.maxTimeouts,
+    };
+  }
+
   _serializeRoom(room) {
     if (!room) return null;
     return {
@@ -466,9 +576,12 @@ class RoomService {
       hostSocketId: room.hostSocketId,
       gameMode: room.gameMode,
       maxPlayers: room.maxPlayers,
+      turnSettings: room.turnSettings,
+      rules: createRuleSet(room.rules, room.maxPlayers), // full RuleSet for the lobby to show
       status: room.status,
       players: room.players.map(p => ({
         socketId: p.socketId,
+        userId: p.userId || null,
         isHost: p.isHost,
       })),
       playerCount: room.players.length,
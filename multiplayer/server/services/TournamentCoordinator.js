@@ -4,6 +4,8 @@
  * Eliminates lowest scorer after each hand until one remains.
  */
 
+const { projectStateForPlayer } = require('../../../shared/game/stateProjection');
+
 class TournamentCoordinator {
   constructor(gameManager, matchmaking, broadcaster, io) {
     this.gameManager = gameManager;
@@ -149,8 +151,9 @@ class TournamentCoordinator {
       if (socket) {
         socket.emit('game-start', {
           gameId,
-          gameState,
+          gameState: projectStateForPlayer(gameState, i),
           playerNumber: i,
+          resumeToken: this.gameManager.getResumeToken(gameId, i),
           myUserId: player.id,  // Player's actual userId for index verification
           playerInfos: gameState.players.map((p, idx) => ({
             playerNumber: idx,
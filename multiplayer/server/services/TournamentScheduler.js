@@ -0,0 +1,301 @@
+/**
+ * TournamentScheduler
+ * Scheduled knockout tournaments with registration and check-in.
+ *
+ * A scheduled tournament has a start time, a registration cap and optional
+ * entry requirements (a two-hands rating floor, or friends of the organiser
+ * only). Players register any time before the start and must check in
+ * during the check-in window that closes at the start time. At the start
+ * time the checked-in players are handed to BracketTournamentCoordinator;
+ * with too few of them the tournament is cancelled.
+ *
+ * Players hear about it on their user room: 'tournament-check-in' when the
+ * window opens, then 'tournament-started' or 'tournament-cancelled'.
+ */
+
+const GameStats = require('../models/GameStats');
+const FriendRequest = require('../models/FriendRequest');
+
+const SCHEDULE_STATUS = {
+  REGISTRATION: 'registration',
+  CHECK_IN: 'check-in',
+  STARTED: 'started',
+  CANCELLED: 'cancelled',
+};
+
+// The smallest bracket (8) needs more than half its slots filled
+const MIN_PLAYERS = 5;
+const MAX_PLAYERS = 32;
+
+const DEFAULT_CHECK_IN_MINUTES = 15;
+const MIN_CHECK_IN_MINUTES = 5;
+const MAX_CHECK_IN_MINUTES = 60;
+
+const MAX_NAME_LENGTH = 40;
+
+// How often start times and check-in windows are checked
+const TICK_INTERVAL_MS = 15 * 1000;
+
+// Started and cancelled tournaments stay listed for a day
+const FINISHED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+class TournamentScheduler {
+  constructor(bracketCoordinator, io, options = {}) {
+    this.bracketCoordinator = bracketCoordinator;
+    this.io = io;
+    this.now = options.now || Date.now;
+
+    /** tournamentId → scheduled tournament */
+    this.tournaments = new Map();
+
+    this.interval = null;
+    this._nextId = 1;
+  }
+
+  /**
+   * Check start times and check-in windows every TICK_INTERVAL_MS
+   */
+  start(intervalMs = TICK_INTERVAL_MS) {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.tick(), intervalMs);
+    if (this.interval.unref) this.interval.unref();
+  }
+
+  shutdown() {
+    if (this.interval) clearInterval(this.interval);
+    this.interval = null;
+    this.tournaments.clear();
+  }
+
+  /**
+   * Schedule a tournament; the organiser is registered for it
+   * @param {string} userId - Organiser
+   * @param {object} spec - { name, startsAt, maxPlayers, checkInMinutes?, minRating?, friendsOnly? }
+   * @returns {object} { success, tournament?, error? }
+   */
+  createTournament(userId, spec = {}) {
+    const error = this._validateSpec(spec);
+    if (error) return { success: false, error };
+
+    const tournament = {
+      id: `scheduled-${this.now()}-${this._nextId++}`,
+      name: spec.name.trim(),
+      createdBy: userId,
+      startsAt: new Date(spec.startsAt).getTime(),
+      checkInMs: (spec.checkInMinutes ?? DEFAULT_CHECK_IN_MINUTES) * 60 * 1000,
+      maxPlayers: spec.maxPlayers,
+      requirements: {
+        minRating: spec.minRating ?? null,
+        friendsOnly: !!spec.friendsOnly,
+      },
+      registered: [userId],
+      checkedIn: [],
+      status: SCHEDULE_STATUS.REGISTRATION,
+      bracketTournamentId: null,
+      finishedAt: null,
+      createdAt: new Date(this.now()).toISOString(),
+    };
+    this.tournaments.set(tournament.id, tournament);
+
+    console.log(`[TournamentScheduler] ${tournament.id} "${tournament.name}" scheduled for ${new Date(tournament.startsAt).toISOString()} by ${userId}`);
+    return { success: true, tournament: this.getView(tournament.id, userId) };
+  }
+
+  _validateSpec(spec) {
+    if (typeof spec.name !== 'string' || !spec.name.trim()) return 'Tournament name is required';
+    if (spec.name.trim().length > MAX_NAME_LENGTH) return `Tournament name must be at most ${MAX_NAME_LENGTH} characters`;
+
+    const startsAt = new Date(spec.startsAt).getTime();
+    if (!Number.isFinite(startsAt)) return 'Start time is required';
+    if (startsAt <= this.now()) return 'Start time must be in the future';
+
+    if (!Number.isInteger(spec.maxPlayers) || spec.maxPlayers < MIN_PLAYERS || spec.maxPlayers > MAX_PLAYERS) {
+      return `Player cap must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}`;
+    }
+
+    const checkIn = spec.checkInMinutes ?? DEFAULT_CHECK_IN_MINUTES;
+    if (!Number.isInteger(checkIn) || checkIn < MIN_CHECK_IN_MINUTES || checkIn > MAX_CHECK_IN_MINUTES) {
+      return `Check-in window must be between ${MIN_CHECK_IN_MINUTES} and ${MAX_CHECK_IN_MINUTES} minutes`;
+    }
+
+    if (spec.minRating != null && (!Number.isFinite(spec.minRating) || spec.minRating < 0)) {
+      return 'Rating floor must be a positive number';
+    }
+    return null;
+  }
+
+  /**
+   * Phase a tournament is in right now
+   */
+  getStatus(tournament) {
+    if (tournament.status === SCHEDULE_STATUS.STARTED || tournament.status === SCHEDULE_STATUS.CANCELLED) {
+      return tournament.status;
+    }
+    return this.now() >= tournament.startsAt - tournament.checkInMs
+      ? SCHEDULE_STATUS.CHECK_IN
+      : SCHEDULE_STATUS.REGISTRATION;
+  }
+
+  /**
+   * Register a player, checking the cap and entry requirements
+   * @returns {Promise<object>} { success, tournament?, error? }
+   */
+  async register(userId, tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+
+    const status = this.getStatus(tournament);
+    if (status !== SCHEDULE_STATUS.REGISTRATION && status !== SCHEDULE_STATUS.CHECK_IN) {
+      return { success: false, error: 'Registration is closed' };
+    }
+    if (tournament.registered.includes(userId)) return { success: false, error: 'You are already registered' };
+    if (tournament.registered.length >= tournament.maxPlayers) return { success: false, error: 'Tournament is full' };
+
+    const requirementError = await this._checkRequirements(tournament, userId);
+    if (requirementError) return { success: false, error: requirementError };
+
+    // The lookups above are async - the last seat may have gone meanwhile
+    if (tournament.registered.length >= tournament.maxPlayers) return { success: false, error: 'Tournament is full' };
+    if (!tournament.registered.includes(userId)) tournament.registered.push(userId);
+
+    console.log(`[TournamentScheduler] ${userId} registered for ${tournamentId} (${tournament.registered.length}/${tournament.maxPlayers})`);
+    return { success: true, tournament: this.getView(tournamentId, userId) };
+  }
+
+  async _checkRequirements(tournament, userId) {
+    const { minRating, friendsOnly } = tournament.requirements;
+
+    if (friendsOnly && userId !== tournament.createdBy) {
+      const isFriend = await FriendRequest.areFriends(tournament.createdBy, userId);
+      if (!isFriend) return 'This tournament is for friends of the organiser';
+    }
+
+    if (minRating != null) {
+      const [rating] = await GameStats.getRatings([userId], 'twoHands');
+      if ((rating?.rating ?? 0) < minRating) return `A two-hands rating of ${minRating} is required`;
+    }
+    return null;
+  }
+
+  /**
+   * Withdraw a registration (and check-in) before the start
+   * @returns {object} { success, error? }
+   */
+  unregister(userId, tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (tournament.status === SCHEDULE_STATUS.STARTED || tournament.status === SCHEDULE_STATUS.CANCELLED) {
+      return { success: false, error: 'Tournament has already started' };
+    }
+    if (!tournament.registered.includes(userId)) return { success: false, error: 'You are not registered' };
+
+    tournament.registered = tournament.registered.filter(id => id !== userId);
+    tournament.checkedIn = tournament.checkedIn.filter(id => id !== userId);
+    return { success: true, tournament: this.getView(tournamentId, userId) };
+  }
+
+  /**
+   * Confirm a registered player will play; only during the check-in window
+   * @returns {object} { success, tournament?, error? }
+   */
+  checkIn(userId, tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (!tournament.registered.includes(userId)) return { success: false, error: 'You are not registered' };
+
+    const status = this.getStatus(tournament);
+    if (status === SCHEDULE_STATUS.REGISTRATION) return { success: false, error: 'Check-in has not opened yet' };
+    if (status !== SCHEDULE_STATUS.CHECK_IN) return { success: false, error: 'Check-in is closed' };
+
+    if (!tournament.checkedIn.includes(userId)) tournament.checkedIn.push(userId);
+    return { success: true, tournament: this.getView(tournamentId, userId) };
+  }
+
+  /**
+   * Open check-in windows, start or cancel tournaments that are due and drop
+   * finished ones after FINISHED_RETENTION_MS
+   */
+  async tick() {
+    const now = this.now();
+    for (const tournament of [...this.tournaments.values()]) {
+      if (tournament.finishedAt) {
+        if (now - tournament.finishedAt > FINISHED_RETENTION_MS) this.tournaments.delete(tournament.id);
+        continue;
+      }
+
+      if (now >= tournament.startsAt) {
+        await this._startTournament(tournament);
+      } else if (this.getStatus(tournament) === SCHEDULE_STATUS.CHECK_IN && tournament.status !== SCHEDULE_STATUS.CHECK_IN) {
+        tournament.status = SCHEDULE_STATUS.CHECK_IN;
+        this._notify(tournament.registered, 'tournament-check-in', this.getView(tournament.id));
+        console.log(`[TournamentScheduler] ${tournament.id} check-in open`);
+      }
+    }
+  }
+
+  async _startTournament(tournament) {
+    // Claim it first so an overlapping tick can't start it twice
+    tournament.finishedAt = this.now();
+
+    if (tournament.checkedIn.length >= MIN_PLAYERS) {
+      const result = await this.bracketCoordinator.startWithPlayers(tournament.createdBy, tournament.checkedIn);
+      if (result.success) {
+        tournament.status = SCHEDULE_STATUS.STARTED;
+        tournament.bracketTournamentId = result.tournament.tournamentId;
+        console.log(`[TournamentScheduler] ${tournament.id} started with ${tournament.checkedIn.length} players as ${tournament.bracketTournamentId}`);
+        this._notify(tournament.registered, 'tournament-started', this.getView(tournament.id));
+        return;
+      }
+      console.error(`[TournamentScheduler] ${tournament.id} failed to start:`, result.error);
+    }
+
+    tournament.status = SCHEDULE_STATUS.CANCELLED;
+    console.log(`[TournamentScheduler] ${tournament.id} cancelled: ${tournament.checkedIn.length} checked in`);
+    this._notify(tournament.registered, 'tournament-cancelled', this.getView(tournament.id));
+  }
+
+  _notify(userIds, event, payload) {
+    if (!this.io) return;
+    userIds.forEach(userId => this.io.to(`user:${userId}`).emit(event, payload));
+  }
+
+  /**
+   * Scheduled tournaments, soonest first
+   * @param {string} [userId] - Viewer, to mark their registration
+   */
+  listTournaments(userId = null) {
+    return [...this.tournaments.values()]
+      .sort((a, b) => a.startsAt - b.startsAt)
+      .map(t => this.getView(t.id, userId));
+  }
+
+  /**
+   * Client view of a scheduled tournament
+   * @param {string} tournamentId - Tournament
+   * @param {string} [userId] - Viewer, to mark their registration
+   * @returns {object|null}
+   */
+  getView(tournamentId, userId = null) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) return null;
+
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      createdBy: tournament.createdBy,
+      status: this.getStatus(tournament),
+      startsAt: new Date(tournament.startsAt).toISOString(),
+      checkInOpensAt: new Date(tournament.startsAt - tournament.checkInMs).toISOString(),
+      maxPlayers: tournament.maxPlayers,
+      minPlayers: MIN_PLAYERS,
+      requirements: { ...tournament.requirements },
+      registeredCount: tournament.registered.length,
+      checkedInCount: tournament.checkedIn.length,
+      isRegistered: !!userId && tournament.registered.includes(userId),
+      isCheckedIn: !!userId && tournament.checkedIn.includes(userId),
+      bracketTournamentId: tournament.bracketTournamentId,
+    };
+  }
+}
+
+module.exports = TournamentScheduler;
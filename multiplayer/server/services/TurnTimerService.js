@@ -0,0 +1,134 @@
+/**
+ * TurnTimerService
+ * Owns the server-side deadline of every running game's current turn.
+ *
+ * sync() is called whenever a game's state is about to be sent to clients.
+ * It starts a fresh deadline when the turn has moved on, holds the remaining
+ * time while state.turnTimerPaused is set, and stamps the timing onto the
+ * state so it goes out with game-start / game-update:
+ *   turnDeadline     - epoch ms the turn ends at (null while paused)
+ *   turnRemainingMs  - ms left when the state was sent (clock-skew free)
+ *   turnDurationMs   - full turn length for this game
+ *
+ * When a deadline passes, onExpire(gameId, playerIndex) is called; the
+ * coordinator decides what the timeout does to the game.
+ */
+
+const { getGameModeFromState, getDefaultTurnSettings } = require('../config/turnTimer');
+
+class TurnTimerService {
+  /**
+   * @param {object} options
+   * @param {function(number, number): void} options.onExpire - Called with (gameId, playerIndex)
+   * @param {function(): number} [options.now] - Clock, for tests
+   */
+  constructor({ onExpire, now = Date.now }) {
+    this.onExpire = onExpire;
+    this.now = now;
+
+    /** gameId → { turnKey, playerIndex, deadline, remainingMs, timer } */
+    this.turns = new Map();
+  }
+
+  /**
+   * Identifies one turn of one player; a new key means a fresh deadline
+   */
+  _turnKey(state) {
+    return `${state.round}:${state.turnCounter}:${state.currentPlayer}`;
+  }
+
+  /**
+   * Settings stored on the game by the room host, else the mode defaults
+   */
+  getSettings(state) {
+    return state.turnSettings || getDefaultTurnSettings(getGameModeFromState(state));
+  }
+
+  /**
+   * Bring a game's timer in line with its state and stamp the timing fields
+   * @param {number} gameId - Game ID
+   * @param {object} state - State about to be broadcast (mutated)
+   * @returns {object} The same state
+   */
+  sync(gameId, state) {
+    if (!state || state.gameOver || state.currentPlayer == null) {
+      this.clear(gameId);
+      if (state) this._stamp(state, null);
+      return state;
+    }
+
+    const { turnMs } = this.getSettings(state);
+    const turnKey = this._turnKey(state);
+    let turn = this.turns.get(gameId);
+
+    if (!turn || turn.turnKey !== turnKey) {
+      this.clear(gameId);
+      turn = { turnKey, playerIndex: state.currentPlayer, deadline: null, remainingMs: turnMs, timer: null };
+      this.turns.set(gameId, turn);
+    }
+
+    if (state.turnTimerPaused) {
+      if (turn.timer) {
+        clearTimeout(turn.timer);
+        turn.timer = null;
+        turn.remainingMs = Math.max(0, turn.deadline - this.now());
+        turn.deadline = null;
+      }
+    } else if (!turn.timer) {
+      turn.deadline = this.now() + turn.remainingMs;
+      turn.timer = setTimeout(() => this._expire(gameId, turnKey), turn.remainingMs);
+      if (turn.timer.unref) turn.timer.unref();
+    }
+
+    this._stamp(state, turn, turnMs);
+    return state;
+  }
+
+  _stamp(state, turn, turnMs = null) {
+    state.turnDurationMs = turn ? turnMs : null;
+    state.turnDeadline = turn ? turn.deadline : null;
+    state.turnRemainingMs = turn
+      ? (turn.deadline === null ? turn.remainingMs : Math.max(0, turn.deadline - this.now()))
+      : null;
+  }
+
+  _expire(gameId, turnKey) {
+    const turn = this.turns.get(gameId);
+    if (!turn || turn.turnKey !== turnKey) return;
+    this.turns.delete(gameId);
+
+    console.log(`[TurnTimer] Game ${gameId}: player ${turn.playerIndex} ran out of time`);
+    try {
+      this.onExpire(gameId, turn.playerIndex);
+    } catch (err) {
+      console.error(`[TurnTimer] Timeout handling failed for game ${gameId}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Deadline of a game's current turn, or null if none is running
+   */
+  getDeadline(gameId) {
+    return this.turns.get(gameId)?.deadline ?? null;
+  }
+
+  /**
+   * Stop timing a game (game over or removed)
+   */
+  clear(gameId) {
+    const turn = this.turns.get(gameId);
+    if (turn?.timer) clearTimeout(turn.timer);
+    this.turns.delete(gameId);
+  }
+
+  /**
+   * Clear every timer (server shutdown)
+   */
+  shutdown() {
+    for (const gameId of [...this.turns.keys()]) {
+      this.clear(gameId);
+    }
+  }
+}
+
+module.exports = TurnTimerService;
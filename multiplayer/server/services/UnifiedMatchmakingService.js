@@ -2,25 +2,45 @@
  * UnifiedMatchmakingService
  * Centralized matchmaking service that handles all game types
  * Uses QueueManager for queue operations and SocketRegistry for socket mappings
+ * Ranked queues (RankedQueueManager) group players by skill rating instead of arrival order
  */
 
 const QueueManager = require("./QueueManager");
+const RankedQueueManager = require("./RankedQueueManager");
+const GameStats = require("../models/GameStats");
+const { MODE_ID_TO_KEY } = require("../../../shared/config/gameModes");
 const SocketRegistry = require("./SocketRegistry");
 const CleanupScheduler = require("./CleanupScheduler");
 const GameFactory = require("./GameFactory");
 
+// How often ranked queues are re-checked as search windows widen
+const RANKED_PASS_INTERVAL_MS = 5000;
+
 class UnifiedMatchmakingService {
   constructor(gameManager, io = null) {
     this.gameManager = gameManager;
     this.io = io;
 
     this.queueManager = new QueueManager(gameManager);
+    this.rankedQueue = new RankedQueueManager();
+    this.rankedInterval = null;
+    // Sockets whose rating is still being looked up before they join a ranked queue (socketId -> userId)
+    this.pendingRanked = new Map();
     this.socketRegistry = new SocketRegistry();
     this.gameFactory = new GameFactory(gameManager);
     this.cleanupScheduler = new CleanupScheduler(this.queueManager, this.socketRegistry);
     this.cleanupScheduler.start();
   }
 
+  /**
+   * Keep players who blocked each other out of the same casual and ranked games
+   * @param {BlockListService} blockList
+   */
+  setBlockList(blockList) {
+    this.queueManager.blockList = blockList;
+    this.rankedQueue.blockList = blockList;
+  }
+
   get socketGameMap() {
     return this.socketRegistry.socketGameMap;
   }
@@ -61,6 +81,82 @@ class UnifiedMatchmakingService {
     return this._createGame(gameType, playerEntries);
   }
 
+  /**
+   * Queue a signed-in player for a ranked game
+   * The socket is held in pendingRanked during the rating lookup so a repeated
+   * join can't queue it twice. A user already queued or playing on another
+   * socket isn't queued again.
+   * @returns {Promise<object|null>} Created game (as addToQueue), or null while waiting
+   * @throws {Error} If the rating lookup fails (the socket isn't queued)
+   */
+  async addToRankedQueue(socket, gameType, userId) {
+    if (this.socketRegistry.get(socket.id) || this.pendingRanked.has(socket.id)) {
+      console.log('[Matchmaking] Socket', socket.id, 'already in queue/game, skipping');
+      return null;
+    }
+    if (this.isUserInQueue(userId) || this.isUserInGame(userId)) {
+      console.log('[Matchmaking] User', userId, 'already in queue/game on another socket, skipping');
+      return null;
+    }
+
+    this.pendingRanked.set(socket.id, userId);
+    let rating;
+    try {
+      [rating] = await GameStats.getRatings([userId], MODE_ID_TO_KEY[gameType]);
+    } finally {
+      this.pendingRanked.delete(socket.id);
+    }
+
+    // Left, got into a game or queued elsewhere while the rating was looked up
+    if (socket.connected === false || this.socketRegistry.get(socket.id)
+      || this.isUserInQueue(userId) || this.isUserInGame(userId)) {
+      console.log('[Matchmaking] Socket', socket.id, 'no longer waiting for ranked, skipping');
+      return null;
+    }
+
+    this.socketRegistry.set(socket.id, null, gameType, userId);
+    this.rankedQueue.addToQueue(socket, gameType, userId, rating);
+
+    const playerEntries = this.rankedQueue.findMatch(gameType);
+    return playerEntries ? this._createRankedGame(gameType, playerEntries) : null;
+  }
+
+  _createRankedGame(gameType, playerEntries) {
+    const result = this._createGame(gameType, playerEntries);
+    if (result) result.gameState.ranked = true;
+    return result;
+  }
+
+  /**
+   * Re-check ranked queues every RANKED_PASS_INTERVAL_MS
+   * @param {object} handlers
+   * @param {Function} handlers.onMatch - (gameType, gameResult) for each game formed
+   * @param {Function} handlers.onWaiting - (gameType) for each queue still waiting
+   */
+  startRankedMatching({ onMatch, onWaiting }, intervalMs = RANKED_PASS_INTERVAL_MS) {
+    if (this.rankedInterval) return;
+    this.rankedInterval = setInterval(() => this.processRankedQueues(onMatch, onWaiting), intervalMs);
+    if (this.rankedInterval.unref) this.rankedInterval.unref();
+  }
+
+  /**
+   * One pass over every ranked queue: drop disconnected players, form every
+   * group that fits and report the queues still waiting
+   */
+  processRankedQueues(onMatch, onWaiting) {
+    for (const gameType of Object.keys(this.rankedQueue.queues)) {
+      this.rankedQueue.evictDisconnected(gameType).forEach(entry => this.socketRegistry.delete(entry.id));
+
+      let playerEntries;
+      while ((playerEntries = this.rankedQueue.findMatch(gameType))) {
+        const result = this._createRankedGame(gameType, playerEntries);
+        if (result) onMatch?.(gameType, result);
+      }
+
+      if (this.rankedQueue.getWaitingCount(gameType) > 0) onWaiting?.(gameType);
+    }
+  }
+
   _createGame(gameType, playerEntries) {
     console.log('[Matchmaking] _createGame called, gameType:', gameType, 'players:', playerEntries?.length);
     const result = this.gameFactory.createGame(gameType, playerEntries);
@@ -94,6 +190,7 @@ class UnifiedMatchmakingService {
   }
 
   handleDisconnection(socket) {
+    this.rankedQueue.removeFromQueue(socket.id);
     return this.socketRegistry.handleDisconnection(socket, this.gameManager);
   }
 
@@ -138,12 +235,20 @@ class UnifiedMatchmakingService {
     return this.queueManager.broadcastWaitingUpdate(gameType);
   }
 
+  /**
+   * Whether a user waits in a casual or ranked queue on any socket
+   */
   isUserInQueue(userId) {
-    return this.socketRegistry.isUserInQueue(userId, this.queueManager);
+    if (!userId) return false;
+    return this.socketRegistry.isUserInQueue(userId, this.queueManager)
+      || this.rankedQueue.isUserInQueue(userId) !== null
+      || [...this.pendingRanked.values()].includes(userId);
   }
 
   isSocketInQueue(socketId, queueManager) {
-    return queueManager.isInQueue(socketId) !== null;
+    return queueManager.isInQueue(socketId) !== null
+      || this.rankedQueue.isInQueue(socketId) !== null
+      || this.pendingRanked.has(socketId);
   }
 
   isUserInGame(userId) {
@@ -157,6 +262,10 @@ class UnifiedMatchmakingService {
 
   shutdown() {
     this.cleanupScheduler.stop();
+    if (this.rankedInterval) {
+      clearInterval(this.rankedInterval);
+      this.rankedInterval = null;
+    }
   }
 }
 
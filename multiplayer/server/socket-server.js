@@ -13,20 +13,30 @@ const os = require('os');
 
 // Database
 const db = require('./db/connection');
+const { createGameStore } = require('./persistence');
 
 // Routes
-const { authRoutes, profileRoutes, gameRoutes, friendsRoutes, usersRoutes, statsRoutes } = require('./routes');
+const { authRoutes, profileRoutes, gameRoutes, friendsRoutes, usersRoutes, statsRoutes, tournamentRoutes, puzzleRoutes } = require('./routes');
 
 // Services
 const UnifiedMatchmakingService = require('./services/UnifiedMatchmakingService');
 const RoomService = require('./services/RoomService');
 const BroadcasterService = require('./services/BroadcasterService');
 const GameCoordinatorService = require('./services/GameCoordinatorService');
+const ReconnectionService = require('./services/ReconnectionService');
+const TournamentScheduler = require('./services/TournamentScheduler');
+const ChatService = require('./services/ChatService');
+const RoomInviteService = require('./services/RoomInviteService');
+const PresenceService = require('./services/PresenceService');
+const BlockListService = require('./services/BlockListService');
+const Session = require('./models/Session');
 const GameManager = require('./game/GameManager');
 const ActionRouter = require('./game/ActionRouter');
 
 // Socket handlers
 const { attachSocketHandlers } = require('./socket/handlers');
+const { createBroadcastHelpers } = require('./socket/handlers/broadcast');
+const { resolveIdentity, applyIdentity, identityPayload } = require('./socket/identity');
 
 // ── HTTP + Socket.IO setup ──
 const app = express();
@@ -35,34 +45,19 @@ const io = new Server(server, {
   cors: { origin: '*', methods: ['GET', 'POST'] },
 });
 
-// Socket.IO middleware - extract userId from auth cookie
-const User = require('./models/User');
-io.use(async (socket, next) => {
+// Socket.IO middleware - identity from a verified token (cookie or handshake auth), else a server-issued guest ID
+io.use((socket, next) => {
   try {
-    const cookieHeader = socket.handshake.headers.cookie;
-    if (cookieHeader) {
-      const cookies = cookieHeader.split(';').reduce((acc, cookie) => {
-        const [key, value] = cookie.trim().split('=');
-        acc[key] = value;
-        return acc;
-      }, {});
-      
-      const authToken = cookies['auth_token'];
-      if (authToken) {
-        const decoded = User.verifyToken(authToken);
-        if (decoded) {
-          socket.userId = decoded.userId;
-          console.log('[Socket.io middleware] Socket', socket.id, 'authenticated as', socket.userId);
-        }
-      }
-    }
-    if (!socket.userId) {
-      console.log('[Socket.io middleware] Socket', socket.id, 'guest (no auth cookie)');
+    applyIdentity(socket, resolveIdentity(socket.handshake));
+    if (socket.userId) {
+      console.log('[Socket.io middleware] Socket', socket.id, 'authenticated as', socket.userId);
+    } else {
+      console.log('[Socket.io middleware] Socket', socket.id, 'guest', socket.guestId);
     }
     next();
   } catch (err) {
     console.error('[Socket.io middleware] Error:', err.message);
-    next();
+    next(new Error('Authentication failed'));
   }
 });
 
@@ -71,6 +66,15 @@ app.use(cors({ origin: true, credentials: true }));
 app.use(cookieParser());
 app.use(express.json());
 app.use((req, res, next) => { req.io = io; next(); });
+// Tournaments, room invites, presence and block lists live in memory, so their routes read them from the services
+app.use((req, res, next) => {
+  req.bracketTournaments = coordinator?.bracketCoordinator || null;
+  req.tournamentScheduler = tournamentScheduler || null;
+  req.roomInvites = roomInvites || null;
+  req.presence = presence || null;
+  req.blockList = blockList || null;
+  next();
+});
 
 const HEARTBEAT_TIMEOUT_MS = 15000;
 
@@ -87,12 +91,14 @@ app.use('/api/game', gameRoutes);
 app.use('/api/friends', friendsRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/tournaments', tournamentRoutes);
+app.use('/api/puzzles', puzzleRoutes);
 app.get('/health', (req, res) => res.json({ status: 'ok', timestamp: new Date().toISOString() }));
 
 const PORT = process.env.PORT || 3001;
 
 // ── Service instances ──
-let gameManager, actionRouter, unifiedMatchmaking, roomService, broadcaster, coordinator;
+let gameManager, actionRouter, unifiedMatchmaking, roomService, broadcaster, coordinator, reconnection, tournamentScheduler, chat, roomInvites, presence, blockList;
 
 // ── Connection handling ──
 io.on('connection', socket => {
@@ -104,8 +110,13 @@ io.on('connection', socket => {
     socket.emit('heartbeat-ack');
   });
 
-  const services = { io, gameManager, roomService, unifiedMatchmaking, broadcaster, coordinator };
+  // Guests keep the token so they get the same guest ID back after reconnecting
+  socket.emit('identity', identityPayload(socket));
+
+  const services = { io, gameManager, roomService, unifiedMatchmaking, broadcaster, coordinator, reconnection, chat, roomInvites, presence, blockList };
   attachSocketHandlers(socket, services);
+  presence?.handleConnect(socket);
+  blockList?.handleConnect(socket);
 });
 
 // ── Server control ──
@@ -123,13 +134,56 @@ async function startServer() {
   try { await db.connect(); console.log('[Server] ✅ MongoDB connected'); }
   catch (e) { console.error('[Server] ❌ MongoDB error:', e.message); }
 
-  gameManager = new GameManager();
+  // Access tokens of recently revoked sessions stay refused across restarts
+  if (db.isConnected()) {
+    try { await Session.loadRecentlyRevoked(); }
+    catch (e) { console.error('[Server] ❌ Failed to load revoked sessions:', e.message); }
+  }
+
+  // Live games go to Mongo when it's reachable; otherwise they only live in memory
+  const gameStore = createGameStore(process.env.GAME_STORE || (db.isConnected() ? 'mongo' : 'memory'));
+  gameManager = new GameManager({ store: gameStore });
   actionRouter = new ActionRouter(gameManager);
   unifiedMatchmaking = new UnifiedMatchmakingService(gameManager, io);
   roomService = new RoomService(gameManager, unifiedMatchmaking, null, io);
   broadcaster = new BroadcasterService(unifiedMatchmaking, gameManager, io);
   coordinator = new GameCoordinatorService(gameManager, actionRouter, unifiedMatchmaking, broadcaster, io);
   roomService.broadcaster = broadcaster; // Wire broadcaster to roomService
+  broadcaster.turnTimer = coordinator.turnTimer; // Every broadcast carries the turn deadline
+  reconnection = new ReconnectionService(gameManager, unifiedMatchmaking, broadcaster, io);
+  chat = new ChatService(gameManager, unifiedMatchmaking, io);
+
+  // Players who blocked each other aren't matched, seated in the same room or befriended
+  blockList = new BlockListService();
+  unifiedMatchmaking.setBlockList(blockList);
+  roomService.blockList = blockList;
+
+  // Invites expire when they time out or their room fills, so they're swept on a timer
+  roomInvites = new RoomInviteService(roomService, io);
+  roomInvites.start();
+
+  // Friends see each other's presence; queue and game changes are picked up on a timer
+  presence = new PresenceService(unifiedMatchmaking, roomService, gameManager, io);
+  presence.start();
+
+  // Ranked queues widen their search windows over time, so they're re-checked on a timer
+  const { broadcastQueueState } = createBroadcastHelpers(unifiedMatchmaking, io);
+  unifiedMatchmaking.startRankedMatching({
+    onMatch: (gameType, result) => broadcaster.broadcastGameStartForType(gameType, result),
+    onWaiting: gameType => broadcastQueueState(gameType, { ranked: true }),
+  });
+
+  // Scheduled tournaments open check-in and start on a timer
+  tournamentScheduler = new TournamentScheduler(coordinator.bracketCoordinator, io);
+  tournamentScheduler.start();
+
+  // Restore unfinished games and hold their seats until the players reconnect
+  try {
+    const rehydrated = await gameManager.rehydrate();
+    rehydrated.forEach(({ gameId }) => reconnection.holdRehydratedGame(gameId));
+  } catch (e) {
+    console.error('[Server] ❌ Failed to rehydrate games:', e.message);
+  }
 
   server.listen(PORT, '0.0.0.0', () => {
     const lanIp = getLocalIPAddress();
@@ -147,6 +201,23 @@ function stopServer() {
   if (unifiedMatchmaking) {
     unifiedMatchmaking.shutdown();
   }
+  if (reconnection) {
+    reconnection.shutdown();
+  }
+  if (coordinator) {
+    coordinator.turnTimer.shutdown();
+    coordinator.matchCoordinator.shutdown();
+    coordinator.bracketCoordinator.shutdown();
+  }
+  if (tournamentScheduler) {
+    tournamentScheduler.shutdown();
+  }
+  if (roomInvites) {
+    roomInvites.shutdown();
+  }
+  if (presence) {
+    presence.shutdown();
+  }
   if (server.listening) server.close(); 
 }
 function getIO() { return io; }
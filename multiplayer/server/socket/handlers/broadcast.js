@@ -176,7 +176,10 @@ function createBroadcastHelpers(unifiedMatchmaking, io) {
     });
   }
 
-  async function broadcastQueueState(gameType) {
+  async function broadcastQueueState(gameType, options = {}) {
+    if (options.ranked) {
+      return broadcastRankedQueueState(gameType);
+    }
     console.log('[Broadcast] broadcastQueueState called, gameType:', gameType);
     const queue = queueManager.waitingQueues[gameType];
     if (!queue || queue.length === 0) {
@@ -218,6 +221,37 @@ function createBroadcastHelpers(unifiedMatchmaking, io) {
     console.log(`[Broadcast] queue-state-update sent to ${queue.length} players for ${gameType}`);
   }
 
+  // Ranked queues match by rating, so each player gets their own search window and wait estimate
+  async function broadcastRankedQueueState(gameType) {
+    const rankedQueue = unifiedMatchmaking.rankedQueue;
+    const queue = rankedQueue.queues[gameType];
+    if (!queue || queue.length === 0) return;
+
+    const validUserIds = queue.map(entry => entry.userId).filter(isValidObjectId);
+    const players = await PlayerProfile.getPlayerInfos(validUserIds);
+
+    queue.forEach((entry, index) => {
+      const playerInfo = players.find(p => p.userId === entry.userId) || {
+        userId: entry.userId || `guest_${index + 1}`,
+        username: '',
+        avatar: 'lion'
+      };
+      entry.socket.emit('queue-state-update', {
+        gameType,
+        ranked: true,
+        requiredPlayers: rankedQueue.getRequiredPlayers(gameType),
+        players: [playerInfo],
+        waitingCount: queue.length,
+        rating: Math.round(entry.rating),
+        ratingWindow: Math.round(rankedQueue.getSearchWindow(entry)),
+        estimatedWaitMs: rankedQueue.getEstimatedWaitMs(gameType, entry),
+        roomCode: null
+      });
+    });
+
+    console.log(`[Broadcast] ranked queue-state-update sent to ${queue.length} players for ${gameType}`);
+  }
+
   return {
     broadcastTwoHandsWaiting,
     broadcastPartyWaiting,
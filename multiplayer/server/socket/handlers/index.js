@@ -6,9 +6,11 @@
 const PlayerProfile = require('../../models/PlayerProfile');
 const { createBroadcastHelpers } = require('./broadcast');
 const TournamentCoordinator = require('../../services/TournamentCoordinator');
+const { projectStateForPlayer } = require('../../../../shared/game/stateProjection');
+const { authenticateSocket, identityPayload, playerIdFor } = require('../identity');
 
 function attachSocketHandlers(socket, services) {
-  const { unifiedMatchmaking, roomService, gameManager, broadcaster, coordinator, io } = services;
+  const { unifiedMatchmaking, roomService, gameManager, broadcaster, coordinator, reconnection, chat, roomInvites, presence, blockList, io } = services;
   const tournamentCoordinator = coordinator?.tournamentCoordinator || new TournamentCoordinator(gameManager, unifiedMatchmaking, broadcaster, io);
   const {
     broadcastTwoHandsWaiting,
@@ -20,11 +22,24 @@ function attachSocketHandlers(socket, services) {
   } = createBroadcastHelpers(unifiedMatchmaking, services.io);
 
   // ── Authentication ─────────────────────────────────────────────────────────
-  socket.on('authenticate', (userId) => {
-    if (userId) {
-      socket.userId = userId;
-      socket.join(`user:${userId}`);
+  // Only a verified token signs a socket in; a claimed userId is never trusted
+  socket.on('authenticate', (data) => {
+    const token = typeof data === 'string' ? data : data?.token;
+    const wasGuest = !socket.userId;
+    const isBusy = !!unifiedMatchmaking.socketRegistry.get(socket.id) || roomService.socketRoomMap.has(socket.id);
+
+    const result = authenticateSocket(socket, token, { isBusy });
+    if (!result.success) {
+      console.warn(`[Socket] ${socket.id} authenticate rejected: ${result.error}`);
+      socket.emit('auth-error', { message: result.error });
+      return;
     }
+
+    if (wasGuest) {
+      presence?.handleConnect(socket);
+      blockList?.handleConnect(socket);
+    }
+    socket.emit('identity', identityPayload(socket));
   });
 
   socket.on('disconnecting', () => { /* Socket auto-leaves rooms on disconnect */ });
@@ -40,11 +55,12 @@ function attachSocketHandlers(socket, services) {
   const removeFromAllQueues = () => {
     unifiedMatchmaking.socketRegistry.delete(socket.id);
     unifiedMatchmaking.queueManager.removeFromQueue(socket.id);
+    unifiedMatchmaking.rankedQueue.removeFromQueue(socket.id);
   };
 
   // ── Matchmaking Queue Handlers ────────────────────────────────────────
   socket.on('join-two-hands-queue', async () => {
-    const playerId = socket.userId || socket.id;
+    const playerId = playerIdFor(socket);
 
     if (unifiedMatchmaking.isSocketInQueue(socket.id, unifiedMatchmaking.queueManager)) {
       socket.emit('error', { message: 'You are already in a queue' });
@@ -67,7 +83,7 @@ function attachSocketHandlers(socket, services) {
 
   socket.on('join-party-queue', async () => {
     console.log(`[Socket] join-party-queue received from ${socket.id}, userId: ${socket.userId}`);
-    const playerId = socket.userId || socket.id;
+    const playerId = playerIdFor(socket);
 
     if (unifiedMatchmaking.isSocketInQueue(socket.id, unifiedMatchmaking.queueManager)) {
       console.log(`[Socket] ${socket.id} already in queue, ignoring duplicate`);
@@ -92,7 +108,7 @@ function attachSocketHandlers(socket, services) {
 
   socket.on('join-three-hands-queue', async () => {
     console.log('[Server] join-three-hands-queue, userId:', socket.userId);
-    const playerId = socket.userId || socket.id;
+    const playerId = playerIdFor(socket);
 
     if (unifiedMatchmaking.isSocketInQueue(socket.id, unifiedMatchmaking.queueManager)) {
       socket.emit('error', { message: 'You are already in a queue' });
@@ -118,7 +134,7 @@ function attachSocketHandlers(socket, services) {
 
   socket.on('join-four-hands-queue', async () => {
     console.log(`[Socket] join-four-hands-queue received from ${socket.id}, userId: ${socket.userId}`);
-    const playerId = socket.userId || socket.id;
+    const playerId = playerIdFor(socket);
     
     if (unifiedMatchmaking.isSocketInQueue(socket.id, unifiedMatchmaking.queueManager)) {
       console.log(`[Socket] ${socket.id} already in queue, ignoring duplicate`);
@@ -142,7 +158,7 @@ function attachSocketHandlers(socket, services) {
 
   socket.on('join-tournament-queue', async () => {
     console.log(`[Socket] join-tournament-queue received from ${socket.id}, userId: ${socket.userId}`);
-    const playerId = socket.userId || socket.id;
+    const playerId = playerIdFor(socket);
     
     if (unifiedMatchmaking.isSocketInQueue(socket.id, unifiedMatchmaking.queueManager)) {
       console.log(`[Socket] ${socket.id} already in queue, ignoring duplicate`);
@@ -188,8 +204,9 @@ function attachSocketHandlers(socket, services) {
         const player = players[i];
         player.socket.emit('game-start', {
           gameId,
-          gameState,
+          gameState: projectStateForPlayer(gameState, i),
           playerNumber: i,
+          resumeToken: gameManager.getResumeToken(gameId, i),
           playerInfos: gameState.players.map((p, idx) => ({
             playerNumber: idx,
             userId: p.userId,
@@ -211,14 +228,118 @@ function attachSocketHandlers(socket, services) {
     }
   });
 
+  // Ranked queue: matched by skill rating, signed-in players only
+  socket.on('join-ranked-queue', async (data = {}) => {
+    const gameType = data?.gameType;
+    console.log(`[Socket] join-ranked-queue (${gameType}) received from ${socket.id}, userId: ${socket.userId}`);
+
+    if (!unifiedMatchmaking.rankedQueue.isRankedGameType(gameType)) {
+      socket.emit('error', { message: `Ranked play is not available for ${gameType}` });
+      return;
+    }
+
+    if (!socket.userId) {
+      socket.emit('error', { message: 'Sign in to play ranked games' });
+      return;
+    }
+
+    if (unifiedMatchmaking.isSocketInQueue(socket.id, unifiedMatchmaking.queueManager)) {
+      socket.emit('error', { message: 'You are already in a queue' });
+      return;
+    }
+
+    if (unifiedMatchmaking.isSocketInGame(socket.id)) {
+      socket.emit('error', { message: 'You are already in a game' });
+      return;
+    }
+
+    // The same account on another device or tab
+    if (unifiedMatchmaking.isUserInQueue(socket.userId)) {
+      socket.emit('error', { message: 'You are already in a queue on another device' });
+      return;
+    }
+
+    if (unifiedMatchmaking.isUserInGame(socket.userId)) {
+      socket.emit('error', { message: 'You are already in a game on another device' });
+      return;
+    }
+
+    removeFromAllQueues();
+    try {
+      const result = await unifiedMatchmaking.addToRankedQueue(socket, gameType, socket.userId);
+      if (result) {
+        await broadcaster.broadcastGameStartForType(gameType, result);
+      } else {
+        await broadcastQueueState(gameType, { ranked: true });
+      }
+    } catch (error) {
+      console.error('[Socket] join-ranked-queue failed:', error.message);
+      socket.emit('error', { message: 'Could not join the ranked queue' });
+    }
+  });
+
+  // ── Bracket Tournaments ─────────────────────────────────────────────────
+  // Knockout brackets of 8, 16 or 32 signed-in players (BracketTournamentCoordinator)
+  const bracketCoordinator = coordinator?.bracketCoordinator;
+
+  // Entrants get bracket-update from the coordinator; only failures are answered here
+  function sendBracketResult(result) {
+    if (!result.success) socket.emit('error', { message: result.error });
+  }
+
+  socket.on('create-bracket-tournament', (data = {}) => {
+    if (!bracketCoordinator) return;
+    if (unifiedMatchmaking.isSocketInGame(socket.id)) {
+      socket.emit('error', { message: 'You are already in a game' });
+      return;
+    }
+    removeFromAllQueues();
+    sendBracketResult(bracketCoordinator.createTournament(socket, Number(data?.size)));
+  });
+
+  socket.on('join-bracket-tournament', async (data = {}) => {
+    if (!bracketCoordinator) return;
+    if (unifiedMatchmaking.isSocketInGame(socket.id)) {
+      socket.emit('error', { message: 'You are already in a game' });
+      return;
+    }
+    removeFromAllQueues();
+    sendBracketResult(await bracketCoordinator.joinTournament(socket, data?.tournamentId));
+  });
+
+  socket.on('leave-bracket-tournament', (data = {}) => {
+    if (!bracketCoordinator) return;
+    sendBracketResult(bracketCoordinator.leaveTournament(socket, data?.tournamentId));
+  });
+
+  socket.on('start-bracket-tournament', async (data = {}) => {
+    if (!bracketCoordinator) return;
+    sendBracketResult(await bracketCoordinator.startTournament(data?.tournamentId, socket));
+  });
+
   // ── Room Management Handlers ──────────────────────────────────────────
   socket.on('create-room', (data) => {
     removeFromAllQueues();
-    const { gameMode, maxPlayers } = data;
-    const result = roomService.createRoom(socket, gameMode, maxPlayers);
+    const { gameMode, maxPlayers, turnSettings, rules } = data;
+    const result = roomService.createRoom(socket, gameMode, maxPlayers, turnSettings, rules);
     if (result.roomCode) {
-      socket.emit('room-created', { roomCode: result.roomCode, room: result.room });
+      socket.emit('room-created', { roomCode: result.roomCode, room: roomService.getRoomStatus(result.roomCode) });
+    } else {
+      socket.emit('room-error', { message: result.error });
+    }
+  });
+
+  // Host picks the turn length / timeout policy and house rules before starting
+  socket.on('update-room-settings', (data) => {
+    const result = roomService.updateRoomSettings(socket, data?.turnSettings || {}, data?.rules || null);
+    if (!result.success) {
+      socket.emit('room-error', { message: result.error });
+      return;
     }
+    result.room.players.forEach(player => {
+      const pSocket = services.io.sockets.sockets.get(player.socketId);
+      if (pSocket) pSocket.emit('room-updated', { room: result.room });
+    });
   });
 
   socket.on('join-room', async (data) => {
@@ -239,6 +360,8 @@ function attachSocketHandlers(socket, services) {
         });
         
         if (room.status === 'ready') {
+          roomInvites?.expireForRoom(room.code);
+
           const ghostPlayers = room.players.filter(p => {
             const s = services.io.sockets.sockets.get(p.socketId);
             return !s || !s.connected;
@@ -285,6 +408,37 @@ function attachSocketHandlers(socket, services) {
     }
   });
 
+  // Invite a friend into this socket's room; they get a live `room-invite`
+  socket.on('invite-to-room', async (data) => {
+    data = data || {};
+    const room = roomService.getRoomBySocket(socket.id);
+    if (!room) {
+      socket.emit('room-error', { message: 'Not in a room' });
+      return;
+    }
+    try {
+      const result = await roomInvites.invite(socket.userId, data.friendId, room.code);
+      if (result.success) {
+        socket.emit('room-invite-sent', { invite: result.invite });
+      } else {
+        socket.emit('room-error', { message: result.error });
+      }
+    } catch (error) {
+      console.error('[Socket] invite-to-room failed:', error.message);
+      socket.emit('room-error', { message: 'Could not send the invite' });
+    }
+  });
+
+  socket.on('respond-room-invite', (data) => {
+    data = data || {};
+    const result = roomInvites.respond(socket.userId, data.inviteId, !!data.accept);
+    if (result.success) {
+      socket.emit('room-invite-answered', { invite: result.invite });
+    } else {
+      socket.emit('room-error', { message: result.error });
+    }
+  });
+
   socket.on('room-status', (data) => {
     const room = roomService.getRoomStatus(data.roomCode);
     if (room) {
@@ -335,6 +489,17 @@ function attachSocketHandlers(socket, services) {
   socket.on('drag-stack-end', (data) => coordinator.handleDragStackEnd(socket, data));
   socket.on('get-player-stats', (data) => coordinator.handleGetPlayerStats(socket, data));
 
+  // ── In-game Chat ──────────────────────────────────────────────────────
+  socket.on('game-chat', async (data = {}) => {
+    const result = await chat.sendMessage(socket, data);
+    if (!result.success) socket.emit('chat-error', { message: result.error });
+  });
+
+  socket.on('game-emote', async (data = {}) => {
+    const result = await chat.sendEmote(socket, data);
+    if (!result.success) socket.emit('chat-error', { message: result.error });
+  });
+
   // ── Client Ready Handler ──────────────────────────────────────────────
   socket.on('client-ready', (data) => {
     const { gameId, playerIndex } = data;
@@ -379,7 +544,23 @@ function attachSocketHandlers(socket, services) {
       socket.emit('error', { message: 'Game not found' });
       return;
     }
-    socket.emit('game-state-sync', { gameState: state, serverTime: Date.now() });
+    const playerIndex = gameManager.socketPlayerMap?.get(gameId)?.get(socket.id);
+    socket.emit('game-state-sync', {
+      gameState: projectStateForPlayer(state, playerIndex),
+      serverTime: Date.now(),
+    });
+  });
+
+  // ── Reconnect & Resume ────────────────────────────────────────────────
+  socket.on('rejoin-game', (data = {}) => {
+    if (!reconnection) {
+      socket.emit('error', { message: 'rejoin-game: reconnection is not available' });
+      return;
+    }
+    const result = reconnection.rejoin(socket, data);
+    if (!result.success) {
+      socket.emit('rejoin-failed', { message: result.error });
+    }
   });
 
   socket.on('request-lobby-status', async () => {
@@ -391,6 +572,12 @@ function attachSocketHandlers(socket, services) {
       'tournament': { event: 'tournament-waiting', broadcast: broadcastTournamentWaiting },
     };
     
+    const inRankedQueue = unifiedMatchmaking.rankedQueue.isInQueue(socket.id);
+    if (inRankedQueue) {
+      await broadcastQueueState(inRankedQueue.gameType, { ranked: true });
+      return;
+    }
+
     for (const [mode, config] of Object.entries(queueMap)) {
       const inQueue = unifiedMatchmaking.queueManager.isInQueue(socket.id);
       if (inQueue && inQueue.gameType === mode) {
@@ -402,6 +589,9 @@ function attachSocketHandlers(socket, services) {
 
   // ── Disconnect Handler ────────────────────────────────────────────────
   socket.on('disconnect', () => {
+    chat?.handleDisconnect(socket.id);
+    presence?.handleDisconnect(socket);
+
     const roomResult = roomService.handleDisconnection(socket);
     if (roomResult && !roomResult.gameStarted) {
       const room = roomService.getRoomStatus(roomResult.roomCode);
@@ -413,6 +603,11 @@ function attachSocketHandlers(socket, services) {
       }
     }
     
+    // Running games hold the seat for a grace window instead of ending
+    if (reconnection?.holdSeat(socket)) {
+      return;
+    }
+
     const result = unifiedMatchmaking.handleDisconnection(socket);
     if (result) {
       broadcaster.broadcastDisconnection(result.gameId, socket.id);
@@ -0,0 +1,130 @@
+/**
+ * identity.js
+ * Works out who a socket belongs to from verified credentials only.
+ *
+ * A socket is either a signed-in user (auth cookie or handshake `auth.token`,
+ * checked with User.verifyToken) or a guest with a server-issued guest ID.
+ * Guests get a signed guest token with their ID so they keep it across
+ * reconnects. Once set, a socket's identity doesn't change: the only
+ * exception is an idle guest signing in. Signed-in sockets join a
+ * `session:<id>` room so revoking the session can disconnect them.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+
+const GUEST_ID_PREFIX = 'guest_';
+
+function readCookie(cookieHeader, name) {
+  if (!cookieHeader) return null;
+  for (const cookie of cookieHeader.split(';')) {
+    const [key, ...rest] = cookie.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+function createGuestId() {
+  return `${GUEST_ID_PREFIX}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Identity for a new connection, from its handshake
+ * @param {object} handshake - socket.handshake
+ * @returns {{ userId: string|null, sessionId?: string, guestId: string|null, guestToken?: string }}
+ */
+function resolveIdentity(handshake) {
+  const token = handshake?.auth?.token || readCookie(handshake?.headers?.cookie, 'auth_token');
+  const decoded = token ? User.verifyToken(token) : null;
+  if (decoded) {
+    return { userId: String(decoded.userId), sessionId: String(decoded.sid), guestId: null };
+  }
+
+  // Returning guests keep their ID; anyone else gets a new one
+  const guestToken = handshake?.auth?.guestToken;
+  const guestId = guestToken ? User.verifyGuestToken(guestToken) : null;
+  if (guestId) {
+    return { userId: null, guestId, guestToken };
+  }
+
+  const newGuestId = createGuestId();
+  return { userId: null, guestId: newGuestId, guestToken: User.generateGuestToken(newGuestId) };
+}
+
+/**
+ * Attach an identity to a socket
+ * Signed-in sockets join their `user:<id>` room for per-user notifications
+ * and their `session:<id>` room.
+ */
+function applyIdentity(socket, identity) {
+  socket.userId = identity.userId || null;
+  socket.sessionId = identity.userId ? identity.sessionId || null : null;
+  socket.guestId = identity.userId ? null : identity.guestId;
+  socket.guestToken = identity.userId ? null : identity.guestToken || null;
+  socket.isGuest = !identity.userId;
+  if (socket.userId) {
+    socket.join(`user:${socket.userId}`);
+  }
+  if (socket.sessionId) {
+    socket.join(`session:${socket.sessionId}`);
+  }
+}
+
+/**
+ * What the client is told about its own identity
+ */
+function identityPayload(socket) {
+  return {
+    userId: socket.userId || null,
+    guestId: socket.guestId || null,
+    isGuest: !!socket.isGuest,
+    ...(socket.guestToken ? { guestToken: socket.guestToken } : {}),
+  };
+}
+
+/**
+ * Sign a live socket in with a token
+ * Re-sending the socket's own token is accepted; a different account is not.
+ * @param {object} socket
+ * @param {string} token - Auth token (JWT)
+ * @param {object} [options]
+ * @param {boolean} [options.isBusy] - Guest is queued, in a room or in a game
+ * @returns {{ success: boolean, userId?: string, error?: string }}
+ */
+function authenticateSocket(socket, token, { isBusy = false } = {}) {
+  const decoded = typeof token === 'string' && token ? User.verifyToken(token) : null;
+  if (!decoded) {
+    return { success: false, error: 'Invalid or expired token' };
+  }
+
+  const userId = String(decoded.userId);
+  if (socket.userId) {
+    return String(socket.userId) === userId
+      ? { success: true, userId }
+      : { success: false, error: 'Identity cannot change on a live connection' };
+  }
+
+  // A guest's queue, room or game seat can't be handed to an account mid-way
+  if (isBusy) {
+    return { success: false, error: 'Leave your queue, room or game before signing in' };
+  }
+
+  applyIdentity(socket, { userId, sessionId: String(decoded.sid), guestId: null });
+  return { success: true, userId };
+}
+
+/**
+ * ID a socket plays under: its user ID, or its guest ID
+ */
+function playerIdFor(socket) {
+  return socket.userId || socket.guestId || socket.id;
+}
+
+module.exports = {
+  GUEST_ID_PREFIX,
+  resolveIdentity,
+  applyIdentity,
+  identityPayload,
+  authenticateSocket,
+  playerIdFor,
+};
@@ -0,0 +1,169 @@
+/**
+ * Knockout Bracket
+ * Single-elimination bracket for 8, 16 or 32 entrants.
+ *
+ * Entrants are seeded 1..n and placed so the top seeds can only meet late
+ * (1 v 8, 4 v 5, 2 v 7, 3 v 6 for 8 slots). A tournament with fewer entrants
+ * than slots fills the empty slots with byes, which go to the top seeds:
+ * a bye match is decided at once and its player moves straight on.
+ *
+ * The bracket is plain data, so it can be sent to clients as is:
+ * { size, rounds: [[match, ...], ...], champion }
+ * match: { id, round, index, players: [player|null, player|null], winner, status, gameId, result }
+ */
+
+const BRACKET_SIZES = [8, 16, 32];
+
+const MATCH_STATUS = {
+  PENDING: 'pending', // waiting for one or both players
+  READY: 'ready', // both players known, table not started yet
+  PLAYING: 'playing',
+  COMPLETE: 'complete',
+  BYE: 'bye',
+};
+
+/**
+ * Seed numbers in slot order, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for 8 slots
+ * @param {number} size - Bracket size (power of two)
+ * @returns {number[]}
+ */
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const mirror = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, mirror - seed]);
+  }
+  return order;
+}
+
+/**
+ * Display name of a round
+ * @param {number} round - 1-based round
+ * @param {number} totalRounds - Rounds in the bracket
+ */
+function getRoundName(round, totalRounds) {
+  const remaining = 2 ** (totalRounds - round + 1);
+  if (remaining === 2) return 'Final';
+  if (remaining === 4) return 'Semi-final';
+  if (remaining === 8) return 'Quarter-final';
+  return `Round of ${remaining}`;
+}
+
+/**
+ * Build a bracket and play out its byes
+ * @param {Array} entrants - [{ id, name, ... }] best seed first
+ * @param {number} size - One of BRACKET_SIZES
+ * @returns {object} Bracket
+ */
+function createBracket(entrants, size) {
+  if (!BRACKET_SIZES.includes(size)) {
+    throw new Error(`createBracket: size must be one of ${BRACKET_SIZES.join(', ')}`);
+  }
+  if (entrants.length < size / 2 + 1 || entrants.length > size) {
+    throw new Error(`createBracket: ${entrants.length} entrants can't fill a bracket of ${size}`);
+  }
+
+  const seeded = entrants.map((entrant, i) => ({ ...entrant, seed: i + 1 }));
+  const slots = seedOrder(size).map(seed => seeded[seed - 1] || null);
+
+  const rounds = [];
+  for (let round = 1, matches = size / 2; matches >= 1; round++, matches /= 2) {
+    rounds.push(Array.from({ length: matches }, (_, index) => ({
+      id: `r${round}m${index + 1}`,
+      round,
+      index,
+      players: round === 1 ? [slots[index * 2], slots[index * 2 + 1]] : [null, null],
+      winner: null,
+      status: MATCH_STATUS.PENDING,
+      gameId: null,
+      result: null,
+    })));
+  }
+
+  const bracket = { size, rounds, champion: null };
+  for (const match of rounds[0]) {
+    const [a, b] = match.players;
+    if (a && b) {
+      match.status = MATCH_STATUS.READY;
+    } else {
+      // Seeding puts at most one bye in a first-round match
+      match.status = MATCH_STATUS.BYE;
+      _advance(bracket, match, a || b);
+    }
+  }
+  return bracket;
+}
+
+function findMatch(bracket, matchId) {
+  for (const round of bracket.rounds) {
+    const match = round.find(m => m.id === matchId);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Move a match winner into their slot of the next round
+ */
+function _advance(bracket, match, winner) {
+  match.winner = winner.id;
+  const nextRound = bracket.rounds[match.round];
+  if (!nextRound) {
+    bracket.champion = winner.id;
+    return null;
+  }
+
+  const next = nextRound[Math.floor(match.index / 2)];
+  next.players[match.index % 2] = winner;
+  if (next.players[0] && next.players[1]) next.status = MATCH_STATUS.READY;
+  return next;
+}
+
+/**
+ * Decide a match
+ * @param {object} bracket - Bracket
+ * @param {string} matchId - Match being decided
+ * @param {string} winnerId - Id of the player who goes through
+ * @param {object} [result] - How it was decided, e.g. { scores, walkover }
+ * @returns {object|null} Next-round match the winner moved into, or null after the final
+ */
+function recordResult(bracket, matchId, winnerId, result = null) {
+  const match = findMatch(bracket, matchId);
+  if (!match) throw new Error(`recordResult: no match ${matchId}`);
+  if (match.winner) throw new Error(`recordResult: match ${matchId} is already decided`);
+
+  const winner = match.players.find(p => p?.id === winnerId);
+  if (!winner) throw new Error(`recordResult: ${winnerId} is not in match ${matchId}`);
+
+  match.status = MATCH_STATUS.COMPLETE;
+  match.result = result;
+  return _advance(bracket, match, winner);
+}
+
+/**
+ * Matches whose players are both known and whose table hasn't started
+ */
+function getReadyMatches(bracket) {
+  return bracket.rounds.flat().filter(m => m.status === MATCH_STATUS.READY);
+}
+
+/**
+ * Round still being played (1-based), or null once the bracket has a champion
+ */
+function getCurrentRound(bracket) {
+  if (bracket.champion) return null;
+  const round = bracket.rounds.find(matches => matches.some(m => !m.winner));
+  return round ? round[0].round : null;
+}
+
+module.exports = {
+  BRACKET_SIZES,
+  MATCH_STATUS,
+  seedOrder,
+  getRoundName,
+  createBracket,
+  findMatch,
+  recordResult,
+  getReadyMatches,
+  getCurrentRound,
+};
@@ -0,0 +1,176 @@
+/**
+ * Skill Rating (Glicko-2)
+ * Per-mode player ratings updated after every rated game.
+ *
+ * A rating is { rating, rd, volatility, games }. rd (rating deviation) is how
+ * sure we are of the rating: it starts high, shrinks with every game and a
+ * player is provisional for their first PROVISIONAL_GAMES games.
+ *
+ * Games with more than two players are rated as rankings: every side plays
+ * every other side once, and a team plays as one opponent with its members'
+ * average rating. Each game counts as one rating period, split evenly
+ * across the opposing sides.
+ */
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 30;
+
+// Games before a rating stops being provisional
+const PROVISIONAL_GAMES = 10;
+
+// Constrains how much the volatility can change in one period
+const TAU = 0.5;
+
+// Glicko-2 scale factor and volatility solver tolerance
+const SCALE = 173.7178;
+const EPSILON = 0.000001;
+
+/**
+ * Rating of a player who hasn't played a mode yet
+ * @returns {object} { rating, rd, volatility, games }
+ */
+function createRating() {
+  return { rating: DEFAULT_RATING, rd: DEFAULT_RD, volatility: DEFAULT_VOLATILITY, games: 0 };
+}
+
+/**
+ * Whether a rating is still in its provisional period
+ * @param {object} [rating] - Rating
+ * @returns {boolean}
+ */
+function isProvisional(rating) {
+  return !rating || (rating.games || 0) < PROVISIONAL_GAMES;
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+/**
+ * New volatility (step 5 of the Glicko-2 paper, Illinois algorithm)
+ */
+function solveVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player over one rating period
+ * @param {object} player - Current rating
+ * @param {Array} results - [{ rating, rd, score, weight? }] per opponent; score is 1, 0.5 or 0
+ * @returns {object} New rating, with games counted up by one
+ */
+function updateRating(player, results) {
+  const current = { ...createRating(), ...player };
+  const mu = (current.rating - DEFAULT_RATING) / SCALE;
+  const phi = current.rd / SCALE;
+
+  if (results.length === 0) {
+    const idlePhi = Math.sqrt(phi * phi + current.volatility * current.volatility);
+    return { ...current, rd: Math.min(DEFAULT_RD, idlePhi * SCALE) };
+  }
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const { rating, rd, score, weight = 1 } of results) {
+    const opponentMu = (rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = rd / SCALE;
+    const E = expectedScore(mu, opponentMu, opponentPhi);
+    vInverse += weight * g(opponentPhi) ** 2 * E * (1 - E);
+    improvement += weight * g(opponentPhi) * (score - E);
+  }
+  const v = 1 / vInverse;
+
+  const volatility = solveVolatility(phi, current.volatility, v, v * improvement);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.min(DEFAULT_RD, Math.max(MIN_RD, newPhi * SCALE)),
+    volatility,
+    games: current.games + 1,
+  };
+}
+
+/**
+ * Rate every player of a finished game
+ * Sides are players in free-for-all games and teams in party games; a
+ * higher points value finishes higher, equal points are a draw.
+ * @param {Array} entries - [{ rating, rd, volatility, games, side, points }] per seat
+ * @returns {Array} New ratings, in seat order
+ */
+function rateGame(entries) {
+  const sides = new Map();
+  for (const entry of entries) {
+    if (!sides.has(entry.side)) sides.set(entry.side, []);
+    sides.get(entry.side).push({ ...createRating(), ...entry });
+  }
+
+  // A team plays as one opponent: average rating, combined deviation
+  const opponents = [...sides.entries()].map(([side, members]) => ({
+    side,
+    points: members[0].points,
+    rating: members.reduce((sum, m) => sum + m.rating, 0) / members.length,
+    rd: Math.sqrt(members.reduce((sum, m) => sum + m.rd * m.rd, 0) / members.length),
+  }));
+
+  return entries.map(entry => {
+    const others = opponents.filter(o => o.side !== entry.side);
+    const weight = 1 / Math.max(1, others.length);
+    const results = others.map(o => ({
+      rating: o.rating,
+      rd: o.rd,
+      score: entry.points > o.points ? 1 : entry.points === o.points ? 0.5 : 0,
+      weight,
+    }));
+    return updateRating(entry, results);
+  });
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  PROVISIONAL_GAMES,
+  createRating,
+  isProvisional,
+  updateRating,
+  rateGame,
+};
@@ -0,0 +1,25 @@
+/**
+ * In-game emotes (JavaScript version for server-side use)
+ * Keep in sync with emotes.ts — the server only relays ids from this list.
+ */
+
+const EMOTES = [
+  { id: 'wave', symbol: '👋', label: 'Hello' },
+  { id: 'thumbs-up', symbol: '👍', label: 'Nice' },
+  { id: 'clap', symbol: '👏', label: 'Well played' },
+  { id: 'laugh', symbol: '😂', label: 'Haha' },
+  { id: 'think', symbol: '🤔', label: 'Hmm' },
+  { id: 'wow', symbol: '😮', label: 'Wow' },
+  { id: 'sad', symbol: '😢', label: 'Oops' },
+  { id: 'fire', symbol: '🔥', label: 'On fire' },
+];
+
+const EMOTE_IDS = EMOTES.map(emote => emote.id);
+
+const getEmoteById = (id) => EMOTES.find(emote => emote.id === id);
+
+module.exports = {
+  EMOTES,
+  EMOTE_IDS,
+  getEmoteById,
+};
@@ -0,0 +1,21 @@
+/**
+ * In-game emotes
+ * Keep in sync with emotes.js — the server only relays ids from this list.
+ */
+
+export const EMOTES = [
+  { id: 'wave', symbol: '👋', label: 'Hello' },
+  { id: 'thumbs-up', symbol: '👍', label: 'Nice' },
+  { id: 'clap', symbol: '👏', label: 'Well played' },
+  { id: 'laugh', symbol: '😂', label: 'Haha' },
+  { id: 'think', symbol: '🤔', label: 'Hmm' },
+  { id: 'wow', symbol: '😮', label: 'Wow' },
+  { id: 'sad', symbol: '😢', label: 'Oops' },
+  { id: 'fire', symbol: '🔥', label: 'On fire' },
+] as const;
+
+export type EmoteId = typeof EMOTES[number]['id'];
+
+export const EMOTE_IDS: EmoteId[] = EMOTES.map(emote => emote.id);
+
+export const getEmoteById = (id: string) => EMOTES.find(emote => emote.id === id);
@@ -16,6 +16,7 @@
 
 const Router = require('./smart-router/Router');
 const { cloneState } = require('./clone');
+const { RuleError, RULE_ERROR_CODES } = require('./ruleErrors');
 
 // Actions that don't require turn validation in party mode
 // Also includes tournament qualification review advancement (any player can trigger)
@@ -41,6 +42,20 @@ function createActionRouter(config) {
      * @throws if action type is unknown or not player's turn
      */
     executeAction(state, playerIndex, actionType, payload) {
+      return router.executeRoutedAction(state, playerIndex, actionType, payload).state;
+    },
+
+    /**
+     * Execute an action and report which handler the SmartRouter picked.
+     * Same guards and behaviour as executeAction.
+     * @param {object} state - Current game state
+     * @param {number} playerIndex - Player making the action
+     * @param {string} actionType - Type of action
+     * @param {object} payload - Action payload
+     * @returns {{ state: object, routedType: string }} New game state and the final action type
+     * @throws if action type is unknown or not player's turn
+     */
+    executeRoutedAction(state, playerIndex, actionType, payload) {
       // 0. Guard: game is already over (but allow tournament qualification review actions)
       // In tournament mode, gameOver is set after each round, but the tournament continues
       // through QUALIFICATION_REVIEW phase
@@ -48,13 +63,13 @@ function createActionRouter(config) {
       const isInTournamentPhase = state.tournamentPhase === 'QUALIFICATION_REVIEW';
       
       if (state.gameOver && !(isTournamentAction && isInTournamentPhase)) {
-        throw new Error('Game is over - no more actions allowed');
+        throw new RuleError(RULE_ERROR_CODES.GAME_OVER, 'Game is over - no more actions allowed');
       }
 
       // 1. Guard: unknown action
       if (!handlers[actionType]) {
         const known = Object.keys(handlers).join(', ') || '(none registered yet)';
-        throw new Error(`Unknown action "${actionType}". Registered: ${known}`);
+        throw new RuleError(RULE_ERROR_CODES.UNKNOWN_ACTION, `Unknown action "${actionType}". Registered: ${known}`);
       }
 
       // 2. Guard: wrong player's turn (skip for certain actions in party mode or tournament qualification)
@@ -67,13 +82,13 @@ function createActionRouter(config) {
       console.log(`[ActionRouter] Turn check: playerCount=${state.playerCount}, actionType=${actionType}, isPartyMode=${isPartyMode}, isOutOfTurnAction=${isOutOfTurnAction}, isQualificationReview=${isQualificationReview}, canActOutOfTurn=${canActOutOfTurn}, currentPlayer=${state.currentPlayer}, playerIndex=${playerIndex}`);
       
       if (!canActOutOfTurn && state.currentPlayer !== playerIndex) {
-        throw new Error(`Not your turn (current: ${state.currentPlayer}, your: ${playerIndex})`);
+        throw new RuleError(RULE_ERROR_CODES.NOT_YOUR_TURN, `Not your turn (current: ${state.currentPlayer}, your: ${playerIndex})`);
       }
 
       // FIXED: Check if player is ELIMINATED and reject action
       const playerId = `player_${playerIndex}`;
       if (state.playerStatuses?.[playerId] === 'ELIMINATED') {
-        throw new Error(`Player ${playerIndex} is ELIMINATED and cannot perform actions`);
+        throw new RuleError(RULE_ERROR_CODES.PLAYER_ELIMINATED, `Player ${playerIndex} is ELIMINATED and cannot perform actions`);
       }
 
       // 3. Smart routing: let Router decide what handler to call
@@ -96,7 +111,7 @@ function createActionRouter(config) {
         );
 
         if (hasPendingExtension) {
-          throw new Error(`Cannot capture opponent's build - you must complete your build extension first`);
+          throw new RuleError(RULE_ERROR_CODES.EXTENSION_PENDING, `Cannot capture opponent's build - you must complete your build extension first`);
         }
       }
 
@@ -109,7 +124,7 @@ function createActionRouter(config) {
         );
 
         if (hasPendingExtension) {
-          throw new Error(`Cannot drop on opponent's build - you must complete your build extension first`);
+          throw new RuleError(RULE_ERROR_CODES.EXTENSION_PENDING, `Cannot drop on opponent's build - you must complete your build extension first`);
         }
       }
 
@@ -132,20 +147,20 @@ function createActionRouter(config) {
           playerIndex,
           buildOwner: buildStack?.owner ?? -1
         };
-        return newState;
+        return { state: newState, routedType: finalType };
       }
 
       // 5. Check if handler exists
       const handler = handlers[finalType];
       if (!handler) {
         console.log(`[ActionRouter] No handler for "${finalType}" - returning state unchanged`);
-        return state;
+        return { state, routedType: finalType };
       }
 
       // 5. Execute handler — pure function returns new state
       const newState = handler(state, finalPayload || {}, playerIndex);
 
-      return newState;
+      return { state: newState, routedType: finalType };
     },
 
     /**
@@ -5,7 +5,7 @@
  * In party mode (4-player), teammates can accept each other's build extensions.
  */
 
-const { cloneState, nextTurn } = require('../');
+const { cloneState, nextTurn, getRules } = require('../');
 
 // Helper to check if two players are teammates in a 4‑player game
 function areTeammates(playerA, playerB) {
@@ -89,6 +89,12 @@ function acceptBuildExtension(state, payload, playerIndex) {
   // Merge cards (preserving insertion order)
   buildStack.cards = [...buildStack.cards, ...pendingCards];
 
+  // House rules may cap a build's cards at a total of 10
+  const cardTotal = buildStack.cards.reduce((sum, c) => sum + c.value, 0);
+  if (!getRules(newState).buildsOverTen && cardTotal > 10) {
+    throw new Error(`acceptBuildExtension: house rules don't allow builds totalling more than 10`);
+  }
+
   buildStack.value = buildResult.value;
   buildStack.base = buildResult.base;
   buildStack.need = buildResult.need;
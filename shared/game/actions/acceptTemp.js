@@ -3,7 +3,7 @@
  * Player accepts their pending temp stack.
  */
 
-const { cloneState, nextTurn, generateStackId } = require('../');
+const { cloneState, nextTurn, generateStackId, getRules } = require('../');
 const { canPartitionConsecutively, getConsecutivePartition } = require('../buildCalculator');
 
 function acceptTemp(state, payload, playerIndex) {
@@ -66,6 +66,12 @@ function acceptTemp(state, payload, playerIndex) {
     stack.pendingExtension = null;
   }
   
+  // --- VALIDATION: House rules may cap a build's cards at a total of 10 ---
+  const cardTotal = stack.cards.reduce((sum, c) => sum + c.value, 0);
+  if (!getRules(newState).buildsOverTen && cardTotal > 10) {
+    throw new Error(`Cannot build ${finalValue} - house rules don't allow builds totalling more than 10`);
+  }
+  
   // --- VALIDATION: For team builds - trust the teamCapturedBuilds list ---
   // No additional validation needed - list management handles validity
   if (originalOwner !== undefined && originalOwner !== null) {
@@ -5,6 +5,7 @@
 
 const { cloneState } = require('../');
 const { getConsecutivePartition } = require('../buildCalculator');
+const { RuleError, RULE_ERROR_CODES } = require('../ruleErrors');
 
 function stealBuild(state, payload, playerIndex) {
   const card = payload.card || payload.handCard;
@@ -12,7 +13,7 @@ function stealBuild(state, payload, playerIndex) {
   const cardSource = payload.cardSource || 'hand';
 
   if (!card || !stackId) {
-    throw new Error('stealBuild: missing card or stackId');
+    throw new RuleError(RULE_ERROR_CODES.INVALID_CARD, 'stealBuild: missing card or stackId');
   }
 
   // ========== DEFENSE-IN-DEPTH VALIDATION ==========
@@ -24,7 +25,7 @@ function stealBuild(state, payload, playerIndex) {
   
   // Validate that the card comes from hand (defense in depth)
   if (cardSource !== 'hand') {
-    throw new Error(`stealBuild: card source must be 'hand', got '${cardSource}'`);
+    throw new RuleError(RULE_ERROR_CODES.STEAL_FROM_HAND_ONLY, `stealBuild: card source must be 'hand', got '${cardSource}'`);
   }
 
   // Additional validation: verify the card actually exists in the player's hand
@@ -33,7 +34,7 @@ function stealBuild(state, payload, playerIndex) {
     c => c.rank === card.rank && c.suit === card.suit,
   );
   if (handIdxCheck === -1) {
-    throw new Error(`stealBuild: card ${card.rank}${card.suit} not in hand`);
+    throw new RuleError(RULE_ERROR_CODES.CARD_NOT_AVAILABLE, `stealBuild: card ${card.rank}${card.suit} not in hand`);
   }
 
   const newState = cloneState(state);
@@ -48,17 +49,17 @@ function stealBuild(state, payload, playerIndex) {
     tc => tc.type === 'build_stack' && tc.stackId === stackId,
   );
   if (stackIdx === -1) {
-    throw new Error(`stealBuild: build stack "${stackId}" not found`);
+    throw new RuleError(RULE_ERROR_CODES.STACK_NOT_FOUND, `stealBuild: build stack "${stackId}" not found`);
   }
 
   const buildStack = newState.tableCards[stackIdx];
 
   if (buildStack.owner === playerIndex) {
-    throw new Error('stealBuild: cannot steal your own build');
+    throw new RuleError(RULE_ERROR_CODES.OWN_BUILD, 'stealBuild: cannot steal your own build');
   }
 
   if (buildStack.hasBase === true) {
-    throw new Error('stealBuild: cannot steal base builds');
+    throw new RuleError(RULE_ERROR_CODES.STEAL_BASE_BUILD, 'stealBuild: cannot steal base builds');
   }
 
   const playerBuilds = newState.tableCards.filter(
@@ -74,7 +75,7 @@ function stealBuild(state, payload, playerIndex) {
     c => c.rank === card.rank && c.suit === card.suit,
   );
   if (handIdx === -1) {
-    throw new Error(`stealBuild: card ${card.rank}${card.suit} not in hand`);
+    throw new RuleError(RULE_ERROR_CODES.CARD_NOT_AVAILABLE, `stealBuild: card ${card.rank}${card.suit} not in hand`);
   }
 
   const [playedCard] = hand.splice(handIdx, 1);
@@ -133,7 +134,7 @@ function stealBuild(state, payload, playerIndex) {
     }
     
     if (opponentHasSameValue) {
-      throw new Error(
+      throw new RuleError(RULE_ERROR_CODES.DUPLICATE_BUILD_VALUE,
         `stealBuild: Cannot have build with value ${buildStack.value} - opponent already has a build with this value`
       );
     }
@@ -156,7 +157,7 @@ function stealBuild(state, payload, playerIndex) {
     }
     
     if (opponentHasSameValue) {
-      throw new Error(
+      throw new RuleError(RULE_ERROR_CODES.DUPLICATE_BUILD_VALUE,
         `stealBuild: Cannot have build with value ${buildStack.value} - another player already has a build with this value`
       );
     }
@@ -176,7 +177,7 @@ function stealBuild(state, payload, playerIndex) {
     }
     
     if (opponentHasSameValue) {
-      throw new Error(
+      throw new RuleError(RULE_ERROR_CODES.DUPLICATE_BUILD_VALUE,
         `stealBuild: Cannot have build with value ${buildStack.value} - another player already has a build with this value`
       );
     }
@@ -191,7 +192,7 @@ function stealBuild(state, payload, playerIndex) {
     opponentHasSameValue = opponentBuilds.some(build => build.value === buildStack.value);
     
     if (opponentHasSameValue) {
-      throw new Error(
+      throw new RuleError(RULE_ERROR_CODES.DUPLICATE_BUILD_VALUE,
         `stealBuild: Cannot have build with value ${buildStack.value} - opponent already has a build with this value`
       );
     }
@@ -0,0 +1,145 @@
+/**
+ * CPU Position Evaluation
+ * Point-aware scoring of a game state from one player's point of view.
+ *
+ * Captured cards are valued by the real scoring rules (10♦, 2♠, aces and the
+ * spade / card-count bonuses), plus partial credit for progress toward the
+ * bonuses. Builds and loose cards left on the table count for whoever is
+ * likely to collect them.
+ */
+
+const { calculateCardPoints, calculatePlayerScore } = require('../scoring');
+const { DEFAULT_RULES, getRules } = require('../ruleSet');
+const { areTeammates } = require('../team');
+
+// Partial credit per spade / card while short of the spade and 20-card bonuses
+const SPADE_PROGRESS = 0.25;
+const CARD_PROGRESS = 0.1;
+
+// Share of a build's worth credited to a side that can capture it
+const BUILD_SECURE_WEIGHT = 0.7;
+
+// Cost of owning a build with nothing left in hand to take it
+// (in round 1 of two-hands it also blocks trailing)
+const STRANDED_BUILD_PENALTY = 3;
+
+// Share of loose card points counted against a player who leaves them to an opponent
+const EXPOSED_PENALTY = 0.35;
+
+/**
+ * Scoring type used by updateScores for this state
+ */
+function getGameType(state) {
+  const playerCount = state.playerCount || state.players.length;
+  if (playerCount === 3) return 'three-hands';
+  if (playerCount === 4 && state.players.some(p => p.team)) return 'party';
+  return 'standard';
+}
+
+/**
+ * Whether two seats score together
+ */
+function sameSide(state, a, b) {
+  if (a === b) return true;
+  const isParty = (state.playerCount || state.players.length) === 4 && state.players.some(p => p.team);
+  return isParty && areTeammates(a, b);
+}
+
+/**
+ * Value of a pile of captured cards
+ * @param {Array} cards - Captured cards
+ * @param {string} gameType - 'standard', 'three-hands' or 'party'
+ * @param {object} [rules] - House rules the game is played with
+ * @returns {number} Score plus progress toward the bonuses
+ */
+function captureValue(cards, gameType = 'standard', rules = DEFAULT_RULES) {
+  let value = calculatePlayerScore(cards, gameType, rules);
+  if (gameType === 'three-hands') return value;
+
+  const spades = cards.filter(c => c.suit === '♠').length;
+  if (spades < rules.spadeBonusThreshold) value += SPADE_PROGRESS * spades;
+  if (cards.length < 20) value += CARD_PROGRESS * cards.length;
+  return value;
+}
+
+/**
+ * Rough worth of picking up a set of cards, ignoring bonuses already reached
+ */
+function cardsWorth(cards, gameType, rules) {
+  const points = cards.reduce((sum, c) => sum + calculateCardPoints(c, rules), 0);
+  if (gameType === 'three-hands') return points;
+  return points + cards.reduce((sum, c) => sum + CARD_PROGRESS + (c.suit === '♠' ? SPADE_PROGRESS : 0), 0);
+}
+
+/**
+ * Whether the player owns a build they hold no card to capture
+ * @param {object} state - Game state
+ * @param {number} playerIndex - Build owner
+ * @returns {boolean}
+ */
+function hasStrandedBuild(state, playerIndex) {
+  const hand = state.players[playerIndex]?.hand || [];
+  return (state.tableCards || []).some(
+    tc => tc.type === 'build_stack' && tc.owner === playerIndex && !hand.some(c => c.value === tc.value)
+  );
+}
+
+/**
+ * Evaluate a state for one player
+ * Positive means the player's side is ahead of the average opposing seat.
+ * @param {object} state - Game state
+ * @param {number} playerIndex - Point of view
+ * @returns {number} Heuristic score
+ */
+function evaluateState(state, playerIndex) {
+  const gameType = getGameType(state);
+  const rules = getRules(state);
+  let own = 0;
+  let opposing = 0;
+  let opponentCount = 0;
+
+  state.players.forEach((player, idx) => {
+    const value = captureValue(player.captures || [], gameType, rules);
+    if (sameSide(state, idx, playerIndex)) {
+      own += value;
+    } else {
+      opposing += value;
+      opponentCount++;
+    }
+  });
+
+  let score = own - (opponentCount ? opposing / opponentCount : 0);
+
+  // Builds go to whoever holds the matching card
+  for (const item of state.tableCards || []) {
+    if (item.type !== 'build_stack') continue;
+    const ownerSide = sameSide(state, item.owner, playerIndex);
+    const holder = ownerSide ? playerIndex : item.owner;
+    const canTake = (state.players[holder]?.hand || []).some(c => c.value === item.value);
+    if (!canTake) {
+      if (item.owner === playerIndex && !state.gameOver) score -= STRANDED_BUILD_PENALTY;
+      continue;
+    }
+
+    const worth = BUILD_SECURE_WEIGHT * cardsWorth(item.cards, gameType, rules);
+    score += ownerSide ? worth : -worth;
+  }
+
+  // Loose scoring cards are at risk when an opponent moves next
+  if (!state.gameOver && !sameSide(state, state.currentPlayer, playerIndex)) {
+    const exposed = (state.tableCards || [])
+      .filter(tc => !tc.type)
+      .reduce((sum, c) => sum + calculateCardPoints(c, rules), 0);
+    score -= EXPOSED_PENALTY * exposed;
+  }
+
+  return score;
+}
+
+module.exports = {
+  getGameType,
+  sameSide,
+  captureValue,
+  hasStrandedBuild,
+  evaluateState,
+};
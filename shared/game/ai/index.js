@@ -0,0 +1,195 @@
+/**
+ * CPU Opponent
+ * Picks a whole turn for a CPU seat at one of three difficulty levels:
+ *
+ * - easy:   often plays a random legal turn, otherwise the greedy choice
+ * - medium: greedy - the turn whose resulting position evaluates best
+ * - hard:   Monte-Carlo lookahead - deals the unseen cards out at random many
+ *           times and scores each shortlisted turn against the best reply the
+ *           next opponent could make with that hand
+ *
+ * Only information the seat could see is used: hard never reads the other
+ * hands or the deck order, it samples them.
+ */
+
+const { cloneState } = require('../clone');
+const { createOrderedDeck } = require('../deck');
+const { shuffleInPlace } = require('../rng');
+const { getLegalMoveOutcomes } = require('../legalMoves');
+const { evaluateState, sameSide, hasStrandedBuild } = require('./evaluate');
+
+const CPU_LEVELS = {
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard',
+};
+
+const LEVEL_SETTINGS = {
+  [CPU_LEVELS.EASY]: { randomChance: 0.6 },
+  [CPU_LEVELS.MEDIUM]: { randomChance: 0 },
+  [CPU_LEVELS.HARD]: { randomChance: 0, shortlist: 5, samples: 6 },
+};
+
+const END_TURN_PLAN = { kind: 'endTurn', actions: [{ type: 'endTurn', payload: {} }] };
+
+const cardKey = card => `${card.rank}${card.suit}`;
+
+/**
+ * Cards the player cannot see: every card not in their hand, on the table
+ * or in a capture pile, in a fixed order so sampling doesn't depend on
+ * where the hidden cards really are
+ */
+function getUnseenCards(state, playerIndex) {
+  const seen = new Set();
+  const add = card => card && seen.add(cardKey(card));
+
+  state.players[playerIndex].hand.forEach(add);
+  state.players.forEach(p => (p.captures || []).forEach(add));
+  for (const item of state.tableCards || []) {
+    if (!item.type) {
+      add(item);
+      continue;
+    }
+    (item.cards || []).forEach(add);
+    (item.pendingExtension?.cards || []).forEach(p => add(p.card));
+    add(item.pendingExtension?.looseCard);
+  }
+
+  return createOrderedDeck().filter(card => !seen.has(cardKey(card)));
+}
+
+/**
+ * Deal a shuffled pool of unseen cards into the other hands and the deck
+ * @returns {object|null} Sampled state, or null if the counts don't add up
+ */
+function dealHiddenCards(state, playerIndex, pool) {
+  const hiddenCount = state.deck.length + state.players.reduce(
+    (sum, p, idx) => (idx === playerIndex ? sum : sum + p.hand.length), 0
+  );
+  if (hiddenCount !== pool.length) return null;
+
+  const sample = cloneState(state);
+  let next = 0;
+  sample.players.forEach((player, idx) => {
+    if (idx === playerIndex) return;
+    player.hand = pool.slice(next, next + player.hand.length);
+    next += player.hand.length;
+  });
+  sample.deck = pool.slice(next);
+  return sample;
+}
+
+/**
+ * Plan with the highest evaluation for the moving player
+ */
+function bestPlan(plans, playerIndex) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (const plan of plans) {
+    const score = evaluateState(plan.state, playerIndex);
+    if (score > bestScore) {
+      best = plan;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Turns a player could play, with the state each leads to
+ */
+function getPlans(state, playerIndex, handlers) {
+  return getLegalMoveOutcomes(state, playerIndex, { handlers, includeRecall: false });
+}
+
+/**
+ * Score a position after the next opponent's greedy reply
+ */
+function scoreAfterReply(state, playerIndex, handlers) {
+  const replier = state.currentPlayer;
+  if (state.gameOver || sameSide(state, replier, playerIndex) || !state.players[replier]?.hand.length) {
+    return evaluateState(state, playerIndex);
+  }
+
+  const reply = bestPlan(getPlans(state, replier, handlers), replier);
+  return evaluateState(reply ? reply.state : state, playerIndex);
+}
+
+/**
+ * Hard level: average each shortlisted plan over sampled deals of the hidden cards
+ */
+function chooseByLookahead(state, playerIndex, plans, settings, random, handlers) {
+  const shortlist = [...plans]
+    .sort((a, b) => evaluateState(b.state, playerIndex) - evaluateState(a.state, playerIndex))
+    .slice(0, settings.shortlist);
+  if (shortlist.length === 1) return shortlist[0];
+
+  // The same deals are used for every plan so they are compared fairly
+  const unseen = getUnseenCards(state, playerIndex);
+  const deals = [];
+  for (let i = 0; i < settings.samples; i++) {
+    deals.push(shuffleInPlace([...unseen], random));
+  }
+
+  let best = shortlist[0];
+  let bestScore = -Infinity;
+  for (const plan of shortlist) {
+    let total = 0;
+    let counted = 0;
+    for (const deal of deals) {
+      const sample = dealHiddenCards(plan.state, playerIndex, deal);
+      if (!sample) continue;
+      total += scoreAfterReply(sample, playerIndex, handlers);
+      counted++;
+    }
+    const score = counted ? total / counted : evaluateState(plan.state, playerIndex);
+    if (score > bestScore) {
+      best = plan;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Choose the CPU's next turn
+ * @param {object} state - Current game state (full state - hidden cards are never read)
+ * @param {number} playerIndex - CPU seat
+ * @param {object} [options]
+ * @param {string} [options.level] - CPU_LEVELS value (default medium)
+ * @param {() => number} [options.random] - Random source in [0, 1) (default Math.random)
+ * @param {object} [options.handlers] - Action handlers (defaults to the shared set)
+ * @returns {{ kind: string, actions: Array<{ type: string, payload: object }> }}
+ *   Actions to send in order to play the whole turn
+ */
+function chooseCpuMove(state, playerIndex, options = {}) {
+  const level = options.level || CPU_LEVELS.MEDIUM;
+  const settings = LEVEL_SETTINGS[level];
+  if (!settings) throw new Error(`Unknown CPU level "${level}"`);
+  const random = options.random || Math.random;
+
+  if (!state.players[playerIndex]?.hand.length) return END_TURN_PLAN;
+
+  const plans = getPlans(state, playerIndex, options.handlers);
+  if (plans.length === 0) return END_TURN_PLAN;
+
+  let chosen;
+  if (random() < settings.randomChance) {
+    // Even a careless CPU doesn't lock itself out of a build it can't take
+    const safe = plans.filter(plan => !hasStrandedBuild(plan.state, playerIndex));
+    const pool = safe.length ? safe : plans;
+    chosen = pool[Math.floor(random() * pool.length)];
+  } else if (settings.samples) {
+    chosen = chooseByLookahead(state, playerIndex, plans, settings, random, options.handlers);
+  } else {
+    chosen = bestPlan(plans, playerIndex);
+  }
+
+  return { kind: chosen.kind, actions: chosen.actions };
+}
+
+module.exports = {
+  CPU_LEVELS,
+  chooseCpuMove,
+  getUnseenCards,
+};
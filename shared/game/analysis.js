@@ -0,0 +1,250 @@
+/**
+ * Post-Game Analysis
+ * Walks a finished game's action log move by move and reports what each
+ * move did to the score.
+ *
+ * A move is one player's turn: the consecutive logged actions they sent
+ * until play passed on (a build is createTemp then acceptTemp, and so on).
+ * For every move the report lists the scoring cards (10♦, 2♠, aces) that
+ * changed hands, the resulting point swing, and any missed capture - a
+ * legal capture of more point cards than the move actually took.
+ * Per-player tendencies summarise the moves at the end.
+ *
+ * Built on the replay frames, so it runs wherever a replay can
+ * (server or client).
+ */
+
+const { buildReplayFrames } = require('./replay');
+const { getLegalMoveOutcomes, MOVE_KINDS } = require('./legalMoves');
+const { findOutcomeForState, describeMove } = require('./moveMatching');
+const { calculateCardPoints } = require('./scoring');
+const { getRules } = require('./ruleSet');
+const { areTeammates, isPartyGame } = require('./team');
+
+const CAPTURE_KINDS = new Set([
+  MOVE_KINDS.CAPTURE,
+  MOVE_KINDS.CAPTURE_BUILD,
+  MOVE_KINDS.CAPTURE_TEMP,
+  MOVE_KINDS.MULTI_CAPTURE,
+]);
+const BUILD_KINDS = new Set([
+  MOVE_KINDS.BUILD,
+  MOVE_KINDS.ACCEPT_TEMP,
+  MOVE_KINDS.EXTEND,
+  MOVE_KINDS.ACCEPT_EXTENSION,
+]);
+
+// Share of a player's moves that makes a style stand out
+const STYLE_THRESHOLD = 0.5;
+
+const cardId = card => `${card.rank}${card.suit}`;
+
+/**
+ * Cards in `after` that weren't in `before` (both card arrays)
+ */
+function addedCards(before, after) {
+  const seen = new Set((before || []).map(cardId));
+  return (after || []).filter(c => !seen.has(cardId(c)));
+}
+
+/**
+ * Scoring cards each player gained or lost between two states
+ * @returns {Array<{ player: number, card: string, points: number, change: 'gained'|'lost' }>}
+ */
+function pointCardChanges(before, after, rules) {
+  const changes = [];
+  after.players.forEach((player, idx) => {
+    const previous = before.players[idx]?.captures || [];
+    for (const card of addedCards(previous, player.captures)) {
+      const points = calculateCardPoints(card, rules);
+      if (points) changes.push({ player: idx, card: cardId(card), points, change: 'gained' });
+    }
+    for (const card of addedCards(player.captures, previous)) {
+      const points = calculateCardPoints(card, rules);
+      if (points) changes.push({ player: idx, card: cardId(card), points, change: 'lost' });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Net card points a set of changes means for one player's side
+ * (the player and, in party games, their teammate)
+ */
+function swingFor(changes, playerIndex, party) {
+  return changes.reduce((sum, { player, points, change }) => {
+    const sameSide = party ? areTeammates(player, playerIndex) : player === playerIndex;
+    const signed = change === 'gained' ? points : -points;
+    return sum + (sameSide ? signed : -signed);
+  }, 0);
+}
+
+/**
+ * Kind of a move no legal outcome matched (e.g. one routed in a way the
+ * legal move list doesn't enumerate), judged from what it changed
+ */
+function inferKind(before, after, playerIndex) {
+  if (addedCards(before.players[playerIndex].captures, after.players[playerIndex].captures).length) {
+    return MOVE_KINDS.CAPTURE;
+  }
+  const ownedBefore = new Set(before.tableCards.filter(tc => tc.owner === playerIndex).map(tc => tc.stackId));
+  const ownedAfter = after.tableCards.filter(tc => tc.type === 'build_stack' && tc.owner === playerIndex);
+  const stolen = ownedAfter.some(tc => !ownedBefore.has(tc.stackId)
+    && before.tableCards.some(old => old.stackId === tc.stackId));
+  if (stolen) return MOVE_KINDS.STEAL;
+  if (ownedAfter.length) return MOVE_KINDS.BUILD;
+  return MOVE_KINDS.TRAIL;
+}
+
+/**
+ * The best capture the player passed up: the legal capture that takes the
+ * most card points, if it beats what the move took
+ * @returns {{ description: string, cards: string[], points: number }|null}
+ */
+function findMissedCapture(start, outcomes, playerIndex, pointsTaken, rules) {
+  let best = null;
+  for (const outcome of outcomes) {
+    if (!CAPTURE_KINDS.has(outcome.kind)) continue;
+    const cards = addedCards(start.players[playerIndex].captures, outcome.state.players[playerIndex].captures)
+      .filter(c => calculateCardPoints(c, rules) > 0);
+    const points = cards.reduce((sum, c) => sum + calculateCardPoints(c, rules), 0);
+    if (points > pointsTaken && (!best || points > best.points)) {
+      best = { description: describeMove(start, outcome), cards: cards.map(cardId), points };
+    }
+  }
+  return best;
+}
+
+/**
+ * Split replay frames into moves
+ * @returns {Array<{ playerIndex: number, start: object, end: object, entries: object[] }>}
+ */
+function groupMoves(frames) {
+  const moves = [];
+  let current = null;
+
+  for (let i = 1; i < frames.length; i++) {
+    const { state, entry } = frames[i];
+    if (entry.system) {
+      current = null;
+      continue;
+    }
+
+    if (!current || current.playerIndex !== entry.playerIndex) {
+      current = { playerIndex: entry.playerIndex, start: frames[i - 1].state, end: state, entries: [] };
+      moves.push(current);
+    }
+    current.entries.push(entry);
+    current.end = state;
+
+    if (state.gameOver || state.currentPlayer !== entry.playerIndex) current = null;
+  }
+
+  return moves;
+}
+
+/**
+ * Analyse one move
+ */
+function analyzeMove(move, index, rules, party) {
+  const { playerIndex, start, end } = move;
+  // Recall moves are made out of turn - there was no turn to compare against
+  const outcomes = start.currentPlayer === playerIndex ? getLegalMoveOutcomes(start, playerIndex) : [];
+  const matched = findOutcomeForState(outcomes, end);
+  const kind = matched ? matched.kind : inferKind(start, end, playerIndex);
+
+  const pointCards = pointCardChanges(start, end, rules);
+  const pointsTaken = pointCards
+    .filter(c => c.player === playerIndex && c.change === 'gained')
+    .reduce((sum, c) => sum + c.points, 0);
+
+  const played = addedCards(end.players[playerIndex].hand, start.players[playerIndex].hand)[0];
+  const description = matched
+    ? describeMove(start, matched)
+    : `${kind.charAt(0).toUpperCase()}${kind.slice(1)}${played ? ` with ${cardId(played)}` : ''}`;
+
+  return {
+    index,
+    round: start.round,
+    playerIndex,
+    kind,
+    description,
+    pointCards,
+    swing: swingFor(pointCards, playerIndex, party),
+    missedCapture: findMissedCapture(start, outcomes, playerIndex, pointsTaken, rules),
+  };
+}
+
+/**
+ * Label for how a player tended to play
+ */
+function playStyle({ moves, captures, builds, trails }) {
+  if (!moves) return 'none';
+  if (captures / moves >= STYLE_THRESHOLD) return 'capturer';
+  if (builds / moves >= STYLE_THRESHOLD) return 'builder';
+  if (trails / moves >= STYLE_THRESHOLD) return 'cautious';
+  return 'balanced';
+}
+
+/**
+ * Per-player summary of the analysed moves
+ */
+function summarizePlayers(moves, playerCount) {
+  return Array.from({ length: playerCount }, (_, playerIndex) => {
+    const own = moves.filter(m => m.playerIndex === playerIndex);
+    const count = kinds => own.filter(m => kinds.has(m.kind)).length;
+    const gained = own.flatMap(m => m.pointCards.filter(c => c.player === playerIndex && c.change === 'gained'));
+    const missed = own.filter(m => m.missedCapture);
+
+    const summary = {
+      playerIndex,
+      moves: own.length,
+      captures: count(CAPTURE_KINDS),
+      builds: count(BUILD_KINDS),
+      steals: own.filter(m => m.kind === MOVE_KINDS.STEAL).length,
+      trails: own.filter(m => m.kind === MOVE_KINDS.TRAIL).length,
+      pointCardsTaken: gained.map(c => c.card),
+      pointsTaken: gained.reduce((sum, c) => sum + c.points, 0),
+      missedCaptures: missed.length,
+      pointsMissed: missed.reduce((sum, m) => sum + m.missedCapture.points, 0),
+      netSwing: own.reduce((sum, m) => sum + m.swing, 0),
+    };
+    summary.style = playStyle(summary);
+    return summary;
+  });
+}
+
+/**
+ * Analyse a finished game from its replay
+ * Analyses everything the log could be replayed through; `error` says where
+ * it stopped if it couldn't get to the end.
+ * @param {object} replay - As served by GET /api/game/:roomId/replay
+ * @param {object} [options] - Passed to buildReplayFrames
+ * @returns {{
+ *   moves: Array<{ index: number, round: number, playerIndex: number, kind: string, description: string,
+ *     pointCards: Array<{ player: number, card: string, points: number, change: string }>,
+ *     swing: number, missedCapture: { description: string, cards: string[], points: number }|null }>,
+ *   players: Array<object>,
+ *   error: string|null
+ * }}
+ */
+function analyzeGame(replay, options = {}) {
+  const { frames, error } = buildReplayFrames(replay, options);
+  const initial = frames[0].state;
+  const rules = getRules(initial);
+  const party = isPartyGame(initial);
+
+  const moves = groupMoves(frames).map((move, index) => analyzeMove(move, index, rules, party));
+
+  return {
+    moves,
+    players: summarizePlayers(moves, initial.players.length),
+    error,
+  };
+}
+
+module.exports = {
+  analyzeGame,
+  groupMoves,
+  pointCardChanges,
+};
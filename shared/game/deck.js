@@ -4,6 +4,7 @@
  */
 
 const { SUITS, RANKS, DECK_SIZE } = require('./constants');
+const { createSeededRandom, generateSeed, shuffleInPlace } = require('./rng');
 
 /**
  * Get numeric value for a card rank
@@ -16,16 +17,27 @@ function rankValue(rank) {
 }
 
 /**
- * Create and shuffle a new deck
- * @returns {Array} Shuffled deck of card objects
+ * Create the 40 cards in suit/rank order (unshuffled)
+ * @returns {Array} Ordered deck of card objects
  */
-function createDeck() {
+function createOrderedDeck() {
   const deck = [];
   for (const suit of SUITS) {
     for (const rank of RANKS) {
       deck.push({ suit, rank, value: rankValue(rank) });
     }
   }
+  return deck;
+}
+
+/**
+ * Create and shuffle a new deck
+ * The same seed always produces the same order.
+ * @param {number|string} [seed] - Shuffle seed (a fresh one is generated if omitted)
+ * @returns {Array} Shuffled deck of card objects
+ */
+function createDeck(seed = generateSeed()) {
+  const deck = createOrderedDeck();
 
   // Validate deck has exactly 40 unique cards
   const cardIds = deck.map(c => `${c.rank}${c.suit}`);
@@ -36,15 +48,41 @@ function createDeck() {
     console.log(`[deck] ✅ Deck created with ${DECK_SIZE} unique cards`);
   }
 
-  // Fisher-Yates shuffle
-  for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [deck[i], deck[j]] = [deck[j], deck[i]];
+  // Fisher-Yates shuffle with the seeded PRNG
+  return shuffleInPlace(deck, createSeededRandom(seed));
+}
+
+/**
+ * Validate and copy an explicit deck order
+ * @param {Array} cards - Cards in deal order
+ * @returns {Array} Copy of the deck with normalized values
+ * @throws {Error} If the deck isn't exactly the 40 distinct game cards
+ */
+function createDeckFromOrder(cards) {
+  if (!Array.isArray(cards) || cards.length !== DECK_SIZE) {
+    throw new Error(`Explicit deck must contain exactly ${DECK_SIZE} cards`);
   }
+
+  const valid = new Set(createOrderedDeck().map(c => `${c.rank}${c.suit}`));
+  const seen = new Set();
+  const deck = cards.map(card => {
+    const id = `${card?.rank}${card?.suit}`;
+    if (!valid.has(id)) {
+      throw new Error(`Explicit deck contains an invalid card: ${id}`);
+    }
+    if (seen.has(id)) {
+      throw new Error(`Explicit deck contains a duplicate card: ${id}`);
+    }
+    seen.add(id);
+    return { suit: card.suit, rank: card.rank, value: rankValue(card.rank) };
+  });
+
   return deck;
 }
 
 module.exports = {
   rankValue,
+  createOrderedDeck,
   createDeck,
+  createDeckFromOrder,
 };
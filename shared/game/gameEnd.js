@@ -6,6 +6,7 @@
 const { cloneState } = require('./clone');
 
 const { updateScores } = require('./scoring');
+const { isFinalRound } = require('./round');
 
 /**
  * End-of-game cleanup: give remaining table cards to the player who made the last capture.
@@ -17,8 +18,9 @@ const { updateScores } = require('./scoring');
 function finalizeGame(state) {
   const newState = cloneState(state);
 
-  // Only proceed if game is actually over (deck empty and all hands empty)
-  const deckEmpty = newState.deck.length === 0;
+  // Only proceed if game is actually over (deck empty and all hands empty).
+  // House rules can end it with cards left in the deck (fewer rounds, points-to-win).
+  const deckEmpty = newState.deck.length === 0 || isFinalRound(newState);
   const allHandsEmpty = newState.players.every(p => p.hand.length === 0);
 
   if (!deckEmpty || !allHandsEmpty) {
@@ -38,6 +40,8 @@ function finalizeGame(state) {
   if (tableCards.length > 0) {
     newState.players[lastPlayer].captures.push(...tableCards);
     newState.tableCards = []; // clear table
+    // Recorded for player stats - the sweep happens inside the last action
+    newState.lastCaptureSweep = { playerIndex: lastPlayer, cards: tableCards.length };
     console.log(`[gameEnd] finalizeGame: Awarded ${tableCards.length} table cards to player ${lastPlayer}`);
   }
 
@@ -0,0 +1,99 @@
+/**
+ * Move Hints
+ * Which table items a hand card can capture or build on, for hint mode.
+ *
+ * - Captures: loose cards of the same value, builds of the same value, and
+ *   the player's own complete temp stacks of that value.
+ * - Build targets: loose cards and the player's temp stacks that, with the
+ *   card added, make a complete build (per getBuildHint) the player holds
+ *   another card to capture.
+ *
+ * Hints are a practice aid: CPU and casual games allow them, ranked games
+ * don't. They're worked out on the client from the state it already holds -
+ * the server never computes or sends them - so leaving them out of ranked
+ * games is a UI rule (useMoveHints hides the toggle and getCardHints returns
+ * null), not something the server can enforce.
+ */
+
+const { getBuildHint } = require('./buildCalculator');
+
+/**
+ * Whether hint mode is available in this game
+ * Client-side only (see above): ranked states carry ranked: true, set by
+ * matchmaking when the game is created.
+ * @param {object} state - Game state
+ * @returns {boolean}
+ */
+function areHintsAllowed(state) {
+  return !!state && !state.ranked;
+}
+
+/**
+ * Identifier for a table item, shared with the client's highlighting:
+ * rank+suit for loose cards, stackId for stacks
+ * @param {object} item - Table item
+ * @returns {string}
+ */
+function getHintTargetId(item) {
+  return item.type ? item.stackId : `${item.rank}${item.suit}`;
+}
+
+function completeBuildValue(values) {
+  const hint = getBuildHint(values);
+  return hint && hint.need === 0 ? hint.value : null;
+}
+
+/**
+ * Hints for playing one hand card
+ * @param {object} state - Game state
+ * @param {number} playerIndex - Player holding the card
+ * @param {object} card - Hand card { rank, suit, value }
+ * @returns {{ captures: string[], builds: Array<{ id: string, value: number }> }|null}
+ *   Target ids (see getHintTargetId), or null when hints aren't allowed
+ */
+function getCardHints(state, playerIndex, card) {
+  if (!areHintsAllowed(state) || !card) return null;
+
+  const hand = state.players?.[playerIndex]?.hand || [];
+  const otherValues = hand
+    .filter(c => !(c.rank === card.rank && c.suit === card.suit))
+    .map(c => c.value);
+
+  const captures = [];
+  const builds = [];
+
+  for (const item of state.tableCards || []) {
+    const id = getHintTargetId(item);
+
+    if (!item.type) {
+      if (item.value === card.value) {
+        captures.push(id);
+        continue;
+      }
+      const value = completeBuildValue([item.value, card.value]);
+      if (value !== null && otherValues.includes(value)) {
+        builds.push({ id, value });
+      }
+    } else if (item.type === 'build_stack') {
+      if (item.value === card.value) captures.push(id);
+    } else if (item.type === 'temp_stack' && item.owner === playerIndex) {
+      const values = (item.cards || []).map(c => c.value);
+      if (completeBuildValue(values) === card.value) {
+        captures.push(id);
+        continue;
+      }
+      const value = completeBuildValue([...values, card.value]);
+      if (value !== null && otherValues.includes(value)) {
+        builds.push({ id, value });
+      }
+    }
+  }
+
+  return { captures, builds };
+}
+
+module.exports = {
+  areHintsAllowed,
+  getHintTargetId,
+  getCardHints,
+};
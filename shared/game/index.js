@@ -15,7 +15,10 @@ const {
 const { cloneState } = require('./clone');
 
 // Deck management
-const { rankValue, createDeck } = require('./deck');
+const { rankValue, createDeck, createDeckFromOrder } = require('./deck');
+
+// Seeded shuffling
+const { generateSeed, normalizeSeed, createSeededRandom } = require('./rng');
 
 // Team helpers
 const { getTeamFromIndex, getTeammateIndex } = require('./team');
@@ -30,6 +33,7 @@ const {
   forceEndTurn,
   resetRoundPlayers,
   resetTurnFlags,
+  settleTurnFlags,
   nextTurn,
   getCurrentPlayer,
   isPlayerTurn,
@@ -41,8 +45,18 @@ const { generateStackId } = require('./stackId');
 // Validation
 const { validateCardDistribution } = require('./validation');
 
+// House rules
+const {
+  DEFAULT_RULES,
+  RULE_VARIANTS,
+  validateRules,
+  createRuleSet,
+  getVariantChoices,
+  getRules,
+} = require('./ruleSet');
+
 // Round progression
-const { startNextRound } = require('./round');
+const { startNextRound, isFinalRound } = require('./round');
 
 // Game end
 const { finalizeGame } = require('./gameEnd');
@@ -53,6 +67,33 @@ const { initializeGame, initializeTestGame } = require('./initialization');
 // Scoring
 const { calculatePlayerScore, getScoreBreakdown } = require('./scoring');
 
+// Per-viewer state projection
+const {
+  projectStateForPlayer,
+  projectStateForSpectator,
+  projectStateForEliminated,
+} = require('./stateProjection');
+
+// Action-log replay
+const {
+  REPLAY_EVENTS,
+  applyLogEntry,
+  buildReplayFrames,
+} = require('./replay');
+
+// Legal move enumeration
+const { MOVE_KINDS, getLegalMoves } = require('./legalMoves');
+
+// Rule errors and move hints
+const { RULE_ERROR_CODES, RuleError, explainError } = require('./ruleErrors');
+const { areHintsAllowed, getCardHints } = require('./hints');
+
+// Post-game analysis
+const { analyzeGame } = require('./analysis');
+
+// Player statistics
+const { getGameStatLines, summarizeStats } = require('./playerStats');
+
 module.exports = {
   // Constants
   SUITS,
@@ -66,6 +107,12 @@ module.exports = {
   // Deck
   rankValue,
   createDeck,
+  createDeckFromOrder,
+
+  // Seeded shuffling
+  generateSeed,
+  normalizeSeed,
+  createSeededRandom,
 
   // Team
   getTeamFromIndex,
@@ -80,6 +127,7 @@ module.exports = {
   forceEndTurn,
   resetRoundPlayers,
   resetTurnFlags,
+  settleTurnFlags,
   nextTurn,
   getCurrentPlayer,
   isPlayerTurn,
@@ -90,8 +138,17 @@ module.exports = {
   // Validation
   validateCardDistribution,
 
+  // House rules
+  DEFAULT_RULES,
+  RULE_VARIANTS,
+  validateRules,
+  createRuleSet,
+  getVariantChoices,
+  getRules,
+
   // Round
   startNextRound,
+  isFinalRound,
 
   // Game End
   finalizeGame,
@@ -103,4 +160,32 @@ module.exports = {
   // Scoring
   calculatePlayerScore,
   getScoreBreakdown,
+
+  // Projection
+  projectStateForPlayer,
+  projectStateForSpectator,
+  projectStateForEliminated,
+
+  // Replay
+  REPLAY_EVENTS,
+  applyLogEntry,
+  buildReplayFrames,
+
+  // Legal moves
+  MOVE_KINDS,
+  getLegalMoves,
+
+  // Rule errors and hints
+  RULE_ERROR_CODES,
+  RuleError,
+  explainError,
+  areHintsAllowed,
+  getCardHints,
+
+  // Post-game analysis
+  analyzeGame,
+
+  // Player statistics
+  getGameStatLines,
+  summarizeStats,
 };
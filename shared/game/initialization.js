@@ -4,7 +4,9 @@
  */
 
 const { STARTING_CARDS_PER_PLAYER, STARTING_CARDS_THREE_HANDS } = require('./constants');
-const { createDeck, rankValue } = require('./deck');
+const { createDeck, createDeckFromOrder, createOrderedDeck } = require('./deck');
+const { generateSeed, createSeededRandom, shuffleInPlace } = require('./rng');
+const { createRuleSet } = require('./ruleSet');
 const { getTeamFromIndex } = require('./team');
 const { createRoundPlayers } = require('./turn');
 const { validateCardDistribution } = require('./validation');
@@ -18,14 +20,41 @@ function getStartingCards(playerCount) {
   return playerCount === 3 ? STARTING_CARDS_THREE_HANDS : STARTING_CARDS_PER_PLAYER;
 }
 
+/**
+ * Build the starting deck from deal options.
+ * An explicit deck order wins over a seed; with neither a fresh seed is generated.
+ * @param {{ seed?: number|string, deck?: Array }} options - Deal options
+ * @returns {{ deck: Array, seed: number|string|null, initialDeck: Array|null }}
+ */
+function resolveDeck(options = {}) {
+  if (options.deck) {
+    const deck = createDeckFromOrder(options.deck);
+    return { deck, seed: null, initialDeck: deck.map(c => ({ ...c })) };
+  }
+  const seed = options.seed ?? generateSeed();
+  return { deck: createDeck(seed), seed, initialDeck: null };
+}
+
 /**
  * Create a fresh game state.
+ * The same seed (or explicit deck order) always produces the same deal.
  * @param {number} playerCount - Number of players (2, 3, or 4)
  * @param {boolean} isPartyMode - Whether this is party mode (with teams)
+ * @param {object} [options] - Deal options
+ * @param {number|string} [options.seed] - Shuffle seed, recorded in state.seed
+ * @param {Array} [options.deck] - Explicit deck order (40 cards), recorded in state.initialDeck
+ * @param {object} [options.rules] - House-rule variants (see ruleSet.js), resolved into state.rules
+ * @param {number} [options.dealer] - Dealer's seat (default: the last seat); the next seat plays first
  * @returns {object} Fresh game state
+ * @throws {Error} If a house-rule variant isn't allowed or the dealer isn't a seat
  */
-function initializeGame(playerCount = 2, isPartyMode = false) {
-  const deck = createDeck();
+function initializeGame(playerCount = 2, isPartyMode = false, options = {}) {
+  const rules = createRuleSet(options.rules, playerCount);
+  const dealer = options.dealer ?? playerCount - 1;
+  if (!Number.isInteger(dealer) || dealer < 0 || dealer >= playerCount) {
+    throw new Error(`initializeGame: dealer must be a seat between 0 and ${playerCount - 1}`);
+  }
+  const { deck, seed, initialDeck } = resolveDeck(options);
   const players = [];
   const startingCards = getStartingCards(playerCount);
 
@@ -58,7 +87,9 @@ function initializeGame(playerCount = 2, isPartyMode = false) {
     deck,
     players,
     tableCards,
-    currentPlayer: 0,
+    // The seat after the dealer leads every round
+    dealer,
+    currentPlayer: (dealer + 1) % playerCount,
     round: 1,
     scores: new Array(playerCount).fill(0),
     teamScores: [0, 0], // [Team A, Team B]
@@ -68,6 +99,11 @@ function initializeGame(playerCount = 2, isPartyMode = false) {
     playerCount,
     // Game mode to help client rendering (party mode has teams, four-hands does not)
     gameMode: isPartyMode ? 'party' : (playerCount === 4 ? 'four-hands' : (playerCount === 3 ? 'three-hands' : 'two-hands')),
+    // Deal reproduction - hidden from clients by the state projection
+    seed,
+    initialDeck,
+    // House rules for scoring and game flow
+    rules,
     stackCounters: { tempP1: 0, tempP2: 0, tempP3: 0, tempP4: 0, buildP1: 0, buildP2: 0, buildP3: 0, buildP4: 0 },
     // Turn tracking per round
     roundPlayers,
@@ -112,18 +148,14 @@ function initializeGame(playerCount = 2, isPartyMode = false) {
 
 /**
  * Create a test game state with specific cards.
+ * The rest of the deck is shuffled with a seed so test deals are reproducible too.
  * @param {number} playerCount - Number of players (2, 3, or 4)
+ * @param {{ seed?: number|string }} [options] - Deal options
  * @returns {object} Test game state
  */
-function initializeTestGame(playerCount = 2) {
-  const { RANKS, SUITS } = require('./constants');
-  
-  const fullDeck = [];
-  for (const suit of SUITS) {
-    for (const rank of RANKS) {
-      fullDeck.push({ suit, rank, value: rankValue(rank) });
-    }
-  }
+function initializeTestGame(playerCount = 2, options = {}) {
+  const seed = options.seed ?? generateSeed();
+  const fullDeck = createOrderedDeck();
   const player0Cards = [
     { suit: '♠', rank: '5', value: 5 },
     { suit: '♥', rank: '5', value: 5 },
@@ -134,10 +166,7 @@ function initializeTestGame(playerCount = 2) {
     c => !(c.rank === '5' && (c.suit === '♠' || c.suit === '♥' || c.suit === '♦')) &&
          !(c.rank === '10' && c.suit === '♣')
   );
-  for (let i = remainingDeck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [remainingDeck[i], remainingDeck[j]] = [remainingDeck[j], remainingDeck[i]];
-  }
+  shuffleInPlace(remainingDeck, createSeededRandom(seed));
 
   const startingCards = getStartingCards(playerCount);
   while (player0Cards.length < startingCards) {
@@ -195,6 +224,8 @@ function initializeTestGame(playerCount = 2) {
     moveCount: 0,
     gameOver: false,
     playerCount,
+    seed,
+    initialDeck: null,
     stackCounters: { tempP1: 0, tempP2: 0, tempP3: 0, tempP4: 0, buildP1: 0, buildP2: 0, buildP3: 0, buildP4: 0 },
     // Turn tracking per round
     roundPlayers,
@@ -0,0 +1,467 @@
+/**
+ * Legal Move Enumeration
+ * Lists every move a player can make right now, each as the exact actions
+ * to send, checked against the shared action handlers.
+ *
+ * A move is { kind, actions }. Most moves are a single action; some need
+ * several to finish the turn, e.g. a build is createTemp then acceptTemp.
+ * Sending a move's actions in order ends the player's turn, except recall,
+ * which party players may use out of turn and which leaves the turn alone.
+ *
+ * Temp stack and build moves cover every combination of loose cards: a
+ * multi-card capture takes any loose cards that split into groups adding up
+ * to the capturing card, a build is a hand card plus any loose cards that
+ * split into groups of the build value, and an extension adds a hand card
+ * and any loose cards to the player's own build (loose cards alone can go
+ * on just before the build is captured). A build needs another card of its
+ * value left in hand to take it later.
+ *
+ * If the player already has a temp stack or a pending build extension on
+ * the table, the moves continue from it (capture / accept it), or cancel
+ * it first when it can't be finished.
+ *
+ * Used by the CPU opponent, hints and turn-timeout auto-play.
+ */
+
+const { getPlayerTempStack } = require('./tempStackHelpers');
+const StealValidator = require('./smart-router/validators/StealValidator');
+
+const MOVE_KINDS = {
+  TRAIL: 'trail',
+  CAPTURE: 'capture',                 // loose card of the same rank
+  CAPTURE_BUILD: 'captureBuild',      // build of the card's value
+  CAPTURE_TEMP: 'captureTemp',        // the player's own temp stack
+  MULTI_CAPTURE: 'multiCapture',      // loose cards in groups summing to the card
+  BUILD: 'build',                     // hand card onto loose cards
+  ACCEPT_TEMP: 'acceptTemp',          // turn the player's temp stack into a build
+  EXTEND: 'extend',                   // hand card (and loose cards) onto the player's own build
+  ACCEPT_EXTENSION: 'acceptExtension',
+  STEAL: 'steal',                     // take over an opponent's build
+  RECALL: 'recall',                   // party mode - restore a teammate's capture
+};
+
+// Placeholder for "the temp stack this move just created"
+const TEMP_STACK = '__move_temp_stack__';
+
+// Highest value a build can have
+const MAX_BUILD_VALUE = 10;
+
+// Kinds whose last action leaves the turn open until an explicit endTurn
+const ENDS_WITH_END_TURN = new Set([MOVE_KINDS.STEAL]);
+
+const looseCards = state => (state.tableCards || []).filter(tc => !tc.type);
+const buildStacks = state => (state.tableCards || []).filter(tc => tc.type === 'build_stack');
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+
+/**
+ * Whether the hand holds a card of a value other than the one being played
+ */
+function holdsOtherOfValue(hand, played, value) {
+  return hand.some(c => !sameCard(c, played) && c.value === value);
+}
+
+/**
+ * Every non-empty set of the loose cards, smallest first, each in table order
+ * @returns {Array<{ cards: Array, total: number, max: number }>}
+ */
+function looseSubsets(loose) {
+  const subsets = [];
+  const walk = (start, cards, total, max) => {
+    for (let i = start; i < loose.length; i++) {
+      const subset = {
+        cards: [...cards, loose[i]],
+        total: total + loose[i].value,
+        max: Math.max(max, loose[i].value),
+      };
+      subsets.push(subset);
+      walk(i + 1, subset.cards, subset.total, subset.max);
+    }
+  };
+  walk(0, [], 0, 0);
+  return subsets.sort((a, b) => a.cards.length - b.cards.length);
+}
+
+/**
+ * Split cards into groups that each add up to target
+ * @returns {Array<Array>|null} Groups, each in non-increasing value order,
+ *   or null if the cards can't be split that way
+ */
+function splitIntoGroups(cards, target) {
+  const total = cards.reduce((sum, c) => sum + c.value, 0);
+  if (!target || total === 0 || total % target !== 0) return null;
+
+  const sorted = [...cards].sort((a, b) => b.value - a.value);
+  if (sorted[0].value > target) return null;
+
+  const groups = Array.from({ length: total / target }, () => ({ sum: 0, cards: [] }));
+  const place = i => {
+    if (i === sorted.length) return true;
+    const card = sorted[i];
+    const tried = new Set();
+    for (const group of groups) {
+      // Groups with the same sum so far are interchangeable
+      if (group.sum + card.value > target || tried.has(group.sum)) continue;
+      tried.add(group.sum);
+      group.sum += card.value;
+      group.cards.push(card);
+      if (place(i + 1)) return true;
+      group.sum -= card.value;
+      group.cards.pop();
+    }
+    return false;
+  };
+
+  return place(0) ? groups.map(g => g.cards) : null;
+}
+
+/**
+ * Temp stack actions for a build of a hand card and loose cards
+ * acceptTemp checks the groups in stack order, so the cards go on group by
+ * group, largest first - with the hand card's group first so the hand card
+ * can open the stack.
+ */
+function buildActions(groups, card, buildValue) {
+  const own = groups.find(group => group.includes(card));
+  const handFirst = (a, b) => b.value - a.value || (a === card ? -1 : b === card ? 1 : 0);
+  const ordered = [[...own].sort(handFirst), ...groups.filter(group => group !== own)].flat();
+
+  const handAt = ordered.indexOf(card);
+  const [first, target] = handAt <= 1 ? [card, ordered[1 - handAt]] : ordered;
+  const rest = ordered.filter(c => c !== first && c !== target);
+
+  return [
+    { type: 'createTemp', payload: { card: first, targetCard: target, source: first === card ? 'hand' : 'table' } },
+    ...rest.map(c => ({ type: 'addToTemp', payload: { card: c, stackId: TEMP_STACK, source: c === card ? 'hand' : 'table' } })),
+    { type: 'acceptTemp', payload: { stackId: TEMP_STACK, buildValue } },
+  ];
+}
+
+/**
+ * Value of an opponent's build once the card steals it - the card total,
+ * or the largest card once the total passes 10 (as stealBuild works it out)
+ */
+function stolenValue(build, card) {
+  const values = [...build.cards, card].map(c => c.value);
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return total <= MAX_BUILD_VALUE ? total : Math.max(...values);
+}
+
+/**
+ * Values a hand card plus loose cards can make the player's own build
+ * worth: raised by what was added, or unchanged when the added cards make
+ * another group of the build's value.
+ */
+function extendedValues(build, card, added) {
+  const addedTotal = card.value + added.reduce((sum, c) => sum + c.value, 0);
+  // Same-rank builds keep their value when another card of the rank goes on
+  const sameRank = added.length === 0 && build.cards.every(c => c.rank === card.rank);
+  const values = new Set([sameRank ? build.value : build.value + addedTotal]);
+  if (addedTotal === build.value) values.add(build.value);
+  return [...values].filter(value => value <= MAX_BUILD_VALUE);
+}
+
+/**
+ * Candidate moves that start a fresh turn
+ * Candidates are not guaranteed to be legal - they are run through the handlers.
+ */
+function generateTurnCandidates(state, playerIndex) {
+  const hand = state.players[playerIndex]?.hand || [];
+  const loose = looseCards(state);
+  const builds = buildStacks(state);
+  const subsets = looseSubsets(loose);
+  const moves = [];
+
+  for (const card of hand) {
+    moves.push({ kind: MOVE_KINDS.TRAIL, actions: [{ type: 'trail', payload: { card } }] });
+
+    for (const target of loose) {
+      if (target.rank !== card.rank) continue;
+      moves.push({
+        kind: MOVE_KINDS.CAPTURE,
+        actions: [{
+          type: 'capture',
+          payload: { card, targetType: 'loose', targetRank: target.rank, targetSuit: target.suit },
+        }],
+      });
+    }
+
+    for (const build of builds) {
+      if (build.value !== card.value) continue;
+      const capture = { type: 'capture', payload: { card, targetType: 'build', targetStackId: build.stackId } };
+      moves.push({ kind: MOVE_KINDS.CAPTURE_BUILD, actions: [capture] });
+
+      // Loose cards making more groups of the value go onto the player's own build first
+      if (build.owner !== playerIndex) continue;
+      for (const { cards, max } of subsets) {
+        if (max > build.value || !splitIntoGroups(cards, build.value)) continue;
+        moves.push({
+          kind: MOVE_KINDS.CAPTURE_BUILD,
+          actions: [
+            ...cards.map(c => ({ type: 'extendBuild', payload: { card: c, stackId: build.stackId, cardSource: 'table' } })),
+            { type: 'acceptBuildExtension', payload: { stackId: build.stackId } },
+            capture,
+          ],
+        });
+      }
+    }
+
+    // Stack the loose cards into a temp stack, then take it with the hand card
+    for (const { cards, total, max } of subsets) {
+      if (cards.length < 2 || max > card.value || total % card.value !== 0) continue;
+      if (!splitIntoGroups(cards, card.value)) continue;
+      const [first, second, ...rest] = cards;
+      moves.push({
+        kind: MOVE_KINDS.MULTI_CAPTURE,
+        actions: [
+          { type: 'createTemp', payload: { card: first, targetCard: second, source: 'table' } },
+          ...rest.map(extra => ({ type: 'addToTemp', payload: { card: extra, stackId: TEMP_STACK, source: 'table' } })),
+          { type: 'captureTemp', payload: { card, stackId: TEMP_STACK, source: 'hand' } },
+        ],
+      });
+    }
+
+    // Build onto loose cards, only when another card in hand can take it later
+    for (const { cards, total } of subsets) {
+      const stacked = [...cards, card];
+      for (let buildValue = 1; buildValue <= MAX_BUILD_VALUE; buildValue++) {
+        if ((total + card.value) % buildValue !== 0 || !holdsOtherOfValue(hand, card, buildValue)) continue;
+        const groups = splitIntoGroups(stacked, buildValue);
+        if (!groups) continue;
+        moves.push({ kind: MOVE_KINDS.BUILD, actions: buildActions(groups, card, buildValue) });
+      }
+    }
+
+    for (const build of builds) {
+      if (build.owner === playerIndex) {
+        if (card.value > build.value) continue;
+        for (const added of [[], ...subsets.filter(s => s.max <= build.value).map(s => s.cards)]) {
+          if (!extendedValues(build, card, added).some(value => holdsOtherOfValue(hand, card, value))) continue;
+          moves.push({
+            kind: MOVE_KINDS.EXTEND,
+            actions: [
+              ...added.map(c => ({ type: 'extendBuild', payload: { card: c, stackId: build.stackId, cardSource: 'table' } })),
+              { type: 'extendBuild', payload: { card, stackId: build.stackId, cardSource: 'hand' } },
+              { type: 'acceptBuildExtension', payload: { stackId: build.stackId } },
+            ],
+          });
+        }
+      } else {
+        const sameRank = build.cards.every(c => c.rank === card.rank);
+        if (sameRank || !StealValidator.isValid(build, card)) continue;
+        if (!holdsOtherOfValue(hand, card, stolenValue(build, card))) continue;
+        moves.push({
+          kind: MOVE_KINDS.STEAL,
+          actions: [{ type: 'stealBuild', payload: { card, stackId: build.stackId, cardSource: 'hand' } }],
+        });
+      }
+    }
+  }
+
+  return moves;
+}
+
+/**
+ * Candidate moves that finish the temp stack or extension the player has open
+ */
+function generateContinuationCandidates(state, playerIndex) {
+  const hand = state.players[playerIndex]?.hand || [];
+  const moves = [];
+
+  const tempStack = getPlayerTempStack(state, playerIndex);
+  if (tempStack) {
+    for (const card of hand) {
+      moves.push({
+        kind: MOVE_KINDS.CAPTURE_TEMP,
+        actions: [{ type: 'captureTemp', payload: { card, stackId: tempStack.stackId, source: 'hand' } }],
+      });
+    }
+    const total = tempStack.cards.reduce((sum, c) => sum + c.value, 0);
+    for (const buildValue of new Set([tempStack.value, total])) {
+      if (!buildValue || buildValue > MAX_BUILD_VALUE) continue;
+      moves.push({
+        kind: MOVE_KINDS.ACCEPT_TEMP,
+        actions: [{ type: 'acceptTemp', payload: { stackId: tempStack.stackId, buildValue } }],
+      });
+    }
+  }
+
+  for (const build of buildStacks(state)) {
+    if (build.owner !== playerIndex || !build.pendingExtension) continue;
+    moves.push({
+      kind: MOVE_KINDS.ACCEPT_EXTENSION,
+      actions: [{ type: 'acceptBuildExtension', payload: { stackId: build.stackId } }],
+    });
+  }
+
+  return moves;
+}
+
+/**
+ * Actions that put back whatever the player has open, so a fresh turn can start
+ */
+function getCancelActions(state, playerIndex) {
+  const actions = [];
+  const tempStack = getPlayerTempStack(state, playerIndex);
+  if (tempStack) {
+    actions.push({ type: 'cancelTemp', payload: { stackId: tempStack.stackId } });
+  }
+  for (const build of buildStacks(state)) {
+    if (build.owner === playerIndex && build.pendingExtension) {
+      actions.push({ type: 'declineBuildExtension', payload: { stackId: build.stackId } });
+    }
+  }
+  return actions;
+}
+
+/**
+ * Whether play has moved on from the player in this state
+ * (roundPlayers flags can't be used - local games never settle them)
+ */
+function turnPassed(state, playerIndex) {
+  return state.gameOver || state.currentPlayer !== playerIndex;
+}
+
+/**
+ * Run a move through the router
+ * @returns {{ kind: string, actions: Array, state: object }|null} Concrete actions
+ *   and the resulting state, or null if any step is rejected or the turn is left open
+ */
+function simulateMove(router, state, playerIndex, move) {
+  const actions = [];
+  let current = state;
+
+  try {
+    for (const step of move.actions) {
+      let payload = step.payload;
+      if (payload.stackId === TEMP_STACK) {
+        const tempStack = getPlayerTempStack(current, playerIndex);
+        if (!tempStack) return null;
+        payload = { ...payload, stackId: tempStack.stackId };
+      }
+
+      const next = router.executeAction(current, playerIndex, step.type, payload);
+      // A handler returning the same state ignored the action
+      if (next === current || next.pendingChoice) return null;
+
+      actions.push({ type: step.type, payload });
+      current = next;
+    }
+
+    // Anything else left open was routed somewhere unexpected
+    // (e.g. a capture the SmartRouter turned into an extension)
+    if (!turnPassed(current, playerIndex)) {
+      if (!ENDS_WITH_END_TURN.has(move.kind)) return null;
+      const ended = router.executeAction(current, playerIndex, 'endTurn', {});
+      if (!turnPassed(ended, playerIndex)) return null;
+      actions.push({ type: 'endTurn', payload: {} });
+      current = ended;
+    }
+  } catch {
+    return null;
+  }
+
+  return { kind: move.kind, actions, state: current };
+}
+
+/**
+ * Run candidates through the router, dropping rejected and duplicate moves
+ */
+function collectOutcomes(router, state, playerIndex, candidates, prefix = []) {
+  const seen = new Set();
+  const outcomes = [];
+
+  for (const move of candidates) {
+    const key = JSON.stringify(move.actions);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const outcome = simulateMove(router, state, playerIndex, move);
+    if (outcome) {
+      outcomes.push(prefix.length ? { ...outcome, actions: [...prefix, ...outcome.actions] } : outcome);
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Recall moves open to a party player (allowed out of turn)
+ */
+function getRecallOutcomes(router, state, playerIndex) {
+  const outcomes = [];
+  for (const recallId of Object.keys(state.shiyaRecalls?.[playerIndex] || {})) {
+    const action = { type: 'recall', payload: { recallId } };
+    try {
+      const next = router.executeAction(state, playerIndex, action.type, action.payload);
+      if (next !== state) outcomes.push({ kind: MOVE_KINDS.RECALL, actions: [action], state: next });
+    } catch {
+      // Recall no longer possible
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Legal moves with the state each one leads to
+ * Same as getLegalMoves, for callers that go on to look at the result (e.g. the CPU).
+ * @param {object} state - Current game state (not mutated)
+ * @param {number} playerIndex - Player to list moves for
+ * @param {object} [options]
+ * @param {object} [options.handlers] - Action handlers (defaults to the shared set)
+ * @param {boolean} [options.includeRecall=true] - Include party-mode recall moves
+ * @returns {Array<{ kind: string, actions: Array<{ type: string, payload: object }>, state: object }>}
+ */
+function getLegalMoveOutcomes(state, playerIndex, options = {}) {
+  const { includeRecall = true } = options;
+  if (!state?.players?.[playerIndex] || state.gameOver) return [];
+
+  // Required lazily - the handlers import the shared index
+  const { createActionRouter } = require('./ActionRouter');
+  const router = createActionRouter({ handlers: options.handlers || require('./actions') });
+
+  const recalls = includeRecall && state.playerCount === 4 ? getRecallOutcomes(router, state, playerIndex) : [];
+  if (state.currentPlayer !== playerIndex) return recalls;
+
+  let outcomes;
+  const cancelActions = getCancelActions(state, playerIndex);
+  if (cancelActions.length === 0) {
+    outcomes = collectOutcomes(router, state, playerIndex, generateTurnCandidates(state, playerIndex));
+  } else {
+    outcomes = collectOutcomes(router, state, playerIndex, generateContinuationCandidates(state, playerIndex));
+
+    // Nothing finishes what's open - put it back and play a fresh turn
+    if (outcomes.length === 0) {
+      let reset = state;
+      try {
+        for (const action of cancelActions) {
+          reset = router.executeAction(reset, playerIndex, action.type, action.payload);
+        }
+        outcomes = collectOutcomes(
+          router, reset, playerIndex, generateTurnCandidates(reset, playerIndex), cancelActions
+        );
+      } catch {
+        outcomes = [];
+      }
+    }
+  }
+
+  return [...outcomes, ...recalls];
+}
+
+/**
+ * Every legal move for a player right now
+ * @param {object} state - Current game state (not mutated)
+ * @param {number} playerIndex - Player to list moves for
+ * @param {object} [options] - See getLegalMoveOutcomes
+ * @returns {Array<{ kind: string, actions: Array<{ type: string, payload: object }> }>}
+ *   Moves in a stable order; send a move's actions in order to play it
+ */
+function getLegalMoves(state, playerIndex, options = {}) {
+  return getLegalMoveOutcomes(state, playerIndex, options).map(({ kind, actions }) => ({ kind, actions }));
+}
+
+module.exports = {
+  MOVE_KINDS,
+  getLegalMoves,
+  getLegalMoveOutcomes,
+};
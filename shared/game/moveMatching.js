@@ -0,0 +1,87 @@
+/**
+ * Move Matching
+ * Works out which legal move a player made from the board it left behind.
+ *
+ * The GameBoard sends whatever actions the player's drags produce, which
+ * don't have to match the actions getLegalMoves lists for the same move
+ * (the SmartRouter may route them differently). Comparing the resulting
+ * boards sidesteps that.
+ */
+
+const { MOVE_KINDS } = require('./legalMoves');
+
+const cardId = card => `${card.rank}${card.suit}`;
+const cardIds = cards => (cards || []).map(c => `${c.rank}${c.suit}`).sort().join(',');
+
+/**
+ * Order-independent picture of a board
+ * Stack IDs and card order are ignored; whose turn it is, hands, captures
+ * and what's on the table are not.
+ * @param {object} state - Game state
+ * @returns {string}
+ */
+function boardSignature(state) {
+  return JSON.stringify({
+    currentPlayer: state.currentPlayer,
+    players: state.players.map(p => [cardIds(p.hand), cardIds(p.captures)]),
+    table: (state.tableCards || [])
+      .map(tc => (tc.type ? `${tc.type}:${tc.owner}:${tc.value}:${cardIds(tc.cards)}` : `${tc.rank}${tc.suit}`))
+      .sort(),
+  });
+}
+
+/**
+ * The move outcome that leads to a given board
+ * @param {Array<{ state: object }>} outcomes - From getLegalMoveOutcomes
+ * @param {object} state - Board after the player's turn
+ * @returns {object|null} Matching outcome, or null if none matches
+ */
+function findOutcomeForState(outcomes, state) {
+  const signature = boardSignature(state);
+  return outcomes.find(outcome => boardSignature(outcome.state) === signature) || null;
+}
+
+/**
+ * Short description of a move, e.g. "Capture 10♦ with 10♠"
+ * @param {object} state - Board the move was made from
+ * @param {{ kind: string, actions: Array }} move - Legal move (see getLegalMoveOutcomes)
+ * @returns {string}
+ */
+function describeMove(state, move) {
+  const first = move.actions[0]?.payload || {};
+  const played = first.card ? cardId(first.card) : '';
+  const build = stackId => state.tableCards.find(tc => tc.stackId === stackId);
+
+  switch (move.kind) {
+    case MOVE_KINDS.TRAIL:
+      return `Trail ${played}`;
+    case MOVE_KINDS.CAPTURE:
+      return `Capture ${first.targetRank}${first.targetSuit} with ${played}`;
+    case MOVE_KINDS.CAPTURE_BUILD:
+      return `Capture the build of ${build(first.targetStackId)?.value} with ${played}`;
+    case MOVE_KINDS.MULTI_CAPTURE: {
+      const taken = move.actions.filter(a => a.type !== 'captureTemp').map(a => [a.payload.card, a.payload.targetCard])
+        .flat().filter(Boolean).map(cardId);
+      const capturing = move.actions.find(a => a.type === 'captureTemp').payload.card;
+      return `Capture ${taken.join(' + ')} with ${cardId(capturing)}`;
+    }
+    case MOVE_KINDS.CAPTURE_TEMP:
+      return `Capture your stack of ${build(first.stackId)?.value} with ${played}`;
+    case MOVE_KINDS.BUILD: {
+      const value = move.actions.find(a => a.type === 'acceptTemp')?.payload.buildValue;
+      return `Build ${value} with ${played} on ${cardId(first.targetCard)}`;
+    }
+    case MOVE_KINDS.EXTEND:
+      return `Raise your build of ${build(first.stackId)?.value} with ${played}`;
+    case MOVE_KINDS.STEAL:
+      return `Take over the build of ${build(first.stackId)?.value} with ${played}`;
+    default:
+      return move.kind;
+  }
+}
+
+module.exports = {
+  boardSignature,
+  findOutcomeForState,
+  describeMove,
+};
@@ -0,0 +1,192 @@
+/**
+ * Player Statistics
+ * Per-player stat lines for a finished game, and the totals and summaries
+ * they add up to.
+ *
+ * A stat line counts what one player did in one game. Move counts come
+ * from replaying the action log (captures, builds created and stolen,
+ * trails, shiya recalls); scoring cards, bonuses and the last-capture
+ * sweep come from the final state.
+ *
+ * Totals are plain objects of counters (see STAT_FIELDS) so the server can
+ * keep them with $inc; summaries turn them into the averages and rates the
+ * stats screen charts.
+ */
+
+const { buildReplayFrames } = require('./replay');
+const { getScoreBreakdown } = require('./scoring');
+const { getRules } = require('./ruleSet');
+
+// Counters kept per player - every stat line has each of them
+const STAT_FIELDS = [
+  'games',
+  'points',
+  'captures',
+  'buildsCreated',
+  'buildsStolen',
+  'trails',
+  'tenDiamonds',
+  'twoSpades',
+  'aces',
+  'spadeBonuses',
+  'cardCountBonuses',
+  'lastCaptureSweeps',
+  'shiyaRecalls',
+];
+
+// Aces in a deck - the share of aces is measured against all of them
+const ACES_PER_GAME = 4;
+
+// Recent time windows stats are summarised over (ms) - all-time figures
+// come from the running totals instead
+const STAT_WINDOWS = {
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Empty totals
+ * @returns {Object<string, number>} Every STAT_FIELDS counter at 0
+ */
+function createStatTotals() {
+  return STAT_FIELDS.reduce((acc, field) => {
+    acc[field] = 0;
+    return acc;
+  }, {});
+}
+
+const buildIds = (state, playerIndex) => new Map(
+  state.tableCards
+    .filter(tc => tc.type === 'build_stack')
+    .map(tc => [tc.stackId, tc.owner])
+    .filter(([, owner]) => playerIndex === undefined || owner === playerIndex)
+);
+
+/**
+ * Count one logged action into a player's line
+ */
+function countAction(line, before, after, entry) {
+  const playerIndex = entry.playerIndex;
+  const type = entry.routedType || entry.type;
+
+  if (type === 'recall') {
+    line.shiyaRecalls++;
+    return;
+  }
+  if (type === 'trail') line.trails++;
+
+  if (after.players[playerIndex].captures.length > before.players[playerIndex].captures.length) {
+    line.captures++;
+  }
+
+  const previous = buildIds(before);
+  for (const stackId of buildIds(after, playerIndex).keys()) {
+    if (!previous.has(stackId)) line.buildsCreated++;
+    else if (previous.get(stackId) !== playerIndex) line.buildsStolen++;
+  }
+}
+
+/**
+ * Stat lines for every player of a finished game
+ * @param {object} replay - { playerCount, isPartyMode, seed, initialDeck, rules?, dealer?, actions }
+ * @param {object} [finalState] - Final game state (defaults to the replayed one)
+ * @returns {Array<Object<string, number>>|null} One line per seat, or null if the
+ *   log can't be replayed to the end
+ */
+function getGameStatLines(replay, finalState) {
+  if (replay.seed == null && !replay.initialDeck) return null;
+
+  const { frames, error } = buildReplayFrames(replay);
+  if (error) return null;
+
+  const final = finalState || frames[frames.length - 1].state;
+  const rules = getRules(final);
+  const lines = final.players.map(() => ({ ...createStatTotals(), games: 1 }));
+
+  for (let i = 1; i < frames.length; i++) {
+    const { state, entry } = frames[i];
+    if (!entry.system) countAction(lines[entry.playerIndex], frames[i - 1].state, state, entry);
+  }
+
+  // finalizeGame records who took the cards left on the table
+  const sweep = final.lastCaptureSweep;
+  if (sweep && lines[sweep.playerIndex]) lines[sweep.playerIndex].lastCaptureSweeps = 1;
+
+  final.players.forEach((player, idx) => {
+    const breakdown = getScoreBreakdown(player.captures || [], 'standard', rules);
+    const line = lines[idx];
+    line.points = final.scores?.[idx] ?? breakdown.totalScore;
+    line.tenDiamonds = breakdown.tenDiamondCount;
+    line.twoSpades = breakdown.twoSpadeCount;
+    line.aces = breakdown.aceCount;
+    line.spadeBonuses = breakdown.spadeBonus > 0 ? 1 : 0;
+    line.cardCountBonuses = breakdown.cardCountBonus > 0 ? 1 : 0;
+  });
+
+  return lines;
+}
+
+/**
+ * Add a stat line (or other totals) into totals
+ * @param {Object<string, number>} totals - Mutated
+ * @param {Object<string, number>} line
+ * @returns {Object<string, number>} totals
+ */
+function addStatLine(totals, line) {
+  for (const field of STAT_FIELDS) {
+    totals[field] = (totals[field] || 0) + (line?.[field] || 0);
+  }
+  return totals;
+}
+
+const perGame = (value, games) => (games > 0 ? value / games : 0);
+
+/**
+ * Averages and rates for a set of totals
+ * Shares are the fraction of those cards in the deck the player took;
+ * rates are the fraction of games the bonus was won.
+ * @param {Object<string, number>} totals
+ * @returns {object}
+ */
+function summarizeStats(totals) {
+  const t = addStatLine(createStatTotals(), totals);
+  return {
+    games: t.games,
+    averagePoints: perGame(t.points, t.games),
+    capturesPerGame: perGame(t.captures, t.games),
+    buildsCreatedPerGame: perGame(t.buildsCreated, t.games),
+    buildsStolenPerGame: perGame(t.buildsStolen, t.games),
+    trailsPerGame: perGame(t.trails, t.games),
+    tenDiamondShare: perGame(t.tenDiamonds, t.games),
+    twoSpadeShare: perGame(t.twoSpades, t.games),
+    aceShare: perGame(t.aces, t.games * ACES_PER_GAME),
+    spadeBonusRate: perGame(t.spadeBonuses, t.games),
+    cardCountBonusRate: perGame(t.cardCountBonuses, t.games),
+    lastCaptureSweeps: t.lastCaptureSweeps,
+    shiyaRecalls: t.shiyaRecalls,
+  };
+}
+
+/**
+ * Summaries of dated stat lines over each STAT_WINDOWS window
+ * @param {Array<{ at: Date|string|number }>} lines - Stat lines with the time they were played
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object<string, object>} Window name → summarizeStats
+ */
+function summarizeWindows(lines, now = Date.now()) {
+  return Object.entries(STAT_WINDOWS).reduce((acc, [name, length]) => {
+    const inWindow = lines.filter(line => now - new Date(line.at).getTime() <= length);
+    acc[name] = summarizeStats(inWindow.reduce(addStatLine, createStatTotals()));
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  STAT_FIELDS,
+  STAT_WINDOWS,
+  createStatTotals,
+  getGameStatLines,
+  addStatLine,
+  summarizeStats,
+  summarizeWindows,
+};
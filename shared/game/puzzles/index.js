@@ -0,0 +1,313 @@
+/**
+ * Puzzles
+ * "Find the best move" challenges: a fixed table, hand and known captures,
+ * and the player has to find the highest-value play.
+ *
+ * Puzzles are plain JSON (see puzzleData.json):
+ * {
+ *   id, title, description, difficulty: 'easy' | 'medium' | 'hard',
+ *   table: ["10♦", ...],                             loose cards
+ *   builds: [{ owner: 0 | 1, cards: ["4♠", "3♦"], value: 7 }],
+ *   hand: [...], opponentHand: [...],
+ *   captures: [[...player's captures], [...opponent's captures]],
+ *   solution: { kind, card }                         the intended best move
+ * }
+ *
+ * The player is seat 0 in a two-hands game. Every legal move is played
+ * through the shared handlers and scored with the CPU's position
+ * evaluation, so "best" means what the engine rates highest, and a puzzle
+ * is only valid if exactly one move is best and it's the stated solution.
+ */
+
+const { createActionRouter } = require('../ActionRouter');
+const { initializeGame } = require('../initialization');
+const { rankValue, createOrderedDeck } = require('../deck');
+const { generateStackId } = require('../stackId');
+const { getLegalMoveOutcomes, MOVE_KINDS } = require('../legalMoves');
+const { findOutcomeForState, boardSignature, describeMove } = require('../moveMatching');
+const { calculatePlayerScore } = require('../scoring');
+const { getRules } = require('../ruleSet');
+const { evaluateState } = require('../ai/evaluate');
+const { createSeededRandom } = require('../rng');
+const puzzleData = require('./puzzleData.json');
+
+const PLAYER = 0;
+const OPPONENT = 1;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Scores closer than this count as a tie
+const SCORE_EPSILON = 1e-6;
+
+const VALID_CARDS = new Set(createOrderedDeck().map(c => `${c.rank}${c.suit}`));
+
+const cardId = card => `${card.rank}${card.suit}`;
+
+/**
+ * Card object from its ID ("10♦", "A♠")
+ * @param {string} id
+ * @returns {{ rank: string, suit: string, value: number }|null} null if it isn't a card in the deck
+ */
+function parseCard(id) {
+  if (typeof id !== 'string' || !VALID_CARDS.has(id)) return null;
+  const rank = id.slice(0, -1);
+  return { rank, suit: id.slice(-1), value: rankValue(rank) };
+}
+
+// Lazily created - the handlers import the shared index
+let router = null;
+function getRouter() {
+  if (!router) {
+    router = createActionRouter({ handlers: require('../actions') });
+  }
+  return router;
+}
+
+/**
+ * Check a puzzle's shape and cards (not its solution)
+ * @returns {string|null} Error message, or null if fine
+ */
+function validateLayout(puzzle) {
+  if (!puzzle || typeof puzzle !== 'object') return 'Puzzle must be an object';
+  if (typeof puzzle.id !== 'string' || !/^[a-z0-9-]+$/.test(puzzle.id)) return 'Puzzle id must be lowercase letters, digits and dashes';
+  if (typeof puzzle.title !== 'string' || !puzzle.title) return `${puzzle.id}: title is required`;
+  if (!DIFFICULTIES.includes(puzzle.difficulty)) return `${puzzle.id}: difficulty must be one of ${DIFFICULTIES.join(', ')}`;
+
+  const zones = {
+    table: puzzle.table || [],
+    hand: puzzle.hand,
+    opponentHand: puzzle.opponentHand || [],
+    'captures[0]': puzzle.captures?.[0] || [],
+    'captures[1]': puzzle.captures?.[1] || [],
+  };
+  (puzzle.builds || []).forEach((build, i) => { zones[`builds[${i}]`] = build?.cards; });
+
+  const seen = new Set();
+  for (const [zone, cards] of Object.entries(zones)) {
+    if (!Array.isArray(cards)) return `${puzzle.id}: ${zone} must be a list of cards`;
+    for (const id of cards) {
+      if (!parseCard(id)) return `${puzzle.id}: ${zone} has an unknown card "${id}"`;
+      if (seen.has(id)) return `${puzzle.id}: ${id} appears more than once`;
+      seen.add(id);
+    }
+  }
+  if (puzzle.hand.length === 0) return `${puzzle.id}: hand can't be empty`;
+
+  const buildValues = new Set();
+  for (const [i, build] of (puzzle.builds || []).entries()) {
+    if (build.owner !== PLAYER && build.owner !== OPPONENT) return `${puzzle.id}: builds[${i}] owner must be 0 or 1`;
+    if (build.cards.length < 2) return `${puzzle.id}: builds[${i}] needs at least two cards`;
+    const total = build.cards.reduce((sum, id) => sum + parseCard(id).value, 0);
+    if (!Number.isInteger(build.value) || build.value > 10 || total !== build.value) {
+      return `${puzzle.id}: builds[${i}] cards must add up to its value (10 at most)`;
+    }
+    if (buildValues.has(build.value)) return `${puzzle.id}: two builds can't share the value ${build.value}`;
+    buildValues.add(build.value);
+  }
+  return null;
+}
+
+/**
+ * Game state a puzzle starts from
+ * @param {object} puzzle
+ * @returns {object} Game state with the player (seat 0) to move
+ * @throws {Error} If the puzzle's layout is invalid
+ */
+function createPuzzleState(puzzle) {
+  const error = validateLayout(puzzle);
+  if (error) throw new Error(error);
+
+  const base = initializeGame(2, false, { seed: `puzzle-${puzzle.id}` });
+  const cards = ids => ids.map(parseCard);
+  const hands = [puzzle.hand, puzzle.opponentHand || []];
+  const captures = puzzle.captures || [];
+
+  const state = {
+    ...base,
+    deck: [],
+    initialDeck: null,
+    currentPlayer: PLAYER,
+    players: base.players.map(player => ({
+      ...player,
+      hand: cards(hands[player.index]),
+      captures: cards(captures[player.index] || []),
+    })),
+    tableCards: cards(puzzle.table || []),
+  };
+
+  for (const build of puzzle.builds || []) {
+    state.tableCards.push({
+      type: 'build_stack',
+      stackId: generateStackId(state, 'build', build.owner),
+      cards: cards(build.cards),
+      value: build.value,
+      need: build.value,
+      owner: build.owner,
+      hasBase: false,
+    });
+  }
+  return state;
+}
+
+/**
+ * Points (by the real scoring rules) the player's captures are worth
+ */
+function capturePoints(state) {
+  return calculatePlayerScore(state.players[PLAYER].captures, 'standard', getRules(state));
+}
+
+/**
+ * Every distinct legal move, best first
+ * Moves that leave the same board are the same move; the first is kept.
+ * @param {object} puzzle
+ * @returns {Array<{ kind: string, actions: Array, state: object, score: number, points: number, description: string }>}
+ *   score - engine evaluation of the position after the move
+ *   points - points the move adds to the player's captures
+ */
+function scorePuzzleMoves(puzzle) {
+  const start = createPuzzleState(puzzle);
+  const startPoints = capturePoints(start);
+  const seen = new Set();
+  const moves = [];
+
+  for (const outcome of getLegalMoveOutcomes(start, PLAYER)) {
+    const signature = boardSignature(outcome.state);
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+    moves.push({
+      ...outcome,
+      score: evaluateState(outcome.state, PLAYER),
+      points: capturePoints(outcome.state) - startPoints,
+      description: describeMove(start, outcome),
+    });
+  }
+
+  return moves.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Whether a move is the one a solution describes
+ */
+function matchesSolution(move, solution) {
+  return move.kind === solution.kind
+    && move.actions.some(action => action.payload.card && cardId(action.payload.card) === solution.card);
+}
+
+/**
+ * Validate a puzzle, including that it has one clear best move
+ * @param {object} puzzle
+ * @returns {string|null} Error message, or null if the puzzle is valid
+ */
+function validatePuzzle(puzzle) {
+  const layoutError = validateLayout(puzzle);
+  if (layoutError) return layoutError;
+
+  const solution = puzzle.solution;
+  if (!solution || !Object.values(MOVE_KINDS).includes(solution.kind) || !parseCard(solution.card)) {
+    return `${puzzle.id}: solution needs a move kind and a card`;
+  }
+
+  const moves = scorePuzzleMoves(puzzle);
+  if (moves.length < 2) return `${puzzle.id}: needs at least two legal moves to choose from`;
+  if (moves[0].score - moves[1].score < SCORE_EPSILON) return `${puzzle.id}: more than one move is best`;
+  if (!matchesSolution(moves[0], solution)) {
+    return `${puzzle.id}: the engine's best move is "${moves[0].description}", not the stated solution`;
+  }
+  return null;
+}
+
+/**
+ * Check a player's answer
+ * The actions are replayed from the puzzle's start, exactly as the
+ * GameBoard sent them, and must finish the turn.
+ * @param {object} puzzle
+ * @param {Array<{ type: string, payload?: object }>} actions
+ * @returns {object} { valid: false, error } or
+ *   { valid: true, correct, move, score, points, best: { description, score, points } }
+ */
+function checkPuzzleSolution(puzzle, actions) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return { valid: false, error: 'No move was played' };
+  }
+
+  let state = createPuzzleState(puzzle);
+  try {
+    for (const action of actions) {
+      if (state.currentPlayer !== PLAYER || state.gameOver) {
+        return { valid: false, error: 'Moves were played after the turn ended' };
+      }
+      state = getRouter().executeAction(state, PLAYER, action?.type, action?.payload || {});
+    }
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+  if (state.currentPlayer === PLAYER && !state.gameOver) {
+    return { valid: false, error: 'The move isn\'t finished' };
+  }
+
+  const moves = scorePuzzleMoves(puzzle);
+  const played = findOutcomeForState(moves, state);
+  if (!played) {
+    return { valid: false, error: 'That move isn\'t one of the legal moves' };
+  }
+
+  const [best] = moves;
+  return {
+    valid: true,
+    correct: best.score - played.score < SCORE_EPSILON,
+    move: played.description,
+    score: played.score,
+    points: played.points,
+    best: { description: best.description, score: best.score, points: best.points },
+  };
+}
+
+/**
+ * A puzzle as shown to players (without its solution)
+ */
+function getPublicPuzzle(puzzle) {
+  const { solution, ...rest } = puzzle;
+  return rest;
+}
+
+/**
+ * Puzzle catalog, in file order
+ * @returns {Array<object>}
+ */
+function listPuzzles() {
+  return puzzleData.puzzles;
+}
+
+/**
+ * Find a puzzle by ID
+ * @param {string} puzzleId
+ * @returns {object|null}
+ */
+function getPuzzle(puzzleId) {
+  return puzzleData.puzzles.find(p => p.id === puzzleId) || null;
+}
+
+/**
+ * Puzzle of the day
+ * Everyone gets the same puzzle on the same (UTC) day.
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {Array<object>} [puzzles] - Catalog to pick from
+ * @returns {object}
+ */
+function getDailyPuzzle(dateKey, puzzles = puzzleData.puzzles) {
+  const random = createSeededRandom(`daily-puzzle-${dateKey}`);
+  return puzzles[Math.floor(random() * puzzles.length)];
+}
+
+module.exports = {
+  DIFFICULTIES,
+  parseCard,
+  createPuzzleState,
+  scorePuzzleMoves,
+  validatePuzzle,
+  checkPuzzleSolution,
+  getPublicPuzzle,
+  listPuzzles,
+  getPuzzle,
+  getDailyPuzzle,
+};
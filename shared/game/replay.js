@@ -0,0 +1,154 @@
+/**
+ * Action-Log Replay
+ * Rebuilds every intermediate state of a game from its seed and action log
+ * by re-running the shared action handlers.
+ *
+ * A log entry is either a player action accepted by the server router
+ *   { seq, timestamp, playerIndex, type, payload, routedType }
+ * or a server-driven transition between actions
+ *   { seq, timestamp, system: true, type: REPLAY_EVENTS.*, payload }
+ *
+ * Used by the server (crash rehydration) and the client replay viewer.
+ */
+
+const { cloneState } = require('./clone');
+const { initializeGame } = require('./initialization');
+const { startNextRound } = require('./round');
+const { finalizeGame } = require('./gameEnd');
+const { updateScores } = require('./scoring');
+const { settleTurnFlags, skipDisconnectedPlayer } = require('./turn');
+
+// Server-driven transitions recorded in the action log
+const REPLAY_EVENTS = {
+  ROUND_END: 'roundEnd',       // round finished - scores recalculated
+  NEXT_ROUND: 'nextRound',     // fresh hands dealt from the remaining deck
+  GAME_OVER: 'gameOver',       // payload.finalize = remaining cards were swept first
+  SKIP_TURN: 'skipTurn',       // payload.playerIndex's seat expired on their turn
+  TURN_TIMEOUT: 'turnTimeout', // payload.playerIndex ran out of time (auto-play is logged after it)
+  FORFEIT: 'forfeit',          // payload.playerIndex forfeited the game
+};
+
+/**
+ * Apply a server-driven transition to a state
+ * @param {object} state - Current state (not mutated)
+ * @param {{ type: string, payload?: object }} event - Logged system event
+ * @returns {object} New state
+ * @throws {Error} If the event is unknown or can't be applied
+ */
+function applyReplayEvent(state, event) {
+  const newState = cloneState(state);
+  const payload = event.payload || {};
+
+  switch (event.type) {
+    case REPLAY_EVENTS.ROUND_END:
+      updateScores(newState);
+      return newState;
+
+    case REPLAY_EVENTS.NEXT_ROUND: {
+      const nextState = startNextRound(newState, newState.playerCount || newState.players.length);
+      if (!nextState) throw new Error('No further round could be dealt');
+      // Scores carry over between rounds
+      nextState.scores = newState.scores;
+      nextState.teamScores = newState.teamScores;
+      return nextState;
+    }
+
+    case REPLAY_EVENTS.GAME_OVER: {
+      const finalState = payload.finalize ? finalizeGame(newState) : newState;
+      updateScores(finalState);
+      finalState.gameOver = true;
+      return finalState;
+    }
+
+    case REPLAY_EVENTS.SKIP_TURN:
+      return skipDisconnectedPlayer(newState, payload.playerIndex);
+
+    case REPLAY_EVENTS.TURN_TIMEOUT: {
+      const timeouts = { ...(newState.turnTimeouts || {}) };
+      timeouts[payload.playerIndex] = (timeouts[payload.playerIndex] || 0) + 1;
+      newState.turnTimeouts = timeouts;
+      return newState;
+    }
+
+    case REPLAY_EVENTS.FORFEIT:
+      newState.forfeitedBy = payload.playerIndex;
+      return newState;
+
+    default:
+      throw new Error(`Unknown replay event "${event.type}"`);
+  }
+}
+
+/**
+ * Apply one log entry the same way the server did
+ * @param {object} router - Shared action router (createActionRouter)
+ * @param {object} state - Current state (not mutated)
+ * @param {object} entry - Logged action or system event
+ * @returns {object} New state
+ * @throws {Error} If the action is rejected by the router
+ */
+function applyLogEntry(router, state, entry) {
+  if (entry.system) {
+    return applyReplayEvent(state, entry);
+  }
+
+  const newState = router.executeAction(state, entry.playerIndex, entry.type, entry.payload);
+  // Settling mutates, so never let it touch the previous state
+  return settleTurnFlags(newState === state ? cloneState(state) : newState);
+}
+
+/**
+ * Recreate the starting state of a logged game
+ * @param {object} replay - { playerCount, isPartyMode, seed, initialDeck, rules?, dealer? }
+ * @returns {object} Initial game state
+ */
+function createReplayInitialState(replay) {
+  const options = replay.initialDeck ? { deck: replay.initialDeck } : { seed: replay.seed };
+  if (replay.dealer != null) options.dealer = replay.dealer;
+  const state = initializeGame(replay.playerCount || 2, !!replay.isPartyMode, options);
+  // The stored RuleSet is already resolved, so it replaces the defaults as-is
+  if (replay.rules) state.rules = { ...replay.rules };
+  return state;
+}
+
+/**
+ * Rebuild every state of a game from its seed and action log
+ * Stops at the first entry that can't be applied and reports it, so a viewer
+ * can still step through everything before it.
+ * @param {object} replay - { playerCount, isPartyMode, seed, initialDeck, rules?, dealer?, actions }
+ * @param {object} [options]
+ * @param {object} [options.handlers] - Action handlers (defaults to the shared set)
+ * @returns {{ frames: Array<{ state: object, entry: object|null }>, error: string|null }}
+ */
+function buildReplayFrames(replay, options = {}) {
+  if (replay.seed == null && !replay.initialDeck) {
+    throw new Error('Replay has no seed or initial deck');
+  }
+
+  // Required lazily - the handlers import this module's index
+  const { createActionRouter } = require('./ActionRouter');
+  const router = createActionRouter({ handlers: options.handlers || require('./actions') });
+
+  let state = createReplayInitialState(replay);
+  const frames = [{ state, entry: null }];
+  const actions = [...(replay.actions || [])].sort((a, b) => a.seq - b.seq);
+
+  for (const entry of actions) {
+    try {
+      state = applyLogEntry(router, state, entry);
+    } catch (err) {
+      return { frames, error: `Entry ${entry.seq} (${entry.type}) could not be replayed: ${err.message}` };
+    }
+    frames.push({ state, entry });
+  }
+
+  return { frames, error: null };
+}
+
+module.exports = {
+  REPLAY_EVENTS,
+  applyReplayEvent,
+  applyLogEntry,
+  createReplayInitialState,
+  buildReplayFrames,
+};
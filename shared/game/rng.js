@@ -0,0 +1,70 @@
+/**
+ * Seeded Random
+ * Deterministic PRNG so a deal can be reproduced from its seed
+ * (bug reports, replays, tournaments with identical deals, tests).
+ */
+
+/**
+ * Generate a fresh 32-bit seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Reduce a seed (number or string) to an unsigned 32-bit integer
+ * Strings are hashed with FNV-1a so human-readable seeds work too.
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit integer
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+  if (typeof seed === 'string' && seed.length > 0) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  throw new Error(`Invalid seed: ${seed}`);
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let a = normalizeSeed(seed);
+  return function random() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle in place using the given generator
+ * @param {Array} items - Array to shuffle
+ * @param {function(): number} random - Generator returning floats in [0, 1)
+ * @returns {Array} The same array, shuffled
+ */
+function shuffleInPlace(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+module.exports = {
+  generateSeed,
+  normalizeSeed,
+  createSeededRandom,
+  shuffleInPlace,
+};
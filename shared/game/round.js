@@ -6,6 +6,8 @@
 const { STARTING_CARDS_PER_PLAYER, STARTING_CARDS_THREE_HANDS } = require('./constants');
 const { cloneState } = require('./clone');
 const { createRoundPlayers } = require('./turn');
+const { getRules, getRoundsPerGame } = require('./ruleSet');
+const { updateScores } = require('./scoring');
 
 /**
  * Determine starting cards based on player count
@@ -16,10 +18,37 @@ function getStartingCards(playerCount) {
   return playerCount === 3 ? STARTING_CARDS_THREE_HANDS : STARTING_CARDS_PER_PLAYER;
 }
 
+/**
+ * Whether a side has reached the rules' points-to-win target
+ * Scores are worked out from the captures, so stale state.scores don't matter.
+ * @param {object} state - Game state (not mutated)
+ * @returns {boolean}
+ */
+function hasReachedPointsToWin(state) {
+  const { pointsToWin } = getRules(state);
+  if (!pointsToWin) return false;
+
+  const scored = updateScores({ ...state, scores: [], teamScores: [0, 0] });
+  const isPartyMode = (state.playerCount || state.players.length) === 4 && state.players.some(p => p.team);
+  const totals = isPartyMode ? scored.teamScores : scored.scores;
+  return (totals || []).some(score => score >= pointsToWin);
+}
+
+/**
+ * Whether the round just played is the game's last
+ * (the rules' round count is reached, or a side reached points-to-win)
+ * @param {object} state - Game state at the end of a round
+ * @returns {boolean}
+ */
+function isFinalRound(state) {
+  return state.round >= getRoundsPerGame(state) || hasReachedPointsToWin(state);
+}
+
 /**
  * Start the next round by dealing cards from the remaining deck.
- * For 2-player mode: allows up to 2 rounds total
- * For 3-player and 4-player mode: returns null (no Round 2 allowed - game ends after Round 1)
+ * The number of rounds comes from the rules (state.rules.roundsPerGame):
+ * by default 2 in 2-player mode and 1 (no Round 2) in 3- and 4-player mode.
+ * A game also stops once a side reaches the rules' points-to-win target.
  * 
  * @param {object} state - Current game state
  * @param {number} playerCount - Number of players (2, 3, or 4)
@@ -28,15 +57,15 @@ function getStartingCards(playerCount) {
 function startNextRound(state, playerCount) {
   console.log(`[round] startNextRound: current round=${state.round}, playerCount=${playerCount}`);
 
-  // For 3-player and 4-player: only 1 round allowed (no Round 2)
-  if (playerCount >= 3) {
-    console.log(`[round] startNextRound: ${playerCount}-player mode, no Round 2 allowed, returning null`);
+  // Rounds per game: 2 for 2-player, 1 (no Round 2) for 3- and 4-player by default
+  const roundsPerGame = getRoundsPerGame(state);
+  if (state.round >= roundsPerGame) {
+    console.log(`[round] startNextRound: all ${roundsPerGame} round(s) played, returning null`);
     return null;
   }
 
-  // For 2-player: allow up to 2 rounds
-  if (state.round >= 2) {
-    console.log('[round] startNextRound: Round 2 already completed, returning null');
+  if (hasReachedPointsToWin(state)) {
+    console.log(`[round] startNextRound: points-to-win (${getRules(state).pointsToWin}) reached, returning null`);
     return null;
   }
 
@@ -72,7 +101,7 @@ function startNextRound(state, playerCount) {
   // Update newState with the new players and other round changes
   newState.players = newPlayers;
   newState.tableCards = looseTableCards;  // Keep loose cards, temp stacks are cleared
-  newState.currentPlayer = 0;
+  newState.currentPlayer = ((state.dealer ?? playerCount - 1) + 1) % playerCount; // seat after the dealer
   newState.round = state.round + 1;
   newState.turnCounter = 1;
   newState.moveCount = 0;
@@ -87,4 +116,6 @@ function startNextRound(state, playerCount) {
 module.exports = {
   startNextRound,
   getStartingCards,
+  hasReachedPointsToWin,
+  isFinalRound,
 };
@@ -0,0 +1,110 @@
+/**
+ * Rule Errors
+ * Structured reasons for rejected moves.
+ *
+ * The routers and validators throw a RuleError instead of a plain Error so a
+ * rejected move carries a stable code and a player-facing explanation next
+ * to the developer message. Clients show the explanation ("why can't I do
+ * this?"); the code lets tutorials, tests and logs tell rejections apart
+ * without parsing message text.
+ */
+
+const RULE_ERROR_CODES = {
+  GAME_OVER: 'GAME_OVER',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  PLAYER_ELIMINATED: 'PLAYER_ELIMINATED',
+  INVALID_CARD: 'INVALID_CARD',
+  CARD_NOT_AVAILABLE: 'CARD_NOT_AVAILABLE',
+  STACK_NOT_FOUND: 'STACK_NOT_FOUND',
+  NOT_YOUR_BUILD: 'NOT_YOUR_BUILD',
+  OWN_BUILD: 'OWN_BUILD',
+  EXTENSION_PENDING: 'EXTENSION_PENDING',
+  BUILD_COMPLETE: 'BUILD_COMPLETE',
+  BUILD_VALUE_MISMATCH: 'BUILD_VALUE_MISMATCH',
+  ALREADY_HAS_BUILD: 'ALREADY_HAS_BUILD',
+  DUPLICATE_BUILD_VALUE: 'DUPLICATE_BUILD_VALUE',
+  STEAL_FROM_HAND_ONLY: 'STEAL_FROM_HAND_ONLY',
+  STEAL_BASE_BUILD: 'STEAL_BASE_BUILD',
+  STEAL_TEN_BUILD: 'STEAL_TEN_BUILD',
+  STEAL_INVALID_BUILD: 'STEAL_INVALID_BUILD',
+  TRAIL_WITH_BUILD: 'TRAIL_WITH_BUILD',
+  TRAIL_MATCHES_LOOSE: 'TRAIL_MATCHES_LOOSE',
+  TRAIL_MATCHES_BUILD: 'TRAIL_MATCHES_BUILD',
+  INVALID_MOVE: 'INVALID_MOVE',
+};
+
+const EXPLANATIONS = {
+  GAME_OVER: 'The game is over, so no more moves can be played.',
+  UNKNOWN_ACTION: "That move isn't part of the game.",
+  NOT_YOUR_TURN: "It's not your turn yet. Wait for the other players to finish their moves.",
+  PLAYER_ELIMINATED: "You've been eliminated from this tournament and can only watch.",
+  INVALID_CARD: "That card couldn't be read. Try the move again.",
+  CARD_NOT_AVAILABLE: "That card isn't where you played it from any more.",
+  STACK_NOT_FOUND: "That stack isn't on the table any more.",
+  NOT_YOUR_BUILD: 'That build belongs to another player.',
+  OWN_BUILD: "That's your own build. Add to it or capture it instead of taking it over.",
+  EXTENSION_PENDING: 'Finish extending your build first: accept or cancel the extension.',
+  BUILD_COMPLETE: "This build is already complete. Only a card of the build's value can capture it.",
+  BUILD_VALUE_MISMATCH: "That card doesn't fit this build: it can't capture it and can't add up to its value.",
+  ALREADY_HAS_BUILD: 'You can only own one build at a time. Capture your build before making another.',
+  DUPLICATE_BUILD_VALUE: "Another player already has a build of that value, so you can't take this one over.",
+  STEAL_FROM_HAND_ONLY: 'You can only take over a build with a card from your hand.',
+  STEAL_BASE_BUILD: "Base builds can't be taken over.",
+  STEAL_TEN_BUILD: "Builds worth 10 can't be taken over.",
+  STEAL_INVALID_BUILD: "Adding that card wouldn't make a valid build.",
+  TRAIL_WITH_BUILD: "You can't trail while you own a build. Capture it or add to it first.",
+  TRAIL_MATCHES_LOOSE: "You can't trail a card when the same rank is already loose on the table. Capture it instead.",
+  TRAIL_MATCHES_BUILD: "You can't trail a card with the same value as a build on the table. Capture the build instead.",
+  INVALID_MOVE: "That move isn't allowed.",
+};
+
+class RuleError extends Error {
+  /**
+   * @param {string} code - One of RULE_ERROR_CODES
+   * @param {string} message - Developer-facing detail (kept as the Error message)
+   * @param {string} [explanation] - Player-facing reason; defaults to the code's explanation
+   */
+  constructor(code, message, explanation) {
+    super(message);
+    this.name = 'RuleError';
+    this.code = code;
+    this.explanation = explanation || EXPLANATIONS[code] || EXPLANATIONS.INVALID_MOVE;
+  }
+}
+
+/**
+ * Player-facing explanation for a rule error code
+ * @param {string} code
+ * @returns {string}
+ */
+function getExplanation(code) {
+  return EXPLANATIONS[code] || EXPLANATIONS.INVALID_MOVE;
+}
+
+/**
+ * Describe any thrown error as a rejection reason.
+ * Plain Errors (from deeper action handlers) get the INVALID_MOVE code and
+ * their message, minus an "actionName: " prefix, as the explanation.
+ * @param {Error|string} err
+ * @returns {{ code: string, message: string, explanation: string }}
+ */
+function explainError(err) {
+  const message = typeof err === 'string' ? err : err?.message || EXPLANATIONS.INVALID_MOVE;
+  if (err instanceof RuleError) {
+    return { code: err.code, message, explanation: err.explanation };
+  }
+  const stripped = message.replace(/^[a-zA-Z]+: /, '');
+  return {
+    code: RULE_ERROR_CODES.INVALID_MOVE,
+    message,
+    explanation: stripped.charAt(0).toUpperCase() + stripped.slice(1),
+  };
+}
+
+module.exports = {
+  RULE_ERROR_CODES,
+  RuleError,
+  getExplanation,
+  explainError,
+};
@@ -0,0 +1,136 @@
+/**
+ * House Rules (RuleSet)
+ * Scoring values and game-flow limits a game is played with.
+ *
+ * A RuleSet is a plain object stored in state.rules by initializeGame, so it
+ * travels with snapshots, replays and client updates. Scoring, the actions
+ * and startNextRound read it through getRules(state); states created before
+ * rules existed fall back to the defaults.
+ */
+
+const { DECK_SIZE, STARTING_CARDS_PER_PLAYER, STARTING_CARDS_THREE_HANDS } = require('./constants');
+
+// Standard rules - what every game used before house rules existed
+const DEFAULT_RULES = Object.freeze({
+  tenDiamondPoints: 2,     // 10♦
+  twoSpadePoints: 1,       // 2♠
+  acePoints: 1,            // each ace
+  spadeBonusThreshold: 6,  // spades needed for the spade bonus
+  spadeBonusPoints: 2,
+  mostCardsPoints: 2,      // more than half the deck (21+ cards)
+  halfCardsPoints: 1,      // exactly half the deck (20 cards)
+  teamHalfCardsPoints: 1,  // party: extra for a team holding half the deck or more
+  buildsOverTen: true,     // build cards may total more than 10 (grouped builds like 5+3+8 for 8)
+  roundsPerGame: null,     // null = every round the deck can deal
+  pointsToWin: null,       // null = play every round; otherwise stop after the round that reaches it
+  matchTarget: null,       // null = single game; otherwise deal games until a side reaches it (MatchCoordinator)
+});
+
+/**
+ * Options a private room may change, with their allowed values
+ * Everything else stays at the defaults.
+ */
+const RULE_VARIANTS = {
+  pointsToWin: { type: 'number', min: 1, max: 11, nullable: true, label: 'Points to win' },
+  roundsPerGame: { type: 'number', min: 1, max: 2, nullable: true, label: 'Rounds per game' },
+  buildsOverTen: { type: 'boolean', label: 'Builds may total over 10' },
+  spadeBonusThreshold: { type: 'number', min: 5, max: 10, label: 'Spades for the spade bonus' },
+  matchTarget: { type: 'number', min: 5, max: 50, nullable: true, label: 'Match target' },
+};
+
+/**
+ * Rounds the deck can deal for a player count (2 in two-hands, 1 otherwise)
+ * @param {number} playerCount - Number of players
+ * @returns {number}
+ */
+function getMaxRounds(playerCount) {
+  const perRound = playerCount * (playerCount === 3 ? STARTING_CARDS_THREE_HANDS : STARTING_CARDS_PER_PLAYER);
+  const openingTrail = playerCount === 3 ? 1 : 0;
+  return Math.max(1, Math.floor((DECK_SIZE - openingTrail) / perRound));
+}
+
+/**
+ * Validate variant choices for a player count
+ * @param {object} [overrides] - Chosen variants (keys of RULE_VARIANTS)
+ * @param {number} [playerCount=2] - Number of players
+ * @returns {string|null} Error message, or null if every choice is allowed
+ */
+function validateRules(overrides = {}, playerCount = 2) {
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const variant = RULE_VARIANTS[key];
+    if (!variant) return `Unknown rule: ${key}`;
+    if (value === null && variant.nullable) continue;
+
+    if (variant.type === 'boolean') {
+      if (typeof value !== 'boolean') return `${variant.label} must be true or false`;
+      continue;
+    }
+
+    const max = key === 'roundsPerGame' ? Math.min(variant.max, getMaxRounds(playerCount)) : variant.max;
+    if (!Number.isInteger(value) || value < variant.min || value > max) {
+      return `${variant.label} must be between ${variant.min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a full RuleSet from variant choices
+ * @param {object} [overrides] - Chosen variants (keys of RULE_VARIANTS)
+ * @param {number} [playerCount=2] - Number of players
+ * @returns {object} RuleSet with roundsPerGame resolved for the player count
+ * @throws {Error} If a choice isn't allowed (see validateRules)
+ */
+function createRuleSet(overrides = {}, playerCount = 2) {
+  const error = validateRules(overrides, playerCount);
+  if (error) throw new Error(`createRuleSet: ${error}`);
+
+  const rules = { ...DEFAULT_RULES, ...(overrides || {}) };
+  if (rules.roundsPerGame === null) rules.roundsPerGame = getMaxRounds(playerCount);
+  return rules;
+}
+
+/**
+ * Variant choices a RuleSet was built from
+ * Feeding them back to createRuleSet gives the same RuleSet, e.g. for the
+ * next game of a match.
+ * @param {object} rules - RuleSet
+ * @returns {object} Values of the RULE_VARIANTS keys
+ */
+function getVariantChoices(rules) {
+  const choices = {};
+  for (const key of Object.keys(RULE_VARIANTS)) {
+    if (rules[key] !== undefined) choices[key] = rules[key];
+  }
+  return choices;
+}
+
+/**
+ * Rules a state is played with
+ * @param {object} [state] - Game state
+ * @returns {object} state.rules, or the defaults for older states
+ */
+function getRules(state) {
+  return state?.rules || DEFAULT_RULES;
+}
+
+/**
+ * Rounds a game lasts (before any points-to-win cut-off)
+ * @param {object} state - Game state
+ * @returns {number}
+ */
+function getRoundsPerGame(state) {
+  const playerCount = state.playerCount || state.players?.length || 2;
+  return getRules(state).roundsPerGame ?? getMaxRounds(playerCount);
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_VARIANTS,
+  getMaxRounds,
+  validateRules,
+  createRuleSet,
+  getVariantChoices,
+  getRules,
+  getRoundsPerGame,
+};
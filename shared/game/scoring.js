@@ -1,8 +1,15 @@
 /**
  * Casino Scoring System
  * Calculates points based on captured cards with specific rules
+ * Point values and bonuses come from the game's RuleSet (see ruleSet.js).
  */
 
+const { DECK_SIZE } = require('./constants');
+const { DEFAULT_RULES, getRules } = require('./ruleSet');
+
+// Card-count bonuses are measured against half the deck
+const HALF_DECK = DECK_SIZE / 2;
+
 // Simple console-based logger
 const logger = {
   info: (...args) => console.log('[Scoring] INFO:', ...args),
@@ -13,34 +20,48 @@ const logger = {
 /**
  * Calculate points for an individual card
  * @param {Object} card - Card object with rank and suit
+ * @param {Object} [rules] - RuleSet (defaults to the standard rules)
  * @returns {number} Points for this card
  */
-function calculateCardPoints(card) {
+function calculateCardPoints(card, rules = DEFAULT_RULES) {
   // 10 Diamond = 2 points
   if (card.rank === "10" && card.suit === "♦") {
-    return 2;
+    return rules.tenDiamondPoints;
   }
 
   // 2 Spade = 1 point
   if (card.rank === "2" && card.suit === "♠") {
-    return 1;
+    return rules.twoSpadePoints;
   }
 
   // Each Ace = 1 point
   if (card.rank === "A") {
-    return 1;
+    return rules.acePoints;
   }
 
   return 0;
 }
 
+/**
+ * Card-count bonus for a pile of captured cards
+ * @param {number} totalCards - Cards captured
+ * @param {Object} rules - RuleSet
+ * @returns {number} Bonus points
+ */
+function getCardCountBonus(totalCards, rules) {
+  if (totalCards > HALF_DECK) return rules.mostCardsPoints;
+  if (totalCards === HALF_DECK) return rules.halfCardsPoints;
+  return 0;
+}
+
 /**
  * Calculate score for a player's captured cards
  * @param {Array} capturedCards - Array of captured card objects
  * @param {string} gameType - 'standard', 'three-hands', or 'party' (default: 'standard')
+ * @param {Object} [rules] - RuleSet (defaults to the standard rules)
  * @returns {number} Total score for the player
  */
-function calculatePlayerScore(capturedCards, gameType = 'standard') {
+function calculatePlayerScore(capturedCards, gameType = 'standard', rules = DEFAULT_RULES) {
   if (!capturedCards || !Array.isArray(capturedCards)) {
     return 0;
   }
@@ -52,7 +73,7 @@ function calculatePlayerScore(capturedCards, gameType = 'standard') {
   // 1. Individual card points
   score += capturedCards.reduce((sum, card) => {
     if (!card || typeof card !== "object") return sum;
-    return sum + calculateCardPoints(card);
+    return sum + calculateCardPoints(card, rules);
   }, 0);
 
   // 2. Count spades and total cards for bonuses
@@ -63,17 +84,13 @@ function calculatePlayerScore(capturedCards, gameType = 'standard') {
   const totalCards = capturedCards.length;
 
   // 3. Spades bonus: NOT included for three-hands mode
-  if (!isThreeHands && spadeCount >= 6) {
-    score += 2;
+  if (!isThreeHands && spadeCount >= rules.spadeBonusThreshold) {
+    score += rules.spadeBonusPoints;
   }
 
   // 4. Card count bonuses: NOT included for three-hands mode
   if (!isThreeHands) {
-    if (totalCards >= 21) {
-      score += 2;
-    } else if (totalCards === 20) {
-      score += 1;
-    }
+    score += getCardCountBonus(totalCards, rules);
   }
 
   return score;
@@ -82,9 +99,10 @@ function calculatePlayerScore(capturedCards, gameType = 'standard') {
 /**
  * Calculate final scores for both players (2‑player mode)
  * @param {Array} playerCaptures - Array of [player0Captures, player1Captures]
+ * @param {Object} [rules] - RuleSet (defaults to the standard rules)
  * @returns {Array} [player0Score, player1Score]
  */
-function calculateFinalScores(playerCaptures) {
+function calculateFinalScores(playerCaptures, rules = DEFAULT_RULES) {
   if (
     !playerCaptures ||
     !Array.isArray(playerCaptures) ||
@@ -96,11 +114,13 @@ function calculateFinalScores(playerCaptures) {
 
   const [p0Cards, p1Cards] = playerCaptures;
 
-  const p0Score = calculatePlayerScore(p0Cards || []);
-  const p1Score = calculatePlayerScore(p1Cards || []);
+  const p0Score = calculatePlayerScore(p0Cards || [], 'standard', rules);
+  const p1Score = calculatePlayerScore(p1Cards || [], 'standard', rules);
 
   const totalScore = p0Score + p1Score;
-  const expectedTotal = 11;
+  // Every point in the deck: 10♦, 2♠, four aces, spade and card-count bonuses
+  const expectedTotal = rules.tenDiamondPoints + rules.twoSpadePoints + 4 * rules.acePoints +
+    rules.spadeBonusPoints + rules.mostCardsPoints;
 
   if (totalScore !== expectedTotal) {
     logger.warn(
@@ -124,9 +144,10 @@ function calculateFinalScores(playerCaptures) {
 /**
  * Calculate team scores from all players' captures
  * @param {Array} players - Array of player objects with captures
+ * @param {Object} [rules] - RuleSet (defaults to the standard rules)
  * @returns {Array} [teamAScore, teamBScore]
  */
-function calculateTeamScores(players) {
+function calculateTeamScores(players, rules = DEFAULT_RULES) {
   if (!players || !Array.isArray(players)) {
     return [0, 0];
   }
@@ -137,7 +158,7 @@ function calculateTeamScores(players) {
   for (const player of players) {
     if (!player || !player.captures) continue;
     
-    const playerScore = calculatePlayerScore(player.captures);
+    const playerScore = calculatePlayerScore(player.captures, 'party', rules);
     const team = player.team || (player.id < 2 ? 'A' : 'B');
     
     if (team === 'A') {
@@ -156,13 +177,13 @@ function calculateTeamScores(players) {
     .filter(p => (p.team || (p.id < 2 ? 'A' : 'B')) === 'B')
     .reduce((sum, p) => sum + (p.captures?.length || 0), 0);
 
-  if (teamACards >= 20) {
-    teamAScore += 1;
-    logger.info(`🎯 Team A 20-card bonus: +1 point`);
+  if (teamACards >= HALF_DECK) {
+    teamAScore += rules.teamHalfCardsPoints;
+    logger.info(`🎯 Team A ${HALF_DECK}-card bonus: +${rules.teamHalfCardsPoints} point(s)`);
   }
-  if (teamBCards >= 20) {
-    teamBScore += 1;
-    logger.info(`🎯 Team B 20-card bonus: +1 point`);
+  if (teamBCards >= HALF_DECK) {
+    teamBScore += rules.teamHalfCardsPoints;
+    logger.info(`🎯 Team B ${HALF_DECK}-card bonus: +${rules.teamHalfCardsPoints} point(s)`);
   }
 
   logger.info(`📊 Team scores: Team A = ${teamAScore}, Team B = ${teamBScore}`);
@@ -330,6 +351,7 @@ function updateScores(gameState) {
 
   const players = gameState.players || [];
   const playerCount = gameState.playerCount || players.length;
+  const rules = getRules(gameState);
 
   // Determine gameType for scoring (three-hands uses base points only, no bonuses)
   const isThreeHands = playerCount === 3;
@@ -338,13 +360,13 @@ function updateScores(gameState) {
 
   // Calculate per-player scores (pass gameType to exclude bonuses for three-hands)
   const perPlayerScores = players.map(p => 
-    calculatePlayerScore(p.captures || [], gameType)
+    calculatePlayerScore(p.captures || [], gameType, rules)
   );
   gameState.scores = perPlayerScores;
   
   // Calculate team scores for 4-player party mode only (when teams exist)
   if (playerCount === 4 && isPartyMode) {
-    const teamScores = calculateTeamScores(players);
+    const teamScores = calculateTeamScores(players, rules);
     gameState.teamScores = teamScores;
     
     // Determine team winner
@@ -364,7 +386,7 @@ function updateScores(gameState) {
     logger.info(`📊 Scores updated (4-player free-for-all): [${perPlayerScores.join(', ')}], Winner: ${gameState.winner !== null ? `Player ${gameState.winner}` : 'Tie'}`);
   } else {
     // 2-player mode
-    const newScores = calculateFinalScores(players.map(p => p.captures || []));
+    const newScores = calculateFinalScores(players.map(p => p.captures || []), rules);
     gameState.scores = newScores;
     gameState.winner = determineWinner(newScores, playerCount);
     
@@ -378,9 +400,10 @@ function updateScores(gameState) {
  * Get detailed score breakdown for a player
  * @param {Array} capturedCards - Array of captured card objects
  * @param {string} gameType - 'standard', 'three-hands', or 'party' (default: 'standard')
+ * @param {Object} [rules] - RuleSet (defaults to the standard rules)
  * @returns {Object} Detailed breakdown of score components
  */
-function getScoreBreakdown(capturedCards, gameType = 'standard') {
+function getScoreBreakdown(capturedCards, gameType = 'standard', rules = DEFAULT_RULES) {
   if (!capturedCards || !Array.isArray(capturedCards)) {
     return {
       totalCards: 0,
@@ -414,13 +437,13 @@ function getScoreBreakdown(capturedCards, gameType = 'standard') {
   );
 
   const tenDiamondCount = tenDiamondCards.length;
-  const tenDiamondPoints = tenDiamondCount * 2; // 10♦ = 2 points each
+  const tenDiamondPoints = tenDiamondCount * rules.tenDiamondPoints; // 10♦ = 2 points each
 
   const twoSpadeCount = twoSpadeCards.length;
-  const twoSpadePoints = twoSpadeCount * 1; // 2♠ = 1 point each
+  const twoSpadePoints = twoSpadeCount * rules.twoSpadePoints; // 2♠ = 1 point each
 
   const aceCount = aceCards.length;
-  const acePoints = aceCount * 1; // Ace = 1 point each
+  const acePoints = aceCount * rules.acePoints; // Ace = 1 point each
 
   // Count spades
   const spadeCount = capturedCards.filter(
@@ -433,7 +456,7 @@ function getScoreBreakdown(capturedCards, gameType = 'standard') {
   // Calculate card points (sum of all individual card points)
   const cardPoints = capturedCards.reduce((sum, card) => {
     if (!card || typeof card !== "object") return sum;
-    return sum + calculateCardPoints(card);
+    return sum + calculateCardPoints(card, rules);
   }, 0);
 
   // Calculate bonuses (NOT included for three-hands mode)
@@ -441,15 +464,11 @@ function getScoreBreakdown(capturedCards, gameType = 'standard') {
   let cardCountBonus = 0;
 
   if (!isThreeHands) {
-    if (spadeCount >= 6) {
-      spadeBonus = 2;
+    if (spadeCount >= rules.spadeBonusThreshold) {
+      spadeBonus = rules.spadeBonusPoints;
     }
 
-    if (totalCards >= 21) {
-      cardCountBonus = 2;
-    } else if (totalCards === 20) {
-      cardCountBonus = 1;
-    }
+    cardCountBonus = getCardCountBonus(totalCards, rules);
   }
 
   // Format cards for display
@@ -462,7 +481,7 @@ function getScoreBreakdown(capturedCards, gameType = 'standard') {
       suit: card.suit,
       value: card.value,
       display: `${card.rank} ${suitSymbol}`,
-      points: calculateCardPoints(card),
+      points: calculateCardPoints(card, rules),
     };
   }).filter(Boolean);
 
@@ -490,9 +509,10 @@ function getScoreBreakdown(capturedCards, gameType = 'standard') {
 /**
  * Get detailed team score breakdown aggregating players on each team
  * @param {Array} players - Array of player objects with captures
+ * @param {Object} [rules] - RuleSet (defaults to the standard rules)
  * @returns {Object} Team score breakdowns for Team A and Team B
  */
-function getTeamScoreBreakdown(players) {
+function getTeamScoreBreakdown(players, rules = DEFAULT_RULES) {
   if (!players || !Array.isArray(players)) {
     return {
       teamA: getEmptyTeamBreakdown(),
@@ -508,7 +528,7 @@ function getTeamScoreBreakdown(players) {
   for (let i = 0; i < players.length; i++) {
     const player = players[i];
     const captures = player?.captures || [];
-    const playerBreakdown = getScoreBreakdown(captures);
+    const playerBreakdown = getScoreBreakdown(captures, 'party', rules);
     playerBreakdowns.push(playerBreakdown);
 
     // Determine team
@@ -522,8 +542,8 @@ function getTeamScoreBreakdown(players) {
   }
 
   // Calculate team totals
-  const teamABreakdown = calculateTeamTotalBreakdown(teamACards);
-  const teamBBreakdown = calculateTeamTotalBreakdown(teamBCards);
+  const teamABreakdown = calculateTeamTotalBreakdown(teamACards, rules);
+  const teamBBreakdown = calculateTeamTotalBreakdown(teamBCards, rules);
 
   return {
     teamA: {
@@ -561,7 +581,7 @@ function getEmptyTeamBreakdown() {
   };
 }
 
-function calculateTeamTotalBreakdown(cards) {
+function calculateTeamTotalBreakdown(cards, rules = DEFAULT_RULES) {
   // Count specific cards
   const tenDiamondCount = cards.filter(
     (c) => c && c.rank === "10" && c.suit === "♦"
@@ -572,9 +592,9 @@ function calculateTeamTotalBreakdown(cards) {
   const aceCount = cards.filter((c) => c && c.rank === "A").length;
 
   // Calculate points
-  const tenDiamondPoints = tenDiamondCount * 2;
-  const twoSpadePoints = twoSpadeCount * 1;
-  const acePoints = aceCount * 1;
+  const tenDiamondPoints = tenDiamondCount * rules.tenDiamondPoints;
+  const twoSpadePoints = twoSpadeCount * rules.twoSpadePoints;
+  const acePoints = aceCount * rules.acePoints;
   const cardPoints = tenDiamondPoints + twoSpadePoints + acePoints;
 
   // Count spades
@@ -586,16 +606,12 @@ function calculateTeamTotalBreakdown(cards) {
   let cardCountBonus = 0;
 
   // In team mode: 6+ spades = +2 for the team
-  if (spadeCount >= 6) {
-    spadeBonus = 2;
+  if (spadeCount >= rules.spadeBonusThreshold) {
+    spadeBonus = rules.spadeBonusPoints;
   }
 
   // Team card bonus: 20+ cards = +2, exactly 20 = +1
-  if (totalCards >= 21) {
-    cardCountBonus = 2;
-  } else if (totalCards === 20) {
-    cardCountBonus = 1;
-  }
+  cardCountBonus = getCardCountBonus(totalCards, rules);
 
   return {
     totalCards,
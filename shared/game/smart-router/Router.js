@@ -21,6 +21,7 @@ const CaptureRouter = require('./routers/CaptureRouter');
 const ExtendRouter = require('./routers/ExtendRouter');
 const TempRouter = require('./routers/TempRouter');
 const TrailRouter = require('./routers/TrailRouter');
+const { RuleError, RULE_ERROR_CODES } = require('../ruleErrors');
 
 class Router {
   constructor() {
@@ -91,7 +92,7 @@ class Router {
     const stack = StackHelper.findStack(state, stackId);
 
     if (!stack) {
-      throw new Error(`Build stack "${stackId}" not found`);
+      throw new RuleError(RULE_ERROR_CODES.STACK_NOT_FOUND, `Build stack "${stackId}" not found`);
     }
 
     console.log('[Router.friendBuildDrop] found, owner:', stack.owner);
@@ -99,7 +100,7 @@ class Router {
     // Verify it's friendly
     const isFriendly = this.isFriendlyBuild(stack, playerIndex, state);
     if (!isFriendly) {
-      throw new Error(`Cannot perform friendBuildDrop on opponent's build (owner: ${stack.owner})`);
+      throw new RuleError(RULE_ERROR_CODES.NOT_YOUR_BUILD, `Cannot perform friendBuildDrop on opponent's build (owner: ${stack.owner})`);
     }
 
     // Route to friendly handler
@@ -118,7 +119,7 @@ class Router {
     const stack = StackHelper.findStack(state, stackId);
 
     if (!stack) {
-      throw new Error(`Build stack "${stackId}" not found`);
+      throw new RuleError(RULE_ERROR_CODES.STACK_NOT_FOUND, `Build stack "${stackId}" not found`);
     }
 
     console.log('[Router.opponentBuildDrop] found, owner:', stack.owner);
@@ -126,7 +127,7 @@ class Router {
     // Verify it's opponent
     const isFriendly = this.isFriendlyBuild(stack, playerIndex, state);
     if (isFriendly) {
-      throw new Error(`Cannot perform opponentBuildDrop on friendly build (owner: ${stack.owner})`);
+      throw new RuleError(RULE_ERROR_CODES.OWN_BUILD, `Cannot perform opponentBuildDrop on friendly build (owner: ${stack.owner})`);
     }
 
     // Route to opponent handler
@@ -4,6 +4,7 @@
  */
 
 const ExtendRouter = require('../routers/ExtendRouter');
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
 
 class FriendlyBuildHandler {
   constructor() {
@@ -41,7 +42,7 @@ class FriendlyBuildHandler {
         console.warn('[FriendlyBuildHandler] stack.currentTotal missing, computed from cards:', currentTotal);
       }
       if (target === undefined || currentTotal === undefined) {
-        throw new Error(
+        throw new RuleError(RULE_ERROR_CODES.INVALID_MOVE,
           `Invalid build: missing target/currentTotal. Build value: ${stack.value}, cards: ${stack.cards?.map(c => `${c.rank}${c.suit}`).join(', ')}`
         );
       }
@@ -91,9 +92,9 @@ class FriendlyBuildHandler {
         }
         if (!canExtend && !canCapture) {
           if (currentTotal === target) {
-            throw new Error(`Build already complete (total ${target}). Only capture with ${target}.`);
+            throw new RuleError(RULE_ERROR_CODES.BUILD_COMPLETE, `Build already complete (total ${target}). Only capture with ${target}.`);
           }
-          throw new Error(`Cannot extend or capture: ${card.rank}${card.suit} (${card.value}) on build (value=${stack.value}, total=${currentTotal}/${target})`);
+          throw new RuleError(RULE_ERROR_CODES.BUILD_VALUE_MISMATCH, `Cannot extend or capture: ${card.rank}${card.suit} (${card.value}) on build (value=${stack.value}, total=${currentTotal}/${target})`);
         }
       }
 
@@ -162,7 +163,7 @@ class FriendlyBuildHandler {
         console.log('[FriendlyBuildHandler] Table card, extend → EXTEND');
         return this.extendRouter.route({ stackId, card, cardSource: source }, state, playerIndex);
       }
-      throw new Error(`Cannot drop table card ${card.rank}${card.suit} on this build (cannot extend)`);
+      throw new RuleError(RULE_ERROR_CODES.BUILD_VALUE_MISMATCH, `Cannot drop table card ${card.rank}${card.suit} on this build (cannot extend)`);
     }
 
     throw new Error('Unreachable state');
@@ -7,6 +7,7 @@
 
 const CaptureRouter = require('../routers/CaptureRouter');
 const { getConsecutivePartition } = require('../../buildCalculator');
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
 
 class OpponentBuildHandler {
   constructor() {
@@ -124,7 +125,7 @@ class OpponentBuildHandler {
         };
       } else {
         console.log('[OpponentBuildHandler] ❌ Hand card cannot complete - must match build value');
-        throw new Error(
+        throw new RuleError(RULE_ERROR_CODES.BUILD_VALUE_MISMATCH,
           `Hand card ${card.value} cannot complete - must match build value ${stack.value}`
         );
       }
@@ -5,6 +5,7 @@
  */
 
 const { calculateBuildValue } = require('../../buildCalculator');
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
 
 class TempStackDropHandler {
   /**
@@ -29,7 +30,7 @@ class TempStackDropHandler {
 
     if (!stack) {
       console.log('[TempStackDropHandler] Stack NOT found, throwing error');
-      throw new Error(`Temp stack "${stackId}" not found`);
+      throw new RuleError(RULE_ERROR_CODES.STACK_NOT_FOUND, `Temp stack "${stackId}" not found`);
     }
 
     console.log('[TempStackDropHandler] Stack owner:', stack.owner);
@@ -9,6 +9,7 @@
 
 const StackHelper = require('../helpers/StackHelper');
 const StealValidator = require('../validators/StealValidator');
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
 
 class CaptureRouter {
   /**
@@ -96,12 +97,15 @@ class CaptureRouter {
     const source = cardSource || 'hand';
     if (source !== 'hand') {
       console.log(`[CaptureRouter] Invalid steal attempt - card source is '${source}', only 'hand' allowed for steal`);
-      throw new Error(`Cannot steal build - card must be from hand, not from ${source}`);
+      throw new RuleError(RULE_ERROR_CODES.STEAL_FROM_HAND_ONLY, `Cannot steal build - card must be from hand, not from ${source}`);
     }
     
     // Validate steal attempt - throws if invalid
     if (!StealValidator.isValid(stack, payload.card)) {
-      throw new Error(StealValidator.getErrorMessage(stack, payload.card));
+      throw new RuleError(
+        StealValidator.getErrorCode(stack, payload.card),
+        StealValidator.getErrorMessage(stack, payload.card)
+      );
     }
     
     // Check for CHOICE scenario (CaptureOrSteal modal)
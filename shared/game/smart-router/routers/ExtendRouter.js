@@ -8,6 +8,7 @@
  */
 
 const StackHelper = require('../helpers/StackHelper');
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
 
 class ExtendRouter {
   /**
@@ -21,7 +22,7 @@ class ExtendRouter {
     const stack = StackHelper.findStack(state, stackId);
     
     if (!stack) {
-      throw new Error(`Build "${stackId}" not found`);
+      throw new RuleError(RULE_ERROR_CODES.STACK_NOT_FOUND, `Build "${stackId}" not found`);
     }
     
     // Unified action handles both cases
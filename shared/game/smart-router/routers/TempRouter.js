@@ -4,6 +4,7 @@
  */
 
 const StackHelper = require('../helpers/StackHelper');
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
 
 class TempRouter {
   /**
@@ -33,7 +34,7 @@ class TempRouter {
     const existingBuilds = StackHelper.getPlayerBuilds(state, playerIndex);
     
     if (existingBuilds.length > 0) {
-      throw new Error(
+      throw new RuleError(RULE_ERROR_CODES.ALREADY_HAS_BUILD,
         'You already have an active build. Complete or capture it before converting this temporary stack to a build.'
       );
     }
@@ -13,6 +13,7 @@
  */
 
 const StackHelper = require('../helpers/StackHelper');
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
 
 class TrailRouter {
   /**
@@ -28,7 +29,7 @@ class TrailRouter {
     
     // Validate card in payload
     if (!card || !card.value) {
-      throw new Error('TrailRouter: invalid card payload - missing card or value');
+      throw new RuleError(RULE_ERROR_CODES.INVALID_CARD, 'TrailRouter: invalid card payload - missing card or value');
     }
     
     // --- Check for loose cards with same rank on table ---
@@ -40,7 +41,7 @@ class TrailRouter {
       );
       
       if (existingLooseCardOfSameRank) {
-        throw new Error(
+        throw new RuleError(RULE_ERROR_CODES.TRAIL_MATCHES_LOOSE,
           `trail: Cannot play ${card.rank}${card.suit} - ` +
           `there's already a ${card.rank} on the table as a loose card`
         );
@@ -53,7 +54,7 @@ class TrailRouter {
       );
       
       if (existingBuildOfSameValue) {
-        throw new Error(
+        throw new RuleError(RULE_ERROR_CODES.TRAIL_MATCHES_BUILD,
           `trail: Cannot play ${card.rank}${card.suit} - ` +
           `there's already a build with value ${card.value} on the table`
         );
@@ -78,7 +79,7 @@ class TrailRouter {
     
     // Round 1: prevent trailing if player has active build (original rule)
     if (StackHelper.playerHasActiveBuild(state, playerIndex)) {
-      throw new Error(
+      throw new RuleError(RULE_ERROR_CODES.TRAIL_WITH_BUILD,
         'You cannot trail - you have an active build. Extend or capture your build before trailing.'
       );
     }
@@ -4,6 +4,8 @@
  * Centralizes source validation across all handlers.
  */
 
+const { RuleError, RULE_ERROR_CODES } = require('../../ruleErrors');
+
 class CardSourceValidator {
   /**
    * Validate that a card exists at the claimed source.
@@ -16,7 +18,7 @@ class CardSourceValidator {
    */
   validate(card, source, playerIndex, state) {
     if (!card || !card.rank || !card.suit) {
-      throw new Error('Invalid card');
+      throw new RuleError(RULE_ERROR_CODES.INVALID_CARD, 'Invalid card');
     }
 
     switch (source) {
@@ -44,7 +46,7 @@ class CardSourceValidator {
     const found = hand.some(c => c.rank === card.rank && c.suit === card.suit);
     
     if (!found) {
-      throw new Error(`Card ${card.rank}${card.suit} not in player ${playerIndex}'s hand`);
+      throw new RuleError(RULE_ERROR_CODES.CARD_NOT_AVAILABLE, `Card ${card.rank}${card.suit} not in player ${playerIndex}'s hand`);
     }
     
     return 'hand';
@@ -59,7 +61,7 @@ class CardSourceValidator {
     );
     
     if (!onTable) {
-      throw new Error(`Card ${card.rank}${card.suit} not on table`);
+      throw new RuleError(RULE_ERROR_CODES.CARD_NOT_AVAILABLE, `Card ${card.rank}${card.suit} not on table`);
     }
     
     return 'table';
@@ -73,7 +75,7 @@ class CardSourceValidator {
     const found = captures.some(c => c.rank === card.rank && c.suit === card.suit);
     
     if (!found) {
-      throw new Error(`Card ${card.rank}${card.suit} not in player ${playerIndex}'s captures`);
+      throw new RuleError(RULE_ERROR_CODES.CARD_NOT_AVAILABLE, `Card ${card.rank}${card.suit} not in player ${playerIndex}'s captures`);
     }
     
     return 'captured';
@@ -103,7 +105,7 @@ class CardSourceValidator {
       return 'captured';
     }
 
-    throw new Error(`Card ${card.rank}${card.suit} not found anywhere`);
+    throw new RuleError(RULE_ERROR_CODES.CARD_NOT_AVAILABLE, `Card ${card.rank}${card.suit} not found anywhere`);
   }
 
   /**
@@ -3,6 +3,8 @@
  * Pure validation logic for stealing opponent builds.
  */
 
+const { RULE_ERROR_CODES } = require('../../ruleErrors');
+
 class StealValidator {
   /**
    * Check if a steal would be valid
@@ -42,6 +44,22 @@ class StealValidator {
     return base - otherSum;
   }
 
+  /**
+   * Get the rule error code for an invalid steal attempt
+   */
+  static getErrorCode(stack, card) {
+    if (stack.hasBase === true) {
+      return RULE_ERROR_CODES.STEAL_BASE_BUILD;
+    }
+    if (stack.value === 10) {
+      return RULE_ERROR_CODES.STEAL_TEN_BUILD;
+    }
+    if (this.calculateNewNeed(stack, card) < 0) {
+      return RULE_ERROR_CODES.STEAL_INVALID_BUILD;
+    }
+    return RULE_ERROR_CODES.INVALID_MOVE;
+  }
+
   /**
    * Get error message for invalid steal attempt
    */
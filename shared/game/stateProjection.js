@@ -0,0 +1,115 @@
+/**
+ * State Projection
+ * Builds the per-viewer copy of the game state that is safe to send to a client.
+ *
+ * The authoritative state holds information no single client may see:
+ * the remaining deck order (and the seed that produced it), every opponent's
+ * hand and shiya recall offers addressed to other players. Every broadcast path goes through one of the
+ * projections below instead of sending the raw state.
+ */
+
+const VIEWER_ROLES = {
+  PLAYER: 'player',
+  SPECTATOR: 'spectator',
+  ELIMINATED: 'eliminated',
+};
+
+/**
+ * Check whether a player has been knocked out of a tournament
+ * @param {object} state - Game state
+ * @param {number} playerIndex - Player index
+ * @returns {boolean} True if the player is ELIMINATED
+ */
+function isEliminatedPlayer(state, playerIndex) {
+  if (playerIndex === null || playerIndex === undefined) return false;
+  return state?.playerStatuses?.[`player_${playerIndex}`] === 'ELIMINATED';
+}
+
+/**
+ * Core projection shared by all viewer variants
+ * @param {object} state - Authoritative game state
+ * @param {number|null} ownIndex - Index whose hand and recalls stay visible (null = none)
+ * @param {string} role - One of VIEWER_ROLES
+ * @returns {object} Redacted deep copy of the state
+ */
+function projectState(state, ownIndex, role) {
+  if (!state) return state;
+
+  // Deep clone so the view never shares references with the live state
+  const view = JSON.parse(JSON.stringify(state));
+
+  // Deck order is never visible - only how many cards remain
+  view.deckCount = Array.isArray(view.deck) ? view.deck.length : 0;
+  view.deck = [];
+  // The seed or initial deck would reveal every future card
+  delete view.seed;
+  delete view.initialDeck;
+
+  // Opponent hands become counts
+  if (Array.isArray(view.players)) {
+    view.players = view.players.map((player, idx) => {
+      if (!player) return player;
+      const hand = Array.isArray(player.hand) ? player.hand : [];
+      if (idx === ownIndex) {
+        return { ...player, handCount: hand.length };
+      }
+      return { ...player, hand: [], handCount: hand.length };
+    });
+  }
+
+  // Shiya recall offers are private to the player who can accept them
+  if (view.shiyaRecalls) {
+    const ownRecalls = ownIndex !== null ? view.shiyaRecalls[ownIndex] : undefined;
+    view.shiyaRecalls = ownRecalls ? { [ownIndex]: ownRecalls } : {};
+  }
+
+  view.viewerRole = role;
+  return view;
+}
+
+/**
+ * Project the state for a seated player
+ * Eliminated tournament players automatically receive the eliminated view.
+ * @param {object} state - Authoritative game state
+ * @param {number} playerIndex - Viewer's player index
+ * @returns {object} Redacted state for that player
+ */
+function projectStateForPlayer(state, playerIndex) {
+  if (playerIndex === null || playerIndex === undefined) {
+    return projectStateForSpectator(state);
+  }
+  if (isEliminatedPlayer(state, playerIndex)) {
+    return projectStateForEliminated(state, playerIndex);
+  }
+  return projectState(state, playerIndex, VIEWER_ROLES.PLAYER);
+}
+
+/**
+ * Project the state for a spectator - no hands and no recall offers are visible
+ * @param {object} state - Authoritative game state
+ * @returns {object} Redacted state
+ */
+function projectStateForSpectator(state) {
+  return projectState(state, null, VIEWER_ROLES.SPECTATOR);
+}
+
+/**
+ * Project the state for an eliminated tournament player
+ * They keep watching the table like a spectator but cannot act.
+ * @param {object} state - Authoritative game state
+ * @param {number} playerIndex - Eliminated player's former index
+ * @returns {object} Redacted state
+ */
+function projectStateForEliminated(state, playerIndex) {
+  const view = projectState(state, null, VIEWER_ROLES.ELIMINATED);
+  if (view) view.eliminatedPlayerIndex = playerIndex;
+  return view;
+}
+
+module.exports = {
+  VIEWER_ROLES,
+  isEliminatedPlayer,
+  projectStateForPlayer,
+  projectStateForSpectator,
+  projectStateForEliminated,
+};
@@ -242,6 +242,42 @@ function isPartyGame(state) {
   return false;
 }
 
+/**
+ * Settle turn flags after an accepted action.
+ * - Once every player has ended their turn (and cards remain), starts a new cycle
+ * - Auto-ends the turn of any player whose hand is now empty
+ * Shared by the server game loop and action-log replays so both stay in step.
+ * @param {object} state - Game state (mutated)
+ * @returns {object} The same state
+ */
+function settleTurnFlags(state) {
+  const playerCount = state.playerCount || 2;
+  const hasCards = i => state.players[i]?.hand?.length > 0;
+
+  if (allPlayersTurnEnded(state)) {
+    let allHandsEmpty = true;
+    for (let i = 0; i < playerCount; i++) {
+      if (hasCards(i)) {
+        allHandsEmpty = false;
+        break;
+      }
+    }
+
+    if (!allHandsEmpty) {
+      resetTurnFlags(state);
+      startPlayerTurn(state, state.currentPlayer);
+    }
+  }
+
+  for (let i = 0; i < playerCount; i++) {
+    if (!hasCards(i) && state.roundPlayers?.[i]?.turnEnded === false) {
+      forceEndTurn(state, i);
+    }
+  }
+
+  return state;
+}
+
 /**
  * Skip a player's turn due to disconnection.
  * Move to next player in sequence.
@@ -342,4 +378,5 @@ module.exports = {
   getNextPartyPlayer,
   isPartyGame,
   skipDisconnectedPlayer,
+  settleTurnFlags,
 };
@@ -0,0 +1,416 @@
+/**
+ * Interactive Tutorials
+ *
+ * Hands-on versions of the tutorials: each lesson loads a scenario into the
+ * real shared engine and asks the learner (player 0) to make the move
+ * themselves. Every action goes through the ActionRouter, so the learner
+ * plays by the real rules; once their turn is over the move is compared
+ * with the lesson's goal and wrong moves get feedback and a retry.
+ *
+ * Lessons use the same ids as the slideshow tutorials in tutorialData.
+ * Boards that start with builds are set up by playing the moves that make
+ * them, so every build on the table is one the engine would produce.
+ */
+
+const { createActionRouter } = require('../ActionRouter');
+const { initializeGame } = require('../initialization');
+const { rankValue } = require('../deck');
+const { getLegalMoveOutcomes, MOVE_KINDS } = require('../legalMoves');
+const { findOutcomeForState } = require('../moveMatching');
+const { explainError } = require('../ruleErrors');
+
+const LEARNER = 0;
+const OPPONENT = 1;
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+const sameCard = (a, b) => !!a && !!b && a.rank === b.rank && a.suit === b.suit;
+
+/**
+ * Lesson definitions
+ * {
+ *   id, title,
+ *   scenario: { tableCards, hands: {0, 1}, currentPlayer },
+ *   setup: scripted moves that finish the board (see findScriptedMove),
+ *   tasks: [{
+ *     prompt, hint,
+ *     kinds: move kinds that complete the task,
+ *     card: hand card the move must use (optional),
+ *     followUp: shown while the move is half done (optional),
+ *     mistakes: { [moveKind]: message for that wrong move },
+ *     opponentReply: scripted opponent move before the next task (optional),
+ *   }]
+ * }
+ */
+const lessons = {
+  trail: {
+    id: 'trail',
+    title: 'How to Trail',
+    scenario: {
+      tableCards: [card('5', '♠'), card('9', '♥')],
+      hands: {
+        0: [card('10', '♠'), card('3', '♦')],
+        1: [card('7', '♣'), card('2', '♦')],
+      },
+    },
+    tasks: [
+      {
+        prompt: 'Nothing on the table matches your cards and you can\'t build. Drag a card onto the table to trail it.',
+        hint: 'Drop either card on an empty part of the table.',
+        kinds: [MOVE_KINDS.TRAIL],
+        mistakes: {},
+      },
+    ],
+  },
+
+  captureLoose: {
+    id: 'captureLoose',
+    title: 'Capture Loose Cards',
+    scenario: {
+      tableCards: [card('7', '♠'), card('10', '♥')],
+      hands: {
+        0: [card('7', '♦'), card('2', '♣')],
+        1: [card('4', '♣'), card('6', '♦')],
+      },
+    },
+    tasks: [
+      {
+        prompt: 'You hold a 7 and there\'s a 7 on the table. Capture it!',
+        hint: 'Drop your 7♦ onto the 7♠.',
+        kinds: [MOVE_KINDS.CAPTURE],
+        card: card('7', '♦'),
+        mistakes: {
+          [MOVE_KINDS.TRAIL]: 'Trailing leaves the 7♠ for your opponent. Drop your 7♦ onto it to capture it instead.',
+        },
+      },
+    ],
+  },
+
+  buildTemp: {
+    id: 'buildTemp',
+    title: 'Build Temp Stack',
+    scenario: {
+      tableCards: [card('5', '♦'), card('10', '♣')],
+      hands: {
+        0: [card('3', '♠'), card('8', '♥'), card('6', '♦')],
+        1: [card('2', '♦'), card('9', '♣')],
+      },
+    },
+    tasks: [
+      {
+        prompt: 'Drop your 3♠ on the 5♦ to make 8, then accept it as a build. You hold the 8♥ to capture it later.',
+        hint: 'Drag the 3♠ onto the 5♦, then accept the build of 8.',
+        kinds: [MOVE_KINDS.BUILD],
+        card: card('3', '♠'),
+        followUp: 'Now accept the stack as a build of 8.',
+        mistakes: {
+          [MOVE_KINDS.TRAIL]: 'Trailing doesn\'t build anything. Drop your 3♠ on the 5♦ to start a build of 8.',
+          [MOVE_KINDS.CAPTURE_TEMP]: 'Capturing straight away works too, but this lesson is about building. Accept the stack as a build of 8.',
+        },
+        opponentReply: { kind: MOVE_KINDS.TRAIL, card: card('9', '♣') },
+      },
+      {
+        prompt: 'Your opponent trailed. Your build of 8 is still yours — capture it with the 8♥.',
+        hint: 'Drop your 8♥ onto your build.',
+        kinds: [MOVE_KINDS.CAPTURE_BUILD],
+        card: card('8', '♥'),
+        mistakes: {},
+      },
+    ],
+  },
+
+  captureBuild: {
+    id: 'captureBuild',
+    title: 'Capture Build Stack',
+    scenario: {
+      tableCards: [card('4', '♠'), card('10', '♦')],
+      hands: {
+        0: [card('9', '♣'), card('6', '♠')],
+        1: [card('5', '♦'), card('9', '♥'), card('2', '♣')],
+      },
+      currentPlayer: OPPONENT,
+    },
+    setup: [
+      { player: OPPONENT, kind: MOVE_KINDS.BUILD, card: card('5', '♦'), target: card('4', '♠'), value: 9 },
+    ],
+    tasks: [
+      {
+        prompt: 'Your opponent built 9. You hold a 9 — capture their whole build!',
+        hint: 'Drop your 9♣ onto the build of 9.',
+        kinds: [MOVE_KINDS.CAPTURE_BUILD],
+        card: card('9', '♣'),
+        mistakes: {
+          [MOVE_KINDS.TRAIL]: 'Trailing lets your opponent capture their own build next turn. Take it with your 9♣.',
+        },
+      },
+    ],
+  },
+
+  stealBuild: {
+    id: 'stealBuild',
+    title: 'Steal a Build',
+    scenario: {
+      tableCards: [card('4', '♠'), card('8', '♦')],
+      hands: {
+        0: [card('3', '♣'), card('10', '♠')],
+        1: [card('3', '♦'), card('7', '♥'), card('2', '♣')],
+      },
+      currentPlayer: OPPONENT,
+    },
+    setup: [
+      { player: OPPONENT, kind: MOVE_KINDS.BUILD, card: card('3', '♦'), target: card('4', '♠'), value: 7 },
+    ],
+    tasks: [
+      {
+        prompt: 'Your opponent built 7. Add your 3♣ to make it 10 and take it over — you hold the 10♠ to capture it.',
+        hint: 'Drop your 3♣ onto the build of 7, then end your turn.',
+        kinds: [MOVE_KINDS.STEAL],
+        card: card('3', '♣'),
+        followUp: 'The build is yours now. Tap End Turn to finish.',
+        mistakes: {
+          [MOVE_KINDS.TRAIL]: 'Trailing leaves the build to your opponent. Drop your 3♣ onto it to raise it to 10.',
+        },
+      },
+    ],
+  },
+
+  mergeBuilds: {
+    id: 'mergeBuilds',
+    title: 'Merge Builds',
+    scenario: {
+      tableCards: [card('4', '♦'), card('4', '♠')],
+      hands: {
+        0: [card('5', '♠'), card('2', '♣'), card('9', '♦')],
+        1: [card('3', '♥'), card('7', '♣'), card('10', '♥')],
+      },
+    },
+    setup: [
+      { player: LEARNER, kind: MOVE_KINDS.BUILD, card: card('5', '♠'), target: card('4', '♦'), value: 9 },
+      { player: OPPONENT, kind: MOVE_KINDS.BUILD, card: card('3', '♥'), target: card('4', '♠'), value: 7 },
+    ],
+    tasks: [
+      {
+        prompt: 'You have a build of 9 and your opponent has a build of 7. Add your 2♣ to theirs — it becomes 9 and merges into your build.',
+        hint: 'Drop your 2♣ onto the build of 7, then end your turn.',
+        kinds: [MOVE_KINDS.STEAL],
+        card: card('2', '♣'),
+        followUp: 'Both builds are one now. Tap End Turn to finish.',
+        mistakes: {
+          [MOVE_KINDS.CAPTURE_BUILD]: 'Capturing your build now is allowed, but you\'d miss their cards. Merge their build into yours first.',
+        },
+      },
+    ],
+  },
+};
+
+// Lazily created - the handlers import the shared index
+let router = null;
+function getRouter() {
+  if (!router) {
+    router = createActionRouter({ handlers: require('../actions') });
+  }
+  return router;
+}
+
+/**
+ * The legal move that plays a scripted step
+ * @param {object} state
+ * @param {object} step - { player, kind, card, target?, value? }
+ * @returns {object} Move outcome from getLegalMoveOutcomes
+ * @throws {Error} If the step isn't legal in this state (a broken lesson)
+ */
+function findScriptedMove(state, step) {
+  const outcome = getLegalMoveOutcomes(state, step.player).find(({ kind, actions }) => {
+    const first = actions[0].payload;
+    const last = actions[actions.length - 1].payload;
+    return kind === step.kind
+      && sameCard(first.card, step.card)
+      && (!step.target || sameCard(first.targetCard, step.target))
+      && (step.value === undefined || last.buildValue === step.value);
+  });
+  if (!outcome) {
+    throw new Error(`Tutorial step "${step.kind} ${step.card.rank}${step.card.suit}" is not legal here`);
+  }
+  return outcome;
+}
+
+/**
+ * Board state at the start of a lesson
+ * @param {string} lessonId
+ * @returns {object} Game state
+ */
+function createLessonState(lessonId) {
+  const lesson = getLesson(lessonId);
+  const { scenario } = lesson;
+
+  let state = initializeGame(2, false, { seed: `tutorial-${lesson.id}` });
+  state = {
+    ...state,
+    deck: [],
+    initialDeck: null,
+    tableCards: scenario.tableCards.map(c => ({ ...c })),
+    players: state.players.map(player => ({
+      ...player,
+      hand: (scenario.hands[player.index] || []).map(c => ({ ...c })),
+    })),
+    currentPlayer: scenario.currentPlayer ?? LEARNER,
+  };
+
+  for (const step of lesson.setup || []) {
+    state = findScriptedMove(state, step).state;
+  }
+  return state;
+}
+
+/**
+ * Which legal move the learner ended up playing
+ * @returns {object|null} Matching move outcome, or null if none matches
+ */
+function identifyMove(startState, endState) {
+  return findOutcomeForState(getLegalMoveOutcomes(startState, LEARNER), endState);
+}
+
+function isGoalMove(task, move) {
+  if (!move || !task.kinds.includes(move.kind)) return false;
+  if (!task.card) return true;
+  return move.actions.some(action => sameCard(action.payload.card, task.card));
+}
+
+/**
+ * Get a lesson definition
+ * @param {string} lessonId
+ * @returns {object}
+ * @throws {Error} If there's no such lesson
+ */
+function getLesson(lessonId) {
+  const lesson = lessons[lessonId];
+  if (!lesson) {
+    throw new Error(`Unknown tutorial lesson "${lessonId}"`);
+  }
+  return lesson;
+}
+
+/**
+ * Start a lesson
+ * @param {string} lessonId
+ * @returns {object} Tutorial session
+ *   { lessonId, taskIndex, state, taskStartState, mistakes, completed, feedback }
+ */
+function createTutorialSession(lessonId) {
+  const lesson = getLesson(lessonId);
+  const state = createLessonState(lessonId);
+  return {
+    lessonId: lesson.id,
+    taskIndex: 0,
+    state,
+    taskStartState: state,
+    mistakes: 0,
+    completed: false,
+    feedback: { type: 'prompt', message: lesson.tasks[0].prompt },
+  };
+}
+
+/**
+ * Play a learner action in a lesson
+ * The action goes through the ActionRouter as in a real game. While the
+ * learner's turn is still open (e.g. a temp stack waiting to be accepted)
+ * the board simply updates; once the turn is over the move is checked
+ * against the task.
+ * @param {object} session - From createTutorialSession or a previous call
+ * @param {{ type: string, payload?: object }} action - Action sent by the GameBoard
+ * @returns {object} Next session (the given session is not mutated)
+ */
+function applyTutorialAction(session, action) {
+  if (session.completed) return session;
+
+  const lesson = getLesson(session.lessonId);
+  const task = lesson.tasks[session.taskIndex];
+
+  let state;
+  try {
+    state = getRouter().executeAction(session.state, LEARNER, action.type, action.payload || {});
+  } catch (error) {
+    const { code, explanation } = explainError(error);
+    return {
+      ...session,
+      mistakes: session.mistakes + 1,
+      feedback: { type: 'error', code, message: `That move isn't allowed: ${explanation} ${task.hint}` },
+    };
+  }
+
+  // Turn still open - let the learner finish the move
+  if (!state.gameOver && state.currentPlayer === LEARNER) {
+    return {
+      ...session,
+      state,
+      feedback: { type: 'prompt', message: task.followUp || task.prompt },
+    };
+  }
+
+  const move = identifyMove(session.taskStartState, state);
+  if (!isGoalMove(task, move)) {
+    // Put the board back so the learner can try again
+    return {
+      ...session,
+      state: session.taskStartState,
+      mistakes: session.mistakes + 1,
+      feedback: { type: 'error', message: (move && task.mistakes[move.kind]) || `Not quite. ${task.hint}` },
+    };
+  }
+
+  const nextIndex = session.taskIndex + 1;
+  if (nextIndex >= lesson.tasks.length) {
+    return {
+      ...session,
+      state,
+      completed: true,
+      feedback: { type: 'success', message: `Well done — you finished "${lesson.title}"!` },
+    };
+  }
+
+  if (task.opponentReply) {
+    state = findScriptedMove(state, { player: OPPONENT, ...task.opponentReply }).state;
+  }
+  return {
+    ...session,
+    taskIndex: nextIndex,
+    state,
+    taskStartState: state,
+    feedback: { type: 'success', message: `Nice! ${lesson.tasks[nextIndex].prompt}` },
+  };
+}
+
+/**
+ * Put the board back to the start of the current task
+ * @param {object} session
+ * @returns {object} Next session
+ */
+function restartTutorialTask(session) {
+  const task = getLesson(session.lessonId).tasks[session.taskIndex];
+  return {
+    ...session,
+    state: session.taskStartState,
+    feedback: { type: 'prompt', message: task.prompt },
+  };
+}
+
+/**
+ * Lessons in play order, without their scenarios
+ * @returns {Array<{ id: string, title: string, taskCount: number }>}
+ */
+function listLessons() {
+  return Object.values(lessons).map(lesson => ({
+    id: lesson.id,
+    title: lesson.title,
+    taskCount: lesson.tasks.length,
+  }));
+}
+
+module.exports = {
+  LESSON_IDS: Object.keys(lessons),
+  listLessons,
+  getLesson,
+  createLessonState,
+  createTutorialSession,
+  applyTutorialAction,
+  restartTutorialTask,
+};
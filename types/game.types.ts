@@ -76,6 +76,7 @@ export interface Player {
   id: number;
   name: string;
   hand: Card[];
+  handCount?: number; // Set on server-sent views, where opponent hands are emptied
   captures: Card[];
   score: number;
   team?: TeamId; // Optional: team membership (computed from index if not set)